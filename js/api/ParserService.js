@@ -9,6 +9,11 @@
  *	exports.setup = function( config, env ) {
  *		env.setInterwiki( 'localhost', 'http://localhost/wiki' );
  *	};
+ *
+ * Settings can also be given in a JSON or YAML configuration file (see
+ * lib/mediawiki.ConfigFile.js and config.yaml.example), set as
+ * parsoidConfig.configFile by localsettings.js or in the PARSOID_CONFIG
+ * environment variable. The service reloads it on SIGHUP.
  */
 
 /**
@@ -31,6 +36,7 @@ var express = require('express'),
 	fork = childProc.fork,
 	path = require('path'),
 	cluster = require('cluster'),
+	crypto = require('crypto'),
 	fs = require('fs');
 
 // local includes
@@ -50,8 +56,6 @@ try {
 
 var instanceName = cluster.isWorker ? 'worker(' + process.pid + ')' : 'master';
 
-console.log( ' - ' + instanceName + ' loading...' );
-
 var WikitextSerializer = require(mp + 'mediawiki.WikitextSerializer.js').WikitextSerializer,
 	SelectiveSerializer = require( mp + 'mediawiki.SelectiveSerializer.js' ).SelectiveSerializer,
 	Util = require( mp + 'mediawiki.Util.js' ).Util,
@@ -61,19 +65,76 @@ var WikitextSerializer = require(mp + 'mediawiki.WikitextSerializer.js').Wikitex
 	WikiConfig = require( mp + 'mediawiki.WikiConfig' ).WikiConfig,
 	ParsoidConfig = require( mp + 'mediawiki.ParsoidConfig' ).ParsoidConfig,
 	MWParserEnvironment = require( mp + 'mediawiki.parser.environment.js' ).MWParserEnvironment,
+	Metrics = require( mp + 'mediawiki.Metrics.js' ).Metrics,
 	TemplateRequest = libtr.TemplateRequest;
 
-var interwikiRE;
+var parsoidVersion = require( '../package.json' ).version;
 
-var parsoidConfig = new ParsoidConfig( localSettings, null ),
-	Serializer = parsoidConfig.useSelser ? SelectiveSerializer : WikitextSerializer;
+var parsoidConfig;
+try {
+	parsoidConfig = new ParsoidConfig( localSettings, { configFile: process.env.PARSOID_CONFIG } );
+} catch ( e ) {
+	if ( e.name !== 'ConfigError' ) {
+		throw e;
+	}
+	console.error( e.message );
+	process.exit( 1 );
+}
+// Load the siteinfo snapshots now, so that a bad one stops the service
+try {
+	parsoidConfig.getWikiConfigCache();
+} catch ( e ) {
+	console.error( e.message );
+	process.exit( 1 );
+}
+
+var metrics = parsoidConfig.getMetrics(),
+	logger = parsoidConfig.getLogger(),
+	requestsInFlight = 0;
 
-function getInterwikiRE() {
-	// this RE won't change -- so, cache it
-	if (!interwikiRE) {
-		interwikiRE = parsoidConfig.interwikiRegexp;
+logger.info( 'service', instanceName + ' loading...' );
+
+// Reload the configuration file on SIGHUP, keeping the current settings if
+// it is invalid
+process.on( 'SIGHUP', function () {
+	try {
+		parsoidConfig.reload();
+		logger.info( 'service', 'reloaded the configuration' );
+	} catch ( e ) {
+		logger.error( 'service', e.name === 'ConfigError' ? e.message : e );
 	}
-	return interwikiRE;
+} );
+
+/**
+ * The regexp source matching the wiki prefix of the routes. They match any
+ * prefix, and only handle those of the wikis of parsoidConfig (the
+ * sitematrix, interwikis and wikis of the configuration, see wikiRoute), so
+ * that reloading the configuration changes the wikis served.
+ */
+var wikiPrefixRE = '[^/:]+';
+
+/**
+ * Is a prefix that of a wiki of parsoidConfig?
+ */
+function isWiki( prefix ) {
+	return Object.prototype.hasOwnProperty.call( parsoidConfig.interwikiMap, prefix );
+}
+
+/**
+ * Wrap the handler of a route with a wiki prefix, passing the requests for
+ * other prefixes on to the next routes
+ *
+ * @param {Number} index: The index of the prefix in req.params
+ * @param {Function} handler
+ */
+function wikiRoute( index, handler ) {
+	return function ( req, res, next ) {
+		if ( isWiki( req.params[index] ) ) {
+			handler( req, res, next );
+		} else {
+			next();
+		}
+	};
 }
 
 var htmlSpecialChars = function ( s ) {
@@ -185,6 +246,15 @@ var refineDiff = function ( diff ) {
 	return out;
 };
 
+/**
+ * Get the serializer of a wiki's pages, selective if it uses selser
+ */
+var getSerializer = function ( env ) {
+	return env.conf.parsoid.useSelser ?
+		new SelectiveSerializer( { env: env } ) :
+		new WikitextSerializer( { env: env } );
+};
+
 var roundTripDiff = function ( req, res, env, document ) {
 	var patch;
 	var out = [];
@@ -193,7 +263,7 @@ var roundTripDiff = function ( req, res, env, document ) {
 		// XXX TODO FIXME BBQ There should be an error callback in SelSer.
 		out = out.join('');
 		if ( out === undefined ) {
-			console.log( 'Serializer error!' );
+			env.logger.error( 'service', 'Serializer error!' );
 			out = "An error occured in the WikitextSerializer, please check the log for information";
 			res.send( out, 500 );
 			return;
@@ -236,19 +306,46 @@ var roundTripDiff = function ( req, res, env, document ) {
 		res.end('\n</body></html>');
 	};
 
-	new Serializer({env: env}).serializeDOM( document.body,
+	getSerializer( env ).serializeDOM( document.body,
 				function ( chunk ) {
 					out.push(chunk);
 				}, finalCB );
 };
 
+/**
+ * Get the serializer for HTML edited from a revision of the page. With the
+ * request parameter oldid or the original (original[wikitext], and
+ * optionally original[html]) the selective serializer only serializes the
+ * changed parts, fetching and parsing the original as far as needed. With
+ * useSelser, requests without them are compared to the current revision;
+ * otherwise the whole page is serialized.
+ */
+var getEditSerializer = function ( env, req ) {
+	var body = req.body || {},
+		original = body.original || {};
+
+	env.page.id = body.oldid || null;
+	if ( typeof original.wikitext === 'string' ) {
+		env.page.src = original.wikitext.replace( /\r/g, '' );
+	}
+	if ( typeof original.html === 'string' ) {
+		env.page.dom = Util.parseHTML( original.html.replace( /\r/g, '' ) ).body;
+	}
+
+	if ( env.page.id || env.page.src || env.conf.parsoid.useSelser ) {
+		return new SelectiveSerializer( { env: env, oldid: env.page.id } );
+	} else {
+		return new WikitextSerializer( { env: env } );
+	}
+};
+
 var parse = function ( env, req, res, cb, err, src ) {
 	var newCb = function ( src, err, doc ) {
 		if ( err !== null ) {
 			if ( !err.code ) {
 				err.code = 500;
 			}
-			console.error( err.stack || err.toString() );
+			env.logger.error( 'service', err );
 			res.send( err.stack || err.toString(), err.code );
 			return;
 		} else {
@@ -265,9 +362,97 @@ var parse = function ( env, req, res, cb, err, src ) {
 
 /* -------------------- web app access points below --------------------- */
 
+/**
+ * The route and wiki prefix labels of a request's metrics. Routes are
+ * named after the API endpoint, or the tool for the /_ paths.
+ */
+var getRequestLabels = function ( req ) {
+	var path = req.url.replace( /\?.*$/, '' ),
+		wikiMatch = path.match( new RegExp( '^/(?:v1/|_rtve?/)?(' + wikiPrefixRE + ')/' ) ),
+		v1Match = path.match( /^\/v1\/[^\/]+\/(?:page\/.+\/(html|wikitext)$|transform\/(\w+)\/to\/(\w+))/ ),
+		toolMatch = path.match( /^\/_(\w+)/ ),
+		route;
+
+	if ( wikiMatch && !isWiki( wikiMatch[1] ) ) {
+		wikiMatch = null;
+	}
+
+	if ( v1Match ) {
+		route = v1Match[1] ? 'v1_page_' + v1Match[1] :
+			'v1_' + v1Match[2] + '_to_' + v1Match[3];
+	} else if ( /^\/v1\//.test( path ) ) {
+		route = 'v1_unknown';
+	} else if ( toolMatch ) {
+		route = '_' + toolMatch[1];
+	} else if ( path === '/' ) {
+		route = 'index';
+	} else if ( wikiMatch ) {
+		route = req.method === 'POST' ? 'page_wikitext' : 'page_html';
+	} else {
+		route = 'other';
+	}
+	return { route: route, wiki: wikiMatch ? wikiMatch[1] : '' };
+};
+
+// Gauges of this worker, labelled with its process id as the master adds
+// up those of all workers (see Metrics.serveWorkers)
+metrics.addCollector( Metrics.processCollector );
+metrics.addCollector( function ( metrics ) {
+	var labels = { pid: String( process.pid ) },
+		cache = parsoidConfig.getSharedCache(),
+		stats;
+	metrics.set( 'http_requests_in_flight', requestsInFlight, labels );
+	if ( cache ) {
+		stats = cache.getStats();
+		metrics.set( 'shared_cache_lookups_total', stats.hits,
+			{ pid: labels.pid, result: 'hit' } );
+		metrics.set( 'shared_cache_lookups_total', stats.misses,
+			{ pid: labels.pid, result: 'miss' } );
+		metrics.set( 'shared_cache_evictions_total', stats.evictions, labels );
+		metrics.set( 'shared_cache_items', stats.items, labels );
+		metrics.set( 'shared_cache_bytes', stats.bytes, labels );
+		metrics.set( 'shared_cache_hit_ratio', stats.hitRate, labels );
+	}
+} );
+if ( cluster.isWorker ) {
+	metrics.answerMaster();
+}
+
 var app = express.createServer();
 app.use(express.bodyParser());
 
+/**
+ * Identify each request by the X-Request-Id header of the client (or a new
+ * id), sent back in the response and logged with each line of its parse.
+ * Count the requests and their latency per route and wiki.
+ */
+app.use( function ( req, res, next ) {
+	var startTime = Date.now(),
+		labels = getRequestLabels( req ),
+		finished = false,
+		finish = function () {
+			if ( finished ) {
+				return;
+			}
+			finished = true;
+			requestsInFlight--;
+			metrics.increment( 'http_requests_total', {
+				route: labels.route,
+				wiki: labels.wiki,
+				status: String( res.statusCode )
+			} );
+			metrics.timing( 'http_request_duration_seconds', Date.now() - startTime, labels );
+		};
+
+	req.id = req.headers['x-request-id'] || crypto.randomBytes( 8 ).toString( 'hex' );
+	res.setHeader( 'X-Request-Id', req.id );
+
+	requestsInFlight++;
+	res.on( 'finish', finish );
+	res.on( 'close', finish );
+	next();
+} );
+
 app.get('/', function(req, res){
 	res.write('<html><body>\n');
 	res.write('<h3>Welcome to the alpha test web service for the ' +
@@ -276,6 +461,13 @@ app.get('/', function(req, res){
 		'Example: <strong><a href="/en/Main_Page">Main Page</a></strong></li>\n');
 	res.write('<li>POST a DOM as parameter "content" to /title for the wikitext</li>\n');
 	res.write('</ul>\n');
+	res.write('<p>The versioned API for integrations:\n<ul>\n');
+	res.write('<li>GET /v1/{wiki}/page/{title}/html?oldid={revision}, or /wikitext</li>\n');
+	res.write('<li>POST /v1/{wiki}/transform/wikitext/to/html with the parameter "wikitext"</li>\n');
+	res.write('<li>POST /v1/{wiki}/transform/html/to/wikitext with the parameters "html" and "oldid" ' +
+		'(or "original[wikitext]" and "original[html]")</li>\n');
+	res.write('<li>Send "Accept: application/json" for JSON with the page and revision metadata</li>\n');
+	res.write('</ul>\n');
 	res.write('<p>There are also some tools for experiments:\n<ul>\n');
 	res.write('<li>Round-trip test pages from the English Wikipedia: ' +
 		'<strong><a href="/_rt/en/Help:Magic">/_rt/Help:Magic</a></strong></li>\n');
@@ -283,23 +475,149 @@ app.get('/', function(req, res){
 	res.write('<li><strong><a href="/_wikitext/">WikiText -&gt; HTML DOM form</a></strong></li>\n');
 	res.write('<li><strong><a href="/_html/">HTML DOM -&gt; WikiText form</a></strong></li>\n');
 	res.write('</ul>\n');
+	res.write('<p>For monitoring: <a href="/_health">/_health</a> and ' +
+		'<a href="/_metrics">/_metrics</a> (Prometheus text format)</p>\n');
 	res.write('<p>We are currently focusing on round-tripping of basic formatting like inline/bold, headings, lists, tables and links. Templates, citations and thumbnails are not expected to round-trip properly yet. <strong>Please report issues you see at <a href="http://www.mediawiki.org/w/index.php?title=Talk:Parsoid/Todo&action=edit&section=new">:mw:Talk:Parsoid/Todo</a>. Thanks!</strong></p>\n');
 	res.write('</body></html>');
 });
 
 
-var getParserServiceEnv = function ( res, iwp, pageName, cb ) {
-	MWParserEnvironment.getParserEnv( parsoidConfig, null, iwp || '', pageName, function ( err, env ) {
+/**
+ * The authentication headers of a client request to forward to the wiki,
+ * if its authentication settings say so (see
+ * ParsoidConfig.setAuthentication). Responses that depend on them are
+ * marked private, so shared caches don't serve them to other clients.
+ */
+var getForwardedAuthHeaders = function ( req, res, iwp ) {
+	var auth = parsoidConfig.authentication[iwp || ''],
+		headers = {},
+		vary;
+
+	if ( !auth || !auth.forwardHeaders ) {
+		return null;
+	}
+	if ( req.headers.cookie ) {
+		headers.Cookie = req.headers.cookie;
+	}
+	if ( req.headers.authorization ) {
+		headers.Authorization = req.headers.authorization;
+	}
+
+	vary = res.getHeader( 'Vary' );
+	res.setHeader( 'Vary', ( vary ? vary + ', ' : '' ) + 'Cookie, Authorization' );
+	if ( !Object.keys( headers ).length ) {
+		return null;
+	}
+	res.setHeader( 'Cache-Control', 'private' );
+	return headers;
+};
+
+/**
+ * Send the error for a parse aborted by a resource limit (see
+ * ResourceLimits), with the counters at the time
+ */
+var sendLimitError = function ( env, res, err ) {
+	env.logger.warn( 'service', err.message );
+	metrics.increment( 'resource_limit_aborts_total', { limit: err.limit } );
+	if ( res.headersSent ) {
+		// Too late for an error status. Ending the response would pass the
+		// partial output off as a complete (and cacheable) page, so drop the
+		// connection instead.
+		res.connection.destroy();
+		return;
+	}
+	res.statusCode = err.code;
+	res.setHeader( 'Content-Type', 'application/json; charset=UTF-8' );
+	res.end( JSON.stringify( { error: {
+		name: err.name,
+		message: err.message,
+		limit: err.limit,
+		report: err.report
+	} } ) );
+};
+
+/**
+ * Report the resource usage of a successful parse in a header
+ */
+var setLimitReportHeader = function ( res, env ) {
+	var report = env.limits.getReport();
+	res.setHeader( 'X-Parsoid-Limit-Report', Object.keys( report ).map( function ( name ) {
+		return name + '=' + report[name].value +
+			( report[name].limit ? '/' + report[name].limit : '' );
+	} ).join( '; ' ) );
+};
+
+/**
+ * Stop the clock of a request's environment, and record the time its
+ * parse spent in each pipeline stage
+ */
+var finishParse = function ( env ) {
+	var times = env.phaseTimer.times;
+	if ( env.parseFinished ) {
+		return;
+	}
+	env.parseFinished = true;
+	env.limits.stop();
+	Object.keys( times ).forEach( function ( phase ) {
+		metrics.timing( 'parse_phase_duration_seconds', times[phase], { phase: phase } );
+	} );
+};
+
+/**
+ * Apply the log level and channel levels of the loglevel and logchannels
+ * request parameters (or the X-Parsoid-Log-Level and X-Parsoid-Log-Channels
+ * headers) to the logger of a request's environment, if the configuration
+ * allows it. Sends an error and returns false if they are invalid.
+ */
+var setLogLevels = function ( env, req, res ) {
+	var level = req.query.loglevel || req.headers['x-parsoid-log-level'],
+		channels = req.query.logchannels || req.headers['x-parsoid-log-channels'];
+	if ( !parsoidConfig.allowLogLevelOverride || !( level || channels ) ) {
+		return true;
+	}
+	try {
+		if ( level ) {
+			env.logger.configure( { level: level } );
+		}
+		if ( channels ) {
+			env.logger.setChannelLevels( channels );
+		}
+	} catch ( e ) {
+		res.send( e.message, 400 );
+		return false;
+	}
+	return true;
+};
+
+var getParserServiceEnv = function ( req, res, iwp, pageName, cb ) {
+	var options = {
+		authHeaders: getForwardedAuthHeaders( req, res, iwp ),
+		logContext: { reqId: req.id }
+	};
+	MWParserEnvironment.getParserEnv( parsoidConfig, null, iwp || '', pageName, options, function ( err, env ) {
 		env.errCB = function ( e ) {
 			var errmsg = e.stack || e.toString();
 			var code = e.code || 500;
-			console.log( errmsg );
+			env.logger.fatal( 'service', e );
 			res.send( errmsg, code );
 			// Force a clean restart of this worker
 			process.exit(1);
 		};
 		if ( err === null ) {
+			if ( !setLogLevels( env, req, res ) ) {
+				return;
+			}
+			// Abort the parse cleanly if it takes too much, without
+			// restarting the worker
+			env.limits.onAbort = sendLimitError.bind( null, env, res );
+			env.limits.start();
+			res.on( 'finish', finishParse.bind( null, env ) );
+			res.on( 'close', finishParse.bind( null, env ) );
 			cb( env );
+		} else if ( err.name === 'AccessDeniedError' ) {
+			// The client (or Parsoid) may not read the wiki. Nothing went
+			// wrong in this worker, so no need to restart it.
+			res.send( err.toString(), err.code );
 		} else {
 			env.errCB( err );
 		}
@@ -307,6 +625,24 @@ var getParserServiceEnv = function ( res, iwp, pageName, cb ) {
 };
 
 
+/**
+ * Set the time used for {{CURRENTYEAR}}, {{#time}} etc from the
+ * 'currenttime' request parameter, if present. Sends an error and returns
+ * false if it is invalid.
+ */
+var setCurrentTime = function ( env, req, res ) {
+	var ts = ( req.body && req.body.currenttime ) || req.query.currenttime;
+	if ( ts ) {
+		try {
+			env.setCurrentTime( ts );
+		} catch ( e ) {
+			res.send( e.toString(), 400 );
+			return false;
+		}
+	}
+	return true;
+};
+
 /**
  * robots.txt: no indexing.
  */
@@ -314,35 +650,421 @@ app.get(/^\/robots.txt$/, function ( req, res ) {
 	res.end( "User-agent: *\nDisallow: /\n" );
 });
 
+/**
+ * Health check for load balancers: this worker is up and serving requests
+ */
+app.get(/^\/_health$/, function ( req, res ) {
+	var memory = process.memoryUsage();
+	res.setHeader( 'Content-Type', 'application/json; charset=UTF-8' );
+	res.setHeader( 'Cache-Control', 'no-cache' );
+	res.end( JSON.stringify( {
+		status: 'ok',
+		version: parsoidVersion,
+		pid: process.pid,
+		uptime: process.uptime(),
+		heapUsed: memory.heapUsed,
+		requestsInFlight: requestsInFlight
+	} ) );
+});
+
+/**
+ * The metrics of all workers in the Prometheus text format, see
+ * mediawiki.Metrics.js
+ */
+app.get(/^\/_metrics$/, function ( req, res ) {
+	var send = function ( snapshot ) {
+		res.setHeader( 'Content-Type', 'text/plain; version=0.0.4; charset=UTF-8' );
+		res.setHeader( 'Cache-Control', 'no-cache' );
+		res.end( Metrics.toPrometheus( snapshot ) );
+	};
+	if ( cluster.isWorker ) {
+		metrics.collectCluster( send );
+	} else {
+		send( metrics.snapshot() );
+	}
+});
+
+/**
+ * Statistics of the shared cache of this worker, as JSON
+ */
+app.get(/^\/_stats\/cache$/, function ( req, res ) {
+	var cache = parsoidConfig.getSharedCache();
+	res.setHeader( 'Content-Type', 'application/json; charset=UTF-8' );
+	res.end( JSON.stringify( cache ? cache.getStats() : { disabled: true } ) );
+});
+
+/* -------------------- Versioned REST API (v1) ------------------------- */
+
+/*
+ * GET  /v1/{wiki}/page/{title}/html[?oldid=]      the HTML of a page
+ * GET  /v1/{wiki}/page/{title}/wikitext[?oldid=]  the wikitext of a page
+ * POST /v1/{wiki}/transform/wikitext/to/html[/{title}]
+ *      with the parameter wikitext
+ * POST /v1/{wiki}/transform/html/to/wikitext[/{title}]
+ *      with the parameter html and, to only serialize the edited parts,
+ *      oldid or original[wikitext] (and original[html]), see
+ *      getEditSerializer
+ *
+ * Each returns the bare content or, for clients that prefer
+ * application/json, a JSON envelope with the page and revision metadata.
+ * Errors are JSON objects ( { error: { name, message } } ) in the latter
+ * case and plain text otherwise. Page responses carry an ETag keyed on the
+ * revision and the currenttime parameter, and answer If-None-Match with 304
+ * Not Modified.
+ *
+ * Parses that exceed a resource limit (ParsoidConfig.limits) fail with a
+ * 503 (taking too long) or 413 (too much content) and a JSON error with the
+ * counters; successful ones report them in the X-Parsoid-Limit-Report
+ * header and the envelope's limitReport.
+ *
+ * All parse requests take the loglevel and logchannels parameters (like
+ * logchannels=dsr:trace,selser:debug) to log more about that request, if
+ * ParsoidConfig.allowLogLevelOverride is set. Log lines carry the request
+ * id echoed in the X-Request-Id header.
+ *
+ * These routes are registered before the debugging routes below, whose
+ * regexps would match them as well.
+ */
+
+/**
+ * Pick the content type the client accepts best from the offered ones,
+ * going by the Accept header. Ties go to the type offered first; without
+ * an Accept header, that is the first offered type.
+ *
+ * @returns {String|null} null if none of the types is acceptable
+ */
+var negotiate = function ( req, offered ) {
+	var accept = req.headers.accept,
+		ranges, best = null, bestQ = 0;
+
+	if ( !accept ) {
+		return offered[0];
+	}
+	ranges = accept.split( ',' ).map( function ( range ) {
+		var parts = range.split( ';' ),
+			q = 1;
+		parts.slice( 1 ).forEach( function ( param ) {
+			var m = param.trim().match( /^q=([\d.]+)$/ );
+			if ( m ) {
+				q = Number( m[1] );
+			}
+		} );
+		return { type: parts[0].trim().toLowerCase(), q: q };
+	} );
+	offered.forEach( function ( type ) {
+		var q = 0, specificity = -1;
+		ranges.forEach( function ( range ) {
+			var s = range.type === type ? 2 :
+				range.type === type.split( '/' )[0] + '/*' ? 1 :
+				range.type === '*/*' ? 0 : -1;
+			if ( s > specificity ) {
+				specificity = s;
+				q = range.q;
+			}
+		} );
+		if ( q > bestQ ) {
+			best = type;
+			bestQ = q;
+		}
+	} );
+	return best;
+};
+
+/**
+ * Send a response in the negotiated format: the JSON envelope, or the
+ * content with the given type. Both report the resource usage.
+ */
+var sendV1 = function ( res, env, format, contentType, content, envelope ) {
+	res.statusCode = 200;
+	setLimitReportHeader( res, env );
+	envelope.limitReport = env.limits.getReport();
+	if ( format === 'application/json' ) {
+		res.setHeader( 'Content-Type', 'application/json; charset=UTF-8' );
+		res.end( JSON.stringify( envelope ) );
+	} else {
+		res.setHeader( 'Content-Type', contentType + '; charset=UTF-8' );
+		res.end( content );
+	}
+};
+
+var sendV1Error = function ( res, format, err ) {
+	var code = err.code || 500;
+	if ( code >= 500 ) {
+		logger.error( 'service', err );
+	}
+	res.statusCode = code;
+	if ( format === 'application/json' ) {
+		res.setHeader( 'Content-Type', 'application/json; charset=UTF-8' );
+		res.end( JSON.stringify( { error: {
+			name: err.name || 'Error',
+			message: err.message || err.toString()
+		} } ) );
+	} else {
+		res.setHeader( 'Content-Type', 'text/plain; charset=UTF-8' );
+		res.end( err.message || err.toString() );
+	}
+};
+
+/**
+ * Negotiate the response format from the offered content type and JSON,
+ * sending 406 Not Acceptable if the client accepts neither
+ */
+var negotiateV1 = function ( req, res, contentType ) {
+	var format = negotiate( req, [ contentType, 'application/json' ] );
+	res.setHeader( 'Vary', 'Accept' );
+	// CORS
+	res.setHeader( 'Access-Control-Allow-Origin', '*' );
+	if ( !format ) {
+		sendV1Error( res, null, { code: 406,
+			message: 'Only ' + contentType + ' and application/json are available' } );
+	}
+	return format;
+};
+
+/**
+ * Look up the metadata of the requested revision of a page (the current
+ * one without an oldid): cb( err, info ), where info is null if the wiki
+ * can't be asked (like with a page source).
+ */
+var getRevisionMetadata = function ( env, title, oldid, cb ) {
+	var handleInfo = function ( err, info ) {
+		if ( err ) {
+			env.logger.warn( 'service', 'Could not look up the revision of ' + title + ': ' + err );
+			cb( null, null );
+		} else if ( !info || !info.exists ) {
+			cb( new DoesNotExistError( oldid ?
+				'There is no revision ' + oldid + ' of ' + title :
+				'There is no page ' + title ) );
+		} else {
+			cb( null, info );
+		}
+	};
+	if ( env.conf.parsoid.pageSource ) {
+		cb( null, null );
+	} else if ( oldid ) {
+		env.pageInfo.getRevisionInfo( oldid, handleInfo );
+	} else {
+		env.pageInfo.getPageInfo( title, handleInfo );
+	}
+};
+
+var revisionEnvelope = function ( env, title, info ) {
+	return {
+		page: {
+			wiki: env.conf.wiki.iwp,
+			title: info && info.title || title,
+			id: info && info.pageid || null
+		},
+		revision: info ? {
+			id: info.revid,
+			timestamp: info.timestamp || null,
+			user: info.user || null
+		} : null
+	};
+};
+
+app.get( new RegExp( '^/v1/(' + wikiPrefixRE + ')/page/(.+)/(html|wikitext)$' ), wikiRoute( 0, function ( req, res ) {
+	var output = req.params[2],
+		format = negotiateV1( req, res, output === 'html' ? 'text/html' : 'text/x-mediawiki' );
+	if ( !format ) {
+		return;
+	}
+
+	var cb = function ( env ) {
+		var title = env.resolveTitle( env.normalizeTitle( env.page.name ), '' ),
+			oldid = req.query.oldid || null,
+			requestedTime;
+
+		env.errCB = function ( e ) {
+			sendV1Error( res, format, e );
+		};
+		if ( oldid && !/^\d+$/.test( oldid ) ) {
+			sendV1Error( res, format, { code: 400, message: 'Invalid oldid: ' + oldid } );
+			return;
+		}
+		if ( !setCurrentTime( env, req, res ) ) {
+			return;
+		}
+		// The time magic words depend on the requested time, if any
+		requestedTime = env.currentTime;
+		req.connection.setTimeout( 900 * 1000 );
+
+		getRevisionMetadata( env, title, oldid, function ( err, info ) {
+			var etag, etagParts, tpr;
+			if ( err ) {
+				sendV1Error( res, format, err );
+				return;
+			}
+			// Fetch the revision that was looked up, so the content
+			// matches the metadata and the ETag
+			oldid = info ? info.revid : oldid;
+			if ( oldid ) {
+				etagParts = [ env.conf.wiki.iwp, oldid, output,
+					format === 'application/json' ? 'json' : 'raw', parsoidVersion ];
+				if ( requestedTime !== null ) {
+					etagParts.push( requestedTime );
+				}
+				etag = '"' + etagParts.join( '/' ) + '"';
+				res.setHeader( 'ETag', etag );
+				if ( ( req.headers['if-none-match'] || '' ).split( /\s*,\s*/ )
+						.indexOf( etag ) !== -1 ) {
+					res.statusCode = 304;
+					res.end();
+					return;
+				}
+			}
+			env.page.id = oldid;
+
+			env.logger.info( 'service', 'starting v1 ' + output + ' request for ' + title );
+			tpr = new TemplateRequest( env, title, oldid );
+			tpr.once( 'src', function ( err, src ) {
+				var envelope = revisionEnvelope( env, title, info );
+				if ( err ) {
+					sendV1Error( res, format, err );
+				} else if ( output === 'wikitext' ) {
+					envelope.wikitext = src;
+					sendV1( res, env, format, 'text/x-mediawiki', src, envelope );
+				} else {
+					env.page.src = src;
+					Util.parse( env, function ( _, err, doc ) {
+						var html;
+						if ( err ) {
+							sendV1Error( res, format, err );
+							return;
+						}
+						html = Util.serializeNode( doc.documentElement );
+						envelope.html = html;
+						sendV1( res, env, format, 'text/html', html, envelope );
+					}, null, src );
+				}
+			} );
+		} );
+	};
+
+	getParserServiceEnv( req, res, req.params[0], req.params[1], cb );
+} ) );
+
+app.post( new RegExp( '^/v1/(' + wikiPrefixRE + ')/transform/wikitext/to/html(?:/(.*))?$' ), wikiRoute( 0, function ( req, res ) {
+	var format = negotiateV1( req, res, 'text/html' ),
+		wikitext = req.body && req.body.wikitext;
+	if ( !format ) {
+		return;
+	} else if ( typeof wikitext !== 'string' ) {
+		sendV1Error( res, format, { code: 400, message: 'The wikitext parameter is missing' } );
+		return;
+	}
+
+	var cb = function ( env ) {
+		env.errCB = function ( e ) {
+			sendV1Error( res, format, e );
+		};
+		if ( !setCurrentTime( env, req, res ) ) {
+			return;
+		}
+		wikitext = wikitext.replace( /\r/g, '' );
+		env.page.src = wikitext;
+		Util.parse( env, function ( _, err, doc ) {
+			var html;
+			if ( err ) {
+				sendV1Error( res, format, err );
+				return;
+			}
+			html = Util.serializeNode( doc.documentElement );
+			sendV1( res, env, format, 'text/html', html, {
+				page: { wiki: env.conf.wiki.iwp, title: env.page.name },
+				html: html
+			} );
+		}, null, wikitext );
+	};
+
+	getParserServiceEnv( req, res, req.params[0], req.params[1] || 'Main_Page', cb );
+} ) );
+
+app.post( new RegExp( '^/v1/(' + wikiPrefixRE + ')/transform/html/to/wikitext(?:/(.*))?$' ), wikiRoute( 0, function ( req, res ) {
+	var format = negotiateV1( req, res, 'text/x-mediawiki' ),
+		html = req.body && req.body.html;
+	if ( !format ) {
+		return;
+	} else if ( typeof html !== 'string' ) {
+		sendV1Error( res, format, { code: 400, message: 'The html parameter is missing' } );
+		return;
+	}
+
+	var cb = function ( env ) {
+		var out = [], doc, serializer,
+			oldid = req.body.oldid;
+
+		if ( oldid && !/^\d+$/.test( oldid ) ) {
+			sendV1Error( res, format, { code: 400, message: 'Invalid oldid: ' + oldid } );
+			return;
+		}
+		try {
+			doc = Util.parseHTML( html.replace( /\r/g, '' ) );
+			serializer = getEditSerializer( env, req );
+		} catch ( e ) {
+			sendV1Error( res, format, { code: 400, message: 'Invalid HTML: ' + e } );
+			return;
+		}
+		env.errCB = function ( e ) {
+			sendV1Error( res, format, e );
+		};
+		try {
+			serializer.serializeDOM( doc.body,
+				function ( chunk ) {
+					out.push( chunk );
+				}, function () {
+					var wikitext = out.join( '' );
+					sendV1( res, env, format, 'text/x-mediawiki', wikitext, {
+						page: { wiki: env.conf.wiki.iwp, title: env.page.name },
+						revision: env.page.id ? { id: Number( env.page.id ) } : null,
+						wikitext: wikitext
+					} );
+				} );
+		} catch ( e ) {
+			env.errCB( e );
+		}
+	};
+
+	getParserServiceEnv( req, res, req.params[0], req.params[1] || 'Main_Page', cb );
+} ) );
+
+/**
+ * Anything else under /v1/
+ */
+app.all( /^\/v1\//, function ( req, res ) {
+	sendV1Error( res, negotiate( req, [ 'text/plain', 'application/json' ] ),
+		{ code: 404, message: 'No such API endpoint: ' + req.method + ' ' + req.path } );
+} );
+
 /**
  * Redirects for old-style URL compatibility
  */
-app.get( new RegExp( '^/((?:_rt|_rtve)/)?(' + getInterwikiRE() +
-				'):(.*)$' ), function ( req, res ) {
+app.get( new RegExp( '^/((?:_rt|_rtve)/)?(' + wikiPrefixRE +
+				'):(.*)$' ), wikiRoute( 1, function ( req, res ) {
 	if ( req.params[0] ) {
 		res.redirect(  '/' + req.params[0] + req.params[1] + '/' + req.params[2]);
 	} else {
 		res.redirect( '/' + req.params[1] + '/' + req.params[2]);
 	}
 	res.end( );
-});
+}));
 
 /**
  * Bug report posts
  */
 app.post( /^\/_bugs\//, function ( req, res ) {
-	console.log( '_bugs', req.body.data );
+	logger.info( 'service', '_bugs', req.body.data );
 	try {
 		var data = JSON.parse( req.body.data ),
 			filename = '/mnt/bugs/' +
 				new Date().toISOString() +
 				'-' + encodeURIComponent(data.title);
-		console.log( filename, data );
+		logger.info( 'service', filename, data );
 		fs.writeFile(filename, req.body.data, function(err) {
 			if(err) {
-				console.log(err);
+				logger.error( 'service', err );
 			} else {
-				console.log("The file " + filename + " was saved!");
+				logger.info( 'service', "The file " + filename + " was saved!");
 			}
 		});
 	} catch ( e ) {
@@ -362,16 +1084,19 @@ app.get(/\/_html\/(.*)/, function ( req, res ) {
 		res.end('');
 	};
 
-	getParserServiceEnv( res, null, req.params[0], cb );
+	getParserServiceEnv( req, res, null, req.params[0], cb );
 } );
 
 app.post(/\/_html\/(.*)/, function ( req, res ) {
 	var cb = function ( env ) {
+		if ( !setCurrentTime( env, req, res ) ) {
+			return;
+		}
 		res.setHeader('Content-Type', 'text/html; charset=UTF-8');
 		var doc = Util.parseHTML( '<html><body>' + req.body.content.replace(/\r/g, '') +
 			'</body></html>' );
 		res.write('<pre style="background-color: #efefef">');
-		new Serializer({env: env}).serializeDOM(
+		getSerializer( env ).serializeDOM(
 			doc.body,
 			function( c ) {
 				res.write( htmlSpecialChars( c ) );
@@ -385,7 +1110,7 @@ app.post(/\/_html\/(.*)/, function ( req, res ) {
 			);
 	};
 
-	getParserServiceEnv( res, parsoidConfig.defaultWiki, req.params[0], cb );
+	getParserServiceEnv( req, res, parsoidConfig.defaultWiki, req.params[0], cb );
 } );
 
 /**
@@ -399,11 +1124,14 @@ app.get(/\/_wikitext\/(.*)/, function ( req, res ) {
 		res.end('');
 	};
 
-	getParserServiceEnv( res, null, req.params[0], cb );
+	getParserServiceEnv( req, res, null, req.params[0], cb );
 } );
 
 app.post(/\/_wikitext\/(.*)/, function ( req, res ) {
 	var cb = function ( env ) {
+		if ( !setCurrentTime( env, req, res ) ) {
+			return;
+		}
 		res.setHeader('Content-Type', 'text/html; charset=UTF-8');
 		var parser = Util.getParser(env, 'text/x-mediawiki/full'),
 			src = req.body.content.replace(/\r/g, '');
@@ -423,23 +1151,23 @@ app.post(/\/_wikitext\/(.*)/, function ( req, res ) {
 			res.setHeader('Content-Type', 'text/html; charset=UTF-8');
 			// [CSA] allow cross-domain requests (CORS)
 			res.setHeader('Access-Control-Allow-Origin', '*');
-			console.log('starting parsing of ' + req.params[0]);
+			env.logger.info('service', 'starting parsing of ' + req.params[0]);
 			// FIXME: This does not handle includes or templates correctly
 			env.page.src = src;
 			parser.process( src );
 		} catch (e) {
-			console.log( e.stack || e.toString() );
+			env.logger.error( 'service', e );
 			res.send( e.stack || e.toString(), 500 );
 		}
 	};
 
-	getParserServiceEnv( res, parsoidConfig.defaultWiki, req.params[0], cb );
+	getParserServiceEnv( req, res, parsoidConfig.defaultWiki, req.params[0], cb );
 } );
 
 /**
  * Round-trip article testing
  */
-app.get( new RegExp('/_rt/(' + getInterwikiRE() + ')/(.*)'), function(req, res) {
+app.get( new RegExp('/_rt/(' + wikiPrefixRE + ')/(.*)'), wikiRoute( 0, function(req, res) {
 	var cb = function ( env ) {
 		req.connection.setTimeout(300 * 1000);
 
@@ -450,7 +1178,7 @@ app.get( new RegExp('/_rt/(' + getInterwikiRE() + ')/(.*)'), function(req, res)
 
 		var target = env.resolveTitle( env.normalizeTitle( env.page.name ), '' );
 
-		console.log('starting parsing of ' + target);
+		env.logger.info('service', 'starting parsing of ' + target);
 		var oldid = null;
 		if ( req.query.oldid ) {
 			oldid = req.query.oldid;
@@ -459,14 +1187,14 @@ app.get( new RegExp('/_rt/(' + getInterwikiRE() + ')/(.*)'), function(req, res)
 		tpr.once('src', parse.bind( tpr, env, req, res, roundTripDiff ));
 	};
 
-	getParserServiceEnv( res, req.params[0], req.params[1], cb );
-} );
+	getParserServiceEnv( req, res, req.params[0], req.params[1], cb );
+} ) );
 
 /**
  * Round-trip article testing with newline stripping for editor-created HTML
  * simulation
  */
-app.get( new RegExp('/_rtve/(' + getInterwikiRE() + ')/(.*)') , function(req, res) {
+app.get( new RegExp('/_rtve/(' + wikiPrefixRE + ')/(.*)') , wikiRoute( 0, function(req, res) {
 	var cb = function ( env ) {
 		if ( env.page.name === 'favicon.ico' ) {
 			res.send( 'no favicon yet..', 404 );
@@ -475,7 +1203,7 @@ app.get( new RegExp('/_rtve/(' + getInterwikiRE() + ')/(.*)') , function(req, re
 
 		var target = env.resolveTitle( env.normalizeTitle( env.page.name ), '' );
 
-		console.log('starting parsing of ' + target);
+		env.logger.info('service', 'starting parsing of ' + target);
 		var oldid = null;
 		if ( req.query.oldid ) {
 			oldid = req.query.oldid;
@@ -491,8 +1219,8 @@ app.get( new RegExp('/_rtve/(' + getInterwikiRE() + ')/(.*)') , function(req, re
 		tpr.once('src', parse.bind( tpr, env, req, res, cb ));
 	};
 
-	getParserServiceEnv( res, req.params[0], req.params[1], cb );
-});
+	getParserServiceEnv( req, res, req.params[0], req.params[1], cb );
+}));
 
 /**
  * Form-based round-tripping for manual testing
@@ -505,7 +1233,7 @@ app.get(/\/_rtform\/(.*)/, function ( req, res ) {
 		res.end('');
 	};
 
-	getParserServiceEnv( res, parsoidConfig.defaultWiki, req.params[0], cb );
+	getParserServiceEnv( req, res, parsoidConfig.defaultWiki, req.params[0], cb );
 });
 
 app.post(/\/_rtform\/(.*)/, function ( req, res ) {
@@ -515,13 +1243,13 @@ app.post(/\/_rtform\/(.*)/, function ( req, res ) {
 		parse( env, req, res, roundTripDiff, null, req.body.content.replace(/\r/g, ''));
 	};
 
-	getParserServiceEnv( res, parsoidConfig.defaultWiki, req.params[0], cb );
+	getParserServiceEnv( req, res, parsoidConfig.defaultWiki, req.params[0], cb );
 } );
 
 /**
  * Regular article parsing
  */
-app.get(new RegExp( '/(' + getInterwikiRE() + ')/(.*)' ), function(req, res) {
+app.get(new RegExp( '/(' + wikiPrefixRE + ')/(.*)' ), wikiRoute( 0, function(req, res) {
 	var cb = function ( env ) {
 		if ( env.page.name === 'favicon.ico' ) {
 			res.send( 'no favicon yet..', 404 );
@@ -533,12 +1261,12 @@ app.get(new RegExp( '/(' + getInterwikiRE() + ')/(.*)' ), function(req, res) {
 		req.connection.setTimeout(900 * 1000);
 
 		var st = new Date();
-		console.log('starting parsing of ' + target);
+		env.logger.info('service', 'starting parsing of ' + target);
 		var oldid = null;
 		if ( req.query.oldid ) {
 			oldid = req.query.oldid;
 		}
-		if ( req.query.cache ) {
+		if ( req.query.cache && !env.authHeaders ) {
 			res.setHeader('Cache-Control', 's-maxage=2592000');
 		}
 		res.setHeader('Content-Type', 'text/html; charset=UTF-8');
@@ -547,14 +1275,17 @@ app.get(new RegExp( '/(' + getInterwikiRE() + ')/(.*)' ), function(req, res) {
 
 		var tpr = new TemplateRequest( env, target, oldid );
 		tpr.once('src', parse.bind( null, env, req, res, function ( req, res, src, doc ) {
+			setLimitReportHeader( res, env );
 			res.end(Util.serializeNode(doc.documentElement));
 			var et = new Date();
-			console.warn("completed parsing of " + target + " in " + (et - st) + " ms");
+			env.logger.info('service', "completed parsing of " + target + " in " + (et - st) + " ms, " +
+				"include size " + env.limits.counters.includeSize + ", " +
+				env.limits.counters.expansionNodes + " expansion nodes");
 		}));
 	};
 
-	getParserServiceEnv( res, req.params[0], req.params[1], cb );
-} );
+	getParserServiceEnv( req, res, req.params[0], req.params[1], cb );
+} ) );
 
 app.get( /\/_ci\/refs\/changes\/(\d+)\/(\d+)\/(\d+)/, function ( req, res ) {
 	var gerritChange = 'refs/changes/' + req.params[0] + '/' + req.params[1] + '/' + req.params[2];
@@ -592,31 +1323,33 @@ app.get( /\/_ci\/master/, function ( req, res ) {
 /**
  * Regular article serialization using POST
  */
-app.post( new RegExp( '/(' + getInterwikiRE() + ')/(.*)' ), function ( req, res ) {
+app.post( new RegExp( '/(' + wikiPrefixRE + ')/(.*)' ), wikiRoute( 0, function ( req, res ) {
 	var cb = function ( env ) {
-		var oldid = req.body.oldid || null;
-		env.page.id = req.body.oldid || null;
+		var doc, serializer,
+			oldid = req.body.oldid;
+
+		if ( oldid && !/^\d+$/.test( oldid ) ) {
+			res.send( 'Invalid oldid: ' + oldid, 400 );
+			return;
+		}
 		res.setHeader('Content-Type', 'text/x-mediawiki; charset=UTF-8');
 
 		try {
-			var doc = Util.parseHTML(req.body.content);
+			doc = Util.parseHTML(req.body.content);
+			serializer = getEditSerializer( env, req );
 		} catch ( e ) {
-			console.log( 'There was an error in the HTML5 parser! Sending it back to the editor.' );
-			console.error( e.stack );
+			env.logger.error( 'service', 'There was an error in the HTML5 parser! Sending it back to the editor.', e );
 			res.send( e.stack, 500 );
+			return;
 		}
 
 		env.errCB = function ( e ) {
-			console.error( e.stack );
+			env.logger.error( 'service', e );
 			res.send( e.stack, 500 );
 		};
 
 		try {
-			// FIXME: Fetch oldid source and pass it in.
-			new Serializer( { env: env, oldid: env.page.id } ).serializeDOM(
-			// The below can be uncommented to turn on selective serialization on the main API service.
-			// This is not currently advisable. It's not working perfectly.
-			//new SelectiveSerializer( { env: env, oldid: oldid } ).serializeDOM(
+			serializer.serializeDOM(
 				doc.body,
 				function ( chunk ) {
 					res.write( chunk );
@@ -629,12 +1362,12 @@ app.post( new RegExp( '/(' + getInterwikiRE() + ')/(.*)' ), function ( req, res
 		}
 	};
 
-	getParserServiceEnv( res, req.params[0], req.params[1], cb );
-} );
+	getParserServiceEnv( req, res, req.params[0], req.params[1], cb );
+} ) );
 
 app.use( express.static( __dirname + '/scripts' ) );
 
-console.log( ' - ' + instanceName + ' ready' );
+logger.info( 'service', instanceName + ' ready' );
 
 module.exports = app;
 
@@ -1,42 +1,105 @@
 /**
- * A very basic cluster-based server runner. Restarts failed workers, but does
- * not much else right now.
+ * A very basic cluster-based server runner. Restarts failed workers,
+ * collects the metrics of all workers for /_metrics, and makes them reload
+ * the configuration file on SIGHUP.
  */
 
 var cluster = require('cluster');
-var app = require('./ParserService.js');
 // Start a few more workers than there are cpus visible to the OS, so that we
 // get some degree of parallelism even on single-core systems. A single
 // long-running request would otherwise hold up all concurrent short requests.
 var numCPUs = require('os').cpus().length + 3;
 
 if (cluster.isMaster) {
+  var ParsoidConfig = require('../lib/mediawiki.ParsoidConfig.js').ParsoidConfig,
+    Metrics = require('../lib/mediawiki.Metrics.js').Metrics;
+  var localSettings = null;
+  try {
+    localSettings = require('./localsettings.js');
+  } catch (e) {}
+  // The master serves no requests, it only needs the metrics and logging
+  // settings. An invalid configuration file or siteinfo snapshot stops it
+  // before any worker is started.
+  var parsoidConfig;
+  try {
+    parsoidConfig = new ParsoidConfig(localSettings, { configFile: process.env.PARSOID_CONFIG });
+  } catch (e) {
+    if (e.name !== 'ConfigError') {
+      throw e;
+    }
+    console.error(e.message);
+    process.exit(1);
+  }
+  try {
+    parsoidConfig.getWikiConfigCache();
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  var metrics = parsoidConfig.getMetrics(),
+    logger = parsoidConfig.getLogger();
+  var workers = [];
+  var onWorkerMessage = metrics.serveWorkers(function() {
+    return workers;
+  });
+  var fork = function() {
+    var worker = cluster.fork();
+    workers.push(worker);
+    worker.on('message', onWorkerMessage.bind(null, worker));
+  };
+
+  metrics.addCollector(Metrics.processCollector);
+  metrics.addCollector(function(metrics) {
+    metrics.set('workers', workers.length);
+  });
+
   // Fork workers.
   for (var i = 0; i < numCPUs; i++) {
-    cluster.fork();
+    fork();
   }
 
   cluster.on('death', function(worker) {
+    var index = workers.indexOf(worker);
+    if (index !== -1) {
+      workers.splice(index, 1);
+    }
     if(!worker.suicide) {
-      console.log('worker ' + worker.pid + ' died, restarting.');
+      logger.warn('service', 'worker ' + worker.pid + ' died, restarting.');
+      metrics.increment('worker_restarts_total');
       // restart worker
-      cluster.fork();
+      fork();
+    }
+  });
+  // Reload the configuration file in all workers, if it is valid
+  process.on('SIGHUP', function() {
+    try {
+      parsoidConfig.reload();
+    } catch (e) {
+      logger.error('service', e.name === 'ConfigError' ? e.message : e);
+      return;
+    }
+    logger.info('service', 'reloading the configuration of the workers');
+    for(var i = 0; i < workers.length; i++) {
+      workers[i].kill('SIGHUP');
     }
   });
   process.on('SIGTERM', function() {
-    console.log('master shutting down, killing workers');
+    logger.info('service', 'master shutting down, killing workers');
     for(var i = 0; i < workers.length; i++) {
-      console.log('Killing worker ' + i + ' with PID ' + workers[i].pid);
+      logger.info('service', 'Killing worker ' + i + ' with PID ' + workers[i].pid);
       // disconnect() doesn't work for some reason
       //workers[i].disconnect();
       workers[i].kill('SIGTERM');
     }
-    console.log('Done killing workers, bye');
+    logger.info('service', 'Done killing workers, bye');
     process.exit(1);
   } );
 } else {
+  var app = require('./ParserService.js'),
+    // configured by ParserService
+    logger = require('../lib/mediawiki.Logger.js').Logger.root;
   process.on('SIGTERM', function() {
-    console.log('Worker shutting down');
+    logger.info('service', 'Worker shutting down');
     process.exit(1);
   });
   // CSA: add hook for running on appfog.com, which passes in the listen
@@ -70,8 +70,7 @@ Cite.prototype.handleRef = function ( tokens ) {
 	if (options.group) {
 		bits.push(options.group);
 	}
-	//bits.push(Util.formatNum( ref.groupIndex + 1 ));
-	bits.push(ref.groupIndex + 1);
+	bits.push(Util.formatNum( ref.groupIndex + 1, this.manager.env.conf.wiki.lang ));
 
 	var about = "#" + this.manager.env.newObjectId(),
 		text  = this.manager.env.page.src,
@@ -162,7 +161,8 @@ Cite.prototype.onReferences = function ( token, manager ) {
 	//console.warn( 'references refGroups:' + JSON.stringify( this.refGroups, null, 2 ) );
 
 	var refGroups = this.refGroups;
-	var arrow = '↑';
+	var arrow = '↑',
+		lang = manager.env.conf.wiki.lang;
 	var renderLine = function( ref ) {
 		var out = [ new TagTk('li', [new KV('id', ref.target)] ) ];
 		if (ref.linkbacks.length === 1) {
@@ -180,12 +180,7 @@ Cite.prototype.onReferences = function ( token, manager ) {
 								new KV('href', '#' + ref.linkbacks[0])
 							]
 						),
-						// XXX: make formatNum available!
-						//{
-						//	type: 'TEXT',
-						//	value: Util.formatNum( ref.groupIndex + '.' + i)
-						//},
-						ref.groupIndex + '.' + i,
+						Util.formatNum( ref.groupIndex + '.' + i, lang ),
 						new EndTagTk( 'a' ), " "
 					]);
 			});
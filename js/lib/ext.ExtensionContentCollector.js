@@ -3,35 +3,37 @@
 var Collector = require( './ext.util.TokenAndAttrCollector.js' ).TokenAndAttrCollector,
 	Util = require( './mediawiki.Util.js' ).Util;
 
-// SSS FIXME: Since we sweep the entire token stream in TokenAndAttrCollector
-// and since we add a new collector for each entry below, this is an expensive way
-// to collect extension content.  We should probably use a single collector and
-// match up against all these tags.
-//
-// List of supported extensions
-var supportedExtensions = [
-	'categorytree', 'charinsert', 'gallery', 'hiero', 'imagemap',
-	'inputbox', 'math', 'poem', 'syntaxhighlight', 'tag', 'timeline'
-];
+// Tags of the extensiontags of wikis that Parsoid handles itself
+var parsoidTags = {
+	pre: true,
+	nowiki: true,
+	ref: true,
+	references: true
+};
 
 /**
- * Simple token collector for extensions
+ * Simple token collector for extensions: the tags of the wiki's
+ * extensiontags and those with a native handler (see
+ * mediawiki.ExtensionRegistry.js), with a single collector
  */
 function ExtensionContent ( manager, options ) {
+	var tags = {},
+		env = manager.env;
 	this.manager = manager;
 	this.options = options;
-	for (var i = 0; i < supportedExtensions.length; i++) {
-		var ext = supportedExtensions[i];
-		new Collector(
-			manager,
-			this.handleExtensionTag.bind(this, ext),
-			true, // match the end-of-input if closing tag is missing
-			// *NEVER* register several independent transformers with the
-			// same rank, as deregistration will *not* work otherwise.
-			// This gives us a few thousand extensions.
-			this.rank + i * 0.00001,
-			ext);
-	}
+	Object.keys( env.conf.wiki.extensionTags )
+		.concat( env.conf.parsoid.extensions.getTagNames() )
+		.forEach( function ( name ) {
+			if ( !parsoidTags[name] ) {
+				tags[name] = true;
+			}
+		} );
+	new Collector(
+		manager,
+		this.handleExtensionTag.bind(this),
+		true, // match the end-of-input if closing tag is missing
+		this.rank,
+		tags);
 }
 
 ExtensionContent.prototype.rank = 0.04;
@@ -77,8 +79,9 @@ function defaultNestedDelimiterHandler(tokens, nestedDelimiterInfo) {
 	}
 }
 
-ExtensionContent.prototype.handleExtensionTag = function(extension, collection) {
-	var wrapTemplates = this.options.wrapTemplates;
+ExtensionContent.prototype.handleExtensionTag = function(collection) {
+	var wrapTemplates = this.options.wrapTemplates,
+		extension = collection.name;
 
 	function wrappedExtensionContent(env, startTag, tagTsr) {
 		var dp = {}, content = '';
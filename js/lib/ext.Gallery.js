@@ -0,0 +1,495 @@
+"use strict";
+/**
+ * Native implementation of the <gallery> extension tag, registered with
+ * the ExtensionRegistry by ParsoidConfig.
+ *
+ * Each line of the body is a file title, followed by options and a caption
+ * separated by pipes:
+ *
+ *     <gallery widths="100px" caption="Some fruit">
+ *     File:Apple.jpg|alt=An apple|A [[red]] apple
+ *     Pear.jpg
+ *     </gallery>
+ *
+ * The gallery is rendered like the traditional mode of MediaWiki, as a
+ * ul typeof="mw:Extension/Gallery" with the tag name and attributes in its
+ * data-mw. Each image is a li.gallerybox with the file title and options
+ * ({ alt, link, page }) in its data-mw and the caption in its
+ * div.gallerytext, so items can be reordered, added and captioned in the
+ * HTML. The serializer keeps the original line of untouched items and the
+ * lines without files, and takes the gallery caption from its li.gallerycaption.
+ */
+
+require( './mediawiki.parser.defines.js' );
+var $ = require( './fakejquery' ),
+	DOMUtils = require( './mediawiki.DOMUtils.js' ).DOMUtils,
+	ExtensionRegistry = require( './mediawiki.ExtensionRegistry.js' ).ExtensionRegistry;
+
+// Sizes of the traditional mode (see ImageGalleryBase in MediaWiki)
+var defaultSize = 120,
+	thumbPadding = 30,
+	boxPadding = 5,
+	boxBorders = 8;
+
+// The image options of gallery lines, by canonical magic word
+var itemOptions = {
+	img_alt: 'alt',
+	img_link: 'link',
+	img_page: 'page'
+};
+
+/**
+ * Split a line at the pipes that are not inside links or templates
+ */
+function splitLine ( line ) {
+	var parts = [], depth = 0, start = 0, i, pair;
+	for ( i = 0; i < line.length; i++ ) {
+		pair = line.substr( i, 2 );
+		if ( pair === '[[' || pair === '{{' ) {
+			depth++;
+			i++;
+		} else if ( ( pair === ']]' || pair === '}}' ) && depth > 0 ) {
+			depth--;
+			i++;
+		} else if ( line[i] === '|' && depth === 0 ) {
+			parts.push( line.substring( start, i ) );
+			start = i + 1;
+		}
+	}
+	parts.push( line.substr( start ) );
+	return parts;
+}
+
+/**
+ * The prefixed file title of a gallery line target, in the File namespace
+ * unless another one is given. Aliases like Image: become the local name of
+ * the namespace, like in the image links of LinkHandler.
+ */
+function makeFileTitle ( env, target ) {
+	var title = env.makeTitleFromPrefixedText( target ),
+		fileNs = env.conf.wiki.namespaceNames[6] || 'File';
+	if ( title.ns.id !== 6 && title.ns.id !== -2 ) {
+		title = env.makeTitleFromPrefixedText( fileNs + ':' + target );
+	}
+	return fileNs + ':' + title.key;
+}
+
+/**
+ * Parse a line of the gallery body
+ *
+ * @param {MWParserEnvironment} env
+ * @param {String} line
+ * @returns {Object|null} null for lines without a file, else target (the
+ *   title as written), title (the prefixed file title), options (canonical
+ *   name -> value), optionSrc (canonical name -> source of the option) and
+ *   caption (wikitext)
+ */
+function parseLine ( env, line ) {
+	var parts = splitLine( line.trim() ),
+		target = parts.shift().trim(),
+		wiki = env.conf.wiki,
+		getOption = wiki.getMagicPatternMatcher( Object.keys( itemOptions ).filter( function ( name ) {
+			return wiki.mwAliases[name];
+		} ) ),
+		item = { target: target, options: {}, optionSrc: {}, caption: '' };
+
+	if ( !target || /[<>\[\]{}|#]/.test( target ) ) {
+		return null;
+	}
+	item.title = makeFileTitle( env, target );
+
+	parts.forEach( function ( part ) {
+		var bits = getOption( part.trim() ),
+			name = bits && itemOptions[bits.k];
+		if ( name ) {
+			item.options[name] = bits.v;
+			item.optionSrc[name] = part;
+		} else {
+			// Like MediaWiki, the last other part is the caption
+			item.caption = part;
+		}
+	} );
+	return item;
+}
+
+/**
+ * Parse a size attribute like "120px"
+ */
+function parseSize ( value ) {
+	var size = parseInt( value, 10 );
+	return size > 0 ? size : defaultSize;
+}
+
+/**
+ * The tokens of the image of an item
+ */
+function renderImage ( env, item, info, box ) {
+	var title = env.makeTitleFromPrefixedText( item.title ),
+		link = item.options.link,
+		responsiveUrls, srcset, linkAttribs, toks;
+
+	if ( !info || !info.exists ) {
+		// Like MediaWiki, show the name of missing files
+		return [
+			new TagTk( 'div', [
+				new KV( 'style', 'height: ' + ( box.height + thumbPadding ) + 'px;' )
+			] ),
+			title.getText(),
+			new EndTagTk( 'div' )
+		];
+	}
+
+	responsiveUrls = info.responsiveUrls || {};
+	srcset = Object.keys( responsiveUrls ).sort().map( function ( scale ) {
+		return responsiveUrls[scale] + ' ' + scale + 'x';
+	} );
+	toks = [
+		new SelfclosingTagTk( 'img', [
+			new KV( 'alt', item.options.alt || '' ),
+			new KV( 'src', info.thumburl || info.url ),
+			new KV( 'width', String( info.thumbwidth || info.width ) ),
+			new KV( 'height', String( info.thumbheight || info.height ) ),
+			new KV( 'resource', title.makeLink() )
+		] )
+	];
+	if ( srcset.length ) {
+		toks[0].addAttribute( 'srcset', srcset.join( ', ' ) );
+	}
+	if ( link === '' ) {
+		return toks;
+	}
+	linkAttribs = [ new KV( 'class', 'image' ) ];
+	if ( link === undefined ) {
+		linkAttribs.push( new KV( 'href', title.makeLink() ) );
+	} else if ( /^(?:[a-z][a-z0-9+.\-]*:)?\/\//i.test( link ) ) {
+		linkAttribs.push( new KV( 'href', link ) );
+	} else {
+		linkAttribs.push( new KV( 'href', env.makeTitleFromPrefixedText( link ).makeLink() ) );
+	}
+	return [ new TagTk( 'a', linkAttribs ) ].concat( toks, [ new EndTagTk( 'a' ) ] );
+}
+
+/**
+ * The tokens of an item
+ */
+function renderItem ( env, item, info, box, captionToks ) {
+	var imageHeight = info && info.thumbheight || box.height,
+		margin = Math.max( 0, Math.round( ( thumbPadding + box.height - imageHeight ) / 2 ) ),
+		dataMW = { title: item.title, options: item.options };
+
+	return [
+		new TagTk( 'li', [
+			new KV( 'class', 'gallerybox' ),
+			new KV( 'style', 'width: ' + ( box.width + thumbPadding + boxPadding ) + 'px' ),
+			new KV( 'data-mw', JSON.stringify( dataMW ) )
+		], { src: item.src } ),
+		new TagTk( 'div', [
+			new KV( 'class', 'thumb' ),
+			new KV( 'style', 'width: ' + ( box.width + thumbPadding ) + 'px; height: ' +
+				( box.height + thumbPadding ) + 'px;' )
+		] ),
+		new TagTk( 'div', [ new KV( 'style', 'margin:' + margin + 'px auto;' ) ] )
+	].concat(
+		renderImage( env, item, info, box ),
+		[
+			new EndTagTk( 'div' ),
+			new EndTagTk( 'div' ),
+			new TagTk( 'div', [ new KV( 'class', 'gallerytext' ) ] )
+		],
+		captionToks,
+		[
+			new EndTagTk( 'div' ),
+			new EndTagTk( 'li' )
+		]
+	);
+}
+
+/**
+ * Parse the items of a gallery body
+ */
+function parseItems ( env, body ) {
+	var items = [];
+	( body || '' ).split( '\n' ).forEach( function ( line ) {
+		var item = parseLine( env, line );
+		if ( item ) {
+			item.src = line;
+			items.push( item );
+		}
+	} );
+	return items;
+}
+
+/**
+ * The tag handler, see mediawiki.ExtensionRegistry.js
+ */
+function handleGallery ( ext, env, cb ) {
+	var items = parseItems( env, ext.body ),
+		box = {
+			width: parseSize( ext.attribs.widths ),
+			height: parseSize( ext.attribs.heights )
+		},
+		perRow = parseInt( ext.attribs.perrow, 10 ),
+		// The caption of the gallery comes last
+		texts = items.map( function ( item ) {
+			return item.caption;
+		} ).concat( [ ext.attribs.caption || '' ] ),
+		captionToks = [],
+		infos = [],
+		pending = texts.length + items.length;
+
+	function done () {
+		if ( --pending ) {
+			return;
+		}
+		var style = [],
+			galleryCaption = captionToks.pop(),
+			toks = [
+				new TagTk( 'ul', [
+					new KV( 'class', 'gallery mw-gallery-traditional' +
+						( ext.attribs['class'] ? ' ' + ext.attribs['class'] : '' ) ),
+					new KV( 'typeof', 'mw:Extension/Gallery' ),
+					new KV( 'data-mw', JSON.stringify( { name: ext.name, attrs: ext.attribs } ) )
+				] )
+			];
+		if ( perRow > 0 ) {
+			style.push( 'max-width: ' + ( perRow *
+				( box.width + thumbPadding + boxPadding + boxBorders ) ) + 'px;' );
+		}
+		if ( ext.attribs.style ) {
+			style.push( ext.attribs.style );
+		}
+		if ( style.length ) {
+			toks[0].addAttribute( 'style', style.join( ' ' ) );
+		}
+		if ( ext.attribs.caption ) {
+			toks = toks.concat(
+				[ new TagTk( 'li', [ new KV( 'class', 'gallerycaption' ) ] ) ],
+				galleryCaption,
+				[ new EndTagTk( 'li' ) ]
+			);
+		}
+		items.forEach( function ( item, i ) {
+			toks = toks.concat( renderItem( env, item, infos[i], box, captionToks[i] ) );
+		} );
+		toks.push( new EndTagTk( 'ul' ) );
+		cb( null, toks );
+	}
+
+	texts.forEach( function ( text, i ) {
+		if ( !text ) {
+			captionToks[i] = [];
+			done();
+			return;
+		}
+		ext.parseWikitext( text, function ( toks ) {
+			captionToks[i] = toks;
+			done();
+		} );
+	} );
+	// The lookups of all items are batched by the page-info provider
+	items.forEach( function ( item, i ) {
+		var itemBox = { width: box.width, height: box.height };
+		if ( parseInt( item.options.page, 10 ) > 0 ) {
+			itemBox.page = parseInt( item.options.page, 10 );
+		}
+		env.pageInfo.getImageInfo( item.title, itemBox, function ( err, info ) {
+			if ( err ) {
+				env.logger.warn( 'gallery', 'Could not get the image info of', item.title, err );
+			}
+			infos[i] = info;
+			done();
+		} );
+	} );
+}
+
+function hasClass ( node, name ) {
+	return ( ' ' + ( node.getAttribute( 'class' ) || '' ) + ' ' ).indexOf( ' ' + name + ' ' ) !== -1;
+}
+
+/**
+ * The serialized content of a node as a single line
+ */
+function serializeLine ( serializer, node ) {
+	// The serializer looks at the data-parsoid of the parents of nodes
+	DOMUtils.loadDataParsoid( node );
+	// A line can't hold newlines
+	return serializer.serializeChildren( node ).trim().replace( /\n+/g, ' ' );
+}
+
+/**
+ * The source of the line of an item
+ *
+ * @param {Object} serializer: see mediawiki.ExtensionRegistry.js
+ * @param {Node} li
+ * @returns {String|null} null if the item has no file
+ */
+function serializeItem ( serializer, li ) {
+	var env = serializer.env,
+		dataMW = DOMUtils.getJSONAttribute( li, 'data-mw' ),
+		src = DOMUtils.dataParsoid( li ).src,
+		orig = src !== undefined ? parseLine( env, src ) : null,
+		caption = '',
+		options = dataMW.options || {},
+		origOptions = orig ? orig.options : {},
+		wiki = env.conf.wiki,
+		bits, child, i;
+
+	if ( !dataMW.title ) {
+		return null;
+	}
+	for ( i = 0; i < li.childNodes.length; i++ ) {
+		child = li.childNodes[i];
+		if ( child.nodeType === li.ELEMENT_NODE && hasClass( child, 'gallerytext' ) ) {
+			caption = serializeLine( serializer, child );
+		}
+	}
+
+	if ( orig && orig.title === dataMW.title && orig.caption.trim() === caption &&
+			JSON.stringify( orig.options ) === JSON.stringify( options ) ) {
+		return src;
+	}
+
+	bits = [ orig && orig.title === dataMW.title ? orig.target : dataMW.title ];
+	Object.keys( options ).forEach( function ( name ) {
+		var canonical = 'img_' + name;
+		if ( origOptions[name] === options[name] ) {
+			bits.push( orig.optionSrc[name] );
+		} else if ( wiki.mwAliases[canonical] ) {
+			bits.push( wiki.replaceInterpolatedMagicWord(
+				wiki.mwAliases[canonical][0], options[name] ) );
+		}
+	} );
+	if ( caption ) {
+		bits.push( caption );
+	}
+	return bits.join( '|' );
+}
+
+/**
+ * Merge the item lines of the DOM into the lines of the original body, so
+ * that the blank lines, comments and other lines without a file stay in
+ * place. Each line that is not an item stays before the item it preceded;
+ * new items follow the item before them.
+ *
+ * @param {String[]} origLines: The lines of the original body
+ * @param {Object[]} items: line (the source) and src (the original line, if
+ *   any) of the items in the DOM
+ * @param {Function} isItem: Whether an original line is an item
+ * @returns {String[]}
+ */
+function mergeLines ( origLines, items, isItem ) {
+	var lines = [],
+		used = [],
+		// The last original line emitted
+		pos = -1,
+		firstItem = 0;
+
+	// Emit the lines up to and including line "to" that are not items
+	function advance ( to ) {
+		for ( pos++; pos <= to; pos++ ) {
+			if ( !isItem[pos] ) {
+				lines.push( origLines[pos] );
+			}
+		}
+		pos = to;
+	}
+
+	while ( firstItem < origLines.length - 1 && !isItem[firstItem] ) {
+		firstItem++;
+	}
+	items.forEach( function ( item ) {
+		var j = item.src === undefined ? -1 : origLines.indexOf( item.src );
+		while ( j !== -1 && ( used[j] || !isItem[j] ) ) {
+			j = origLines.indexOf( item.src, j + 1 );
+		}
+		if ( j !== -1 ) {
+			used[j] = true;
+			if ( j > pos ) {
+				advance( j );
+			}
+		} else if ( pos < firstItem - 1 ) {
+			// New items at the start still follow the leading lines
+			advance( firstItem - 1 );
+		}
+		lines.push( item.line );
+	} );
+	advance( origLines.length - 1 );
+	return lines;
+}
+
+/**
+ * Serialize a gallery back to its source, see mediawiki.ExtensionRegistry.js
+ */
+function serializeGallery ( node, serializer ) {
+	var env = serializer.env,
+		src = node.data.parsoid.src || '',
+		dataMW = DOMUtils.getJSONAttribute( node, 'data-mw' ),
+		name = dataMW.name || 'gallery',
+		attrs = $.extend( {}, dataMW.attrs ),
+		orig = src ? ExtensionRegistry.parseTagSource( name, src ) : null,
+		origLines = orig && orig.body !== null ? orig.body.split( '\n' ) : [ '', '' ],
+		isItem = origLines.map( function ( line ) {
+			return parseLine( env, line ) !== null;
+		} ),
+		items = [],
+		caption = null,
+		startTag, endTag, body, i, child, line;
+
+	for ( i = 0; i < node.childNodes.length; i++ ) {
+		child = node.childNodes[i];
+		if ( child.nodeType !== node.ELEMENT_NODE ) {
+			continue;
+		}
+		if ( hasClass( child, 'gallerybox' ) ) {
+			line = serializeItem( serializer, child );
+			if ( line !== null ) {
+				items.push( { line: line, src: DOMUtils.dataParsoid( child ).src } );
+			}
+		} else if ( hasClass( child, 'gallerycaption' ) ) {
+			caption = serializeLine( serializer, child );
+		}
+	}
+
+	// The caption is edited in the DOM, so keep the original source only
+	// while it renders the same
+	if ( !caption ) {
+		delete attrs.caption;
+	} else if ( orig === null || ( orig.attribs.caption || '' ).trim() !== caption ) {
+		attrs.caption = caption;
+	}
+
+	body = mergeLines( origLines, items, isItem ).join( '\n' );
+	if ( orig && JSON.stringify( orig.attribs ) === JSON.stringify( attrs ) ) {
+		if ( body === orig.body ) {
+			return src;
+		}
+		startTag = src.match( /^<[^>]*>/ )[0];
+	} else {
+		startTag = '<' + name + Object.keys( attrs ).map( function ( k ) {
+			// Attribute values are kept as written, see parseTagSource
+			var quote = /"/.test( attrs[k] ) ? "'" : '"';
+			return ' ' + k + '=' + quote + attrs[k] + quote;
+		} ).join( '' ) + '>';
+	}
+	endTag = ( src.match( /<\/[^>]*>$/ ) || [ '</' + name + '>' ] )[0];
+	return startTag + body + endTag;
+}
+
+/**
+ * Register the <gallery> tag
+ *
+ * @param {ExtensionRegistry} registry
+ */
+function register ( registry ) {
+	registry.registerTag( {
+		name: 'gallery',
+		async: true,
+		handler: handleGallery,
+		serialize: serializeGallery
+	} );
+}
+
+if (typeof module === "object") {
+	module.exports.register = register;
+	module.exports.parseLine = parseLine;
+}
@@ -54,7 +54,7 @@ AttributeExpander.prototype.onToken = function ( token, frame, cb ) {
  */
 AttributeExpander.prototype._returnAttributes = function ( token, cb, newAttrs )
 {
-	this.manager.env.dp( 'AttributeExpander._returnAttributes: ', newAttrs );
+	this.manager.env.logger.debug( 'tt', 'AttributeExpander._returnAttributes: ', newAttrs );
 
 	var modified = false;
 	var metaTokens = [];
@@ -0,0 +1,869 @@
+"use strict";
+/**
+ * Date formatter for the #time parser function and the date-related magic
+ * words.
+ *
+ * This is a port of Language::sprintfDate from MediaWiki core, which
+ * supports the PHP date() format codes plus a few MediaWiki-specific
+ * extensions:
+ *
+ *    xn   Do not translate digits of the next numeric format character
+ *    xN   Toggle raw digit (xn) flag, stays set until explicitly unset
+ *    xr   Use roman numerals for the next numeric format character
+ *    xh   Use hebrew numerals for the next numeric format character
+ *    xx   Literal x
+ *    xg   Genitive month name
+ *
+ *    xij, xiF, xin, xiy, xiY      Iranian calendar
+ *    xjj, xjF, xjt, xjx, xjn, xjY Hebrew calendar
+ *    xmj, xmF, xmn, xmY           Hijri calendar
+ *    xkY  Year in the Thai solar calendar
+ *    xoY  Year in the Minguo calendar
+ *    xtY  Year in the Japanese nengo
+ *
+ * Characters enclosed in double quotes are literal, as are characters
+ * escaped with a backslash.
+ *
+ * Month and day names are taken from the wiki's messages (see WikiConfig),
+ * with English as fallback.
+ */
+
+var NumberFormatter = require( './mediawiki.NumberFormatter.js' ).NumberFormatter;
+
+var GREG_DAYS = [ 31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31 ],
+	IRANIAN_DAYS = [ 31, 31, 31, 31, 31, 31, 30, 30, 30, 30, 30, 29 ];
+
+var monthMsgs = [ 'january', 'february', 'march', 'april', 'may_long', 'june',
+		'july', 'august', 'september', 'october', 'november', 'december' ],
+	monthGenMsgs = [ 'january-gen', 'february-gen', 'march-gen', 'april-gen',
+		'may-gen', 'june-gen', 'july-gen', 'august-gen', 'september-gen',
+		'october-gen', 'november-gen', 'december-gen' ],
+	monthAbbrevMsgs = [ 'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug',
+		'sep', 'oct', 'nov', 'dec' ],
+	weekdayMsgs = [ 'sunday', 'monday', 'tuesday', 'wednesday', 'thursday',
+		'friday', 'saturday' ],
+	weekdayAbbrevMsgs = [ 'sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat' ],
+	// The Hebrew months as numbered by toHebrew: Tishrei to Elul, then
+	// Adar I and Adar II of leap years
+	hebrewMonthMsgs = [ 'hebrew-calendar-m1', 'hebrew-calendar-m2',
+		'hebrew-calendar-m3', 'hebrew-calendar-m4', 'hebrew-calendar-m5',
+		'hebrew-calendar-m6', 'hebrew-calendar-m7', 'hebrew-calendar-m8',
+		'hebrew-calendar-m9', 'hebrew-calendar-m10', 'hebrew-calendar-m11',
+		'hebrew-calendar-m12', 'hebrew-calendar-m6a', 'hebrew-calendar-m6b' ];
+
+/**
+ * English fallbacks for the messages used by the formatter
+ */
+var defaultMessages = {};
+(function () {
+	var months = [ 'January', 'February', 'March', 'April', 'May', 'June', 'July',
+			'August', 'September', 'October', 'November', 'December' ],
+		days = [ 'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday',
+			'Friday', 'Saturday' ],
+		hijri = [ 'Muharram', 'Safar', 'Rabi\' al-awwal', 'Rabi\' al-thani',
+			'Jumada al-awwal', 'Jumada al-thani', 'Rajab', 'Sha\'aban',
+			'Ramadan', 'Shawwal', 'Dhu al-Qi\'dah', 'Dhu al-Hijjah' ],
+		hebrew = [ 'Tishrei', 'Cheshvan', 'Kislev', 'Tevet', 'Shevat', 'Adar',
+			'Nisan', 'Iyar', 'Sivan', 'Tamuz', 'Av', 'Elul', 'Adar I', 'Adar II' ],
+		iranian = [ 'Farvardin', 'Ordibehesht', 'Khordad', 'Tir', 'Mordad',
+			'Shahrivar', 'Mehr', 'Aban', 'Azar', 'Dey', 'Bahman', 'Esfand' ],
+		i;
+	for ( i = 0; i < 12; i++ ) {
+		defaultMessages[monthMsgs[i]] = months[i];
+		defaultMessages[monthGenMsgs[i]] = months[i];
+		defaultMessages[monthAbbrevMsgs[i]] = months[i].substr( 0, 3 );
+		defaultMessages['hijri-calendar-m' + ( i + 1 )] = hijri[i];
+		defaultMessages['iranian-calendar-m' + ( i + 1 )] = iranian[i];
+	}
+	for ( i = 0; i < 14; i++ ) {
+		defaultMessages[hebrewMonthMsgs[i]] = hebrew[i];
+		defaultMessages[hebrewMonthMsgs[i] + '-gen'] = hebrew[i];
+	}
+	for ( i = 0; i < 7; i++ ) {
+		defaultMessages[weekdayMsgs[i]] = days[i];
+		defaultMessages[weekdayAbbrevMsgs[i]] = days[i].substr( 0, 3 );
+	}
+}());
+
+/**
+ * The names of all messages used by the formatter, for WikiConfig to fetch.
+ */
+var messageNames = Object.keys( defaultMessages );
+
+function pad( num, len ) {
+	var s = String( num );
+	while ( s.length < len ) {
+		s = '0' + s;
+	}
+	return s;
+}
+
+function isLeapYear( y ) {
+	return ( y % 4 === 0 && y % 100 !== 0 ) || y % 400 === 0;
+}
+
+/**
+ * Date.UTC without the special treatment of years 0 to 99
+ */
+function makeUTC( y, m, d, h, i, s ) {
+	var date = new Date( Date.UTC( 2000, 0, 1, h, i, s ) );
+	date.setUTCFullYear( y, m - 1, d );
+	return date.getTime();
+}
+
+var dtfCache = {};
+
+/**
+ * Get the offset of a time zone from UTC in minutes at a given time.
+ *
+ * @param {Object} zone: { name: IANA zone name or null, offset: fixed
+ *   offset in minutes, used if the zone name is unknown }
+ * @param {Number} time: Milliseconds since the epoch
+ */
+function getZoneOffset( zone, time ) {
+	if ( !zone.name || zone.name === 'UTC' ) {
+		return zone.offset || 0;
+	}
+	try {
+		var dtf = dtfCache[zone.name];
+		if ( !dtf ) {
+			dtf = dtfCache[zone.name] = new Intl.DateTimeFormat( 'en-US', {
+				timeZone: zone.name,
+				hour12: false,
+				year: 'numeric', month: 'numeric', day: 'numeric',
+				hour: 'numeric', minute: 'numeric', second: 'numeric'
+			} );
+		}
+		var parts = {};
+		dtf.formatToParts( new Date( time ) ).forEach( function ( p ) {
+			parts[p.type] = p.value;
+		} );
+		var local = makeUTC( Number( parts.year ), Number( parts.month ),
+				Number( parts.day ), Number( parts.hour ) % 24,
+				Number( parts.minute ), Number( parts.second ) );
+		return Math.round( ( local - ( time - ( ( time % 1000 ) + 1000 ) % 1000 ) ) / 60000 );
+	} catch ( e ) {
+		// Unknown zone, or no Intl support
+		return zone.offset || 0;
+	}
+}
+
+function formatOffset( offset, colon ) {
+	var abs = Math.abs( offset );
+	return ( offset < 0 ? '-' : '+' ) + pad( Math.floor( abs / 60 ), 2 ) +
+		( colon ? ':' : '' ) + pad( abs % 60, 2 );
+}
+
+/* -------------------- Calendar conversions -------------------- */
+
+/**
+ * Algorithm by Roozbeh Pournader and Mohammad Toossi to convert
+ * Gregorian dates to Iranian dates. Originally written in C, it
+ * is released under the terms of GNU Lesser General Public
+ * License. Conversion to PHP was performed by Niklas Laxström.
+ */
+function toIranian( year, month, day ) {
+	var gy = year - 1600,
+		gm = month - 1,
+		gd = day - 1,
+		i;
+
+	// Days passed from the beginning (including leap years)
+	var gDayNo = 365 * gy +
+		Math.floor( ( gy + 3 ) / 4 ) -
+		Math.floor( ( gy + 99 ) / 100 ) +
+		Math.floor( ( gy + 399 ) / 400 );
+
+	// Add days of the past months of this year
+	for ( i = 0; i < gm; i++ ) {
+		gDayNo += GREG_DAYS[i];
+	}
+
+	// Leap years
+	if ( gm > 1 && isLeapYear( gy ) ) {
+		gDayNo++;
+	}
+
+	// Days passed in current month
+	gDayNo += gd;
+
+	var jDayNo = gDayNo - 79,
+		jNp = Math.floor( jDayNo / 12053 );
+	jDayNo %= 12053;
+
+	var jy = 979 + 33 * jNp + 4 * Math.floor( jDayNo / 1461 );
+	jDayNo %= 1461;
+
+	if ( jDayNo >= 366 ) {
+		jy += Math.floor( ( jDayNo - 1 ) / 365 );
+		jDayNo = Math.floor( ( jDayNo - 1 ) % 365 );
+	}
+
+	for ( i = 0; i < 11 && jDayNo >= IRANIAN_DAYS[i]; i++ ) {
+		jDayNo -= IRANIAN_DAYS[i];
+	}
+
+	return [ jy, i + 1, jDayNo + 1 ];
+}
+
+// PHP's (int) cast
+function intval( n ) {
+	return n < 0 ? Math.ceil( n ) : Math.floor( n );
+}
+
+/**
+ * Converting Gregorian dates to Hijri dates.
+ *
+ * Based on a PHP-Nuke block by Sharjeel which is released under GNU/GPL license
+ */
+function toHijri( zy, zm, zd ) {
+	var zjd;
+	if ( zy > 1582 || ( zy === 1582 && zm > 10 ) ||
+			( zy === 1582 && zm === 10 && zd > 14 ) ) {
+		zjd = intval( ( 1461 * ( zy + 4800 + intval( ( zm - 14 ) / 12 ) ) ) / 4 ) +
+			intval( ( 367 * ( zm - 2 - 12 * ( intval( ( zm - 14 ) / 12 ) ) ) ) / 12 ) -
+			intval( ( 3 * intval( ( ( zy + 4900 + intval( ( zm - 14 ) / 12 ) ) / 100 ) ) ) / 4 ) +
+			zd - 32075;
+	} else {
+		zjd = 367 * zy - intval( ( 7 * ( zy + 5001 + intval( ( zm - 9 ) / 7 ) ) ) / 4 ) +
+			intval( ( 275 * zm ) / 9 ) + zd + 1729777;
+	}
+
+	var zl = zjd - 1948440 + 10632,
+		zn = intval( ( zl - 1 ) / 10631 );
+	zl = zl - 10631 * zn + 354;
+	var zj = ( intval( ( 10985 - zl ) / 5316 ) ) * ( intval( ( 50 * zl ) / 17719 ) ) +
+		( intval( zl / 5670 ) ) * ( intval( ( 43 * zl ) / 15238 ) );
+	zl = zl - ( intval( ( 30 - zj ) / 15 ) ) * ( intval( ( 17719 * zj ) / 50 ) ) -
+		( intval( zj / 16 ) ) * ( intval( ( 15238 * zj ) / 43 ) ) + 29;
+	zm = intval( ( 24 * zl ) / 709 );
+	zd = zl - intval( ( 709 * zm ) / 24 );
+	zy = 30 * zn + zj - 30;
+
+	return [ zy, zm, zd ];
+}
+
+/**
+ * The Hebrew year start, as days since 1 September. Based on Carl
+ * Friedrich Gauss algorithm for finding Easter date.
+ */
+function hebrewYearStart( year ) {
+	var a = intval( ( 12 * ( year - 1 ) + 17 ) % 19 ),
+		b = intval( ( year - 1 ) % 4 ),
+		m = 32.044093161144 + 1.5542417966212 * a + b / 4.0 -
+			0.0031777940220923 * ( year - 1 );
+	if ( m < 0 ) {
+		m--;
+	}
+	var Mar = intval( m );
+	if ( m < 0 ) {
+		m++;
+	}
+	m -= Mar;
+
+	var c = intval( ( Mar + 3 * ( year - 1 ) + 5 * b + 5 ) % 7 );
+	if ( c === 0 && a > 11 && m >= 0.89772376543210 ) {
+		Mar++;
+	} else if ( c === 1 && a > 6 && m >= 0.63287037037037 ) {
+		Mar += 2;
+	} else if ( c === 2 || c === 4 || c === 6 ) {
+		Mar++;
+	}
+
+	Mar += intval( ( year - 3761 ) / 100 ) - intval( ( year - 3761 ) / 400 ) - 24;
+	return Mar;
+}
+
+/**
+ * Converting Gregorian dates to Hebrew dates.
+ *
+ * Based on a JavaScript code by Abu Mami and Yisrael Hersch
+ * (abu-mami@kaluach.net, http://www.kaluach.net), who permitted
+ * to translate the relevant functions into PHP and release them under
+ * GNU GPL.
+ *
+ * Returns [ year, month, day, days in month ]. Months 13 and 14 are
+ * Adar I and Adar II of leap years.
+ */
+function toHebrew( year, month, day ) {
+	var hebrewYear = year + 3760, i;
+
+	// Month number when September = 1, August = 12
+	month += 4;
+	if ( month > 12 ) {
+		// Next year
+		month -= 12;
+		year++;
+		hebrewYear++;
+	}
+
+	// Calculate day of year from 1 September
+	var dayOfYear = day;
+	for ( i = 1; i < month; i++ ) {
+		if ( i === 6 ) {
+			// February
+			dayOfYear += 28;
+			// Check if the year is leap
+			if ( isLeapYear( year ) ) {
+				dayOfYear++;
+			}
+		} else if ( i === 8 || i === 10 || i === 1 || i === 3 ) {
+			dayOfYear += 30;
+		} else {
+			dayOfYear += 31;
+		}
+	}
+
+	// Calculate the start of the Hebrew year
+	var start = hebrewYearStart( hebrewYear ),
+		nextStart;
+
+	// Calculate next year's start
+	if ( dayOfYear <= start ) {
+		// Day is before the start of the year - it is the previous year
+		nextStart = start;
+		year--;
+		hebrewYear--;
+		// Add days since previous year's 1 September
+		dayOfYear += 365;
+		if ( isLeapYear( year ) ) {
+			dayOfYear++;
+		}
+		// Start of the new (previous) year
+		start = hebrewYearStart( hebrewYear );
+	} else {
+		nextStart = hebrewYearStart( hebrewYear + 1 );
+	}
+
+	// Calculate Hebrew day of year
+	var hebrewDayOfYear = dayOfYear - start;
+
+	// Difference between year's days
+	var diff = nextStart - start;
+	// Add 12 (or 13 for leap years) days to ignore the difference between
+	// Hebrew and Gregorian year (353 at least vs. 365/6) - now the
+	// difference is only about the year type
+	diff += isLeapYear( year ) ? 13 : 12;
+
+	// Check the year pattern, and is leap year
+	// 0 means an incomplete year, 1 means a regular year, 2 means a complete year
+	// This is mod 30, to work on both leap years (which add 30 days of Adar I)
+	// and non-leap years
+	var yearPattern = diff % 30,
+		isLeap = diff >= 30;
+
+	// Calculate day in the month from number of day in the Hebrew year
+	// Don't check Adar - if the day is not in Adar, we will stop before;
+	// if it is in Adar, we will use it to check if it is Adar I or Adar II
+	var hebrewDay = hebrewDayOfYear,
+		hebrewMonth = 1,
+		days = 0;
+	while ( hebrewMonth <= 12 ) {
+		// Calculate days in this month
+		if ( isLeap && hebrewMonth === 6 ) {
+			// Leap year - has Adar I, with 30 days, and Adar II, with 29 days
+			days = 30;
+			if ( hebrewDay <= days ) {
+				// Day in Adar I
+				hebrewMonth = 13;
+			} else {
+				// Subtract the days of Adar I
+				hebrewDay -= days;
+				// Try Adar II
+				days = 29;
+				if ( hebrewDay <= days ) {
+					// Day in Adar II
+					hebrewMonth = 14;
+				}
+			}
+		} else if ( hebrewMonth === 2 && yearPattern === 2 ) {
+			// Cheshvan in a complete year (otherwise as the rule below)
+			days = 30;
+		} else if ( hebrewMonth === 3 && yearPattern === 0 ) {
+			// Kislev in an incomplete year (otherwise as the rule below)
+			days = 29;
+		} else {
+			// Odd months have 30 days, even have 29
+			days = 30 - ( hebrewMonth - 1 ) % 2;
+		}
+		if ( hebrewDay <= days ) {
+			// In the current month
+			break;
+		} else {
+			// Subtract the days of the current month
+			hebrewDay -= days;
+			// Try in the next month
+			hebrewMonth++;
+		}
+	}
+
+	return [ hebrewYear, hebrewMonth, hebrewDay, days ];
+}
+
+/**
+ * Years in the Thai solar, Minguo and Japanese nengo calendars. Months and
+ * days are identical to the Gregorian calendar.
+ */
+function toYear( gy, gm, gd, cName ) {
+	var era, start;
+	if ( cName === 'thai' ) {
+		return gy + 543;
+	} else if ( cName === 'minguo' ) {
+		return gy - 1911;
+	}
+
+	// Nengo dates up to Meiji period
+	var ymd = gy * 10000 + gm * 100 + gd;
+	if ( ymd < 19120730 ) {
+		era = '明治';
+		start = 1868;
+	} else if ( ymd < 19261225 ) {
+		era = '大正';
+		start = 1912;
+	} else if ( ymd < 19890108 ) {
+		era = '昭和';
+		start = 1926;
+	} else if ( ymd < 20190501 ) {
+		era = '平成';
+		start = 1989;
+	} else {
+		era = '令和';
+		start = 2019;
+	}
+	var year = gy - start + 1;
+	// The first year of an era is called gannen
+	return era + ( year === 1 ? '元' : year );
+}
+
+/**
+ * Roman numerals for 1 to 3000
+ */
+function romanNumeral( num ) {
+	var table = [
+			[ '', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X' ],
+			[ '', 'X', 'XX', 'XXX', 'XL', 'L', 'LX', 'LXX', 'LXXX', 'XC', 'C' ],
+			[ '', 'C', 'CC', 'CCC', 'CD', 'D', 'DC', 'DCC', 'DCCC', 'CM', 'M' ],
+			[ '', 'M', 'MM', 'MMM' ]
+		],
+		s = '', pow10, i;
+
+	num = intval( Number( num ) );
+	if ( num > 3000 || num <= 0 ) {
+		return String( num );
+	}
+
+	for ( pow10 = 1000, i = 3; i >= 0; pow10 /= 10, i-- ) {
+		if ( num >= pow10 ) {
+			s += table[i][Math.floor( num / pow10 )];
+		}
+		num = num % pow10;
+	}
+	return s;
+}
+
+/**
+ * Hebrew Gematria numerals for 1 to 9999
+ */
+function hebrewNumeral( num ) {
+	var table = [
+			[ '', 'א', 'ב', 'ג', 'ד', 'ה', 'ו', 'ז', 'ח', 'ט', 'י' ],
+			[ '', 'י', 'כ', 'ל', 'מ', 'נ', 'ס', 'ע', 'פ', 'צ', 'ק' ],
+			[ '', 'ק', 'ר', 'ש', 'ת', 'תק', 'תר', 'תש', 'תת', 'תתק', 'תתר' ],
+			[ '', 'א', 'ב', 'ג', 'ד', 'ה', 'ו', 'ז', 'ח', 'ט', 'י' ]
+		],
+		finals = { 'כ': 'ך', 'מ': 'ם', 'נ': 'ן', 'פ': 'ף', 'צ': 'ץ' },
+		s = '', str, pow10, i;
+
+	num = intval( Number( num ) );
+	if ( num > 9999 || num <= 0 ) {
+		return String( num );
+	}
+
+	for ( pow10 = 1000, i = 3; i >= 0; pow10 /= 10, i-- ) {
+		if ( num >= pow10 ) {
+			if ( num === 15 || num === 16 ) {
+				s += table[0][9] + table[0][num - 9];
+				num = 0;
+			} else {
+				s += table[i][Math.floor( num / pow10 )];
+				if ( pow10 === 1000 ) {
+					s += "'";
+				}
+			}
+		}
+		num = num % pow10;
+	}
+
+	// Add geresh or gershayim
+	if ( s.length === 1 ) {
+		str = s + "'";
+	} else {
+		str = s.substr( 0, s.length - 1 ) + '"' + s.substr( s.length - 1 );
+	}
+
+	// Use the final form of the last letter
+	var last = str[str.length - 1];
+	if ( finals[last] ) {
+		str = str.substr( 0, str.length - 1 ) + finals[last];
+	}
+	return str;
+}
+
+/* -------------------- DateFormatter -------------------- */
+
+/**
+ * @class
+ * @constructor
+ * @param {WikiConfig} wikiConfig: Provides the localized month and day names
+ */
+function DateFormatter ( wikiConfig ) {
+	this.messages = ( wikiConfig && wikiConfig.messages ) || {};
+	this.numberFormatter = NumberFormatter.forLanguage( wikiConfig && wikiConfig.lang );
+}
+
+DateFormatter.prototype.msg = function ( key ) {
+	var msg = this.messages[key];
+	return msg !== undefined ? msg : defaultMessages[key];
+};
+
+/**
+ * Format a number in the content language. Date formatting never uses
+ * separators, so this only transforms digits.
+ */
+DateFormatter.prototype.formatNum = function ( num ) {
+	return this.numberFormatter.formatNum( num, true );
+};
+
+/**
+ * Format a time like PHP's date() or MediaWiki's Language::sprintfDate
+ * (see the top of this file).
+ *
+ * @method
+ * @param {String} format: The format string
+ * @param {Number} time: Milliseconds since the epoch
+ * @param {Object} zone: The output time zone, as { name: IANA zone name or
+ *   null, offset: fixed offset in minutes east of UTC }. Defaults to UTC.
+ * @returns {String}
+ */
+DateFormatter.prototype.sprintfDate = function ( format, time, zone ) {
+	zone = zone || { name: 'UTC', offset: 0 };
+
+	var offset = getZoneOffset( zone, time ),
+		local = new Date( time + offset * 60000 ),
+		Y = local.getUTCFullYear(),
+		n = local.getUTCMonth() + 1,
+		j = local.getUTCDate(),
+		G = local.getUTCHours(),
+		w = local.getUTCDay(),
+		ts = pad( Y, 4 ) + pad( n, 2 ) + pad( j, 2 ) + pad( G, 2 ) +
+			pad( local.getUTCMinutes(), 2 ) + pad( local.getUTCSeconds(), 2 ),
+		iranian = null, hijri = null, hebrew = null,
+		raw = false, rawToggle = false, roman = false, hebrewNum = false,
+		s = '', p, code, num, h;
+
+	var self = this,
+		getIranian = function () {
+			return iranian || ( iranian = toIranian( Y, n, j ) );
+		},
+		getHijri = function () {
+			return hijri || ( hijri = toHijri( Y, n, j ) );
+		},
+		getHebrew = function () {
+			return hebrew || ( hebrew = toHebrew( Y, n, j ) );
+		};
+
+	for ( p = 0; p < format.length; p++ ) {
+		num = false;
+		code = format[p];
+		if ( code === 'x' && p < format.length - 1 ) {
+			code += format[++p];
+		}
+		if ( /^x[ijkmot]$/.test( code ) && p < format.length - 1 ) {
+			code += format[++p];
+		}
+
+		switch ( code ) {
+			case 'xx':
+				s += 'x';
+				break;
+			case 'xn':
+				raw = true;
+				break;
+			case 'xN':
+				rawToggle = !rawToggle;
+				break;
+			case 'xr':
+				roman = true;
+				break;
+			case 'xh':
+				hebrewNum = true;
+				break;
+			case 'xg':
+				s += this.msg( monthGenMsgs[n - 1] );
+				break;
+			case 'xjx':
+				s += this.msg( hebrewMonthMsgs[getHebrew()[1] - 1] + '-gen' );
+				break;
+			case 'd':
+				num = ts.substr( 6, 2 );
+				break;
+			case 'D':
+				s += this.msg( weekdayAbbrevMsgs[w] );
+				break;
+			case 'j':
+				num = j;
+				break;
+			case 'xij':
+				num = getIranian()[2];
+				break;
+			case 'xmj':
+				num = getHijri()[2];
+				break;
+			case 'xjj':
+				num = getHebrew()[2];
+				break;
+			case 'l':
+				s += this.msg( weekdayMsgs[w] );
+				break;
+			case 'F':
+				s += this.msg( monthMsgs[n - 1] );
+				break;
+			case 'xiF':
+				s += this.msg( 'iranian-calendar-m' + getIranian()[1] );
+				break;
+			case 'xmF':
+				s += this.msg( 'hijri-calendar-m' + getHijri()[1] );
+				break;
+			case 'xjF':
+				s += this.msg( hebrewMonthMsgs[getHebrew()[1] - 1] );
+				break;
+			case 'm':
+				num = ts.substr( 4, 2 );
+				break;
+			case 'M':
+				s += this.msg( monthAbbrevMsgs[n - 1] );
+				break;
+			case 'n':
+				num = n;
+				break;
+			case 'xin':
+				num = getIranian()[1];
+				break;
+			case 'xmn':
+				num = getHijri()[1];
+				break;
+			case 'xjn':
+				num = getHebrew()[1];
+				break;
+			case 'xjt':
+				num = getHebrew()[3];
+				break;
+			case 'Y':
+				num = ts.substr( 0, 4 );
+				break;
+			case 'xiY':
+				num = getIranian()[0];
+				break;
+			case 'xmY':
+				num = getHijri()[0];
+				break;
+			case 'xjY':
+				num = getHebrew()[0];
+				break;
+			case 'xkY':
+				num = toYear( Y, n, j, 'thai' );
+				break;
+			case 'xoY':
+				num = toYear( Y, n, j, 'minguo' );
+				break;
+			case 'xtY':
+				s += toYear( Y, n, j, 'tenno' );
+				break;
+			case 'y':
+				num = ts.substr( 2, 2 );
+				break;
+			case 'xiy':
+				num = String( getIranian()[0] ).substr( -2 );
+				break;
+			case 'a':
+				s += G < 12 ? 'am' : 'pm';
+				break;
+			case 'A':
+				s += G < 12 ? 'AM' : 'PM';
+				break;
+			case 'g':
+				num = G % 12 ? G % 12 : 12;
+				break;
+			case 'G':
+				num = G;
+				break;
+			case 'h':
+				num = pad( G % 12 ? G % 12 : 12, 2 );
+				break;
+			case 'H':
+				num = ts.substr( 8, 2 );
+				break;
+			case 'i':
+				num = ts.substr( 10, 2 );
+				break;
+			case 's':
+				num = ts.substr( 12, 2 );
+				break;
+			case 'c':
+			case 'r':
+			case 'e':
+			case 'O':
+			case 'P':
+			case 'T':
+				s += this._formatDateTime( code, local, time, offset, zone );
+				break;
+			case 'w':
+			case 'N':
+			case 'z':
+			case 'W':
+			case 't':
+			case 'L':
+			case 'o':
+			case 'U':
+			case 'I':
+			case 'Z':
+				num = this._formatDateTime( code, local, time, offset, zone );
+				break;
+			case '\\':
+				// Backslash escaping
+				if ( p < format.length - 1 ) {
+					s += format[++p];
+				} else {
+					s += '\\';
+				}
+				break;
+			case '"':
+				// Quoted literal
+				if ( p < format.length - 1 ) {
+					var endQuote = format.indexOf( '"', p + 1 );
+					if ( endQuote === -1 ) {
+						// No terminating quote, assume literal "
+						s += '"';
+					} else {
+						s += format.substring( p + 1, endQuote );
+						p = endQuote;
+					}
+				} else {
+					// Quote at end of string, assume literal "
+					s += '"';
+				}
+				break;
+			default:
+				s += format.substr( p - code.length + 1, code.length );
+		}
+
+		if ( num !== false ) {
+			if ( rawToggle || raw ) {
+				s += num;
+				raw = false;
+			} else if ( roman ) {
+				s += romanNumeral( num );
+				roman = false;
+			} else if ( hebrewNum ) {
+				s += hebrewNumeral( num );
+				hebrewNum = false;
+			} else {
+				s += this.formatNum( num );
+			}
+		}
+	}
+	return s;
+};
+
+/**
+ * The format codes that PHP's DateTime::format handles for sprintfDate.
+ * These are never localized.
+ */
+DateFormatter.prototype._formatDateTime = function ( code, local, time, offset, zone ) {
+	var Y = local.getUTCFullYear(),
+		n = local.getUTCMonth() + 1,
+		j = local.getUTCDate(),
+		w = local.getUTCDay(),
+		startOfYear = makeUTC( Y, 1, 1, 0, 0, 0 ),
+		z = Math.floor( ( local.getTime() - startOfYear ) / 86400000 ),
+		thursday, isoYear, week, jan, jul;
+
+	switch ( code ) {
+		case 'w':
+			return w;
+		case 'N':
+			return w || 7;
+		case 'z':
+			return z;
+		case 'W':
+		case 'o':
+			// The ISO week belongs to the year its Thursday is in
+			thursday = new Date( makeUTC( Y, n, j + 4 - ( w || 7 ), 0, 0, 0 ) );
+			isoYear = thursday.getUTCFullYear();
+			if ( code === 'o' ) {
+				return isoYear;
+			}
+			week = Math.floor( ( thursday.getTime() -
+				makeUTC( isoYear, 1, 1, 0, 0, 0 ) ) / 86400000 / 7 ) + 1;
+			return pad( week, 2 );
+		case 't':
+			return new Date( makeUTC( Y, n + 1, 0, 0, 0, 0 ) ).getUTCDate();
+		case 'L':
+			return isLeapYear( Y ) ? 1 : 0;
+		case 'U':
+			return Math.floor( time / 1000 );
+		case 'I':
+			// Daylight saving time is in effect if the offset is larger than
+			// the smaller of the offsets in January and July
+			jan = getZoneOffset( zone, makeUTC( Y, 1, 1, 0, 0, 0 ) );
+			jul = getZoneOffset( zone, makeUTC( Y, 7, 1, 0, 0, 0 ) );
+			return offset > Math.min( jan, jul ) ? 1 : 0;
+		case 'Z':
+			return offset * 60;
+		case 'O':
+			return formatOffset( offset, false );
+		case 'P':
+			return formatOffset( offset, true );
+		case 'e':
+			return zone.name || formatOffset( offset, true );
+		case 'T':
+			return this._zoneAbbreviation( zone, time, offset );
+		case 'c':
+			return this.sprintfDate( 'xNY-m-d\\TH:i:sP', time, zone );
+		case 'r':
+			return [
+				defaultMessages[weekdayAbbrevMsgs[w]] + ', ' + pad( j, 2 ),
+				defaultMessages[monthAbbrevMsgs[n - 1]],
+				pad( Y, 4 ),
+				this.sprintfDate( 'xNH:i:s O', time, zone )
+			].join( ' ' );
+	}
+};
+
+DateFormatter.prototype._zoneAbbreviation = function ( zone, time, offset ) {
+	if ( !zone.name ) {
+		return formatOffset( offset, true );
+	} else if ( zone.name === 'UTC' ) {
+		return 'UTC';
+	}
+	try {
+		var name = new Intl.DateTimeFormat( 'en-US', {
+				timeZone: zone.name,
+				timeZoneName: 'short'
+			} ).formatToParts( new Date( time ) ).filter( function ( p ) {
+				return p.type === 'timeZoneName';
+			} )[0].value;
+		// Zones without a well-known abbreviation are written as an offset
+		// by PHP.
+		return /^GMT[+\-]/.test( name ) ?
+			formatOffset( offset, false ).replace( /00$/, '' ) : name;
+	} catch ( e ) {
+		return formatOffset( offset, true );
+	}
+};
+
+if (typeof module === "object") {
+	module.exports.DateFormatter = DateFormatter;
+	module.exports.messageNames = messageNames;
+	module.exports.getZoneOffset = getZoneOffset;
+}
@@ -0,0 +1,515 @@
+"use strict";
+/**
+ * Date string parser for the #time parser function.
+ *
+ * This parses the date argument of #time the way PHP's DateTime
+ * constructor (timelib) does. Only the formats that are commonly used in
+ * wikitext are supported:
+ *
+ * - Unix timestamps ('@1234567890')
+ * - ISO 8601 and MediaWiki timestamps ('2012-12-31T23:59:59Z',
+ *   '20121231235959', '2012-12-31', '20121231', '2012-12')
+ * - Numeric dates ('12/31/2012', '2012/12/31', '31.12.2012', '31-12-2012')
+ * - Textual dates ('31 December 2012', 'Dec 31, 2012', 'December 2012')
+ * - Times ('23:59', '23:59:59', '11pm', '11:59 p.m.'), 'noon', 'midnight'
+ * - Time zones ('UTC', 'Z', '+01:00', '-0500', 'CET', ...)
+ * - Relative expressions ('now', 'today', 'tomorrow', 'yesterday',
+ *   '+1 day', '-2 weeks', '3 months ago', 'next monday', 'last year',
+ *   'first day of next month', ...)
+ *
+ * Input that timelib would reject results in an error.
+ */
+
+var monthNames = {
+	jan: 1, january: 1,
+	feb: 2, february: 2,
+	mar: 3, march: 3,
+	apr: 4, april: 4,
+	may: 5,
+	jun: 6, june: 6,
+	jul: 7, july: 7,
+	aug: 8, august: 8,
+	sep: 9, sept: 9, september: 9,
+	oct: 10, october: 10,
+	nov: 11, november: 11,
+	dec: 12, december: 12
+};
+
+var dayNames = {
+	sun: 0, sunday: 0,
+	mon: 1, monday: 1,
+	tue: 2, tues: 2, tuesday: 2,
+	wed: 3, wednesday: 3,
+	thu: 4, thur: 4, thurs: 4, thursday: 4,
+	fri: 5, friday: 5,
+	sat: 6, saturday: 6
+};
+
+// Relative units, mapped to the relative field and multiplier
+var relUnits = {
+	sec: [ 's', 1 ], secs: [ 's', 1 ], second: [ 's', 1 ], seconds: [ 's', 1 ],
+	min: [ 'i', 1 ], mins: [ 'i', 1 ], minute: [ 'i', 1 ], minutes: [ 'i', 1 ],
+	hour: [ 'h', 1 ], hours: [ 'h', 1 ],
+	day: [ 'd', 1 ], days: [ 'd', 1 ],
+	week: [ 'd', 7 ], weeks: [ 'd', 7 ],
+	fortnight: [ 'd', 14 ], fortnights: [ 'd', 14 ],
+	forthnight: [ 'd', 14 ], forthnights: [ 'd', 14 ],
+	month: [ 'm', 1 ], months: [ 'm', 1 ],
+	year: [ 'y', 1 ], years: [ 'y', 1 ],
+	weekday: [ 'weekday', 1 ], weekdays: [ 'weekday', 1 ]
+};
+
+// Relative text, mapped to amount and weekday behavior
+var relText = {
+	last: [ -1, 0 ],
+	previous: [ -1, 0 ],
+	'this': [ 0, 1 ],
+	next: [ 1, 0 ]
+};
+
+// Time zone abbreviations, in minutes east of UTC
+var zoneAbbrevs = {
+	z: 0, ut: 0, utc: 0, gmt: 0, wet: 0,
+	bst: 60, cet: 60, met: 60, wat: 60, west: 60,
+	cest: 120, eet: 120, mest: 120, sast: 120,
+	eest: 180, msk: 180,
+	ist: 330,
+	hkt: 480, awst: 480,
+	jst: 540, kst: 540,
+	acst: 570,
+	aest: 600,
+	nzst: 720, nzdt: 780,
+	hst: -600, akst: -540, akdt: -480,
+	pst: -480, pdt: -420,
+	mst: -420, mdt: -360,
+	cst: -360, cdt: -300,
+	est: -300, edt: -240,
+	ast: -240, adt: -180,
+	nst: -210, ndt: -150
+};
+
+function alternatives( obj ) {
+	// Longest first, so that 'june' is preferred over 'jun'
+	return Object.keys( obj ).sort( function ( a, b ) {
+		return b.length - a.length;
+	} ).join( '|' );
+}
+
+var MONTH = '(' + alternatives( monthNames ) + ')\\.?(?![a-z])',
+	DAYNAME = '(' + alternatives( dayNames ) + ')\\.?(?![a-z])',
+	UNIT = '(' + alternatives( relUnits ) + ')(?![a-z])',
+	DAYSUFFIX = '(?:st|nd|rd|th)?',
+	SEP = '[ \\t.\\-]*';
+
+function validMonth( m ) {
+	return m >= 1 && m <= 12;
+}
+
+function validDay( d ) {
+	return d >= 1 && d <= 31;
+}
+
+function validTime( h, i, s ) {
+	return h >= 0 && h <= 24 && i >= 0 && i <= 59 &&
+		( s === null || ( s >= 0 && s <= 60 ) );
+}
+
+// timelib's handling of two-digit years
+function processYear( yStr ) {
+	var y = Number( yStr );
+	if ( yStr.length < 4 ) {
+		y += ( y < 70 ) ? 2000 : 1900;
+	}
+	return y;
+}
+
+function setDate( st, y, m, d ) {
+	if ( st.haveDate ) {
+		// Double date specification
+		return false;
+	}
+	st.haveDate = true;
+	if ( y !== null ) {
+		st.y = y;
+	}
+	if ( m !== null ) {
+		if ( !validMonth( m ) ) {
+			return false;
+		}
+		st.m = m;
+	}
+	if ( d !== null ) {
+		if ( !validDay( d ) ) {
+			return false;
+		}
+		st.d = d;
+	}
+	return true;
+}
+
+function setTime( st, h, i, s, frac ) {
+	if ( st.haveTime ) {
+		// Double time specification
+		return false;
+	}
+	if ( !validTime( h, i, s ) ) {
+		return false;
+	}
+	st.haveTime = true;
+	st.h = h;
+	st.i = i;
+	st.s = s || 0;
+	st.ms = frac ? Math.floor( Number( '0.' + frac ) * 1000 ) : 0;
+	return true;
+}
+
+function setZone( st, offset ) {
+	if ( st.haveZone ) {
+		// Double timezone specification
+		return false;
+	}
+	st.haveZone = true;
+	st.zone = offset;
+	return true;
+}
+
+function setMeridian( h, meridian ) {
+	if ( h < 1 || h > 12 ) {
+		return null;
+	}
+	h = h % 12;
+	if ( meridian === 'p' ) {
+		h += 12;
+	}
+	return h;
+}
+
+function setWeekday( st, weekday, amount, behavior ) {
+	st.haveWeekday = true;
+	st.weekday = weekday;
+	st.weekdayBehavior = behavior;
+	st.rel.d += ( amount > 0 ? amount - 1 : amount ) * 7;
+	st.resetTime = true;
+}
+
+function addRelative( st, unit, amount ) {
+	var u = relUnits[unit];
+	st.rel[u[0]] += amount * u[1];
+}
+
+/**
+ * The parsing rules. Each rule is tried in order at the current position of
+ * the (lower-cased) input, and the first one that matches wins. The handler
+ * returns false if the match is invalid, which aborts the parse.
+ */
+var rules = [
+	// Unix timestamp
+	[ /^@(-?\d+)(?:\.(\d+))?/, function ( st, m ) {
+		st.unix = Number( m[1] ) * 1000 +
+			( m[2] ? ( m[1][0] === '-' ? -1 : 1 ) * Math.floor( Number( '0.' + m[2] ) * 1000 ) : 0 );
+		st.haveDate = st.haveTime = true;
+		return setZone( st, 0 );
+	} ],
+
+	// Keywords
+	[ /^now(?![a-z])/, function ( st, m ) {
+		return true;
+	} ],
+	[ /^(today|midnight)(?![a-z])/, function ( st, m ) {
+		st.resetTime = true;
+		return true;
+	} ],
+	[ /^noon(?![a-z])/, function ( st, m ) {
+		st.resetTime = true;
+		return setTime( st, 12, 0, 0 );
+	} ],
+	[ /^tomorrow(?![a-z])/, function ( st, m ) {
+		st.rel.d += 1;
+		st.resetTime = true;
+		return true;
+	} ],
+	[ /^yesterday(?![a-z])/, function ( st, m ) {
+		st.rel.d -= 1;
+		st.resetTime = true;
+		return true;
+	} ],
+
+	// ISO 8601 combined date and time
+	[ /^(\d{4})-(\d{2})-(\d{2})t(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?/, function ( st, m ) {
+		return setDate( st, Number( m[1] ), Number( m[2] ), Number( m[3] ) ) &&
+			setTime( st, Number( m[4] ), Number( m[5] ), m[6] ? Number( m[6] ) : null, m[7] );
+	} ],
+
+	// MediaWiki timestamp
+	[ /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(?!\d)/, function ( st, m ) {
+		return setDate( st, Number( m[1] ), Number( m[2] ), Number( m[3] ) ) &&
+			setTime( st, Number( m[4] ), Number( m[5] ), Number( m[6] ) );
+	} ],
+
+	// Numeric dates
+	[ /^(\d{4})(\d{2})(\d{2})(?!\d)/, function ( st, m ) {
+		return setDate( st, Number( m[1] ), Number( m[2] ), Number( m[3] ) );
+	} ],
+	[ /^(\d{4})([\-\/])(\d{1,2})\2(\d{1,2})(?!\d)/, function ( st, m ) {
+		return setDate( st, Number( m[1] ), Number( m[3] ), Number( m[4] ) );
+	} ],
+	[ /^(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})(?!\d)/, function ( st, m ) {
+		// American month/day/year
+		return setDate( st, processYear( m[3] ), Number( m[1] ), Number( m[2] ) );
+	} ],
+	[ /^(\d{1,2})\/(\d{1,2})(?![\d\/])/, function ( st, m ) {
+		return setDate( st, null, Number( m[1] ), Number( m[2] ) );
+	} ],
+	[ /^(\d{1,2})([.\-])(\d{1,2})\2(\d{4})(?!\d)/, function ( st, m ) {
+		// European day.month.year
+		return setDate( st, Number( m[4] ), Number( m[3] ), Number( m[1] ) );
+	} ],
+	[ /^(\d{1,2})\.(\d{1,2})\.(\d{2})(?![\d.:])/, function ( st, m ) {
+		return setDate( st, processYear( m[3] ), Number( m[2] ), Number( m[1] ) );
+	} ],
+	[ /^(\d{4})-(\d{1,2})(?![\d\-])/, function ( st, m ) {
+		return setDate( st, Number( m[1] ), Number( m[2] ), 1 );
+	} ],
+
+	// Textual dates
+	[ new RegExp( '^(\\d{4})' + SEP + MONTH + '(?:' + SEP + '(\\d{1,2})' + DAYSUFFIX + '(?![\\d:]))?' ),
+		function ( st, m ) {
+			return setDate( st, Number( m[1] ), monthNames[m[2]],
+				m[3] ? Number( m[3] ) : null );
+		} ],
+	[ new RegExp( '^(\\d{1,2})' + DAYSUFFIX + SEP + MONTH +
+			'(?:[ \\t.\\-,]*(\\d{4}(?!\\d)|\\d{2}(?![\\d:])))?' ),
+		function ( st, m ) {
+			return setDate( st, m[3] ? processYear( m[3] ) : null,
+				monthNames[m[2]], Number( m[1] ) );
+		} ],
+	[ new RegExp( '^' + MONTH + SEP + '(\\d{1,2})' + DAYSUFFIX +
+			'(?![\\d:])(?:[ \\t.\\-]*,?[ \\t]*(\\d{4})(?![\\d:]))?' ),
+		function ( st, m ) {
+			return setDate( st, m[3] ? Number( m[3] ) : null,
+				monthNames[m[1]], Number( m[2] ) );
+		} ],
+	[ new RegExp( '^' + MONTH + SEP + '(\\d{4})(?!\\d)' ), function ( st, m ) {
+		return setDate( st, Number( m[2] ), monthNames[m[1]], 1 );
+	} ],
+	[ new RegExp( '^' + MONTH ), function ( st, m ) {
+		return setDate( st, null, monthNames[m[1]], null );
+	} ],
+
+	// Times
+	[ /^t?(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,:](\d+))?)?(?:[ \t]*([ap])\.?m\.?(?![a-z]))?/, function ( st, m ) {
+		var h = Number( m[1] );
+		if ( m[5] ) {
+			h = setMeridian( h, m[5] );
+			if ( h === null ) {
+				return false;
+			}
+		}
+		return setTime( st, h, Number( m[2] ), m[3] ? Number( m[3] ) : null, m[4] );
+	} ],
+	[ /^(\d{1,2})[ \t]*([ap])\.?m\.?(?![a-z])/, function ( st, m ) {
+		var h = setMeridian( Number( m[1] ), m[2] );
+		return h !== null && setTime( st, h, 0, 0 );
+	} ],
+
+	// Relative expressions. These need to be tried before time zone offsets,
+	// so that '+1 day' is not mistaken for one.
+	[ new RegExp( '^([+\\-]?)[ \\t]*(\\d+)[ \\t]*' + UNIT ), function ( st, m ) {
+		addRelative( st, m[3], ( m[1] === '-' ? -1 : 1 ) * Number( m[2] ) );
+		return true;
+	} ],
+	[ /^(first|last)[ \t]+day[ \t]+of(?![a-z])/, function ( st, m ) {
+		st.firstLast = m[1];
+		return true;
+	} ],
+	[ new RegExp( '^(last|previous|this|next)[ \\t]+' + DAYNAME ), function ( st, m ) {
+		var rt = relText[m[1]];
+		setWeekday( st, dayNames[m[2]], rt[0], rt[1] );
+		return true;
+	} ],
+	[ new RegExp( '^(last|previous|this|next)[ \\t]+' + UNIT ), function ( st, m ) {
+		addRelative( st, m[2], relText[m[1]][0] );
+		return true;
+	} ],
+	[ new RegExp( '^' + DAYNAME ), function ( st, m ) {
+		setWeekday( st, dayNames[m[1]], 0, 1 );
+		return true;
+	} ],
+	[ /^ago(?![a-z])/, function ( st, m ) {
+		var rel = st.rel;
+		Object.keys( rel ).forEach( function ( k ) {
+			rel[k] = -rel[k];
+		} );
+		return true;
+	} ],
+
+	// Four digits on their own are a time if they can be one, and a year
+	// otherwise
+	[ /^(\d{4})(?!\d)/, function ( st, m ) {
+		var h = Number( m[1].substr( 0, 2 ) ),
+			i = Number( m[1].substr( 2, 2 ) );
+		if ( !st.haveTime && validTime( h, i, null ) ) {
+			return setTime( st, h, i, 0 );
+		} else if ( !st.haveDate || st.y === null ) {
+			st.haveDate = true;
+			st.y = Number( m[1] );
+			return true;
+		} else {
+			return false;
+		}
+	} ],
+
+	// Time zones
+	[ /^(?:gmt|utc)?([+\-])(\d{1,2})(?::?(\d{2}))?(?!\d)/, function ( st, m ) {
+		var offset = Number( m[2] ) * 60 + ( m[3] ? Number( m[3] ) : 0 );
+		return setZone( st, m[1] === '-' ? -offset : offset );
+	} ],
+	[ new RegExp( '^(' + alternatives( zoneAbbrevs ) + ')(?![a-z])' ), function ( st, m ) {
+		return setZone( st, zoneAbbrevs[m[1]] );
+	} ]
+];
+
+/**
+ * Date.UTC without the special treatment of years 0 to 99
+ */
+function makeUTC( y, m, d, h, i, s, ms ) {
+	var date = new Date( Date.UTC( 2000, 0, 1, h, i, s, ms ) );
+	date.setUTCFullYear( y, m - 1, d );
+	return date.getTime();
+}
+
+function daysInMonth( y, m ) {
+	return new Date( makeUTC( y, m + 1, 0, 0, 0, 0, 0 ) ).getUTCDate();
+}
+
+/**
+ * @class
+ * @constructor
+ */
+function DateParser () {
+}
+
+/**
+ * Parse a date string.
+ *
+ * @method
+ * @param {String} str: The date string
+ * @param {Number} now: The current time, in milliseconds since the epoch.
+ *   Missing fields are filled in from this.
+ * @returns {Number|null}: The parsed time in milliseconds since the epoch,
+ *   or null if the string could not be parsed.
+ */
+DateParser.prototype.parse = function ( str, now ) {
+	var st = {
+			y: null, m: null, d: null,
+			h: null, i: null, s: null, ms: null,
+			haveDate: false, haveTime: false, haveZone: false,
+			zone: 0,
+			unix: null,
+			resetTime: false,
+			haveWeekday: false,
+			weekday: null,
+			weekdayBehavior: 0,
+			firstLast: null,
+			rel: { y: 0, m: 0, d: 0, h: 0, i: 0, s: 0, weekday: 0 }
+		},
+		rest = str.toLowerCase(),
+		i, match;
+
+	while ( true ) {
+		rest = rest.replace( /^[\s,]+/, '' );
+		if ( !rest ) {
+			break;
+		}
+		match = null;
+		for ( i = 0; i < rules.length; i++ ) {
+			match = rest.match( rules[i][0] );
+			if ( match && match[0].length ) {
+				break;
+			}
+			match = null;
+		}
+		if ( !match || !rules[i][1]( st, match ) ) {
+			return null;
+		}
+		rest = rest.substr( match[0].length );
+	}
+
+	// Fill in the holes from the current time, in the parsed time zone
+	var base = st.unix !== null ? st.unix : now,
+		cur = new Date( base + st.zone * 60000 ),
+		y = cur.getUTCFullYear(),
+		m = cur.getUTCMonth() + 1,
+		d = cur.getUTCDate(),
+		h = cur.getUTCHours(),
+		mi = cur.getUTCMinutes(),
+		s = cur.getUTCSeconds(),
+		ms = st.unix !== null ? cur.getUTCMilliseconds() : 0;
+
+	if ( st.y !== null ) {
+		y = st.y;
+	}
+	if ( st.m !== null ) {
+		m = st.m;
+	}
+	if ( st.d !== null ) {
+		d = st.d;
+	}
+	if ( st.haveTime && st.unix === null ) {
+		h = st.h;
+		mi = st.i;
+		s = st.s;
+		ms = st.ms;
+	} else if ( st.resetTime || ( st.haveDate && st.unix === null ) ) {
+		h = mi = s = ms = 0;
+	}
+
+	// Weekday names are resolved before the other relative parts
+	if ( st.haveWeekday ) {
+		var dow = new Date( makeUTC( y, m, d, 0, 0, 0, 0 ) ).getUTCDay(),
+			diff = st.weekday - dow;
+		if ( ( st.rel.d < 0 && diff < 0 ) ||
+				( st.rel.d >= 0 && diff <= -st.weekdayBehavior ) ) {
+			diff += 7;
+		}
+		d += diff;
+	}
+
+	y += st.rel.y;
+	m += st.rel.m;
+	d += st.rel.d;
+	h += st.rel.h;
+	mi += st.rel.i;
+	s += st.rel.s;
+
+	if ( st.firstLast === 'first' ) {
+		d = 1;
+	} else if ( st.firstLast === 'last' ) {
+		// Normalize the month first
+		var norm = new Date( makeUTC( y, m, 1, 0, 0, 0, 0 ) );
+		y = norm.getUTCFullYear();
+		m = norm.getUTCMonth() + 1;
+		d = daysInMonth( y, m );
+	}
+
+	var time = makeUTC( y, m, d, h, mi, s, ms ) - st.zone * 60000;
+
+	// Weekdays skip Saturdays and Sundays
+	if ( st.rel.weekday ) {
+		var step = st.rel.weekday > 0 ? 1 : -1,
+			left = Math.abs( st.rel.weekday );
+		while ( left > 0 ) {
+			time += step * 86400000;
+			var wd = new Date( time + st.zone * 60000 ).getUTCDay();
+			if ( wd !== 0 && wd !== 6 ) {
+				left--;
+			}
+		}
+	}
+
+	return isNaN( time ) ? null : time;
+};
+
+if (typeof module === "object") {
+	module.exports.DateParser = DateParser;
+}
@@ -0,0 +1,618 @@
+"use strict";
+/**
+ * Evaluator for the expression language used by the #expr and #ifexpr
+ * parser functions. This is a port of Expr.php from the ParserFunctions
+ * extension, and tries hard to stay bug-compatible with it: operator
+ * precedence, the shunting-yard evaluation order, PHP's float-to-string
+ * conversion and the (English) error messages all match the PHP version.
+ *
+ * See http://www.mediawiki.org/wiki/Help:Extension:ParserFunctions#.23expr
+ */
+
+var util = require( 'util' );
+
+// Operator identifiers. These must all be truthy, as the operator stack is
+// tested for emptiness the PHP way.
+var EXPR_NUMBER = 1,
+	EXPR_NEGATIVE = 2,
+	EXPR_POSITIVE = 3,
+	EXPR_PLUS = 4,
+	EXPR_MINUS = 5,
+	EXPR_TIMES = 6,
+	EXPR_DIVIDE = 7,
+	EXPR_MOD = 8,
+	EXPR_OPEN = 9,
+	EXPR_CLOSE = 10,
+	EXPR_AND = 11,
+	EXPR_OR = 12,
+	EXPR_NOT = 13,
+	EXPR_EQUALITY = 14,
+	EXPR_LESS = 15,
+	EXPR_GREATER = 16,
+	EXPR_LESSEQ = 17,
+	EXPR_GREATEREQ = 18,
+	EXPR_NOTEQ = 19,
+	EXPR_ROUND = 20,
+	EXPR_EXPONENT = 21,
+	EXPR_SINE = 22,
+	EXPR_COSINE = 23,
+	EXPR_TANGENS = 24,
+	EXPR_ARCSINE = 25,
+	EXPR_ARCCOS = 26,
+	EXPR_ARCTAN = 27,
+	EXPR_EXP = 28,
+	EXPR_LN = 29,
+	EXPR_ABS = 30,
+	EXPR_FLOOR = 31,
+	EXPR_TRUNC = 32,
+	EXPR_CEIL = 33,
+	EXPR_POW = 34,
+	EXPR_PI = 35,
+	EXPR_FMOD = 36,
+	EXPR_SQRT = 37;
+
+var EXPR_WHITE_CLASS = ' \t\r\n',
+	EXPR_NUMBER_CLASS = '0123456789.';
+
+var precedence = {};
+precedence[EXPR_NEGATIVE] = 10;
+precedence[EXPR_POSITIVE] = 10;
+precedence[EXPR_EXPONENT] = 10;
+precedence[EXPR_SINE] = 9;
+precedence[EXPR_COSINE] = 9;
+precedence[EXPR_TANGENS] = 9;
+precedence[EXPR_ARCSINE] = 9;
+precedence[EXPR_ARCCOS] = 9;
+precedence[EXPR_ARCTAN] = 9;
+precedence[EXPR_EXP] = 9;
+precedence[EXPR_LN] = 9;
+precedence[EXPR_ABS] = 9;
+precedence[EXPR_FLOOR] = 9;
+precedence[EXPR_TRUNC] = 9;
+precedence[EXPR_CEIL] = 9;
+precedence[EXPR_NOT] = 9;
+precedence[EXPR_SQRT] = 9;
+precedence[EXPR_POW] = 8;
+precedence[EXPR_TIMES] = 7;
+precedence[EXPR_DIVIDE] = 7;
+precedence[EXPR_MOD] = 7;
+precedence[EXPR_FMOD] = 7;
+precedence[EXPR_PLUS] = 6;
+precedence[EXPR_MINUS] = 6;
+precedence[EXPR_ROUND] = 5;
+precedence[EXPR_EQUALITY] = 4;
+precedence[EXPR_LESS] = 4;
+precedence[EXPR_GREATER] = 4;
+precedence[EXPR_LESSEQ] = 4;
+precedence[EXPR_GREATEREQ] = 4;
+precedence[EXPR_NOTEQ] = 4;
+precedence[EXPR_AND] = 3;
+precedence[EXPR_OR] = 2;
+precedence[EXPR_PI] = 0;
+precedence[EXPR_OPEN] = -1;
+precedence[EXPR_CLOSE] = -1;
+
+// Operator names as used in error messages
+var names = {};
+names[EXPR_NEGATIVE] = '-';
+names[EXPR_POSITIVE] = '+';
+names[EXPR_NOT] = 'not';
+names[EXPR_TIMES] = '*';
+names[EXPR_DIVIDE] = '/';
+names[EXPR_MOD] = 'mod';
+names[EXPR_FMOD] = 'fmod';
+names[EXPR_PLUS] = '+';
+names[EXPR_MINUS] = '-';
+names[EXPR_ROUND] = 'round';
+names[EXPR_EQUALITY] = '=';
+names[EXPR_LESS] = '<';
+names[EXPR_GREATER] = '>';
+names[EXPR_LESSEQ] = '<=';
+names[EXPR_GREATEREQ] = '>=';
+names[EXPR_NOTEQ] = '<>';
+names[EXPR_AND] = 'and';
+names[EXPR_OR] = 'or';
+names[EXPR_EXPONENT] = 'e';
+names[EXPR_SINE] = 'sin';
+names[EXPR_COSINE] = 'cos';
+names[EXPR_TANGENS] = 'tan';
+names[EXPR_ARCSINE] = 'asin';
+names[EXPR_ARCCOS] = 'acos';
+names[EXPR_ARCTAN] = 'atan';
+names[EXPR_LN] = 'ln';
+names[EXPR_EXP] = 'exp';
+names[EXPR_ABS] = 'abs';
+names[EXPR_FLOOR] = 'floor';
+names[EXPR_TRUNC] = 'trunc';
+names[EXPR_CEIL] = 'ceil';
+names[EXPR_POW] = '^';
+names[EXPR_PI] = 'pi';
+names[EXPR_SQRT] = 'sqrt';
+
+// Words recognized by the tokenizer, mapped to their operators
+var words = {
+	'mod': EXPR_MOD,
+	'fmod': EXPR_FMOD,
+	'and': EXPR_AND,
+	'or': EXPR_OR,
+	'not': EXPR_NOT,
+	'round': EXPR_ROUND,
+	'div': EXPR_DIVIDE,
+	'e': EXPR_EXPONENT,
+	'sin': EXPR_SINE,
+	'cos': EXPR_COSINE,
+	'tan': EXPR_TANGENS,
+	'asin': EXPR_ARCSINE,
+	'acos': EXPR_ARCCOS,
+	'atan': EXPR_ARCTAN,
+	'exp': EXPR_EXP,
+	'ln': EXPR_LN,
+	'abs': EXPR_ABS,
+	'trunc': EXPR_TRUNC,
+	'floor': EXPR_FLOOR,
+	'ceil': EXPR_CEIL,
+	'pi': EXPR_PI,
+	'sqrt': EXPR_SQRT
+};
+
+// The content of the pfunc_expr_* messages in the ParserFunctions extension
+var messages = {
+	stack_exhausted: 'Expression error: Stack exhausted.',
+	unexpected_number: 'Expression error: Unexpected number.',
+	preg_match_failure: 'Expression error: Unexpected preg_match failure.',
+	unrecognised_word: 'Expression error: Unrecognized word "$1".',
+	unexpected_operator: 'Expression error: Unexpected $1 operator.',
+	missing_operand: 'Expression error: Missing operand for $1.',
+	unexpected_closing_bracket: 'Expression error: Unexpected closing bracket.',
+	unrecognised_punctuation: 'Expression error: Unrecognized punctuation character "$1".',
+	unclosed_bracket: 'Expression error: Unclosed bracket.',
+	division_by_zero: 'Division by zero.',
+	invalid_argument: 'Invalid argument for $1: < -1 or > 1.',
+	invalid_argument_ln: 'Invalid argument for ln: <= 0.',
+	unknown_error: 'Expression error: Unknown error ($1).',
+	not_a_number: 'In $1: result is not a number.'
+};
+
+/**
+ * Error thrown for malformed expressions and invalid operations.
+ *
+ * @class
+ * @constructor
+ * @param {String} msg: Message key, one of the keys of 'messages' above
+ * @param {String} (optional) parameter: Replaces $1 in the message
+ */
+function ExprError( msg, parameter ) {
+	this.name = 'ExprError';
+	this.msg = msg;
+	this.message = messages[msg].replace( '$1', parameter === undefined ? '' : parameter );
+}
+util.inherits( ExprError, Error );
+
+/**
+ * Convert a number to a string the way PHP does with its default 'precision'
+ * setting of 14 significant digits.
+ */
+function formatNumber( n ) {
+	if ( isNaN( n ) ) {
+		return 'NAN';
+	} else if ( !isFinite( n ) ) {
+		return n > 0 ? 'INF' : '-INF';
+	} else if ( n === 0 ) {
+		return ( 1 / n < 0 ) ? '-0' : '0';
+	}
+
+	// Round to 14 significant digits, and split into sign, digits and
+	// decimal exponent.
+	var m = n.toExponential( 13 ).match( /^(-?)(\d)\.(\d+)e([+\-]\d+)$/ ),
+		sign = m[1],
+		digits = ( m[2] + m[3] ).replace( /0+$/, '' ),
+		exponent = Number( m[4] );
+
+	if ( exponent < -4 || exponent >= 14 ) {
+		return sign + digits[0] + '.' + ( digits.substr( 1 ) || '0' ) +
+			'E' + ( exponent < 0 ? '-' : '+' ) + Math.abs( exponent );
+	} else if ( exponent < 0 ) {
+		return sign + '0.' + new Array( -exponent ).join( '0' ) + digits;
+	} else {
+		while ( digits.length <= exponent ) {
+			digits += '0';
+		}
+		var intPart = digits.substr( 0, exponent + 1 ),
+			fracPart = digits.substr( exponent + 1 );
+		return sign + intPart + ( fracPart ? '.' + fracPart : '' );
+	}
+}
+
+/**
+ * PHP's (int) cast
+ */
+function toInt( n ) {
+	n = Number( n );
+	if ( !isFinite( n ) ) {
+		return 0;
+	}
+	return ( n < 0 ? Math.ceil( n ) : Math.floor( n ) ) || 0;
+}
+
+/**
+ * PHP's boolean conversion, which treats NaN as true
+ */
+function toBool( n ) {
+	return n !== 0;
+}
+
+/**
+ * PHP's round(), which rounds halves away from zero.
+ */
+function phpRound( value, digits ) {
+	var sign = value < 0 ? -1 : 1,
+		p = Math.pow( 10, Math.abs( digits ) );
+	value = Math.abs( value );
+	if ( digits >= 0 ) {
+		value = Math.round( value * p ) / p;
+	} else {
+		value = Math.round( value / p ) * p;
+	}
+	return sign * value;
+}
+
+/**
+ * The expression parser.
+ *
+ * @class
+ * @constructor
+ */
+function ExprParser () {
+	this.maxStackSize = 100;
+}
+
+/**
+ * Evaluate a mathematical expression.
+ *
+ * The algorithm here is based on the infix to RPN algorithm given in
+ * http://montcs.bloomu.edu/~bobmon/Information/RPN/infix2rpn.shtml
+ * It's essentially the same as Dijkstra's shunting yard algorithm.
+ *
+ * @method
+ * @param {String} expr: The expression source
+ * @returns {String}: The result, formatted like PHP would
+ * @throws {ExprError}
+ */
+ExprParser.prototype.doExpression = function ( expr ) {
+	var operands = [],
+		operators = [],
+		p = 0,
+		end = expr.length,
+		expecting = 'expression',
+		name = '',
+		op, lastOp, chr, chr2, word;
+
+	while ( p < end ) {
+		if ( operands.length > this.maxStackSize ||
+				operators.length > this.maxStackSize ) {
+			throw new ExprError( 'stack_exhausted' );
+		}
+		chr = expr[p];
+		chr2 = expr.substr( p, 2 );
+
+		if ( EXPR_WHITE_CLASS.indexOf( chr ) !== -1 ) {
+			// Whitespace
+			p++;
+			continue;
+		} else if ( EXPR_NUMBER_CLASS.indexOf( chr ) !== -1 ) {
+			// Number
+			if ( expecting !== 'expression' ) {
+				throw new ExprError( 'unexpected_number' );
+			}
+			var numStr = expr.substr( p ).match( /^[0-9.]+/ )[0];
+			// Like PHP's (float) cast, this only looks at the longest valid
+			// prefix, so '1.2.3' is 1.2 and '.' is 0.
+			operands.push( parseFloat( numStr ) || 0 );
+			p += numStr.length;
+			expecting = 'operator';
+			continue;
+		} else if ( /[A-Za-z]/.test( chr ) ) {
+			// Word
+			word = expr.substr( p ).match( /^[A-Za-z]*/ )[0].toLowerCase();
+			p += word.length;
+
+			if ( !words.hasOwnProperty( word ) ) {
+				throw new ExprError( 'unrecognised_word', word );
+			}
+			op = words[word];
+			if ( op === EXPR_EXPONENT ) {
+				// Constant, or binary operator if an operator is expected
+				if ( expecting === 'expression' ) {
+					operands.push( Math.E );
+					expecting = 'operator';
+					continue;
+				}
+			} else if ( op === EXPR_PI ) {
+				// Constant
+				if ( expecting !== 'expression' ) {
+					throw new ExprError( 'unexpected_number' );
+				}
+				operands.push( Math.PI );
+				expecting = 'operator';
+				continue;
+			} else if ( op === EXPR_NOT || precedence[op] === 9 ) {
+				// Unary operator
+				if ( expecting !== 'expression' ) {
+					throw new ExprError( 'unexpected_operator', word );
+				}
+				operators.push( op );
+				continue;
+			}
+			// Binary operator, fall through
+			name = word;
+		} else if ( chr2 === '<=' ) {
+			// Two-character operators
+			name = chr2;
+			op = EXPR_LESSEQ;
+			p += 2;
+		} else if ( chr2 === '>=' ) {
+			name = chr2;
+			op = EXPR_GREATEREQ;
+			p += 2;
+		} else if ( chr2 === '<>' || chr2 === '!=' ) {
+			name = chr2;
+			op = EXPR_NOTEQ;
+			p += 2;
+		} else if ( chr === '+' ) {
+			// Single-character operators
+			p++;
+			if ( expecting === 'expression' ) {
+				// Unary plus
+				operators.push( EXPR_POSITIVE );
+				continue;
+			}
+			op = EXPR_PLUS;
+		} else if ( chr === '-' ) {
+			p++;
+			if ( expecting === 'expression' ) {
+				// Unary minus
+				operators.push( EXPR_NEGATIVE );
+				continue;
+			}
+			op = EXPR_MINUS;
+		} else if ( chr === '*' ) {
+			name = chr;
+			op = EXPR_TIMES;
+			p++;
+		} else if ( chr === '/' ) {
+			name = chr;
+			op = EXPR_DIVIDE;
+			p++;
+		} else if ( chr === '^' ) {
+			name = chr;
+			op = EXPR_POW;
+			p++;
+		} else if ( chr === '(' ) {
+			if ( expecting === 'operator' ) {
+				throw new ExprError( 'unexpected_operator', '(' );
+			}
+			operators.push( EXPR_OPEN );
+			p++;
+			continue;
+		} else if ( chr === ')' ) {
+			lastOp = operators[operators.length - 1];
+			while ( lastOp && lastOp !== EXPR_OPEN ) {
+				this.doOperation( lastOp, operands );
+				operators.pop();
+				lastOp = operators[operators.length - 1];
+			}
+			if ( lastOp ) {
+				operators.pop();
+			} else {
+				throw new ExprError( 'unexpected_closing_bracket' );
+			}
+			expecting = 'operator';
+			p++;
+			continue;
+		} else if ( chr === '=' ) {
+			name = chr;
+			op = EXPR_EQUALITY;
+			p++;
+		} else if ( chr === '<' ) {
+			name = chr;
+			op = EXPR_LESS;
+			p++;
+		} else if ( chr === '>' ) {
+			name = chr;
+			op = EXPR_GREATER;
+			p++;
+		} else {
+			// PHP reports the first byte of a multi-byte character, which
+			// is then cleaned up to U+FFFD.
+			throw new ExprError( 'unrecognised_punctuation',
+				chr.charCodeAt( 0 ) > 0x7f ? '�' : chr );
+		}
+
+		// Binary operator processing
+		if ( expecting === 'expression' ) {
+			throw new ExprError( 'unexpected_operator', name );
+		}
+
+		// Shunting yard magic
+		lastOp = operators[operators.length - 1];
+		while ( lastOp && precedence[op] <= precedence[lastOp] ) {
+			this.doOperation( lastOp, operands );
+			operators.pop();
+			lastOp = operators[operators.length - 1];
+		}
+		operators.push( op );
+		expecting = 'expression';
+	}
+
+	// Finish off the operator array
+	while ( ( op = operators.pop() ) ) {
+		if ( op === EXPR_OPEN ) {
+			throw new ExprError( 'unclosed_bracket' );
+		}
+		this.doOperation( op, operands );
+	}
+
+	return operands.map( formatNumber ).join( '<br />\n' );
+};
+
+/**
+ * Apply an operator to the operand stack.
+ *
+ * @method
+ * @param {Number} op: The operator
+ * @param {Array} stack: The operand stack, modified in place
+ * @throws {ExprError}
+ */
+ExprParser.prototype.doOperation = function ( op, stack ) {
+	var arg, left, right, result;
+
+	if ( precedence[op] >= 9 && op !== EXPR_EXPONENT ) {
+		// Unary operators
+		if ( stack.length < 1 ) {
+			throw new ExprError( 'missing_operand', names[op] );
+		}
+		arg = stack.pop();
+	} else if ( op !== EXPR_OPEN && op !== EXPR_CLOSE && op !== EXPR_PI ) {
+		// Binary operators
+		if ( stack.length < 2 ) {
+			throw new ExprError( 'missing_operand', names[op] );
+		}
+		right = stack.pop();
+		left = stack.pop();
+	}
+
+	switch ( op ) {
+		case EXPR_NEGATIVE:
+			stack.push( -arg );
+			break;
+		case EXPR_POSITIVE:
+			stack.push( arg );
+			break;
+		case EXPR_TIMES:
+			stack.push( left * right );
+			break;
+		case EXPR_DIVIDE:
+			if ( right === 0 ) {
+				throw new ExprError( 'division_by_zero', names[op] );
+			}
+			stack.push( left / right );
+			break;
+		case EXPR_MOD:
+			left = toInt( left );
+			right = toInt( right );
+			if ( right === 0 ) {
+				throw new ExprError( 'division_by_zero', names[op] );
+			}
+			// Avoid -0, PHP's integer modulus does not have it
+			stack.push( ( left % right ) || 0 );
+			break;
+		case EXPR_FMOD:
+			if ( right === 0 ) {
+				throw new ExprError( 'division_by_zero', names[op] );
+			}
+			stack.push( left % right );
+			break;
+		case EXPR_PLUS:
+			stack.push( left + right );
+			break;
+		case EXPR_MINUS:
+			stack.push( left - right );
+			break;
+		case EXPR_AND:
+			stack.push( ( toBool( left ) && toBool( right ) ) ? 1 : 0 );
+			break;
+		case EXPR_OR:
+			stack.push( ( toBool( left ) || toBool( right ) ) ? 1 : 0 );
+			break;
+		case EXPR_EQUALITY:
+			stack.push( ( left === right ) ? 1 : 0 );
+			break;
+		case EXPR_NOT:
+			stack.push( ( !toBool( arg ) ) ? 1 : 0 );
+			break;
+		case EXPR_ROUND:
+			stack.push( phpRound( left, toInt( right ) ) );
+			break;
+		case EXPR_LESS:
+			stack.push( ( left < right ) ? 1 : 0 );
+			break;
+		case EXPR_GREATER:
+			stack.push( ( left > right ) ? 1 : 0 );
+			break;
+		case EXPR_LESSEQ:
+			stack.push( ( left <= right ) ? 1 : 0 );
+			break;
+		case EXPR_GREATEREQ:
+			stack.push( ( left >= right ) ? 1 : 0 );
+			break;
+		case EXPR_NOTEQ:
+			stack.push( ( left !== right ) ? 1 : 0 );
+			break;
+		case EXPR_EXPONENT:
+			stack.push( left * Math.pow( 10, right ) );
+			break;
+		case EXPR_SINE:
+			stack.push( Math.sin( arg ) );
+			break;
+		case EXPR_COSINE:
+			stack.push( Math.cos( arg ) );
+			break;
+		case EXPR_TANGENS:
+			stack.push( Math.tan( arg ) );
+			break;
+		case EXPR_ARCSINE:
+			if ( arg < -1 || arg > 1 ) {
+				throw new ExprError( 'invalid_argument', names[op] );
+			}
+			stack.push( Math.asin( arg ) );
+			break;
+		case EXPR_ARCCOS:
+			if ( arg < -1 || arg > 1 ) {
+				throw new ExprError( 'invalid_argument', names[op] );
+			}
+			stack.push( Math.acos( arg ) );
+			break;
+		case EXPR_ARCTAN:
+			stack.push( Math.atan( arg ) );
+			break;
+		case EXPR_EXP:
+			stack.push( Math.exp( arg ) );
+			break;
+		case EXPR_LN:
+			if ( arg <= 0 ) {
+				throw new ExprError( 'invalid_argument_ln', names[op] );
+			}
+			stack.push( Math.log( arg ) );
+			break;
+		case EXPR_ABS:
+			stack.push( Math.abs( arg ) );
+			break;
+		case EXPR_FLOOR:
+			stack.push( Math.floor( arg ) );
+			break;
+		case EXPR_TRUNC:
+			stack.push( toInt( arg ) );
+			break;
+		case EXPR_CEIL:
+			stack.push( Math.ceil( arg ) );
+			break;
+		case EXPR_POW:
+			stack.push( Math.pow( left, right ) );
+			break;
+		case EXPR_SQRT:
+			result = Math.sqrt( arg );
+			if ( isNaN( result ) ) {
+				throw new ExprError( 'not_a_number', names[op] );
+			}
+			stack.push( result );
+			break;
+		default:
+			throw new ExprError( 'unknown_error', op );
+	}
+};
+
+if (typeof module === "object") {
+	module.exports.ExprParser = ExprParser;
+	module.exports.ExprError = ExprError;
+	module.exports.formatNumber = formatNumber;
+}
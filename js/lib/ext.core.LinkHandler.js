@@ -9,13 +9,18 @@
 var PegTokenizer = require('./mediawiki.tokenizer.peg.js').PegTokenizer,
 	WikitextConstants = require('./mediawiki.wikitext.constants.js').WikitextConstants,
 	Util = require('./mediawiki.Util.js').Util,
+	DOMUtils = require('./mediawiki.DOMUtils.js').DOMUtils,
 	// Why mess around? We already have a URL sanitizer.
 	sanitizerLib = require( './ext.core.Sanitizer.js' ),
 	Sanitizer = sanitizerLib.Sanitizer,
 	SanitizerConstants = sanitizerLib.SanitizerConstants;
 
+// Values of the link= image option that are URLs
+var urlProtocolRE = new RegExp( '^(?:' + SanitizerConstants.validUrlProtocols.join( '|' ) + ')', 'i' );
+
 function WikiLinkHandler( manager, options ) {
 	this.manager = manager;
+	this.options = options;
 	this.manager.addTransform( this.onWikiLink.bind( this ), "WikiLinkHandler:onWikiLink", this.rank, 'tag', 'wikilink' );
 	// create a new peg parser for image options..
 	if ( !this.urlParser ) {
@@ -27,6 +32,11 @@ function WikiLinkHandler( manager, options ) {
 
 WikiLinkHandler.prototype.rank = 1.15; // after AttributeExpander
 
+// The default width of thumbnails, and the default factor of upright
+// (MediaWiki's $wgThumbLimits and $wgThumbUpright)
+var defaultThumbWidth = 220,
+	defaultUpright = 0.75;
+
 /* ------------------------------------------------------------
  * This (overloaded) function does three different things:
  * - Extracts link text from attrs (when k === "").
@@ -107,6 +117,66 @@ function interwikiContent( token ) {
 	}
 }
 
+/**
+ * The text of an image option, or the text before its first token that
+ * isn't text (see Util.tokensToString). URLs like those of link= are
+ * already links by now, which count as their text.
+ */
+function getOptionText( tokens ) {
+	var inUrl = false;
+	tokens = [].concat( tokens ).filter( function ( token ) {
+		if ( token.constructor === TagTk && token.name === 'a' &&
+				Util.lookup( token.attribs, 'rel' ) === 'mw:ExtLink/URL' ) {
+			inUrl = true;
+			return false;
+		} else if ( inUrl && token.constructor === EndTagTk && token.name === 'a' ) {
+			inUrl = false;
+			return false;
+		}
+		return true;
+	} );
+	return Util.tokensToString( tokens, true );
+}
+
+/**
+ * The element of the player of an audio or video file, from its media type
+ * (or its MIME type, for multimedia files)
+ *
+ * @param {Object} info: The image info, see ImageInfoRequest
+ * @returns {String|null} 'audio', 'video' or null for other files
+ */
+function getMediaElementName( info ) {
+	var type = ( info.mime || '' ).split( '/' )[0];
+	if ( info.mediatype === 'VIDEO' || ( info.mediatype === 'MULTIMEDIA' && type === 'video' ) ) {
+		return 'video';
+	} else if ( info.mediatype === 'AUDIO' || ( info.mediatype === 'MULTIMEDIA' && type === 'audio' ) ) {
+		return 'audio';
+	} else {
+		return null;
+	}
+}
+
+/**
+ * Parse the time of a thumbtime=, start= or end= option: seconds or
+ * [hh:]mm:ss, with fractions of seconds
+ *
+ * @returns {Number|null} The time in seconds, null if it isn't a time
+ */
+function parseMediaTime( text ) {
+	var parts = text !== undefined ? text.trim().split( ':' ) : [],
+		seconds = 0;
+	if ( parts.length === 0 || parts.length > 3 ) {
+		return null;
+	}
+	for ( var i = 0; i < parts.length; i++ ) {
+		if ( !/^(?:\d+(?:\.\d*)?|\.\d+)$/.test( parts[i] ) ) {
+			return null;
+		}
+		seconds = seconds * 60 + parseFloat( parts[i] );
+	}
+	return seconds;
+}
+
 // SSS FIXME: the attr called content should probably be called link-text?
 
 WikiLinkHandler.prototype.onWikiLink = function ( token, frame, cb ) {
@@ -120,7 +190,7 @@ WikiLinkHandler.prototype.onWikiLink = function ( token, frame, cb ) {
 		title = env.makeTitleFromPrefixedText(env.normalizeTitle(Util.decodeURI(href)));
 
 	if ( title.ns.isFile() ) {
-		cb( this.renderFile( token, frame, cb, href, title) );
+		this.renderFile( token, frame, cb, href, title );
 	} else {
 		//console.warn( 'title: ' + JSON.stringify( title ) );
 		var newAttrs = buildLinkAttrs(attribs, true, null, [new KV('rel', 'mw:WikiLink')]);
@@ -255,126 +325,178 @@ WikiLinkHandler.prototype.onWikiLink = function ( token, frame, cb ) {
 					}
 				}
 
-				cb ( {
-					tokens: [obj].concat( content, [ new EndTagTk( 'a' ) ] )
-				} );
+				if ( title.ns.isMedia() ) {
+					this.renderMediaLink( obj, content, title,
+						hrefSrc !== undefined ? hrefSrc : href, cb );
+				} else {
+					cb ( {
+						tokens: [obj].concat( content, [ new EndTagTk( 'a' ) ] )
+					} );
+				}
 			}
 		}
 	}
 };
 
+/**
+ * Render a link to the Media namespace, which points at the file itself
+ * rather than its page. Links to missing files point at the file page, like
+ * red links. The file is the resource of the link, like that of images.
+ *
+ * @param {TagTk} obj: The a token of the link
+ * @param {Array} content: The content of the link
+ * @param {Title} title
+ * @param {String} hrefSrc: The target in the source
+ * @param {Function} cb
+ */
+WikiLinkHandler.prototype.renderMediaLink = function ( obj, content, title, hrefSrc, cb ) {
+	var env = this.manager.env,
+		fileNs = env.conf.wiki.namespaceNames[6] || 'File',
+		infoTitle = fileNs + ':' + title.key;
+
+	cb( { async: true } );
+	env.pageInfo.getImageInfo( infoTitle, {}, function ( err, info ) {
+		if ( err ) {
+			env.logger.warn( 'linkhandler', 'Could not get the image info of', infoTitle, err );
+		}
+		var exists = !err && info && info.exists,
+			href = exists ? info.url : env.makeTitleFromPrefixedText( infoTitle ).makeLink();
+		obj.setAttribute( 'href', href );
+		// The serializer gets the target from the source
+		obj.setShadowInfo( 'href', href, hrefSrc );
+		obj.addAttribute( 'class', exists ? 'internal' : 'new' );
+		// The file, for links that lose their source
+		obj.addAttribute( 'resource', '[:' + infoTitle + ']' );
+		cb( { tokens: [ obj ].concat( content, [ new EndTagTk( 'a' ) ] ) } );
+	} );
+};
+
 WikiLinkHandler.prototype.renderFile = function ( token, frame, cb, fileName, title ) {
 	var env = this.manager.env,
 		// distinguish media types
 		// if image: parse options
 		rdfaAttrs = buildLinkAttrs(token.attribs, true, null, null ),
-		content = rdfaAttrs.content;
+		content = rdfaAttrs.content,
+		// The source of the options is only known for links in the page
+		// itself, not in templates or extension content
+		pageSrc = token.dataAttribs.tsr && !this.options.isInclude &&
+			this.options.wrapTemplates ? env.page.src : null;
 
 	// extract options
 	var i, l, kv,
 		options = [],
+		optNames = {},
 		oHash = { height: null, width: null },
 		captions = [],
-		validOptions = Object.keys( WikitextConstants.Image.PrefixOptions ),
+		validOptions = Object.keys( WikitextConstants.Image.PrefixOptions ).filter( function ( name ) {
+			return env.conf.wiki.mwAliases[name];
+		} ),
 		getOption = env.conf.wiki.getMagicPatternMatcher( validOptions );
 
-	for( i = 0, l = content.length; i<l; i++ ) {
-		var oContent = content[i],
-			oText = Util.tokensToString( oContent.v, true );
-		//console.log( JSON.stringify( oText, null, 2 ) );
-		if ( oText.constructor === String ) {
-			var origOText = oText;
-			oText = oText.trim();
-			var lowerOText = oText.toLowerCase();
-			// oText contains the localized name of this option.  the
+	// Get the option in oText, if it is one. Options remember their source
+	// (src), so the serializer can keep whitespace around them.
+	var parseOption = function ( oText ) {
+		var text = oText.trim(),
+			lowerText = text.toLowerCase(),
+			// text contains the localized name of this option.  the
 			// canonical option names (from mediawiki upstream) are in
 			// English and contain an 'img_' prefix.  We drop the
 			// prefix before stuffing them in data-parsoid in order to
-			// save space (that's shortCanonicalOption)
-			var canonicalOption = ( env.conf.wiki.magicWords[oText] ||
-				env.conf.wiki.magicWords[lowerOText] ||
-				('img_'+lowerOText) );
-			var shortCanonicalOption = canonicalOption.replace(/^img_/,  '');
-			// 'imgOption' is the key we'd put in oHash; it names the 'group'
+			// save space (that's shortCanonical)
+			canonical = env.conf.wiki.magicWords[text] ||
+				env.conf.wiki.magicWords[lowerText],
+			// 'group' is the key we'd put in oHash; it names the 'group'
 			// for the option, and doesn't have an img_ prefix.
-			var imgOption = WikitextConstants.Image.SimpleOptions[canonicalOption];
-			if (imgOption) {
-				// the options array only has non-localized values
-				options.push( new KV(imgOption, shortCanonicalOption ) );
-				oHash[imgOption] = shortCanonicalOption;
-				if ( token.dataAttribs.optNames === undefined ) {
-					token.dataAttribs.optNames = {};
-				}
-				// map short canonical name to the localized version used
-				token.dataAttribs.optNames[shortCanonicalOption] = origOText;
-				continue;
-			} else {
-				var bits = getOption( origOText.trim() ),
-					normalizedBit0 = bits ? bits.k.trim().toLowerCase() : null,
-					key = bits ? WikitextConstants.Image.PrefixOptions[normalizedBit0] : null;
-				// bits.a has the localized name for the prefix option
-				// (with $1 as a placeholder for the value, which is in bits.v)
-				// 'normalizedBit0' is the canonical English option name
-				// (from mediawiki upstream) with an img_ prefix.
-				// 'key' is the parsoid 'group' for the option; it doesn't
-				// have an img_ prefix (it's the key we'd put in oHash)
-
-				if ( bits && key ) {
-					shortCanonicalOption = normalizedBit0.replace(/^img_/, '');
-					if ( token.dataAttribs.optNames === undefined ) {
-						token.dataAttribs.optNames = {};
-					}
-					// map short canonical name to the localized version used
-					token.dataAttribs.optNames[shortCanonicalOption] = bits.a;
-					if ( key === 'width' ) {
-						var x, y, maybeSize = bits.v.match( /^(\d*)(?:x(\d+))?$/ );
-						if ( maybeSize !== null ) {
-							x = maybeSize[1];
-							y = maybeSize[2];
-						}
-						if ( x !== undefined ) {
-							options.push( new KV( 'width', x ) );
-							oHash.width = x;
-						}
-						if ( y !== undefined ) {
-							options.push( new KV( 'height', y ) );
-							oHash.height = y;
-						}
-					} else {
-						oHash[key] = bits.v;
-						options.push( new KV( key, bits.v ) );
-						//console.warn('handle prefix ' + bits );
-					}
-				} else {
-					// Record for RT-ing
-					kv = new KV("caption", oContent.v);
-					captions.push(kv);
-					options.push(kv);
-				}
+			group = canonical && WikitextConstants.Image.SimpleOptions[canonical],
+			bits, size, opts, kv;
+
+		if ( group ) {
+			// the options array only has non-localized values
+			kv = new KV( group, canonical.replace( /^img_/, '' ) );
+			kv.src = oText;
+			// map short canonical name to the localized version used
+			return { kvs: [ kv ], name: kv.v, alias: text };
+		}
+
+		// bits.a has the localized name for the prefix option (with $1 as
+		// a placeholder for the value, which is in bits.v), and bits.k its
+		// canonical English name (from mediawiki upstream, with an img_
+		// prefix).
+		bits = getOption( text );
+		group = bits && WikitextConstants.Image.PrefixOptions[bits.k];
+		if ( !group ) {
+			return null;
+		}
+		opts = { kvs: [], name: bits.k.replace( /^img_/, '' ), alias: bits.a };
+		if ( group === 'width' ) {
+			// 100px, x100px or 100x100px
+			size = bits.v.match( /^(\d*)(?:x(\d+))?$/ );
+			if ( size === null || !( size[1] || size[2] ) ) {
+				return null;
+			}
+			// The width is always there, so that width and height are
+			// serialized together
+			opts.kvs.push( new KV( 'width', size[1] ) );
+			if ( size[2] !== undefined ) {
+				opts.kvs.push( new KV( 'height', size[2] ) );
 			}
 		} else {
-			kv = new KV("caption", oContent.v);
-			captions.push(kv);
-			options.push(kv);
+			opts.kvs.push( new KV( group, bits.v ) );
 		}
-	}
+		opts.kvs[0].src = oText;
+		return opts;
+	};
 
-	// Set last caption value to null -- serializer can figure this out
-	var caption = '';
-	var numCaptions = captions.length;
-	if (numCaptions > 0) {
-		caption = captions[numCaptions-1].v;
-		captions[numCaptions-1].v = null;
+	var addOption = function ( kv ) {
+		options.push( kv );
+		oHash[kv.k] = kv.v;
+	};
 
-		// For the rest, we need original wikitext.
-		// SSS FIXME: For now, using tokensToString
-		// We need a universal solution everywhere we discard info. like this
-		// Maybe use the serializer, tsr/dsr ... to figure out.
-		for (i = 0; i < numCaptions-1; i++) {
-			captions[i].v = Util.tokensToString(captions[i].v);
+	for( i = 0, l = content.length; i<l; i++ ) {
+		var oContent = content[i],
+			oText = getOptionText( oContent.v ),
+			// The wikitext of the option, for captions
+			oSrc = pageSrc !== null && oContent.srcOffsets ?
+				pageSrc.substring( oContent.srcOffsets[0], oContent.srcOffsets[1] ) :
+				Util.tokensToString( oContent.v ),
+			option = oText.constructor === String ? parseOption( oText ) : null;
+		//console.log( JSON.stringify( oText, null, 2 ) );
+		if ( option ) {
+			optNames[option.name] = option.alias;
+			option.kvs.forEach( addOption );
+		} else {
+			// Record for RT-ing
+			kv = new KV( "caption", oSrc );
+			kv.src = oSrc;
+			captions.push( {
+				kv: kv,
+				tokens: oContent.v,
+				tsr: pageSrc !== null && oContent.srcOffsets ? oContent.srcOffsets : null
+			} );
+			options.push( kv );
 		}
 	}
 
+	// Only the last caption is shown
+	var caption = '', captionTsr = null;
+	if ( captions.length > 0 ) {
+		caption = captions.last().tokens;
+		captionTsr = captions.last().tsr;
+	}
+
+	var dataAttribs = Util.clone( token.dataAttribs );
+	dataAttribs.optionList = options;
+	dataAttribs.optNames = optNames;
+	// clear src string since we can serialize this
+	dataAttribs.src = undefined;
+
+	var isFramed = oHash.format === 'thumbnail' || oHash.format === 'framed' ||
+		oHash.manualthumb !== undefined;
+	if ( isFramed && captions.length > 0 ) {
+		// The serializer gets the shown caption from the figcaption
+		captions.last().kv.v = null;
+	}
+
 	//var contentPos = token.dataAttribs.contentPos;
 	//var optionSource = token.source.substring( contentPos[0], contentPos[1] );
 	//console.log( 'optionSource: ' + optionSource );
@@ -382,182 +504,446 @@ WikiLinkHandler.prototype.renderFile = function ( token, frame, cb, fileName, ti
 	// Figure out how often non-image links contain image-like parameters!
 	//var options = this.urlParser.processImageOptions( optionSource );
 	//console.log( JSON.stringify( options, null, 2 ) );
-	// XXX: check if the file exists, generate thumbnail, get size
-	// XXX: render according to mode (inline, thumb, framed etc
-
-	if ( (oHash.format && ( oHash.format === 'thumbnail') ) ||
-	     (oHash.manualthumb) ) {
-		return this.renderThumb( token, this.manager, cb, title, fileName,
-				caption, oHash, options, rdfaAttrs);
-	} else {
-		// TODO: get /wiki from config!
-		var linkTitle = title;
-		var isImageLink = ( oHash.link === undefined || oHash.link !== '' );
-		var newAttribs = [
-			new KV( isImageLink ? 'rel' : 'typeof', 'mw:Image')
-		];
 
-		if ( isImageLink ) {
-			if ( oHash.link !== undefined ) {
-				linkTitle = env.makeTitleFromPrefixedText( oHash.link );
-			}
-			newAttribs.push( new KV('href', linkTitle.makeLink() ) )
+	// A manual thumbnail is another file, shown at its own size
+	var fileNs = env.conf.wiki.namespaceNames[6] || 'File',
+		infoTitle = fileNs + ':' + ( oHash.manualthumb ?
+			env.normalizeTitle( oHash.manualthumb ) : title.key ),
+		box = oHash.manualthumb ? {} : this.getImageBox( oHash ),
+		self = this;
+
+	var render = function ( err, info ) {
+		if ( err ) {
+			env.logger.warn( 'linkhandler', 'Could not get the image info of', infoTitle, err );
+			info = null;
 		}
-		if (oHash['class']) {
-			newAttribs.push(new KV('class', oHash['class']));
+		if ( info && info.exists && ( info.thumbwidth || info.width ) ) {
+			// The serializer finds resized images by their rendered size
+			dataAttribs.size = [ String( info.thumbwidth || info.width ),
+				String( info.thumbheight || info.height ) ];
 		}
-
-		newAttribs = newAttribs.concat(rdfaAttrs.attribs);
-
-		var width=null, height=null;
-		if ( oHash.height===null && oHash.width===null ) {
-			width = '200px';
+		if ( isFramed ) {
+			cb( self.renderThumb( title, fileName, caption, oHash, rdfaAttrs,
+					dataAttribs, info, captionTsr ) );
 		} else {
-			width = oHash.width;
-			height = oHash.height;
+			cb( self.renderInline( title, fileName, caption, oHash, rdfaAttrs,
+					dataAttribs, info ) );
 		}
+	};
 
-		var path = this.getThumbPath( title.key, width.replace(/px$/, '') );
-		var imgAttrs = [
-			new KV( 'src', path ),
-			new KV( 'alt', oHash.alt || title.key )
-		];
-		if (height !== null) {
-			imgAttrs.push( new KV( 'height', height ) );
-		}
-		if (width !== null) {
-			imgAttrs.push( new KV( 'width', width ) );
+	cb( { async: true } );
+	env.pageInfo.getImageInfo( infoTitle, box, function ( err, info ) {
+		if ( !err && info && info.exists && !info.thumburl && info.width &&
+				getMediaElementName( info ) === 'video' )
+		{
+			// Videos without a size get a poster of their size
+			env.pageInfo.getImageInfo( infoTitle,
+				{ width: info.width, thumbtime: box.thumbtime }, render );
+		} else {
+			render( err, info );
 		}
+	} );
+};
 
-		var imgClass = [];
-		if (oHash.border) { imgClass.push('thumbborder'); }
-		if (imgClass.length) {
-			imgAttrs.push( new KV( 'class', imgClass.join(' ') ) );
+/**
+ * The box an image is scaled to fit, from its size options and format
+ *
+ * @param {Object} oHash: The image options
+ * @returns {Object} width, height, page (of multi-page media), lang (of
+ *   drawings with translations) and thumbtime (of videos), all optional
+ */
+WikiLinkHandler.prototype.getImageBox = function ( oHash ) {
+	var box = {},
+		width = parseInt( oHash.width, 10 ),
+		height = parseInt( oHash.height, 10 ),
+		upright = parseFloat( oHash.upright ),
+		page = parseInt( oHash.page, 10 );
+
+	// Frames show the image at its full size
+	if ( oHash.format !== 'framed' ) {
+		if ( width > 0 ) {
+			box.width = width;
 		}
-
-		var imgStyle = [], wrapperStyle = [];
-		var halign = (oHash.format==='framed') ? 'right' : null;
-		var isInline = true, isFloat = false;
-		var wrapper = null;
-		if (oHash.halign) { halign = oHash.halign; }
-		if (halign==='none') {
-			// PHP parser wraps in <div class="floatnone">
-			isInline = false;
-		} else if (halign==='center') {
-			// PHP parser wraps in <div class="center"><div class="floatnone">
-			isInline = false;
-			wrapperStyle.push('text-align: center;');
-		} else if (halign==='left') {
-			// PHP parser wraps in <div class="floatleft">
-			isInline = false; isFloat = true;
-			wrapperStyle.push('float: left;');
-		} else if (halign==='right') {
-			// PHP parser wraps in <div class="floatright">
-			isInline = false; isFloat = true;
-			wrapperStyle.push('float: right;');
+		if ( height > 0 ) {
+			box.height = height;
 		}
-		if (!isInline) {
-			wrapperStyle.push('display: block;');
+	}
+	if ( ( oHash.format === 'thumbnail' || oHash.format === 'frameless' ) && !box.width ) {
+		if ( oHash.upright !== undefined ) {
+			box.width = Math.round( defaultThumbWidth *
+				( upright > 0 ? upright : defaultUpright ) / 10 ) * 10;
+		} else {
+			box.width = defaultThumbWidth;
 		}
+	}
+	if ( page > 0 ) {
+		box.page = page;
+	}
+	if ( oHash.lang ) {
+		box.lang = oHash.lang;
+	}
+	if ( parseMediaTime( oHash.thumbtime ) !== null ) {
+		box.thumbtime = parseMediaTime( oHash.thumbtime );
+	}
+	return box;
+};
 
-		var valign = 'middle';
-		if (oHash.valign) { valign = oHash.valign; }
-		if (isInline && !isFloat) {
-			imgStyle.push('vertical-align: '+valign.replace(/_/,'-')+';');
-		}
-		if (wrapperStyle.length) {
-			newAttribs.push( new KV( 'style', wrapperStyle.join(' ') ) );
-		}
-		if (imgStyle.length) {
-			imgAttrs.push( new KV( 'style', imgStyle.join(' ') ) );
-		}
+/**
+ * The attributes of the img of a file: its thumbnail (or the file itself
+ * without one) and the thumbnails for high-density screens.
+ *
+ * @param {Object} info: The image info, see ImageInfoRequest
+ * @param {String} alt
+ * @returns {KV[]}
+ */
+WikiLinkHandler.prototype.getImageAttribs = function ( info, alt ) {
+	var responsiveUrls = info.responsiveUrls || {},
+		srcset = Object.keys( responsiveUrls ).sort().map( function ( scale ) {
+			return responsiveUrls[scale] + ' ' + scale + 'x';
+		} ),
+		attribs = [
+			new KV( 'src', info.thumburl || info.url ),
+			new KV( 'alt', alt ),
+			new KV( 'height', String( info.thumbheight || info.height ) ),
+			new KV( 'width', String( info.thumbwidth || info.width ) )
+		];
+	if ( srcset.length ) {
+		attribs.push( new KV( 'srcset', srcset.join( ', ' ) ) );
+	}
+	return attribs;
+};
 
-		var a = new TagTk( isImageLink ? 'a' : 'span', newAttribs, Util.clone(token.dataAttribs));
-		var img = new SelfclosingTagTk( 'img', imgAttrs );
+/**
+ * The player of an audio or video file: the element with the file as its
+ * source, played from start= to end=, and for videos a still as its poster
+ *
+ * @param {Object} info: The image info, see ImageInfoRequest
+ * @param {Object} oHash: The image options
+ * @param {KV[]} attribs: More attributes of the element
+ * @returns {Token[]}
+ */
+WikiLinkHandler.prototype.getMediaTokens = function ( info, oHash, attribs ) {
+	var name = getMediaElementName( info ),
+		start = parseMediaTime( oHash.starttime ),
+		end = parseMediaTime( oHash.endtime ),
+		// A media fragment for the part to play
+		fragment = start === null && end === null ? '' :
+			'#t=' + ( start !== null ? start : '' ) + ( end !== null ? ',' + end : '' ),
+		mediaAttribs = [
+			new KV( 'controls', '' ),
+			new KV( 'preload', 'none' )
+		];
 
-		var tokens = [ a, img, new EndTagTk( isImageLink ? 'a' : 'span' )];
-		return { tokens: tokens };
+	if ( name === 'video' ) {
+		if ( info.thumburl ) {
+			mediaAttribs.push( new KV( 'poster', info.thumburl ) );
+		}
+		mediaAttribs.push(
+			new KV( 'height', String( info.thumbheight || info.height ) ),
+			new KV( 'width', String( info.thumbwidth || info.width ) ) );
+	} else {
+		// Audio has no size, the player gets the width of the box
+		mediaAttribs.push( new KV( 'style', 'width: ' +
+			( this.getImageBox( oHash ).width || defaultThumbWidth ) + 'px;' ) );
+	}
+	if ( info.duration ) {
+		mediaAttribs.push( new KV( 'data-durationhint', String( Math.ceil( info.duration ) ) ) );
 	}
+	attribs.forEach( function ( kv ) {
+		var style = kv.k === 'style' && Util.lookupKV( mediaAttribs, 'style' );
+		if ( style ) {
+			style.v += ' ' + kv.v;
+		} else {
+			mediaAttribs.push( kv );
+		}
+	} );
+
+	return [
+		new TagTk( name, mediaAttribs ),
+		new SelfclosingTagTk( 'source', [
+			new KV( 'src', info.url + fragment ),
+			new KV( 'type', info.mime )
+		] ),
+		new EndTagTk( name )
+	];
 };
 
-
-// Create an url for the scaled image src.
-// FIXME: This is just a dirty hack which will only ever work with the WMF
-// cluster configuration which creates an on-demand thumbnail when accessing a
-// width-prefixed image URL.
-WikiLinkHandler.prototype.getThumbPath = function ( key, width ) {
-	var env = this.manager.env,
-		// Make a relative link.
-		link = env.makeTitleFromPrefixedText( 'Special:FilePath' ).makeLink();
-	// Simply let Special:FilePath redirect to the real thumb location
-	return link + '/' + key + '?width=' + width;
+/**
+ * The href of an image: the file page, or the page or URL of its link=
+ * option
+ *
+ * @returns {String|null} null if the image isn't a link (link=)
+ */
+WikiLinkHandler.prototype.getImageHref = function ( title, link ) {
+	if ( link === undefined ) {
+		return title.makeLink();
+	} else if ( link === '' ) {
+		return null;
+	} else if ( urlProtocolRE.test( link ) ) {
+		return link;
+	} else {
+		return this.manager.env.makeTitleFromPrefixedText( link ).makeLink();
+	}
 };
 
+/**
+ * The content of the red link shown for a missing file, like MediaWiki
+ * does. It carries the resource of the file in a span, like the img of
+ * existing files.
+ */
+WikiLinkHandler.prototype.getMissingFileTokens = function ( title, fileName ) {
+	return [
+		new TagTk( 'span', [ new KV( 'resource', '[:' + fileName + ']' ) ] ),
+		title.getFullText(),
+		new EndTagTk( 'span' )
+	];
+};
 
-WikiLinkHandler.prototype.renderThumb = function ( token, manager, cb, title, fileName,
-		caption, oHash, options, rdfaAttrs )
+/**
+ * Render an image that isn't in a frame: without a format or frameless
+ */
+WikiLinkHandler.prototype.renderInline = function ( title, fileName, caption, oHash,
+		rdfaAttrs, dataAttribs, info )
 {
-	// It turns out that image captions can have unclosed block tags
-	// which then messes up the entire DOM and wraps the reset of the
-	// page into the image caption which is wrong and also screws up
-	// the RTing in turn.  So, we forcibly close all unclosed block
-	// tags by treating the caption as a well-nested DOM context.
-	//
-	// TODO: Actually build a real DOM so that inlines etc are encapsulated
-	// too. This would need to apply phase 3 token transforms, as the caption
-	// as an attribute is already expanded to phase 2.
-	function closeUnclosedBlockTags(tokens) {
-		var t;
-		var openBlockTagStack = [];
-		for (var i = 0, n = tokens.length; i < n; i++) {
-			t = tokens[i];
-			if (Util.isBlockToken(t)) {
-				if (t.constructor === TagTk) {
-					openBlockTagStack.push(t);
-				} else if (t.constructor === EndTagTk) {
-					if (openBlockTagStack.last().name === t.name) {
-						openBlockTagStack.pop();
-					}
-				}
-			}
-		}
+	var exists = info && info.exists,
+		isMedia = exists && getMediaElementName( info ) !== null,
+		// Missing files link to their page, and players aren't links
+		href = isMedia ? null :
+			exists ? this.getImageHref( title, oHash.link ) : title.makeLink(),
+		isImageLink = href !== null,
+		// Inline images show their caption as a tooltip
+		captionText = caption ? Util.tokensToString( [].concat( caption ) ).trim() : '',
+		newAttribs = [
+			new KV( isImageLink ? 'rel' : 'typeof', 'mw:Image')
+		],
+		classes = [],
+		content;
 
-		for (i = 0, n = openBlockTagStack.length; i < n; i++) {
-			t = openBlockTagStack.pop();
-			t.dataAttribs.autoInsertedEnd = true;
-			tokens.push(new EndTagTk(t.name));
-		}
+	if ( isImageLink ) {
+		newAttribs.push( new KV( 'href', href ) );
+	}
+	if ( !exists ) {
+		classes.push( 'new' );
+	}
+	if (oHash['class']) {
+		classes.push( oHash['class'] );
+	}
+	if ( classes.length ) {
+		newAttribs.push( new KV( 'class', classes.join( ' ' ) ) );
+	}
+	if ( captionText ) {
+		newAttribs.push( new KV( 'title', captionText ) );
+	}
+
+	newAttribs = newAttribs.concat(rdfaAttrs.attribs);
+
+	var imgAttrs = exists && !isMedia ? this.getImageAttribs( info,
+			oHash.alt !== undefined ? oHash.alt : captionText || title.key ) : [];
+
+	var imgClass = [];
+	if (oHash.border) { imgClass.push('thumbborder'); }
+	if (imgClass.length) {
+		imgAttrs.push( new KV( 'class', imgClass.join(' ') ) );
+	}
+	// Add resource as CURIE- needs global default prefix definition.
+	imgAttrs.push( new KV( 'resource', '[:' + fileName + ']' ) );
+
+	var imgStyle = [], wrapperStyle = [];
+	var halign = null;
+	var isInline = true, isFloat = false;
+	if (oHash.halign) { halign = oHash.halign; }
+	if (halign==='none') {
+		// PHP parser wraps in <div class="floatnone">
+		isInline = false;
+	} else if (halign==='center') {
+		// PHP parser wraps in <div class="center"><div class="floatnone">
+		isInline = false;
+		wrapperStyle.push('text-align: center;');
+	} else if (halign==='left') {
+		// PHP parser wraps in <div class="floatleft">
+		isInline = false; isFloat = true;
+		wrapperStyle.push('float: left;');
+	} else if (halign==='right') {
+		// PHP parser wraps in <div class="floatright">
+		isInline = false; isFloat = true;
+		wrapperStyle.push('float: right;');
+	}
+	if (!isInline) {
+		wrapperStyle.push('display: block;');
+	}
 
-		return tokens;
+	// The valign keywords are the CSS values, with text_top and
+	// text_bottom as canonical names
+	var valign = 'middle';
+	if (oHash.valign) { valign = oHash.valign; }
+	if (isInline && !isFloat) {
+		imgStyle.push('vertical-align: '+valign.replace(/_/,'-')+';');
+	}
+	if (wrapperStyle.length) {
+		newAttribs.push( new KV( 'style', wrapperStyle.join(' ') ) );
+	}
+	if (imgStyle.length && exists) {
+		imgAttrs.push( new KV( 'style', imgStyle.join(' ') ) );
 	}
 
-	// TODO: get /wiki from config!
-	var dataAttribs = Util.clone(token.dataAttribs);
-	dataAttribs.optionList = options;
-	dataAttribs.src = undefined; // clear src string since we can serialize this
+	if ( isMedia ) {
+		content = this.getMediaTokens( info, oHash, imgAttrs );
+	} else if ( exists ) {
+		content = [ new SelfclosingTagTk( 'img', imgAttrs ) ];
+	} else {
+		content = this.getMissingFileTokens( title, fileName );
+	}
 
-	var width = 165;
+	var a = new TagTk( isImageLink ? 'a' : 'span', newAttribs, dataAttribs );
+	return {
+		tokens: [ a ].concat( content, [ new EndTagTk( isImageLink ? 'a' : 'span' ) ] )
+	};
+};
 
-	var env = this.manager.env;
 
-	// Handle explicit width value
-	if ( oHash.width ) {
-		width = oHash.width;
+/**
+ * The tokenizer leaves the lines of link text as text. Turn the list lines of
+ * a caption into listItems, and the newlines that end the lines before them
+ * and the lines of the list (and the empty lines after them) into NlTks, so
+ * that the lists are built like those of a page.
+ *
+ * @param {String} text: Text of the caption
+ * @param {Object} state: inList is set on list lines and the empty lines
+ *   after them, across calls
+ * @returns {Array} Tokens
+ */
+function tokenizeLists( text, state ) {
+	var lines = text.split( '\n' ),
+		tokens = [ lines[0] ],
+		bullets, li;
+	for ( var i = 1; i < lines.length; i++ ) {
+		bullets = lines[i].match( /^[*#:;]+/ );
+		if ( bullets || state.inList ) {
+			tokens.push( new NlTk() );
+		} else {
+			tokens.push( '\n' );
+		}
+		if ( bullets ) {
+			li = new TagTk( 'listItem', [], {} );
+			li.bullets = bullets[0].split( '' );
+			tokens.push( li, lines[i].substr( bullets[0].length ) );
+			state.inList = true;
+		} else {
+			tokens.push( lines[i] );
+			state.inList = state.inList && lines[i] === '';
+		}
 	}
+	return tokens;
+}
 
-	// Handle upright
-	if ( 'upright' in oHash ) {
-		if ( oHash.upright > 0 ) {
-			width = width * oHash.upright;
+/**
+ * Build the DOM of a caption in a nested pipeline, so that unbalanced tags,
+ * lists and the like stay in it, and return it as tokens
+ *
+ * The caption is post-processed already, so it is passed through the phase
+ * 3 transforms of the page in InternalTks. Only its refs are left out of the
+ * nested pipeline: they belong to the references of the page, so they are
+ * returned as they are, between the InternalTks, for Cite.
+ *
+ * @param {Token[]|String} caption: The expanded caption
+ * @returns {Token[]}
+ */
+WikiLinkHandler.prototype.buildCaption = function ( caption ) {
+	var pipeline = this.manager.pipeFactory.makePipeline( 'tokens/x-mediawiki/dom', {
+			isInclude: this.options.isInclude,
+			wrapTemplates: this.options.wrapTemplates,
+			inBlockToken: true,
+			inlineContext: true
+		} ),
+		content = [],
+		refs = [],
+		tokens = [],
+		ref = null,
+		refStart = 0,
+		depth = 0,
+		lists = { inList: false },
+		i, t, tc;
+
+	// Replace the refs with placeholders
+	caption = [].concat( caption );
+	for ( i = 0; i < caption.length; i++ ) {
+		t = caption[i];
+		tc = t.constructor;
+		if ( ref ) {
+			ref.push( t );
+			if ( tc === TagTk && t.name === 'ref' ) {
+				depth++;
+			} else if ( tc === EndTagTk && t.name === 'ref' && --depth === 0 ) {
+				refs.push( ref );
+				ref = null;
+			}
+		} else if ( tc === SelfclosingTagTk && t.name === 'ref' ) {
+			refs.push( [ t ] );
+			content.push( new SelfclosingTagTk( 'meta', [ new KV( 'typeof', 'mw:Placeholder/Ref' ) ] ) );
+		} else if ( tc === TagTk && t.name === 'ref' ) {
+			ref = [ t ];
+			refStart = content.length;
+			depth = 1;
+			content.push( new SelfclosingTagTk( 'meta', [ new KV( 'typeof', 'mw:Placeholder/Ref' ) ] ) );
+		} else if ( tc === String ) {
+			content = content.concat( tokenizeLists( t, lists ) );
 		} else {
-			width *= 0.75;
+			content.push( t );
 		}
 	}
+	if ( ref ) {
+		// A ref that isn't closed in the caption is text
+		content.splice.apply( content, [ refStart, 1 ].concat( ref ) );
+	}
 
-	var figurestyle = "width: " + (width + 5) + "px;",
+	pipeline.once( 'document', function ( document ) {
+		var nodes = document.body.childNodes;
+		for ( var j = 0; j < nodes.length; j++ ) {
+			DOMUtils.convertDOMtoTokens( tokens, nodes[j] );
+		}
+	} );
+	// The pipeline is synchronous
+	pipeline.process( content.concat( [ new EOFTk() ] ) );
+
+	// Put the refs back in
+	var res = [], segment = [];
+	for ( i = 0; i < tokens.length; i++ ) {
+		t = tokens[i];
+		if ( t.constructor === SelfclosingTagTk &&
+				t.getAttribute( 'typeof' ) === 'mw:Placeholder/Ref' && refs.length )
+		{
+			res.push( new InternalTk( [ new KV( 'tokens', segment ) ] ) );
+			res = res.concat( refs.shift() );
+			segment = [];
+		} else {
+			segment.push( t );
+		}
+	}
+	res.push( new InternalTk( [ new KV( 'tokens', segment ) ] ) );
+	return res;
+};
+
+/**
+ * Render an image in a frame: a thumbnail (thumb or thumb=) or the full
+ * image (frame)
+ *
+ * @param {Array|null} captionTsr: The source range of the caption, if known
+ */
+WikiLinkHandler.prototype.renderThumb = function ( title, fileName, caption, oHash,
+		rdfaAttrs, dataAttribs, info, captionTsr )
+{
+	var exists = info && info.exists,
+		isMedia = exists && getMediaElementName( info ) !== null,
+		isThumb = oHash.format === 'thumbnail' || oHash.manualthumb !== undefined,
+		// Missing files get a frame of the default width, and audio the
+		// width of the box
+		width = exists ? info.thumbwidth || info.width ||
+			this.getImageBox( oHash ).width || defaultThumbWidth : defaultThumbWidth;
+
+	var figurestyle = "width: " + (width + 2) + "px;",
 		figureclass = "thumb tright thumbinner";
-	// note that 'border', 'frameless', and 'frame' property is ignored
-	// for thumbnails
+	// note that 'border' and 'frameless' are ignored for frames, as
+	// frames have their own border and size
 
 	// set horizontal alignment
 	if ( oHash.halign ) {
@@ -575,14 +961,15 @@ WikiLinkHandler.prototype.renderThumb = function ( token, manager, cb, title, fi
 		figurestyle += ' float: right;';
 	}
 
-	// XXX: set vertical alignment (valign)
-	// XXX: support prefixes
+	// Frames float or are blocks, so the valign keywords don't apply. The
+	// prefix options are handled like for inline images: link= below,
+	// alt= on the img, and page= and lang= when getting the image info.
 
 	if (oHash['class']) {
 		figureclass += ' ' + oHash['class'];
 	}
 
-	var rdfaType = 'mw:Thumb',
+	var rdfaType = isThumb ? 'mw:Thumb' : 'mw:Frame',
 		figAttrs = [
 			new KV('class', figureclass),
 			new KV('style', figurestyle)
@@ -596,50 +983,61 @@ WikiLinkHandler.prototype.renderThumb = function ( token, manager, cb, title, fi
 		figAttrs.push(new KV('typeof', rdfaType));
 	}
 
-	var linkTitle = title;
-	var isImageLink = ( oHash.link === undefined || oHash.link !== '' );
-	if ( isImageLink && oHash.link !== undefined ) {
-		linkTitle = env.makeTitleFromPrefixedText( oHash.link );
-	}
-
-	var thumbfile = title.key;
-	if (oHash.manualthumb) {
-		thumbfile = oHash.manualthumb;
+	// Players aren't links
+	var href = isMedia ? null : this.getImageHref( title, oHash.link ),
+		isImageLink = href !== null;
+
+	// Add resource as CURIE- needs global default prefix definition.
+	var image;
+	if ( isMedia ) {
+		image = this.getMediaTokens( info, oHash, [
+			new KV( 'class', 'thumbimage' ),
+			new KV( 'resource', '[:' + fileName + ']' )
+		] );
+	} else if ( exists ) {
+		image = [ new SelfclosingTagTk( 'img', this.getImageAttribs( info,
+			oHash.alt !== undefined ? oHash.alt : title.key ).concat( [
+				new KV( 'class', 'thumbimage' ),
+				new KV( 'resource', '[:' + fileName + ']' )
+			] ) ) ];
+	} else {
+		image = this.getMissingFileTokens( title, fileName );
 	}
 
-	var path = this.getThumbPath( thumbfile, width ),
-		thumb = [
+	var thumb = [
 		new TagTk('figure', figAttrs),
-		( isImageLink ?
+		( !exists ?
 			new TagTk( 'a', [
-						new KV('href', linkTitle.makeLink()),
+						new KV('href', title.makeLink()),
+						new KV('class', 'new')
+					] ) :
+		isImageLink ?
+			new TagTk( 'a', [
+						new KV('href', href),
 						new KV('class', 'image')
 					] ) :
 			new TagTk( 'span', [
 				new KV( 'typeof', rdfaType )
 			] )
-		),
-		new SelfclosingTagTk( 'img', [
-					new KV('src', path),
-					new KV('width', width + 'px'),
-					//new KV('height', '160px'),
-					new KV('class', 'thumbimage'),
-					new KV('alt', oHash.alt || title.key ),
-					// Add resource as CURIE- needs global default prefix
-					// definition.
-					new KV('resource', '[:' + fileName + ']')
-				]),
-		new EndTagTk( isImageLink ? 'a' : 'span' ),
-		new SelfclosingTagTk ( 'a', [
+		)
+	].concat( image, [
+		new EndTagTk( exists && !isImageLink ? 'span' : 'a' )
+	] );
+
+	if ( isThumb ) {
+		thumb.push( new SelfclosingTagTk ( 'a', [
 					new KV('href', title.makeLink()),
 					new KV('class', 'internal sprite details magnify'),
 					new KV('title', 'View photo details')
-				]),
+				]) );
+	}
+
+	thumb = thumb.concat( [
 		new TagTk( 'figcaption', [
 					new KV('class', 'thumbcaption'),
 					new KV('property', 'mw:thumbcaption')
-				] )
-	].concat( closeUnclosedBlockTags(caption), [
+				], captionTsr ? { tsr: captionTsr.slice() } : {} )
+	] ).concat( this.buildCaption( caption ), [
 				new EndTagTk( 'figcaption' ),
 				new EndTagTk( 'figure' )
 			]);
@@ -16,7 +16,8 @@ function ListHandler ( manager ) {
 							"ListHandler:onEnd",
 							this.listRank, 'end' );
 	var env = manager.env;
-	this.trace = env.conf.parsoid.debug || (env.conf.parsoid.traceFlags && (env.conf.parsoid.traceFlags.indexOf("list") !== -1));
+	this.logger = env.logger;
+	this.trace = env.logger.isEnabled('trace', 'tt/list');
 }
 
 ListHandler.prototype.listRank = 2.49; // before PostExpandParagraphHandler
@@ -53,7 +54,7 @@ ListHandler.prototype.reset = function() {
 
 ListHandler.prototype.onAny = function ( token, frame, prevToken ) {
 	if (this.trace) {
-		console.warn("T:list:any " + JSON.stringify(token));
+		this.logger.trace('tt/list', "T:list:any " + JSON.stringify(token));
 	}
 
 	var tokens, solTokens;
@@ -135,7 +136,7 @@ ListHandler.prototype.onAny = function ( token, frame, prevToken ) {
 
 ListHandler.prototype.onEnd = function( token, frame, prevToken ) {
 	if (this.trace) {
-		console.warn("T:list:end " + JSON.stringify(token));
+		this.logger.trace('tt/list', "T:list:end " + JSON.stringify(token));
 	}
 
 	this.listFrames = [];
@@ -168,8 +169,8 @@ ListHandler.prototype.closeLists = function(token) {
 	this.reset();
 
 	if (this.trace) {
-		console.warn("----closing all lists----");
-		console.warn("list:RET: " + JSON.stringify(tokens));
+		this.logger.trace('tt/list', "----closing all lists----");
+		this.logger.trace('tt/list', "list:RET: " + JSON.stringify(tokens));
 	}
 
 	return tokens;
@@ -226,7 +227,7 @@ ListHandler.prototype.isDtDd = function (a, b) {
 
 ListHandler.prototype.doListItem = function ( bs, bn, token ) {
 	if (this.trace) {
-		console.warn("T:list:begin " + JSON.stringify(token));
+		this.logger.trace('tt/list', "T:list:begin " + JSON.stringify(token));
 	}
 
 	var prefixLen = this.commonPrefixLength (bs, bn),
@@ -255,11 +256,11 @@ ListHandler.prototype.doListItem = function ( bs, bn, token ) {
 
 	// emit close tag tokens for closed lists
 	if (this.trace) {
-		console.warn("    bs: " + JSON.stringify(bs) + "; bn: " + JSON.stringify(bn));
+		this.logger.trace('tt/list', "    bs: " + JSON.stringify(bs) + "; bn: " + JSON.stringify(bn));
 	}
 	if (prefix.length === bs.length && bn.length === bs.length) {
 		if (this.trace) {
-			console.warn("    -> no nesting change");
+			this.logger.trace('tt/list', "    -> no nesting change");
 		}
 		// same list item types and same nesting level
 		itemToken = this.currListFrame.endtags.pop();
@@ -306,13 +307,13 @@ ListHandler.prototype.doListItem = function ( bs, bn, token ) {
 			var newTag;
 			if (prefixLen === 0 || dp.stx === 'row' || (bs[prefixLen-1] !== ':' && bs[prefixLen] === ';')) {
 				if (this.trace) {
-					console.warn("    -> dt->dd");
+					this.logger.trace('tt/list', "    -> dt->dd");
 				}
 				// dt --> dd transition (dd token has a 1-length prefix: see tokenizer)
 				newTag = new TagTk(newName, [], makeDP( 0, 1 ));
 			} else {
 				if (this.trace) {
-					console.warn("    -> dd->dt");
+					this.logger.trace('tt/list', "    -> dd->dt");
 				}
 				// dd --> dt transition (dt token has a prefixLen prefix: see tokenizer)
 				newTag = new TagTk(newName, [], makeDP( 0, prefixLen + 1 ));
@@ -322,7 +323,7 @@ ListHandler.prototype.doListItem = function ( bs, bn, token ) {
 			prefixCorrection = 1;
 		} else {
 			if (this.trace) {
-				console.warn("    -> reduced nesting");
+				this.logger.trace('tt/list', "    -> reduced nesting");
 			}
 			tokens = tokens.concat( this.popTags(bs.length - prefixLen) );
 			if (this.currListFrame.nlTk) {
@@ -367,13 +368,13 @@ ListHandler.prototype.doListItem = function ( bs, bn, token ) {
 			var listDP, listItemDP;
 			if (i === prefixLen) {
 				if (this.trace) {
-					console.warn("    -> increased nesting: first");
+					this.logger.trace('tt/list', "    -> increased nesting: first");
 				}
 				listDP     = makeDP(prefixCorrection,prefixCorrection);
 				listItemDP = makeDP(prefixCorrection,prefixLen+1);
 			} else {
 				if (this.trace) {
-					console.warn("    -> increased nesting: 2nd and higher");
+					this.logger.trace('tt/list', "    -> increased nesting: 2nd and higher");
 				}
 				listDP     = makeDP(i,i);
 				listItemDP = makeDP(i,i+1);
@@ -388,8 +389,8 @@ ListHandler.prototype.doListItem = function ( bs, bn, token ) {
 		res = tokens;
 	}
 
-	if (this.manager.env.conf.parsoid.trace) {
-		this.manager.env.tracer.output("Returning: " + Util.toStringTokens(res).join(","));
+	if (this.trace) {
+		this.logger.trace('tt/list', "Returning: " + Util.toStringTokens(res).join(","));
 	}
 
 	// clear out sol-tokens
@@ -400,7 +401,7 @@ ListHandler.prototype.doListItem = function ( bs, bn, token ) {
 	this.currListFrame.atEOL = false;
 
 	if (this.trace) {
-		console.warn("list:RET: " + JSON.stringify(res));
+		this.logger.trace('tt/list', "list:RET: " + JSON.stringify(res));
 	}
 	return res;
 };
@@ -80,7 +80,7 @@ OnlyInclude.prototype.onOnlyInclude = function ( token, manager ) {
 };
 
 OnlyInclude.prototype.onAnyInclude = function ( token, manager ) {
-	//this.manager.env.dp( 'onAnyInclude', token, this );
+	//this.manager.env.logger.debug( 'tt', 'onAnyInclude', token, this );
 	var isTag, tagName, curriedBuildMetaToken, meta;
 
 	if ( token.constructor === EOFTk ) {
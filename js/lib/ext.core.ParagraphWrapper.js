@@ -11,9 +11,8 @@ var Util = require('./mediawiki.Util.js').Util;
 function ParagraphWrapper ( manager, options ) {
 	this.options = options;
 	this.register( manager );
-	this.trace = manager.env.conf.parsoid.debug ||
-		(manager.env.conf.parsoid.traceFlags &&
-		(manager.env.conf.parsoid.traceFlags.indexOf("p-wrap") !== -1));
+	this.logger = manager.env.logger;
+	this.trace = this.logger.isEnabled('trace', 'tt/p-wrap');
 	this.reset();
 }
 
@@ -56,7 +55,7 @@ ParagraphWrapper.prototype.register = function ( manager ) {
 ParagraphWrapper.prototype._getTokensAndReset = function (res) {
 	var resToks = res ? res : this.nonNlTokens;
 	if (this.trace) {
-		console.warn("  p-wrap:RET: " + JSON.stringify(resToks));
+		this.logger.trace('tt/p-wrap', "  p-wrap:RET: " + JSON.stringify(resToks));
 	}
 	this.nonNlTokens = [];
 	this.nlWsTokens = [];
@@ -95,7 +94,7 @@ ParagraphWrapper.prototype.resetCurrLine = function () {
 // Handle NEWLINE tokens
 ParagraphWrapper.prototype.onNewLineOrEOF = function (  token, frame, cb ) {
 	if (this.trace) {
-		console.warn("T:p-wrap:NL: " + JSON.stringify(token));
+		this.logger.trace('tt/p-wrap', "T:p-wrap:NL: " + JSON.stringify(token));
 	}
 
 	// If we dont have an open p-tag, and this line didn't have a block token,
@@ -131,7 +130,7 @@ ParagraphWrapper.prototype.processPendingNLs = function (isBlockToken) {
 		nlTk, nlTk2;
 
 	if (this.trace) {
-		console.warn("  p-wrap:NL-count: " + newLineCount);
+		this.logger.trace('tt/p-wrap', "  p-wrap:NL-count: " + newLineCount);
 	}
 
 	if (newLineCount >= 2) {
@@ -237,7 +236,7 @@ ParagraphWrapper.prototype.onAny = function ( token, frame ) {
 	}
 
 	if (this.trace) {
-		console.warn("T:p-wrap:any: " + JSON.stringify(token));
+		this.logger.trace('tt/p-wrap', "T:p-wrap:any: " + JSON.stringify(token));
 	}
 
 	var res,
@@ -19,11 +19,43 @@
 
 var async = require('async');
 var Util = require('./mediawiki.Util.js').Util;
-var Namespace = require( './mediawiki.Title.js' ).Namespace;
+var title = require( './mediawiki.Title.js' ),
+	Title = title.Title,
+	Namespace = title.Namespace;
+var expr = require( './ext.core.ExprParser.js' ),
+	ExprParser = expr.ExprParser,
+	ExprError = expr.ExprError;
+var NumberFormatter = require( './mediawiki.NumberFormatter.js' ).NumberFormatter;
+var ExtensionRegistry = require( './mediawiki.ExtensionRegistry.js' ).ExtensionRegistry;
+var language = require( './mediawiki.Language.js' ),
+	Language = language.Language,
+	codePoints = language.codePoints;
+var DateParser = require( './ext.core.DateParser.js' ).DateParser,
+	dateFormatter = require( './ext.core.DateFormatter.js' ),
+	DateFormatter = dateFormatter.DateFormatter,
+	getZoneOffset = dateFormatter.getZoneOffset;
+
+// The maximum total length of #time format strings per page
+var maxTimeChars = 6000,
+	utcZone = { name: 'UTC', offset: 0 },
+	// The years supported by #time: 0000-01-01T00:00:00Z up to the end
+	// of 9999
+	minTime = -62167219200000,
+	maxTime = Date.UTC( 10000, 0, 1 );
+
+// The maximum length of strings handled by the string functions and of
+// the result of {{padleft:}} and {{padright:}}
+var maxStringLength = 1000,
+	maxPadLength = 500;
 
 function ParserFunctions ( manager ) {
 	this.manager = manager;
 	this.env = manager.env;
+	this.exprParser = new ExprParser();
+	this.language = Language.forCode( this.env.conf.wiki.lang );
+	this.dateParser = new DateParser();
+	this.dateFormatter = new DateFormatter( this.env.conf.wiki );
+	this.englishDateFormatter = new DateFormatter( null );
 }
 
 // Temporary helper.
@@ -72,19 +104,20 @@ ParserFunctions.prototype.expandKV = function ( kv, cb, defaultValue, type, trim
 ParserFunctions.prototype['pf_#if'] = function ( token, frame, cb, args ) {
 	var target = args[0].k;
 	if ( target.trim() !== '' ) {
-		//this.env.dp('#if, first branch', target.trim(), argDict[1] );
+		//this.env.logger.debug('tt/parserfunctions', '#if, first branch', target.trim(), argDict[1] );
 		this.expandKV( args[1], cb );
 	} else {
-		//this.env.dp('#if, second branch', target.trim(), argDict[2] );
+		//this.env.logger.debug('tt/parserfunctions', '#if, second branch', target.trim(), argDict[2] );
 		this.expandKV( args[2], cb );
 	}
 };
 
 ParserFunctions.prototype._switchLookupFallback = function ( frame, kvs, key, dict, cb, v ) {
 	var kv,
-		l = kvs.length;
-	this.manager.env.tp('swl');
-	this.manager.env.dp('_switchLookupFallback', kvs.length, key, v );
+		l = kvs.length,
+		logger = this.manager.env.logger;
+	this.manager.env.logger.trace('tt/parserfunctions', 'swl');
+	this.manager.env.logger.debug('tt/parserfunctions', '_switchLookupFallback', kvs.length, key, v );
 	var _cbTrim = function( res ) {
 		if ( res.constructor === String ) {
 			cb( { tokens: [ res.trim() ], async: res.async } );
@@ -102,8 +135,7 @@ ParserFunctions.prototype._switchLookupFallback = function ( frame, kvs, key, di
 		} else if ( res.async ) {
 			cb( res );
 		} else {
-			console.log( res );
-			console.trace();
+			logger.error( 'tt/parserfunctions', 'Unexpected result', res, new Error().stack );
 		}
 
 	};
@@ -120,7 +152,7 @@ ParserFunctions.prototype._switchLookupFallback = function ( frame, kvs, key, di
 		//
 		// So if <key> matched c1, we want to return <res>.
 		// Hence, we are looking for the next entry with a non-empty key.
-		this.manager.env.dp( 'switch found' );
+		this.manager.env.logger.debug( 'tt/parserfunctions', 'switch found' );
 		for ( var j = 0; j < l; j++) {
 			kv = kvs[j];
 			// XXX: make sure the key is always one of these!
@@ -148,8 +180,7 @@ ParserFunctions.prototype._switchLookupFallback = function ( frame, kvs, key, di
 				continue;
 			} else {
 				if ( ! kv.v.get  ) {
-					this.manager.env.ap( kv.v );
-					console.trace();
+					this.manager.env.logger.warn( 'tt/parserfunctions', kv.v, new Error().stack );
 				}
 				var self = this;
 				//console.warn( 'swtch value: ' + kv.v );
@@ -226,12 +257,12 @@ ParserFunctions.prototype._switchLookupFallback = function ( frame, kvs, key, di
 // http://www.mediawiki.org/wiki/Help:Extension:ParserFunctions#Grouping_results
 ParserFunctions.prototype['pf_#switch'] = function ( token, frame, cb, args ) {
 	var target = args[0].k.trim();
-	this.env.dp( 'switch enter', target, token );
+	this.env.logger.debug( 'tt/parserfunctions', 'switch enter', target, token );
 	// create a dict from the remaining args
 	args.shift();
 	var dict = args.dict();
 	if ( target && dict[target] !== undefined ) {
-		this.env.dp( 'switch found: ', target, dict, ' res=', dict[target] );
+		this.env.logger.debug( 'tt/parserfunctions', 'switch found: ', target, dict, ' res=', dict[target] );
 		dict[target].get({
 			type: 'tokens/x-mediawiki/expanded',
 			cb: function( res ) { cb ( { tokens: Util.tokenTrim(res) } ); },
@@ -261,44 +292,52 @@ ParserFunctions.prototype._ifeq_worker = function ( cb, args, b ) {
 };
 
 
+/**
+ * Wrap an ExprError message like the PHP ParserFunctions extension does,
+ * in a strong.error element.
+ */
+ParserFunctions.prototype._exprErrorTokens = function ( e ) {
+	return [
+		new TagTk( 'strong', [ new KV( 'class', 'error' ) ] ),
+		e.message,
+		new EndTagTk( 'strong' )
+	];
+};
+
 ParserFunctions.prototype['pf_#expr'] = function ( token, frame, cb, args ) {
 	var res,
 		target = args[0].k;
-	if ( target ) {
-		try {
-			// FIXME: make this safe and implement MW expressions!
-			var f = new Function ( 'return (' + target + ')' );
-			res = f();
-		} catch ( e ) {
-			cb( { tokens: [ 'class="error" in expression ' + target ] } );
+	try {
+		res = this.exprParser.doExpression( target );
+	} catch ( e ) {
+		if ( e instanceof ExprError ) {
+			cb( { tokens: this._exprErrorTokens( e ) } );
 			return;
 		}
-	} else {
-		res = '';
-	}
-	// Avoid crashes
-	if ( res === undefined ) {
-			cb( { tokens: [ 'class="error" in expression ' + target ] } );
-			return;
+		throw e;
 	}
-	cb( { tokens: [ res.toString() ] } );
+	cb( { tokens: [ res ] } );
 };
 
 ParserFunctions.prototype['pf_#ifexpr'] = function ( token, frame, cb, args ) {
-	this.env.dp( '#ifexp: ', args );
-	var res = null,
+	this.env.logger.debug( 'tt/parserfunctions', '#ifexp: ', args );
+	var res,
 		target = args[0].k;
-	if ( target ) {
-		try {
-			// FIXME: make this safe, and fully implement MW expressions!
-			var f = new Function ( 'return (' + target + ')' );
-			res = f();
-		} catch ( e ) {
-			cb( { tokens: [ 'class="error" in expression ' + target ] } );
+	try {
+		res = this.exprParser.doExpression( target );
+	} catch ( e ) {
+		if ( e instanceof ExprError ) {
+			cb( { tokens: this._exprErrorTokens( e ) } );
 			return;
 		}
+		throw e;
 	}
 
+	// Like PHP, treat numeric results as numbers (so '0' and '-0' are
+	// false), and anything else as a string.
+	if ( res !== '' && !isNaN( Number( res ) ) ) {
+		res = Number( res ) !== 0;
+	}
 	if ( res ) {
 		this.expandKV( args[1], cb );
 	} else {
@@ -317,96 +356,64 @@ ParserFunctions.prototype['pf_#iferror'] = function ( token, frame, cb, args ) {
 
 
 ParserFunctions.prototype.pf_lc = function ( token, frame, cb, args ) {
-	cb( { tokens: [ args[0].k.toLowerCase() ] } );
+	cb( { tokens: [ this.language.lc( args[0].k.trim() ) ] } );
 };
 
 ParserFunctions.prototype.pf_uc = function ( token, frame, cb, args ) {
-	cb( { tokens: [ args[0].k.toUpperCase() ] } );
+	cb( { tokens: [ this.language.uc( args[0].k.trim() ) ] } );
 };
 
 ParserFunctions.prototype.pf_ucfirst = function ( token, frame, cb, args ) {
-	var target = args[0].k;
-	if ( target ) {
-		cb( { tokens: [ target[0].toUpperCase() + target.substr(1) ] } );
-	} else {
-		cb( {} );
-	}
+	cb( { tokens: [ this.language.ucfirst( args[0].k.trim() ) ] } );
 };
 
 ParserFunctions.prototype.pf_lcfirst = function ( token, frame, cb, args ) {
-	var target = args[0].k;
-	if ( target ) {
-		cb( { tokens: [ target[0].toLowerCase() + target.substr(1) ] } );
-	} else {
-		cb( {} );
-	}
+	cb( { tokens: [ this.language.lcfirst( args[0].k.trim() ) ] } );
 };
-ParserFunctions.prototype.pf_padleft = function ( token, frame, cb, params ) {
-	var target = params[0].k,
-		env = this.env;
-	if ( ! params[1] ) {
-		return cb( {} );
+
+/**
+ * PHP's (int) cast of a string: the leading number, rounded towards zero
+ */
+function phpIntval( s ) {
+	var n = parseFloat( String( s === undefined ? '' : s ).trim() );
+	if ( !isFinite( n ) ) {
+		return 0;
 	}
-	// expand parameters 1 and 2
-	params.getSlice( {
-		type: 'text/x-mediawiki/expanded',
-		cb: function ( args ) {
-				if ( args[0].v > 0) {
-					var pad = '0';
-					if ( args[1] && args[1].v !== '' ) {
-						pad = args[1].v;
-					}
-					var n = args[0].v,
-						padLength = pad.length;
-					while ( (target.length + padLength) < n ) {
-						target += pad;
-					}
-					if ( target.length < n ) {
-						target = pad.substr( 0, n - target.length ) + target;
-					}
-					cb( { tokens: [target] } );
-				} else {
-					env.dp( 'padleft no pad width', args );
-					cb( {} );
-				}
-			}
-	},
-	1, 3);
+	return n < 0 ? Math.ceil( n ) : Math.floor( n );
+}
+
+/**
+ * {{padleft:string|length|padding}} and {{padright:...}}. As in PHP, the
+ * lengths count characters (code points) and are capped at
+ * maxPadLength. The padding defaults to '0'; padding with an empty string
+ * leaves the string unchanged.
+ */
+ParserFunctions.prototype.pf_padleft = function ( token, frame, cb, params ) {
+	this._pad( params, true, cb );
 };
 
 ParserFunctions.prototype.pf_padright = function ( token, frame, cb, params ) {
-	var target = params[0].k,
-		env = this.env;
-	if ( ! params[1] ) {
-		return cb( {} );
-	}
-	// expand parameters 1 and 2
-	params.getSlice( {
-		type: 'text/x-mediawiki/expanded',
-		cb: function ( args ) {
-				if ( args[0].v > 0) {
-					var pad;
-					if ( args[1] && args[1].v !== '' ) {
-						pad = args[1].v;
-					} else {
-						pad = '0';
-					}
-					var n = args[0].v,
-						padLength = pad.length;
-					while ( target.length + padLength < n ) {
-						target += pad;
-					}
-					if ( target.length < n ) {
-						target += pad.substr( 0, n - target.length );
-					}
-					cb( { tokens: [target] } );
-				} else {
-					env.dp( 'padright no pad width', args );
-					cb( {} );
-				}
-			}
-	},
-	1, 3 );
+	this._pad( params, false, cb );
+};
+
+ParserFunctions.prototype._pad = function ( params, left, cb ) {
+	this._stringArgs( params, 3, function ( args ) {
+		var target = args[0],
+			padding = codePoints( args[2] === undefined ? '0' : args[2] ),
+			remaining = Math.min( phpIntval( args[1] ), maxPadLength ) -
+				codePoints( target ).length,
+			finalPadding = '';
+		if ( !padding.length || remaining <= 0 ) {
+			cb( { tokens: [ target ] } );
+			return;
+		}
+		while ( remaining > 0 ) {
+			// Truncate the last repetition to get the exact length
+			finalPadding += padding.slice( 0, remaining ).join( '' );
+			remaining -= padding.length;
+		}
+		cb( { tokens: [ left ? finalPadding + target : target + finalPadding ] } );
+	} );
 };
 
 ParserFunctions.prototype['pf_#tag'] = function ( token, frame, cb, args ) {
@@ -440,193 +447,347 @@ ParserFunctions.prototype.tag_worker = function( target, cb, kvs ) {
 };
 
 
-// TODO: These are just quick wrappers for now, optimize!
-ParserFunctions.prototype.pf_currentyear = function ( token, frame, cb, args ) {
-	cb( this._pf_time_tokens( 'Y', [], {} ) );
+/**
+ * {{PLURAL:count|form1|form2|...}}: The form for the count following the
+ * plural rules of the content language. Forms like '12=twelve' apply to
+ * exactly that count.
+ */
+ParserFunctions.prototype.pf_plural = function ( token, frame, cb, params ) {
+	var self = this,
+		text = NumberFormatter.forLanguage( this.env.conf.wiki.lang )
+			.parseFormattedNumber( params[0].k.trim() ),
+		count = /^[0-9]+$/.test( text ) ? parseInt( text, 10 ) : ( parseFloat( text ) || 0 );
+	params.getSlice( {
+		type: 'text/x-mediawiki/expanded',
+		cb: function ( args ) {
+			var forms = args.map( function ( kv ) {
+					return self._argText( kv );
+				} ),
+				index = self.language.pluralFormIndex( count, forms ),
+				kv = params[index + 1];
+			if ( index === -1 ) {
+				cb( {} );
+				return;
+			}
+			// Expand the chosen form as tokens, without the count of an
+			// explicit form (which the tokenizer split off as the key)
+			if ( /\d+=/.test( forms[index] ) ) {
+				kv = new KV( '', kv.v );
+			}
+			self.expandKV( kv, cb );
+		}
+	}, 1 );
 };
-ParserFunctions.prototype.pf_currentmonth = function ( token, frame, cb, args ) {
-	cb( this._pf_time_tokens( 'm', [], {} ) );
+
+/**
+ * {{GRAMMAR:case|word}}: The word inflected for a grammatical case, see
+ * Language.convertGrammar
+ */
+ParserFunctions.prototype.pf_grammar = function ( token, frame, cb, params ) {
+	var self = this,
+		grammarCase = params[0].k.trim();
+	params.getSlice( {
+		type: 'text/x-mediawiki/expanded',
+		cb: function ( args ) {
+			var word = args[0] ? self._argText( args[0] ) : '';
+			cb( { tokens: [ self.language.convertGrammar( word, grammarCase ) ] } );
+		}
+	}, 1, 2 );
 };
-ParserFunctions.prototype.pf_currentmonthname = function ( token, frame, cb, args ) {
-	cb( this._pf_time_tokens( 'F', [], {} ) );
+
+/**
+ * {{GENDER:username|male form|female form|neutral form}}: The form for the
+ * gender the user set in their preferences
+ */
+ParserFunctions.prototype.pf_gender = function ( token, frame, cb, params ) {
+	var self = this,
+		wiki = this.env.conf.wiki,
+		username = params[0].k.trim(),
+		count = params.length - 1,
+		choose = function ( gender ) {
+			var index = self.language.genderFormIndex( gender, count );
+			if ( index === -1 ) {
+				cb( {} );
+			} else {
+				self.expandKV( params[index + 1], cb );
+			}
+		},
+		m;
+
+	// No need to look up the user if the forms are all the same
+	if ( count < 2 ) {
+		choose( 'unknown' );
+		return;
+	}
+
+	// Allow a User: prefix
+	m = username.match( /^([^:]+?) *: *(.*)$/ );
+	if ( m && wiki.getNamespaceId( m[1] ) === 2 ) {
+		username = m[2];
+	}
+	username = username.replace( /[\s_]+/g, ' ' ).trim();
+	if ( !username || /[#<>\[\]{}|\/]/.test( username ) ) {
+		choose( 'unknown' );
+		return;
+	}
+	if ( !wiki.caseSensitive ) {
+		username = this.language.ucfirst( username );
+	}
+	this.env.pageInfo.getUserGender( username, function ( err, gender ) {
+		choose( ( !err && gender ) || 'unknown' );
+	} );
 };
-// XXX Actually use genitive form!
-ParserFunctions.prototype.pf_currentmonthnamegen = function ( token, frame, cb, args ) {
-	cb( this._pf_time_tokens( 'F', [], {} ) );
+
+/**
+ * {{int:message|param1|param2|...}}: An interface message in the content
+ * language, with its $1, $2 etc replaced by the parameters. The message is
+ * then expanded as wikitext. Missing messages are shown as ⧼message⧽.
+ */
+ParserFunctions.prototype.pf_int = function ( token, frame, cb, params ) {
+	var self = this,
+		name = params[0].k.trim(),
+		key = name.replace( / /g, '_' );
+	if ( !key ) {
+		cb( {} );
+		return;
+	}
+	// Message keys start in lower case, see MessageCache::normalizeKey
+	key = /^[\x00-\x7f]/.test( key ) ?
+		key[0].toLowerCase() + key.substr( 1 ) : this.language.lcfirst( key );
+
+	params.getSlice( {
+		type: 'text/x-mediawiki/expanded',
+		cb: function ( args ) {
+			var msgParams = args.map( function ( kv ) {
+				return self._argText( kv );
+			} );
+			self._getMessage( key, function ( text ) {
+				if ( text === null ) {
+					cb( { tokens: [ '⧼' + name + '⧽' ] } );
+					return;
+				}
+				text = text.replace( /\$(\d+)/g, function ( all, n ) {
+					n = Number( n ) - 1;
+					return n >= 0 && n < msgParams.length ? msgParams[n] : all;
+				} );
+				self._processWikitext( text, cb );
+			} );
+		}
+	}, 1 );
+};
+
+/**
+ * Get the raw text of a message: from the messages fetched with the wiki
+ * config, or else from the page-info provider. cb gets null for missing
+ * messages.
+ */
+ParserFunctions.prototype._getMessage = function ( key, cb ) {
+	var messages = this.env.conf.wiki.messages;
+	if ( messages.hasOwnProperty( key ) ) {
+		cb( messages[key] );
+	} else {
+		this.env.pageInfo.getMessage( key, function ( err, text ) {
+			cb( err ? null : text );
+		} );
+	}
 };
-ParserFunctions.prototype.pf_currentmonthabbrev = function ( token, frame, cb, args ) {
-	cb( this._pf_time_tokens( 'M', [], {} ) );
+
+/**
+ * Tokenize and expand a wikitext string in the current frame, as the
+ * result of a parser function
+ */
+ParserFunctions.prototype._processWikitext = function ( text, cb ) {
+	var pipeline = this.manager.pipeFactory.getPipeline( 'text/x-mediawiki', {
+			isInclude: true,
+			wrapTemplates: false
+		} ),
+		tokens = [];
+	pipeline.setFrame( this.manager.frame, null );
+	pipeline.addListener( 'chunk', function ( chunk ) {
+		tokens = tokens.concat( Util.stripEOFTkfromTokens( chunk ) );
+	} );
+	pipeline.addListener( 'end', function () {
+		cb( { tokens: tokens } );
+	} );
+	pipeline.process( text );
+};
+
+/**
+ * The CURRENT* (UTC) and LOCAL* (wiki time zone) magic words, with the
+ * #time format of their value.
+ */
+var timeMagicWords = {
+	year: 'Y',
+	month: 'm',
+	month1: 'n',
+	monthname: 'F',
+	monthnamegen: 'xg',
+	monthabbrev: 'M',
+	dow: 'w',
+	day: 'j',
+	day2: 'd',
+	dayname: 'l',
+	time: 'H:i',
+	hour: 'H',
+	timestamp: 'xnYmdHis'
 };
+
+Object.keys( timeMagicWords ).forEach( function ( name ) {
+	var format = timeMagicWords[name];
+	ParserFunctions.prototype['pf_current' + name] = function ( token, frame, cb, args ) {
+		cb( this._pf_time_tokens( format, false ) );
+	};
+	ParserFunctions.prototype['pf_local' + name] = function ( token, frame, cb, args ) {
+		cb( this._pf_time_tokens( format, true ) );
+	};
+} );
+
+// No leading zero, unlike the W format code
 ParserFunctions.prototype.pf_currentweek = function ( token, frame, cb, args ) {
-	cb( this._pf_time_tokens( 'W', [], {} ) );
+	cb( { tokens: [ this._formatWeek( false ) ] } );
+};
+ParserFunctions.prototype.pf_localweek = function ( token, frame, cb, args ) {
+	cb( { tokens: [ this._formatWeek( true ) ] } );
+};
+
+ParserFunctions.prototype._formatWeek = function ( local ) {
+	var week = this.dateFormatter.sprintfDate( 'xnW', this._now(), this._timeZone( local ) );
+	return this.dateFormatter.formatNum( Number( week ) );
 };
-ParserFunctions.prototype.pf_currentdow = function ( token, frame, cb, args ) {
-	cb( this._pf_time_tokens( 'w', [], {} ) );
+
+/**
+ * Format the current time for the CURRENT* and LOCAL* magic words.
+ */
+ParserFunctions.prototype._pf_time_tokens = function ( format, local ) {
+	return { tokens: [ this.dateFormatter.sprintfDate( format, this._now(),
+		this._timeZone( local ) ) ] };
 };
-ParserFunctions.prototype.pf_currentday = function ( token, frame, cb, args ) {
-	cb( this._pf_time_tokens( 'j', [], {} ) );
+
+/**
+ * The environment's clock, see MWParserEnvironment.getCurrentTime
+ */
+ParserFunctions.prototype._now = function () {
+	return this.env.getCurrentTime();
 };
-ParserFunctions.prototype.pf_currentday2 = function ( token, frame, cb, args ) {
-	cb( this._pf_time_tokens( 'd', [], {} ) );
+
+/**
+ * UTC, or the wiki's local time zone ($wgLocaltimezone)
+ */
+ParserFunctions.prototype._timeZone = function ( local ) {
+	var wiki = this.env.conf.wiki;
+	return local ? { name: wiki.timezone, offset: wiki.timeOffset } : utcZone;
 };
-ParserFunctions.prototype.pf_currentdayname = function ( token, frame, cb, args ) {
-	cb( this._pf_time_tokens( 'l', [], {} ) );
+
+/**
+ * Does the text match an alias of the magic word?
+ */
+ParserFunctions.prototype._matchMagicWord = function ( name, text ) {
+	var magicWords = this.env.conf.wiki.magicWords;
+	text = ( text || '' ).trim();
+	return text !== '' &&
+		( magicWords[text] || magicWords[text.toLowerCase()] ) === name;
 };
-ParserFunctions.prototype.pf_currenttime = function ( token, frame, cb, args ) {
-	cb( this._pf_time_tokens( 'H:i', [], {} ) );
+
+ParserFunctions.prototype._errorTokens = function ( msg ) {
+	return [
+		new TagTk( 'strong', [ new KV( 'class', 'error' ) ] ),
+		msg,
+		new EndTagTk( 'strong' )
+	];
 };
 
-// A first approximation of time stuff.
-// TODO: Implement time spec (+ 1 day etc), check if formats are complete etc.
-// See http://www.mediawiki.org/wiki/Help:Extension:ParserFunctions#.23time
-// for the full list of requirements!
-//
-// First (very rough) approximation below based on
-// http://jacwright.com/projects/javascript/date_format/, MIT licensed.
+/**
+ * Positional arguments containing '=' are split into key and value by the
+ * tokenizer. Rejoin them, as #time wants the full argument text.
+ */
+ParserFunctions.prototype._argText = function ( kv ) {
+	var k = kv.k.constructor === String ? kv.k : Util.tokensToString( kv.k );
+	return ( k ? k + '=' + kv.v : kv.v ).trim();
+};
+
+/**
+ * {{#time:format|date|language|local}}, see
+ * http://www.mediawiki.org/wiki/Help:Extension:ParserFunctions#.23time
+ *
+ * The date argument is parsed by DateParser, which understands the formats
+ * PHP's DateTime does. The output is in UTC unless the local argument is
+ * set, in which case the wiki's time zone is used.
+ */
 ParserFunctions.prototype['pf_#time'] = function ( token, frame, cb, args ) {
-	cb ( { tokens: this._pf_time( args[0].k, args.slice(1) ) } );
+	this._pf_time( args, false, cb );
 };
 
-ParserFunctions.prototype._pf_time_tokens = function ( target, args ) {
-	return { tokens: this._pf_time( target, args ) };
+/**
+ * {{#timel:format|date|language}}: Same as #time, with local set.
+ */
+ParserFunctions.prototype['pf_#timel'] = function ( token, frame, cb, args ) {
+	this._pf_time( args, true, cb );
 };
 
-ParserFunctions.prototype._pf_time = function ( target, args ) {
-	var res,
-		tpl = target.trim();
-	//try {
-	//	var date = new Date( Util.tokensToString( args[1].v ) );
-	//	res = [ date.format( target ) ];
-	//} catch ( e ) {
-	//	this.env.dp( 'ERROR: #time ' + e );
+ParserFunctions.prototype._pf_time = function ( params, local, cb ) {
+	var self = this,
+		env = this.env,
+		format = params[0].k.trim();
 
-		try {
-			res = [ new Date().format ( tpl ) ];
-		} catch ( e2 ) {
-			this.env.dp( 'ERROR: #time ' + e2 );
-			res = [ new Date().toString() ];
-		}
-		return res;
-};
-
-// Simulates PHP's date function
-// FIXME: don't patch Date.prototype!
-Date.prototype.format = function(format) {
-    var returnStr = '';
-    var replace = Date.replaceChars;
-    for (var i = 0; i < format.length; i++) {
-		var curChar = format.charAt(i);
-		if (i - 1 >= 0 && format.charAt(i - 1) === "\\") {
-            returnStr += curChar;
-        }
-        else if (replace[curChar]) {
-            returnStr += replace[curChar].call(this);
-        } else if (curChar !== "\\"){
-            returnStr += curChar;
-        }
-    }
-    return returnStr;
-};
-
-// XXX: support localization
-Date.replaceChars = {
-    shortMonths: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug',
-					'Sep', 'Oct', 'Nov', 'Dec'],
-    longMonths: ['January', 'February', 'March', 'April', 'May', 'June',
-				'July', 'August', 'September', 'October', 'November', 'December'],
-    shortDays: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
-    longDays: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday',
-				'Friday', 'Saturday'],
-
-    // Day
-    d: function() { return (this.getDate() < 10 ? '0' : '') + this.getDate(); },
-    D: function() { return Date.replaceChars.shortDays[this.getDay()]; },
-    j: function() { return this.getDate(); },
-    l: function() { return Date.replaceChars.longDays[this.getDay()]; },
-    N: function() { return this.getDay() + 1; },
-    S: function() {
-		return (this.getDate() % 10 === 1 &&
-			this.getDate() !== 11 ? 'st' : (this.getDate() % 10 === 2 &&
-				this.getDate() !== 12 ? 'nd' : (this.getDate() % 10 === 3 &&
-					this.getDate() !== 13 ? 'rd' : 'th')));
-	},
-    w: function() { return this.getDay(); },
-    z: function() {
-		var d = new Date(this.getFullYear(),0,1);
-		return Math.ceil((this - d) / 86400000);
-	},
-    // Week
-    W: function() {
-		var d = new Date(this.getFullYear(), 0, 1);
-		return Math.ceil((((this - d) / 86400000) + d.getDay() + 1) / 7);
-	},
-    // Month
-    F: function() { return Date.replaceChars.longMonths[this.getMonth()]; },
-    m: function() { return (this.getMonth() < 9 ? '0' : '') + (this.getMonth() + 1); },
-    M: function() { return Date.replaceChars.shortMonths[this.getMonth()]; },
-    n: function() { return this.getMonth() + 1; },
-    t: function() {
-		var d = new Date();
-		return new Date(d.getFullYear(), d.getMonth(), 0).getDate();
-	},
-    // Year
-    L: function() {
-		var year = this.getFullYear();
-		return (year % 400 === 0 || (year % 100 !== 0 && year % 4 === 0));
-	},
-    o: function() {
-		var d  = new Date(this.valueOf());
-		d.setDate(d.getDate() - ((this.getDay() + 6) % 7) + 3);
-		return d.getFullYear();
-	},
-    Y: function() { return this.getFullYear(); },
-    y: function() { return ('' + this.getFullYear()).substr(2); },
-    // Time
-    a: function() { return this.getHours() < 12 ? 'am' : 'pm'; },
-    A: function() { return this.getHours() < 12 ? 'AM' : 'PM'; },
-    B: function() {
-		return Math.floor((((this.getUTCHours() + 1) % 24) +
-					this.getUTCMinutes() / 60 +
-					this.getUTCSeconds() / 3600) * 1000 / 24);
-	},
-    g: function() { return this.getHours() % 12 || 12; },
-    G: function() { return this.getHours(); },
-    h: function() {
-		return ((this.getHours() % 12 || 12) < 10 ? '0' : '') +
-			(this.getHours() % 12 || 12);
-	},
-    H: function() { return (this.getHours() < 10 ? '0' : '') + this.getHours(); },
-    i: function() { return (this.getMinutes() < 10 ? '0' : '') + this.getMinutes(); },
-    s: function() { return (this.getSeconds() < 10 ? '0' : '') + this.getSeconds(); },
-    u: function() {
-		var m = this.getMilliseconds();
-		return (m < 10 ? '00' : (m < 100 ? '0' : '')) + m;
-	},
-    // Timezone
-    e: function() { return "Not Yet Supported"; },
-    I: function() { return "Not Yet Supported"; },
-    O: function() {
-		return (-this.getTimezoneOffset() < 0 ? '-' : '+') +
-			(Math.abs(this.getTimezoneOffset() / 60) < 10 ? '0' : '') +
-			(Math.abs(this.getTimezoneOffset() / 60)) + '00';
-	},
-    P: function() {
-		return (-this.getTimezoneOffset() < 0 ? '-' : '+') +
-			(Math.abs(this.getTimezoneOffset() / 60) < 10 ? '0' : '') +
-			(Math.abs(this.getTimezoneOffset() / 60)) + ':00';
-	},
-    T: function() {
-		var m = this.getMonth();
-		this.setMonth(0);
-		var result = this.toTimeString().replace(/^.+ \(?([^\)]+)\)?$/, '$1');
-		this.setMonth(m);
-		return result;
-	},
-    Z: function() { return -this.getTimezoneOffset() * 60; },
-    // Full Date/Time
-    c: function() { return this.format("Y-m-d\\TH:i:sP"); },
-    r: function() { return this.toString(); },
-    U: function() { return this.getTime() / 1000; }
+	params.getSlice( {
+		type: 'text/x-mediawiki/expanded',
+		cb: function ( args ) {
+			var date = args[0] ? self._argText( args[0] ) : '',
+				lang = args[1] ? self._argText( args[1] ) : '',
+				localArg = args[2] ? self._argText( args[2] ) : '',
+				wiki = env.conf.wiki,
+				now = self._now(),
+				time, zone, formatter, ts;
+
+			// Like PHP, treat '0' as false
+			if ( localArg !== '' && localArg !== '0' ) {
+				local = true;
+			}
+
+			// Limit the total length of all format strings on a page, as
+			// the PHP implementation does
+			env.timeChars += format.length;
+			if ( env.timeChars > maxTimeChars ) {
+				cb( { tokens: self._errorTokens( 'Error: Too many #time calls.' ) } );
+				return;
+			}
+
+			if ( date === '' ) {
+				time = now;
+			} else {
+				// DateParser would interpret 'XXXX' as XX:XX o'clock
+				if ( /^[0-9]{4}$/.test( date ) ) {
+					date = '00:00 ' + date;
+				}
+				time = self.dateParser.parse( date, now );
+			}
+			if ( time === null ) {
+				cb( { tokens: self._errorTokens( 'Error: Invalid time.' ) } );
+				return;
+			}
+
+			zone = self._timeZone( local );
+
+			// Check the year range with the output time zone applied
+			ts = time + getZoneOffset( zone, time ) * 60000;
+			if ( ts < minTime ) {
+				cb( { tokens: self._errorTokens( 'Error: #time only supports years from 0.' ) } );
+				return;
+			} else if ( ts >= maxTime ) {
+				cb( { tokens: self._errorTokens( 'Error: #time only supports years up to 9999.' ) } );
+				return;
+			}
+
+			// Only English is available besides the content language
+			if ( lang === 'en' && wiki.lang !== 'en' ) {
+				formatter = self.englishDateFormatter;
+			} else {
+				formatter = self.dateFormatter;
+			}
+
+			cb( { tokens: [ formatter.sprintfDate( format, time, zone ) ] } );
+		}
+	}, 1, 4 );
 };
 
 ParserFunctions.prototype.pf_localurl = function ( token, frame, cb, args ) {
@@ -643,7 +804,6 @@ ParserFunctions.prototype.pf_localurl = function ( token, frame, cb, args ) {
 			},
 			function ( err, expandedArgs ) {
 				if ( err ) {
-					console.trace();
 					throw( err );
 				}
 				cb({ tokens: [ '/' +
@@ -664,36 +824,86 @@ ParserFunctions.prototype.pf_localurl = function ( token, frame, cb, args ) {
 
 // The page name and similar information should be carried around in
 // this.env
-ParserFunctions.prototype.pf_formatnum = function ( token, frame, cb, args ) {
-	var target = args[0].k;
-	cb( { tokens: [ target ] } );
+/**
+ * {{formatnum:number}} formats a number for the content language,
+ * {{formatnum:number|R}} undoes that and {{formatnum:number|NOSEP}} only
+ * transforms the digits.
+ */
+ParserFunctions.prototype.pf_formatnum = function ( token, frame, cb, params ) {
+	var self = this,
+		num = params[0].k.trim(),
+		formatter = NumberFormatter.forLanguage( this.env.conf.wiki.lang );
+	params.getSlice( {
+		type: 'text/x-mediawiki/expanded',
+		cb: function ( args ) {
+			var flag = args[0] ? args[0].v : '';
+			if ( self._matchMagicWord( 'rawsuffix', flag ) ) {
+				num = formatter.parseFormattedNumber( num );
+			} else if ( self._matchMagicWord( 'nocommafysuffix', flag ) ) {
+				num = formatter.formatNum( num, true );
+			} else {
+				num = formatter.formatNum( num );
+			}
+			cb( { tokens: [ num ] } );
+		}
+	}, 1, 2 );
 };
 ParserFunctions.prototype.pf_currentpage = function ( token, frame, cb, args ) {
 	var target = args[0].k;
 	cb( { tokens: [ target ] } );
 };
-ParserFunctions.prototype.pf_pagenamee = function ( token, frame, cb, args ) {
-	var target = args[0].k;
-	cb( { tokens: [ target.split(':', 2)[1] || '' ] } );
-};
-ParserFunctions.prototype.pf_fullpagename = function ( token, frame, cb, args ) {
-	var target = args[0].k;
-	cb( { tokens: [target || this.env.page.name || '' ] } );
-};
-ParserFunctions.prototype.pf_fullpagenamee = function ( token, frame, cb, args ) {
-	var target = args[0].k;
-	cb( { tokens: [ target || this.env.page.name || '' ] } );
-};
 // This should be doable with the information in the envirionment
 // (this.env) already.
 ParserFunctions.prototype.pf_fullurl = function ( token, frame, cb, args ) {
 	var target = args[0].k;
 	cb( { tokens: [ target || this.env.conf.wiki.articlePath + this.env.page.name || "http://example.com/fixme/" ] } );
 };
-ParserFunctions.prototype.pf_urlencode = function ( token, frame, cb, args ) {
-	var target = args[0].k;
-	this.env.tp( 'urlencode: ' + target  );
-	cb( { tokens: [encodeURIComponent(target.trim())] } );
+/**
+ * PHP's rawurlencode: Encode everything but letters, digits and -_.~
+ */
+function phpRawurlencode( s ) {
+	return encodeURIComponent( s ).replace( /[!'()*]/g, function ( c ) {
+		return '%' + c.charCodeAt( 0 ).toString( 16 ).toUpperCase();
+	} );
+}
+
+/**
+ * PHP's urlencode: Like rawurlencode, but spaces become '+' and '~' is
+ * encoded too
+ */
+function phpUrlencode( s ) {
+	return phpRawurlencode( s ).replace( /~/g, '%7E' ).replace( /%20/g, '+' );
+}
+
+/**
+ * MediaWiki's wfUrlencode: urlencode, but keep the characters that are
+ * safe in titles.
+ */
+function wfUrlencode( s ) {
+	return phpUrlencode( s )
+		.replace( /%(3B|40|24|21|2A|28|29|2C|2F|7E|3A)/g, function ( m, hex ) {
+			return String.fromCharCode( parseInt( hex, 16 ) );
+		} );
+}
+
+/**
+ * {{urlencode:string|style}}: Encode for a query string (QUERY, the
+ * default), a path (PATH) or a page name (WIKI)
+ */
+ParserFunctions.prototype.pf_urlencode = function ( token, frame, cb, params ) {
+	var self = this;
+	this._stringArgs( params, 2, function ( args ) {
+		var str = args[0],
+			style = args[1] || '';
+		if ( self._matchMagicWord( 'url_path', style ) ) {
+			str = phpRawurlencode( str );
+		} else if ( self._matchMagicWord( 'url_wiki', style ) ) {
+			str = wfUrlencode( str.replace( / /g, '_' ) );
+		} else {
+			str = phpUrlencode( str );
+		}
+		cb( { tokens: [ str ] } );
+	} );
 };
 
 // The following items all depends on information from the Wiki, so are hard
@@ -703,11 +913,70 @@ ParserFunctions.prototype.pf_urlencode = function ( token, frame, cb, args ) {
 // http://etherpad.wikimedia.org/ParserNotesExtensions and
 // http://www.mediawiki.org/wiki/Wikitext_parser/Environment.
 // There might be better solutions for some of these.
+//
+// Page existence, sizes, revision metadata and site statistics come from
+// the page-info provider (env.pageInfo, see mediawiki.PageInfo.js).
+
+/**
+ * Is the argument the raw suffix ('R'), which suppresses number formatting?
+ */
+ParserFunctions.prototype._isRaw = function ( text ) {
+	return this._matchMagicWord( 'rawsuffix', text );
+};
+
+ParserFunctions.prototype._formatRaw = function ( num, raw ) {
+	return raw ? String( num ) : Util.formatNum( num, this.env.conf.wiki.lang );
+};
+
 ParserFunctions.prototype['pf_#ifexist'] = function ( token, frame, cb, args ) {
-	this.expandKV( args[1], cb );
+	var self = this,
+		title = args[0].k.trim(),
+		wiki = this.env.conf.wiki,
+		nsMatch = title.match( /^:?([^:]+):(.*)$/ ),
+		nsid;
+	if ( !title ) {
+		this.expandKV( args[2], cb );
+		return;
+	}
+	// Media: links check the existence of the file
+	if ( nsMatch ) {
+		nsid = wiki.namespaceIds[nsMatch[1].toLowerCase().replace( /_/g, ' ' )];
+		if ( nsid === undefined ) {
+			nsid = wiki.canonicalNamespaces[nsMatch[1].toLowerCase().replace( / /g, '_' )];
+		}
+		if ( nsid === -2 ) {
+			title = ( wiki.namespaceNames[6] || 'File' ) + ':' + nsMatch[2];
+		}
+	}
+	this.env.pageInfo.getPageInfo( title, function ( err, info ) {
+		if ( err ) {
+			self.env.logger.debug( 'tt/parserfunctions', 'ifexist: page info lookup failed', err );
+		}
+		// Interwiki links can't be checked
+		self.expandKV( !err && info && info.exists ? args[1] : args[2], cb );
+	} );
 };
-ParserFunctions.prototype.pf_pagesize = function ( token, frame, cb, args ) {
-	cb( { tokens: [ '100' ] } );
+
+/**
+ * {{PAGESIZE:title|R}}: The size of a page in bytes
+ */
+ParserFunctions.prototype.pf_pagesize = function ( token, frame, cb, params ) {
+	var self = this,
+		title = params[0].k.trim();
+	params.getSlice( {
+		type: 'text/x-mediawiki/expanded',
+		cb: function ( args ) {
+			var raw = args[0] && self._isRaw( args[0].v );
+			if ( !title ) {
+				cb( { tokens: [ self._formatRaw( 0, raw ) ] } );
+				return;
+			}
+			self.env.pageInfo.getPageInfo( title, function ( err, info ) {
+				var size = !err && info && info.exists ? info.length || 0 : 0;
+				cb( { tokens: [ self._formatRaw( size, raw ) ] } );
+			} );
+		}
+	}, 1, 2 );
 };
 ParserFunctions.prototype.pf_sitename = function ( token, frame, cb, args ) {
 	cb( { tokens: [ "MediaWiki" ] } );
@@ -716,8 +985,23 @@ ParserFunctions.prototype.pf_anchorencode = function ( token, frame, cb, args )
 	var target = args[0].k;
 	cb( { tokens: [ target.trim() ] } );
 };
-ParserFunctions.prototype.pf_protectionlevel = function ( token, frame, cb, args ) {
-	cb( { tokens: [''] } );
+/**
+ * {{PROTECTIONLEVEL:action|title}}: The protection levels for an action
+ * ('edit', 'move' etc) on a page, by default the current one
+ */
+ParserFunctions.prototype.pf_protectionlevel = function ( token, frame, cb, params ) {
+	var self = this,
+		action = params[0].k.trim();
+	params.getSlice( {
+		type: 'text/x-mediawiki/expanded',
+		cb: function ( args ) {
+			var title = ( args[0] && args[0].v.trim() ) || self.env.page.name;
+			self.env.pageInfo.getPageInfo( title, function ( err, info ) {
+				var levels = !err && info && ( info.protection || {} )[action] || [];
+				cb( { tokens: [ levels.join( ',' ) ] } );
+			} );
+		}
+	}, 1, 2 );
 };
 ParserFunctions.prototype.pf_ns = function ( token, frame, cb, args ) {
 	var nsid, target = args[0].k, env = this.env;
@@ -733,15 +1017,6 @@ ParserFunctions.prototype.pf_ns = function ( token, frame, cb, args ) {
 	}
 	cb( { tokens: [target] } );
 };
-ParserFunctions.prototype.pf_subjectspace = function ( token, frame, cb, args ) {
-	cb( { tokens: ['Main'] } );
-};
-ParserFunctions.prototype.pf_talkspace = function ( token, frame, cb, args ) {
-	cb( { tokens: ['Talk'] } );
-};
-ParserFunctions.prototype.pf_numberofarticles = function ( token, frame, cb, args ) {
-	cb( { tokens: ["1"] } );
-};
 ParserFunctions.prototype['pf_#language'] = function ( token, frame, cb, args ) {
 	var target = args[0].k;
 	cb( { tokens: [target] } );
@@ -749,19 +1024,75 @@ ParserFunctions.prototype['pf_#language'] = function ( token, frame, cb, args )
 ParserFunctions.prototype.pf_contentlang = function ( token, frame, cb, args ) {
 	cb( { tokens: ['en'] } );
 };
-ParserFunctions.prototype.pf_numberoffiles = function ( token, frame, cb, args ) {
-	cb( { tokens: ['2'] } );
+
+/**
+ * The NUMBEROF* magic words, with the siteinfo statistic they show
+ */
+var siteStatsMagicWords = {
+	numberofarticles: 'articles',
+	numberoffiles: 'images',
+	numberofpages: 'pages',
+	numberofedits: 'edits',
+	numberofusers: 'users',
+	numberofactiveusers: 'activeusers',
+	numberofadmins: 'admins'
 };
-ParserFunctions.prototype.pf_namespace = function ( token, frame, cb, args ) {
-	var target = args[0].k;
-	cb( { tokens: [target.split(':').pop() || 'Main'] } );
+
+Object.keys( siteStatsMagicWords ).forEach( function ( name ) {
+	var stat = siteStatsMagicWords[name];
+	ParserFunctions.prototype['pf_' + name] = function ( token, frame, cb, args ) {
+		var self = this,
+			raw = this._isRaw( args[0].k );
+		this.env.pageInfo.getSiteStats( function ( err, stats ) {
+			cb( { tokens: [ self._formatRaw( !err && stats && stats[stat] || 0, raw ) ] } );
+		} );
+	};
+} );
+
+/**
+ * Info about the revision being parsed: The requested old revision, or
+ * the latest revision of the page.
+ */
+ParserFunctions.prototype._currentRevisionInfo = function ( cb ) {
+	var env = this.env;
+	if ( env.page.id ) {
+		env.pageInfo.getRevisionInfo( env.page.id, cb );
+	} else {
+		env.pageInfo.getPageInfo( env.page.name, cb );
+	}
 };
-ParserFunctions.prototype.pf_namespacee = function ( token, frame, cb, args ) {
-	var target = args[0].k;
-	cb( { tokens: [target.split(':').pop() || 'Main'] } );
+
+ParserFunctions.prototype.pf_revisionid = function ( token, frame, cb, args ) {
+	if ( this.env.page.id ) {
+		cb( { tokens: [ String( this.env.page.id ) ] } );
+		return;
+	}
+	this._currentRevisionInfo( function ( err, info ) {
+		cb( { tokens: [ !err && info && info.revid ? String( info.revid ) : '' ] } );
+	} );
 };
-ParserFunctions.prototype.pf_pagename = function ( token, frame, cb, args ) {
-	cb( { tokens: [this.env.page.name || ''] } );
+ParserFunctions.prototype.pf_revisiontimestamp = function ( token, frame, cb, args ) {
+	this._currentRevisionInfo( function ( err, info ) {
+		// ISO 8601 to a MediaWiki timestamp (YYYYMMDDHHMMSS)
+		cb( { tokens: [ !err && info && info.timestamp ?
+			info.timestamp.replace( /[\-:TZ]/g, '' ) : '' ] } );
+	} );
+};
+ParserFunctions.prototype.pf_revisionuser = function ( token, frame, cb, args ) {
+	this._currentRevisionInfo( function ( err, info ) {
+		cb( { tokens: [ !err && info && info.user || '' ] } );
+	} );
+};
+
+/**
+ * {{PAGEID}} or {{PAGEID:title}}
+ */
+ParserFunctions.prototype.pf_pageid = function ( token, frame, cb, args ) {
+	var title = args[0].k.trim() || this.env.page.name;
+	this.env.pageInfo.getPageInfo( title, function ( err, info ) {
+		cb( { tokens: [ !err && info && info.exists && info.pageid ?
+			String( info.pageid ) : '' ] } );
+	} );
 };
 ParserFunctions.prototype.pf_pagenamebase = function ( token, frame, cb, args ) {
 	cb( { tokens: [this.env.page.name || ''] } );
@@ -769,11 +1100,517 @@ ParserFunctions.prototype.pf_pagenamebase = function ( token, frame, cb, args )
 ParserFunctions.prototype.pf_scriptpath = function ( token, frame, cb, args ) {
 	cb( { tokens: [this.env.conf.wiki.wgScriptPath] } );
 };
-ParserFunctions.prototype.pf_talkpagename = function ( token, frame, cb, args ) {
-	cb( { tokens: [this.env.page.name.replace(/^[^:]:/, 'Talk:' ) || ''] } );
+
+/**
+ * {{DEFAULTSORT:key}}, {{DEFAULTSORT:key|noerror}} or
+ * {{DEFAULTSORT:key|noreplace}}: set the sort key of the page in its
+ * categories, tagged as a mw:PageProp/categorydefaultsort meta. Like the PHP
+ * parser, a later key replaces an earlier one (with a warning, unless
+ * noerror is given), and noreplace keeps the earlier one.
+ */
+ParserFunctions.prototype.pf_defaultsort = function ( token, frame, cb, args ) {
+	var env = this.env,
+		key = args[0].k.trim(),
+		flag = args[1] ? this._argText( args[1] ) : '',
+		old = env.defaultSort,
+		noReplace = this._matchMagicWord( 'defaultsort_noreplace', flag ),
+		tokens = [];
+
+	if ( key === '' ) {
+		cb( {} );
+		return;
+	}
+	if ( old === null || !noReplace ) {
+		env.defaultSort = key;
+		tokens.push( new SelfclosingTagTk( 'meta', [
+			new KV( 'property', 'mw:PageProp/categorydefaultsort' ),
+			new KV( 'content', key )
+		] ) );
+	}
+	if ( old !== null && old !== key && !noReplace &&
+			!this._matchMagicWord( 'defaultsort_noerror', flag ) ) {
+		tokens.push(
+			new TagTk( 'span', [ new KV( 'class', 'error' ) ] ),
+			new TagTk( 'strong' ),
+			'Warning:',
+			new EndTagTk( 'strong' ),
+			' Default sort key "' + key + '" overrides earlier default sort key "' +
+				old + '".',
+			new EndTagTk( 'span' )
+		);
+	}
+	cb( { tokens: tokens } );
+};
+
+/**
+ * Make a Title from the argument of a title magic word, or from the current
+ * page if it is empty. Returns null for invalid titles.
+ */
+ParserFunctions.prototype._makeTitle = function ( text ) {
+	var wiki = this.env.conf.wiki,
+		nsid = 0,
+		nsText = '',
+		m;
+
+	text = ( text.trim() || this.env.page.name || '' )
+		.replace( /#.*$/, '' )
+		.replace( /[\s_]+/g, ' ' )
+		.trim();
+	if ( text[0] === ':' ) {
+		text = text.substr( 1 ).trim();
+	}
+	if ( !text || /[<>\[\]{}|]/.test( text ) ) {
+		return null;
+	}
+
+	m = text.match( /^([^:]+?) ?: ?(.*)$/ );
+	if ( m && wiki.getNamespaceId( m[1] ) !== undefined ) {
+		nsid = wiki.getNamespaceId( m[1] );
+		nsText = m[1];
+		text = m[2];
+		if ( !text ) {
+			return null;
+		}
+	}
+	if ( !wiki.caseSensitive ) {
+		text = text[0].toUpperCase() + text.substr( 1 );
+	}
+	return new Title( text.replace( / /g, '_' ), nsid, nsText, this.env );
+};
+
+/**
+ * The title magic words, with a function returning their value for a
+ * Title. All but NAMESPACENUMBER also have an E-suffixed variant which
+ * URL-encodes the value.
+ */
+var titleMagicWords = {
+	pagename: function ( t ) {
+		return t.getText();
+	},
+	fullpagename: function ( t ) {
+		return t.getFullText();
+	},
+	basepagename: function ( t ) {
+		return t.getBaseText();
+	},
+	rootpagename: function ( t ) {
+		return t.getRootText();
+	},
+	subpagename: function ( t ) {
+		return t.getSubpageText();
+	},
+	subjectpagename: function ( t ) {
+		return t.getSubjectPage().getFullText();
+	},
+	articlepagename: function ( t ) {
+		return t.getSubjectPage().getFullText();
+	},
+	talkpagename: function ( t ) {
+		var talk = t.getTalkPage();
+		return talk ? talk.getFullText() : '';
+	},
+	namespace: function ( t ) {
+		return t.getNamespaceText();
+	},
+	subjectspace: function ( t ) {
+		return t.getSubjectPage().getNamespaceText();
+	},
+	articlespace: function ( t ) {
+		return t.getSubjectPage().getNamespaceText();
+	},
+	talkspace: function ( t ) {
+		var talk = t.getTalkPage();
+		return talk ? talk.getNamespaceText() : '';
+	},
+	namespacenumber: function ( t ) {
+		return String( t.ns.id );
+	}
+};
+
+Object.keys( titleMagicWords ).forEach( function ( name ) {
+	var getValue = titleMagicWords[name];
+	ParserFunctions.prototype['pf_' + name] = function ( token, frame, cb, args ) {
+		var title = this._makeTitle( args[0].k );
+		cb( { tokens: [ title ? getValue( title ) : '' ] } );
+	};
+	if ( name !== 'namespacenumber' ) {
+		ParserFunctions.prototype['pf_' + name + 'e'] = function ( token, frame, cb, args ) {
+			var title = this._makeTitle( args[0].k );
+			cb( { tokens: [ title ?
+				wfUrlencode( getValue( title ).replace( / /g, '_' ) ) : '' ] } );
+		};
+	}
+} );
+
+/**
+ * PHP's array_slice, including negative offsets and lengths
+ */
+function phpSlice( arr, offset, length ) {
+	var start = offset < 0 ? Math.max( arr.length + offset, 0 ) : offset,
+		end;
+	if ( length === undefined ) {
+		end = arr.length;
+	} else if ( length < 0 ) {
+		end = arr.length + length;
+	} else {
+		end = start + length;
+	}
+	return arr.slice( start, end );
+}
+
+/**
+ * {{#titleparts:title|number of parts|first part}}
+ */
+ParserFunctions.prototype['pf_#titleparts'] = function ( token, frame, cb, params ) {
+	var self = this,
+		text = params[0].k.trim();
+	params.getSlice( {
+		type: 'text/x-mediawiki/expanded',
+		cb: function ( args ) {
+			var parts = parseInt( args[0] && args[0].v, 10 ) || 0,
+				offset = parseInt( args[1] && args[1].v, 10 ) || 0,
+				title = text && self._makeTitle( text ),
+				bits, full;
+			if ( !title ) {
+				cb( { tokens: [ text ] } );
+				return;
+			}
+			full = title.getFullText();
+			// Like explode( '/', $text, 25 ): at most 25 parts
+			bits = full.split( '/' );
+			if ( bits.length > 25 ) {
+				bits = bits.slice( 0, 24 ).concat( [ bits.slice( 24 ).join( '/' ) ] );
+			}
+			if ( offset > 0 ) {
+				offset--;
+			}
+			bits = parts === 0 ? phpSlice( bits, offset ) : phpSlice( bits, offset, parts );
+			cb( { tokens: [ bits.join( '/' ) ] } );
+		}
+	}, 1, 3 );
+};
+
+/* ---------------------------------------------------------------------------
+ * String functions, see
+ * http://www.mediawiki.org/wiki/Extension:ParserFunctions/String_functions
+ *
+ * Like PHP's mb_* functions, lengths and positions count characters (code
+ * points). Strings longer than maxStringLength are rejected with an error.
+ * ------------------------------------------------------------------------- */
+
+/**
+ * PHP's mb_substr: negative starts count from the end, negative lengths
+ * leave off characters at the end
+ */
+function mbSubstr( str, start, length ) {
+	var chars = codePoints( str ),
+		end;
+	if ( start < 0 ) {
+		start = Math.max( chars.length + start, 0 );
+	}
+	if ( length === undefined ) {
+		end = chars.length;
+	} else if ( length < 0 ) {
+		end = chars.length + length;
+	} else {
+		end = start + length;
+	}
+	return start < end ? chars.slice( start, end ).join( '' ) : '';
+}
+
+/**
+ * The character offset of a UTF-16 offset in a string
+ */
+function charOffset( str, offset ) {
+	return codePoints( str.substr( 0, offset ) ).length;
+}
+
+/**
+ * PHP's urldecode: '+' becomes a space, and %XX sequences are decoded
+ */
+function phpUrldecode( s ) {
+	return s.replace( /\+/g, ' ' ).replace( /(%[0-9a-fA-F]{2})+/g, function ( seq ) {
+		try {
+			return decodeURIComponent( seq );
+		} catch ( e ) {
+			// Not UTF-8, leave it alone
+			return seq;
+		}
+	} );
+}
+
+/**
+ * Expand the first count arguments to strings, trimmed like in PHP, and
+ * pass them to cb as an array. Missing arguments are undefined.
+ */
+ParserFunctions.prototype._stringArgs = function ( params, count, cb ) {
+	var self = this,
+		first = params[0].k.trim();
+	params.getSlice( {
+		type: 'text/x-mediawiki/expanded',
+		cb: function ( args ) {
+			var strs = [ first ];
+			for ( var i = 0; i < count - 1; i++ ) {
+				strs.push( args[i] ? self._argText( args[i] ) : undefined );
+			}
+			cb( strs );
+		}
+	}, 1, count );
+};
+
+/**
+ * Call a parser function of a plugin (see mediawiki.ExtensionRegistry.js)
+ * with the expanded arguments
+ */
+ParserFunctions.prototype.callPlugin = function ( spec, cb, params ) {
+	var self = this;
+	cb( { async: true } );
+	this._stringArgs( params, params.length, function ( args ) {
+		ExtensionRegistry.callHandler( spec, [ args, self.env ], function ( err, result ) {
+			if ( err ) {
+				self.env.logger.error( 'tt/template', 'The parser function ' +
+					spec.name + ' failed:', err );
+				cb( { tokens: self._errorTokens( 'Error: ' + ( err.message || err ) ) } );
+			} else {
+				cb( { tokens: [].concat( result === undefined || result === null ? [] : result ) } );
+			}
+		} );
+	} );
+};
+
+/**
+ * Check that none of the strings is longer than maxStringLength
+ */
+ParserFunctions.prototype._checkLength = function ( strs ) {
+	return strs.every( function ( str ) {
+		return str === undefined || codePoints( str ).length <= maxStringLength;
+	} );
+};
+
+ParserFunctions.prototype._stringTooLongTokens = function () {
+	return this._errorTokens( 'Error: String exceeds ' +
+		Util.formatNum( maxStringLength, this.env.conf.wiki.lang ) +
+		' character limit.' );
+};
+
+/**
+ * {{#len:string}}
+ */
+ParserFunctions.prototype['pf_#len'] = function ( token, frame, cb, params ) {
+	cb( { tokens: [ String( codePoints( params[0].k.trim() ).length ) ] } );
 };
 
-// TODO: #titleparts, SUBJECTPAGENAME, BASEPAGENAME. SUBPAGENAME, DEFAULTSORT
+/**
+ * {{#pos:string|search term|offset}}: The position of the search term, or
+ * nothing if it isn't found. The search term defaults to a space.
+ */
+ParserFunctions.prototype['pf_#pos'] = function ( token, frame, cb, params ) {
+	var self = this;
+	this._stringArgs( params, 3, function ( args ) {
+		var str = args[0],
+			needle = args[1] || ' ',
+			length = codePoints( str ).length,
+			offset = Math.min( phpIntval( args[2] ), length ),
+			pos;
+		if ( !self._checkLength( args.slice( 0, 2 ) ) ) {
+			cb( { tokens: self._stringTooLongTokens() } );
+			return;
+		}
+		if ( offset < 0 ) {
+			offset = Math.max( length + offset, 0 );
+		}
+		pos = str.indexOf( needle, mbSubstr( str, 0, offset ).length );
+		cb( { tokens: [ pos === -1 ? '' : String( charOffset( str, pos ) ) ] } );
+	} );
+};
+
+/**
+ * {{#rpos:string|search term}}: The position of the last occurrence of the
+ * search term, or -1 if it isn't found
+ */
+ParserFunctions.prototype['pf_#rpos'] = function ( token, frame, cb, params ) {
+	var self = this;
+	this._stringArgs( params, 2, function ( args ) {
+		var str = args[0],
+			pos;
+		if ( !self._checkLength( args ) ) {
+			cb( { tokens: self._stringTooLongTokens() } );
+			return;
+		}
+		pos = str.lastIndexOf( args[1] || ' ' );
+		cb( { tokens: [ pos === -1 ? '-1' : String( charOffset( str, pos ) ) ] } );
+	} );
+};
+
+/**
+ * {{#sub:string|start|length}}: A substring, see mbSubstr. A length of 0
+ * (the default) means the rest of the string.
+ */
+ParserFunctions.prototype['pf_#sub'] = function ( token, frame, cb, params ) {
+	var self = this;
+	this._stringArgs( params, 3, function ( args ) {
+		var start = phpIntval( args[1] ),
+			length = phpIntval( args[2] );
+		if ( !self._checkLength( [ args[0] ] ) ) {
+			cb( { tokens: self._stringTooLongTokens() } );
+			return;
+		}
+		cb( { tokens: [ mbSubstr( args[0], start, length === 0 ? undefined : length ) ] } );
+	} );
+};
+
+/**
+ * {{#count:string|search term}}: The number of non-overlapping occurrences
+ * of the search term
+ */
+ParserFunctions.prototype['pf_#count'] = function ( token, frame, cb, params ) {
+	var self = this;
+	this._stringArgs( params, 2, function ( args ) {
+		if ( !self._checkLength( args ) ) {
+			cb( { tokens: self._stringTooLongTokens() } );
+			return;
+		}
+		cb( { tokens: [ String( args[0].split( args[1] || ' ' ).length - 1 ) ] } );
+	} );
+};
+
+/**
+ * {{#replace:string|search term|replacement|limit}}: Replace the first
+ * limit occurrences of the search term, all by default. The number of
+ * replacements is also limited so the result stays below maxStringLength.
+ */
+ParserFunctions.prototype['pf_#replace'] = function ( token, frame, cb, params ) {
+	var self = this;
+	this._stringArgs( params, 4, function ( args ) {
+		var str = args[0],
+			from = args[1] || ' ',
+			to = args[2] || '',
+			diff = codePoints( to ).length - codePoints( from ).length,
+			limit = -1,
+			inLimit, parts, result;
+		if ( !self._checkLength( args.slice( 0, 3 ) ) ) {
+			cb( { tokens: self._stringTooLongTokens() } );
+			return;
+		}
+		if ( diff > 0 ) {
+			limit = Math.floor( ( maxStringLength - codePoints( str ).length ) / diff ) + 1;
+		}
+		if ( args[3] !== undefined ) {
+			inLimit = phpIntval( args[3] );
+			if ( inLimit >= 0 && ( limit > inLimit || limit === -1 ) ) {
+				limit = inLimit;
+			}
+		}
+
+		parts = str.split( from );
+		if ( limit === -1 || parts.length - 1 <= limit ) {
+			result = parts.join( to );
+		} else {
+			result = parts.slice( 0, limit + 1 ).join( to ) + from +
+				parts.slice( limit + 1 ).join( from );
+		}
+		if ( !self._checkLength( [ result ] ) ) {
+			cb( { tokens: self._stringTooLongTokens() } );
+			return;
+		}
+		cb( { tokens: [ result ] } );
+	} );
+};
+
+/**
+ * {{#explode:string|delimiter|position|limit}}: A piece of the string split
+ * at the delimiter (a space by default). Negative positions count from the
+ * end; a limit caps the number of pieces, the last one holding the rest.
+ */
+ParserFunctions.prototype['pf_#explode'] = function ( token, frame, cb, params ) {
+	var self = this;
+	this._stringArgs( params, 4, function ( args ) {
+		var delimiter = args[1] || ' ',
+			pos = phpIntval( args[2] ),
+			limit = phpIntval( args[3] ),
+			parts;
+		if ( !self._checkLength( [ args[0], delimiter ] ) ) {
+			cb( { tokens: self._stringTooLongTokens() } );
+			return;
+		}
+		parts = args[0].split( delimiter );
+		if ( limit > 0 && parts.length > limit ) {
+			parts = parts.slice( 0, limit - 1 ).concat(
+				[ parts.slice( limit - 1 ).join( delimiter ) ] );
+		}
+		if ( pos < 0 ) {
+			pos += parts.length;
+		}
+		cb( { tokens: [ pos >= 0 && pos < parts.length ? parts[pos] : '' ] } );
+	} );
+};
+
+/**
+ * {{#urlencode:string}}: PHP's urlencode
+ */
+ParserFunctions.prototype['pf_#urlencode'] = function ( token, frame, cb, params ) {
+	cb( { tokens: [ phpUrlencode( params[0].k.trim() ) ] } );
+};
+
+/**
+ * {{#urldecode:string}}: PHP's urldecode
+ */
+ParserFunctions.prototype['pf_#urldecode'] = function ( token, frame, cb, params ) {
+	var str = params[0].k.trim();
+	if ( !this._checkLength( [ str ] ) ) {
+		cb( { tokens: this._stringTooLongTokens() } );
+	} else {
+		cb( { tokens: [ phpUrldecode( str ) ] } );
+	}
+};
+
+/**
+ * {{#rel2abs:path|base path}}: Resolve a relative path ('../foo', './bar'
+ * or '/baz') against the base path, by default the current page
+ */
+ParserFunctions.prototype['pf_#rel2abs'] = function ( token, frame, cb, params ) {
+	var self = this;
+	this._stringArgs( params, 2, function ( args ) {
+		var to = args[0].replace( /[ \/]+$/, '' ),
+			from = args[1] || '',
+			resolved = [],
+			current, fullPath, parts, i;
+
+		if ( from === '' ) {
+			current = self._makeTitle( '' );
+			from = current ? current.getFullText() : '';
+		}
+		// An empty path, or just one containing a dot
+		if ( to === '' || to === '.' ) {
+			cb( { tokens: [ from ] } );
+			return;
+		}
+		// Paths that aren't relative don't use the base path
+		if ( !/^(\/|\.\/|\.\.\/)/.test( to ) && to !== '..' ) {
+			from = '';
+		}
+
+		fullPath = ( '/' + from + '/' + to + '/' )
+			// Remove redundant current path dots and double slashes
+			.replace( /\/(\.\/)+/g, '/' )
+			.replace( /\/{2,}/g, '/' )
+			.replace( /^\/+|\/+$/g, '' );
+		parts = fullPath.split( '/' );
+		for ( i = 0; i < parts.length; i++ ) {
+			if ( parts[i] !== '..' ) {
+				resolved.push( parts[i] );
+			} else if ( resolved.length ) {
+				resolved.pop();
+			} else {
+				// Attempted to access a node above the root node
+				cb( { tokens: self._errorTokens( 'Error: Invalid depth in path: "' +
+					fullPath + '" (tried to access a node above the root node).' ) } );
+				return;
+			}
+		}
+		cb( { tokens: [ resolved.join( '/' ) ] } );
+	} );
+};
 
 if (typeof module === "object") {
 	module.exports.ParserFunctions = ParserFunctions;
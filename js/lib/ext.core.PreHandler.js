@@ -78,9 +78,14 @@ function PreHandler( manager, options ) {
 	this.manager.addTransform(this.onEnd.bind(this),
 		"PreHandler:onEnd", this.endRank, 'end');
 	var env = manager.env;
-	this.debug = env.conf.parsoid.debug || (env.conf.parsoid.traceFlags && (env.conf.parsoid.traceFlags.indexOf("pre_debug") !== -1));
-	this.trace = this.debug || (env.conf.parsoid.traceFlags && (env.conf.parsoid.traceFlags.indexOf("pre") !== -1));
+	// The state transitions are logged at debug level, the saved and
+	// returned tokens at trace level
+	this.logger = env.logger;
+	this.debug = this.logger.isEnabled('trace', 'tt/pre');
+	this.trace = this.logger.isEnabled('debug', 'tt/pre');
+	this.options = options;
 	init(this, true);
+	startContent(this);
 }
 
 // Handler ranks
@@ -127,6 +132,14 @@ PreHandler.prototype.moveToIgnoreState = function() {
 	this.manager.removeTransform(this.anyRank, 'any');
 };
 
+// Content that doesn't start a line, like an image caption, has no
+// indent-pre on its first line
+function startContent(handler) {
+	if (handler.options && handler.options.inlineContext) {
+		handler.moveToIgnoreState();
+	}
+}
+
 PreHandler.prototype.popLastNL = function(ret) {
 	if (this.lastNlTk) {
 		ret.push(this.lastNlTk);
@@ -197,8 +210,8 @@ PreHandler.prototype.onNewline = function (token, manager, cb) {
 	}
 
 	if (this.trace) {
-		if (this.debug) console.warn("----------");
-		console.warn("T:pre:nl : " + PreHandler.STATE_STR[this.state] + " : " + JSON.stringify(token));
+		if (this.debug) this.logger.trace('tt/pre', "----------");
+		this.logger.debug('tt/pre', "T:pre:nl : " + PreHandler.STATE_STR[this.state] + " : " + JSON.stringify(token));
 	}
 
 	// Whenever we move into SOL-state, init preTSR to
@@ -244,8 +257,8 @@ PreHandler.prototype.onNewline = function (token, manager, cb) {
 	}
 
 	if (this.debug) {
-		console.warn("saved: " + JSON.stringify(this.tokens));
-		console.warn("ret  : " + JSON.stringify(ret));
+		this.logger.trace('tt/pre', "saved: " + JSON.stringify(this.tokens));
+		this.logger.trace('tt/pre', "ret  : " + JSON.stringify(ret));
 	}
 
 	return { tokens: ret };
@@ -253,12 +266,14 @@ PreHandler.prototype.onNewline = function (token, manager, cb) {
 
 PreHandler.prototype.onEnd = function (token, manager, cb) {
 	if (this.state !== PreHandler.STATE_IGNORE) {
-		console.error("!ERROR! Not IGNORE! Cannot get here: " + this.state + "; " + JSON.stringify(token));
+		this.logger.error('tt/pre', "Not IGNORE! Cannot get here: " + this.state + "; " + JSON.stringify(token));
 		init(this, false);
+		startContent(this);
 		return {tokens: [token]};
 	}
 
 	init(this, true);
+	startContent(this);
 	return {tokens: [token]};
 };
 
@@ -280,12 +295,12 @@ function getUpdatedPreTSR(tsr, token) {
 PreHandler.prototype.onAny = function ( token, manager, cb ) {
 
 	if (this.trace) {
-		if (this.debug) console.warn("----------");
-		console.warn("T:pre:any: " + PreHandler.STATE_STR[this.state] + " : " + JSON.stringify(token));
+		if (this.debug) this.logger.trace('tt/pre', "----------");
+		this.logger.debug('tt/pre', "T:pre:any: " + PreHandler.STATE_STR[this.state] + " : " + JSON.stringify(token));
 	}
 
 	if (this.state === PreHandler.STATE_IGNORE) {
-		console.error("!ERROR! IGNORE! Cannot get here: " + JSON.stringify(token));
+		this.logger.error('tt/pre', "IGNORE! Cannot get here: " + JSON.stringify(token));
 		return {tokens: null};
 	}
 
@@ -306,6 +321,7 @@ PreHandler.prototype.onAny = function ( token, manager, cb ) {
 
 		// reset for next use of this pipeline!
 		init(this, false);
+		startContent(this);
 	} else {
 		switch (this.state) {
 			case PreHandler.STATE_SOL:
@@ -388,8 +404,8 @@ PreHandler.prototype.onAny = function ( token, manager, cb ) {
 	}
 
 	if (this.debug) {
-		console.warn("saved: " + JSON.stringify(this.tokens));
-		console.warn("ret  : " + JSON.stringify(ret));
+		this.logger.trace('tt/pre', "saved: " + JSON.stringify(this.tokens));
+		this.logger.trace('tt/pre', "ret  : " + JSON.stringify(ret));
 	}
 
 	return { tokens: ret };
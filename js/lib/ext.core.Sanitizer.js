@@ -540,7 +540,13 @@ var SanitizerConstants = {
 				'figcaption' : common,
 
 				// HTML 5 section 4.6
-				'bdi' : common
+				'bdi' : common,
+
+				// HTML 5 section 4.8.6, for the players of audio and video
+				// files. Not in the tag whitelist, so not usable in
+				// wikitext.
+				'video'      : common.concat([ 'poster', 'controls', 'preload', 'width', 'height' ]),
+				'audio'      : common.concat([ 'controls', 'preload' ])
 			};
 		}
 
@@ -20,6 +20,7 @@ var events = require('events'),
 	PreprocessorRequest = api.PreprocessorRequest,
 	PHPParseRequest = api.PHPParseRequest,
 	Util = require('./mediawiki.Util.js').Util,
+	ExtensionRegistry = require('./mediawiki.ExtensionRegistry.js').ExtensionRegistry,
 	DOMUtils = require('./mediawiki.DOMUtils.js').DOMUtils;
 
 function TemplateHandler ( manager, options ) {
@@ -154,7 +155,21 @@ TemplateHandler.prototype.resolveTemplateTarget = function ( targetToks ) {
 	// Check if we have a parser function
 	var prefix = target.split(':', 1)[0].trim();
 	var lowerPrefix = prefix.toLowerCase();
-	var translatedPrefix = env.conf.wiki.magicWords[prefix] || env.conf.wiki.magicWords[lowerPrefix] || lowerPrefix;
+	// The aliases of some parser functions end in a colon, like DEFAULTSORTKEY:
+	var translatedPrefix = env.conf.wiki.magicWords[prefix] || env.conf.wiki.magicWords[lowerPrefix] ||
+		env.conf.wiki.magicWords[prefix + ':'] || lowerPrefix;
+	// Parser functions of plugins first, see mediawiki.ExtensionRegistry.js
+	var plugin = translatedPrefix &&
+		( env.getParserFunction( translatedPrefix ) || env.getParserFunction( lowerPrefix ) );
+	if ( plugin ) {
+		return {
+			isPF: true,
+			prefix: prefix,
+			target: translatedPrefix,
+			plugin: plugin,
+			pfArg: target.substr( prefix.length + 1 )
+		};
+	}
 	if ( translatedPrefix && 'pf_' + translatedPrefix in this.parserFunctions ) {
 		return {
 			isPF: true,
@@ -234,8 +249,7 @@ TemplateHandler.prototype._expandTemplate = function ( state, frame, cb, attribs
 		self = this;
 
 	if ( ! target ) {
-		env.ap( 'No target! ', attribs );
-		console.trace();
+		env.logger.warn( 'tt/template', 'No target! ', attribs, new Error().stack );
 	}
 
 	var resolvedTgt = this.resolveTemplateTarget(target);
@@ -260,7 +274,7 @@ TemplateHandler.prototype._expandTemplate = function ( state, frame, cb, attribs
 	if ( resolvedTgt.isPF ) {
 		var pfAttribs = new Params( env, attribs );
 		pfAttribs[0] = new KV( resolvedTgt.pfArg, [] );
-		env.dp( 'entering prefix', target, state.token  );
+		env.logger.debug( 'tt/template', 'entering prefix', target, state.token  );
 		var newCB;
 		if (this.options.wrapTemplates) {
 			newCB = this._parserFunctionsWrapper.bind(this, state, cb);
@@ -268,7 +282,11 @@ TemplateHandler.prototype._expandTemplate = function ( state, frame, cb, attribs
 			newCB = cb;
 		}
 		state.tokenTarget = target;
-		this.parserFunctions[target](state.token, this.manager.frame, newCB, pfAttribs);
+		if ( resolvedTgt.plugin ) {
+			this.parserFunctions.callPlugin( resolvedTgt.plugin, newCB, pfAttribs );
+		} else {
+			this.parserFunctions[target](state.token, this.manager.frame, newCB, pfAttribs);
+		}
 		return;
 	}
 
@@ -317,6 +335,11 @@ TemplateHandler.prototype._processTemplateAndTitle = function( state, frame, cb,
 		//this.manager.env.errCB(err);
 	}
 
+	if ( !this.manager.env.limits.add( 'includeSize', src.length ) ) {
+		// The parse was aborted
+		return;
+	}
+
 	//console.log( "=================================");
 	//console.log( name );
 	//console.log( "---------------------------------");
@@ -342,7 +365,7 @@ TemplateHandler.prototype._processTemplateAndTitle = function( state, frame, cb,
 	pipeline.addListener( 'chunk', this._onChunk.bind ( this, state, cb ) );
 	pipeline.addListener( 'end', this._onEnd.bind ( this, state, cb ) );
 	// Feed the pipeline. XXX: Support different formats.
-	this.manager.env.dp( 'TemplateHandler._processTemplateAndTitle', name, attribs );
+	this.manager.env.logger.debug( 'tt/template', 'TemplateHandler._processTemplateAndTitle', name, attribs );
 	pipeline.process ( src, cacheKey );
 };
 
@@ -449,8 +472,8 @@ TemplateHandler.prototype.getEncapsulationInfoEndTag = function ( state ) {
  */
 TemplateHandler.prototype._onChunk = function( state, cb, chunk ) {
 	var env = this.manager.env;
-	if (env.conf.parsoid.trace) {
-		env.tracer.startPass("TemplateHandler:onChunk (" + state.token.toString(true) + ")");
+	if (env.logger.isEnabled('trace', 'tt/template')) {
+		env.logger.trace('tt/template', "---- start: TemplateHandler:onChunk (" + state.token.toString(true) + ") ----");
 	}
 	chunk = Util.stripEOFTkfromTokens( chunk );
 
@@ -461,10 +484,10 @@ TemplateHandler.prototype._onChunk = function( state, cb, chunk ) {
 		if (chunk[i] && chunk[i].dataAttribs && chunk[i].dataAttribs.tsr ) {
 			if ( Object.isFrozen( chunk[i] ) ) {
 				if ( ! Object.isFrozen( chunk ) ) {
-					env.tp( 'TemplateHandler: Cloning object for tsr' );
+					env.logger.trace( 'tt/template', 'TemplateHandler: Cloning object for tsr' );
 					chunk[i] = Util.clone(chunk[i], true);
 				} else {
-					env.tp( 'ERROR: would need to clone the entire chunk' );
+					env.logger.trace( 'tt/template', 'ERROR: would need to clone the entire chunk' );
 				}
 			}
 			delete chunk[i].dataAttribs.tsr;
@@ -498,10 +521,10 @@ TemplateHandler.prototype._onChunk = function( state, cb, chunk ) {
 		chunk = newChunk;
 	}
 
-	env.dp( 'TemplateHandler._onChunk', chunk );
+	env.logger.debug( 'tt/template', 'TemplateHandler._onChunk', chunk );
 	cb( { tokens: chunk, async: true } );
-	if (env.conf.parsoid.trace) {
-		env.tracer.endPass("TemplateHandler:onChunk (" + state.token.toString(true) + ")");
+	if (env.logger.isEnabled('trace', 'tt/template')) {
+		env.logger.trace('tt/template', "---- end: TemplateHandler:onChunk (" + state.token.toString(true) + ") ----");
 	}
 };
 
@@ -510,7 +533,7 @@ TemplateHandler.prototype._onChunk = function( state, cb, chunk ) {
  * the template source.
  */
 TemplateHandler.prototype._onEnd = function( state, cb ) {
-	this.manager.env.dp( 'TemplateHandler._onEnd' );
+	this.manager.env.logger.debug( 'tt/template', 'TemplateHandler._onEnd' );
 	if (this.options.wrapTemplates) {
 		var tsr = state.token.dataAttribs.tsr,
 			endTag = this.getEncapsulationInfoEndTag(state),
@@ -531,18 +554,18 @@ TemplateHandler.prototype._fetchTemplateAndTitle = function ( title, parentCB, c
 	if ( title in env.pageCache ) {
 		// XXX: store type too (and cache tokens/x-mediawiki)
 		cb(null, env.pageCache[title] /* , type */ );
-	} else if ( ! env.conf.parsoid.fetchTemplates ) {
+	} else if ( ! env.conf.parsoid.fetchTemplates && ! env.conf.parsoid.pageSource ) {
 		parentCB(  { tokens: [ 'Warning: Page/template fetching disabled, and no cache for ' +
 				title ] } );
 	} else {
 
 		// We are about to start an async request for a template
-		env.dp( 'Note: trying to fetch ', title );
+		env.logger.debug( 'tt/template', 'Note: trying to fetch ', title );
 
 		// Start a new request if none is outstanding
-		//env.dp( 'requestQueue: ', env.requestQueue );
+		//env.logger.debug( 'tt/template', 'requestQueue: ', env.requestQueue );
 		if ( env.requestQueue[title] === undefined ) {
-			env.tp( 'Note: Starting new request for ' + title );
+			env.logger.trace( 'tt/template', 'Note: Starting new request for ' + title );
 			env.requestQueue[title] = new TemplateRequest( env, title );
 		}
 		// Idea: Append a listener to the request at the toplevel, but prepend at
@@ -575,12 +598,12 @@ TemplateHandler.prototype.fetchExpandedTplOrExtension = function ( title, text,
 	} else {
 
 		// We are about to start an async request for a template/extension
-		env.dp( 'Note: trying to expand ', text );
+		env.logger.debug( 'tt/template', 'Note: trying to expand ', text );
 
 		// Start a new request if none is outstanding
-		//env.dp( 'requestQueue: ', env.requestQueue );
+		//env.logger.debug( 'tt/template', 'requestQueue: ', env.requestQueue );
 		if ( env.requestQueue[text] === undefined ) {
-			env.tp( 'Note: Starting new request for ' + text );
+			env.logger.trace( 'tt/template', 'Note: Starting new request for ' + text );
 			env.requestQueue[text] = new processor( env, title, text );
 		}
 		// append request, process in document order
@@ -666,6 +689,11 @@ TemplateHandler.prototype.lookupArg = function(args, attribs, cb, ret) {
 };
 
 TemplateHandler.prototype.parseExtensionHTML = function(extToken, cb, err, html) {
+	if ( !this.manager.env.limits.add( 'includeSize', ( html || '' ).length ) ) {
+		// The parse was aborted
+		return;
+	}
+
 	// document -> html -> body -> children
 	var topNodes = Util.parseHTML(html).body.childNodes;
 	var toks = [];
@@ -685,8 +713,12 @@ TemplateHandler.prototype.parseExtensionHTML = function(extToken, cb, err, html)
 };
 
 TemplateHandler.prototype.onExtension = function ( token, frame, cb ) {
-	var extensionName = token.getAttribute('name');
-	if ( this.manager.env.conf.parsoid.usePHPPreProcessor &&
+	var extensionName = token.getAttribute('name'),
+		nativeTag = this.manager.env.getTagHook( extensionName );
+	if ( nativeTag ) {
+		// Implemented by a plugin, see mediawiki.ExtensionRegistry.js
+		this.expandNativeExtension( nativeTag, token, cb );
+	} else if ( this.manager.env.conf.parsoid.usePHPPreProcessor &&
 			this.manager.env.conf.wiki.apiURI !== null ) {
 		// Use MediaWiki's action=parse preprocessor
 		this.fetchExpandedTplOrExtension(
@@ -707,6 +739,81 @@ TemplateHandler.prototype.onExtension = function ( token, frame, cb ) {
 	}
 };
 
+/**
+ * Expand an extension tag with the native handler of a plugin
+ */
+TemplateHandler.prototype.expandNativeExtension = function ( spec, extToken, cb ) {
+	var env = this.manager.env,
+		name = extToken.getAttribute( 'name' ),
+		src = extToken.getAttribute( 'content' ),
+		parsed = ExtensionRegistry.parseTagSource( name, src ),
+		ext = {
+			name: name,
+			attribs: parsed.attribs,
+			body: parsed.body,
+			src: src,
+			parseWikitext: this._parseExtensionWikitext.bind( this )
+		},
+		self = this;
+
+	cb( { async: true } );
+	ExtensionRegistry.callHandler( spec, [ ext, env ], function ( err, toks ) {
+		var state;
+		if ( err ) {
+			env.logger.error( 'tt/extension', 'The handler of <' + name + '> failed:', err );
+			toks = [
+				new TagTk( 'strong', [ new KV( 'class', 'error' ) ] ),
+				'Error in <' + name + '>: ' + ( err.message || err ),
+				new EndTagTk( 'strong' )
+			];
+		}
+		toks = [].concat( toks || [] );
+		if ( spec.serialize && !err ) {
+			// The handler output is a single element that is serialized
+			// by the tag, see mediawiki.ExtensionRegistry.js. Give it the
+			// source range of the tag instead of wrapping it.
+			if ( toks[0] && toks[0].constructor === TagTk ) {
+				toks[0] = toks[0].clone();
+				toks[0].dataAttribs.tsr = extToken.dataAttribs.tsr;
+				toks[0].dataAttribs.src = extToken.dataAttribs.src;
+			}
+		} else if ( self.options.wrapTemplates ) {
+			state = {
+				token: extToken,
+				wrapperType: 'mw:Object/Extension/' + name,
+				wrappedObjectId: env.newObjectId()
+			};
+			toks = self.addEncapsulationInfo( state, toks );
+			toks.push( self.getEncapsulationInfoEndTag( state ) );
+		}
+		cb( { tokens: toks } );
+	} );
+};
+
+/**
+ * Expand wikitext in an extension tag, like a caption, to tokens. The
+ * tokens carry no source ranges, as they are relative to the text.
+ *
+ * @param {String} text
+ * @param {Function} cb: cb( tokens )
+ */
+TemplateHandler.prototype._parseExtensionWikitext = function ( text, cb ) {
+	var pipeline = this.manager.pipeFactory.getPipeline( 'text/x-mediawiki', {
+			isInclude: this.options.isInclude,
+			wrapTemplates: false
+		} ),
+		tokens = [];
+	pipeline.setFrame( this.manager.frame, null );
+	pipeline.addListener( 'chunk', function ( chunk ) {
+		tokens = tokens.concat( Util.stripEOFTkfromTokens( chunk ) );
+	} );
+	pipeline.addListener( 'end', function () {
+		Util.shiftTokenTSR( tokens, null );
+		cb( tokens );
+	} );
+	pipeline.process( text );
+};
+
 if (typeof module === "object") {
 	module.exports.TemplateHandler = TemplateHandler;
 }
@@ -49,11 +49,17 @@
 
 "use strict";
 
+/**
+ * @param {String|Object} name: The name of the delimiter tag, or an object
+ *   whose keys are the names of several delimiter tags. The collection then
+ *   ends at the closing tag of the one that opened it, and has its name.
+ */
 function TokenAndAttrCollector(manager, transformation, toEnd, rank, name) {
 	this.transformation = transformation;
 	this.manager = manager;
 	this.rank = rank;
 	this.tagName = name;
+	this.openTagName = null;
 	this.toEnd = toEnd;
 	this.hasOpenTag = false;
 	// this.uid = this.manager.env.generateUID();
@@ -75,7 +81,9 @@ TokenAndAttrCollector.prototype.init = function(start) {
 	 * - k         : if >= 0, the index of the delimiter with the k-array of the attribute
 	 * - v         : if >= 0, the index of the delimiter with the v-array of the attribute
 	 */
+	this.openTagName = ( start.delimiter || start ).name;
 	this.collection = {
+		name   : this.openTagName,
 		start  : null,
 		end    : null,
 		tokens : []
@@ -84,6 +92,20 @@ TokenAndAttrCollector.prototype.init = function(start) {
 	this.collection.start = start;
 };
 
+/**
+ * Is this a delimiter tag? While a tag is open, only its own tags are
+ * (other tags of the set are collected as content).
+ */
+TokenAndAttrCollector.prototype.isDelimiter = function(name) {
+	if (typeof this.tagName === 'string') {
+		return name === this.tagName;
+	} else if (this.hasOpenTag) {
+		return name === this.openTagName;
+	} else {
+		return Object.prototype.hasOwnProperty.call(this.tagName, name);
+	}
+};
+
 TokenAndAttrCollector.prototype.inspectAttrs = function(token) {
 	/* --------------------------------------------------
 	 * NOTE: This function assumes:
@@ -136,7 +158,7 @@ TokenAndAttrCollector.prototype.inspectAttrs = function(token) {
 		for (var j = 0, m = tagArray.length; j < m; j++) {
 			var t  = tagArray[j];
 			var tc = t.constructor;
-			if ((tc === TagTk) && (t.name === collector.tagName)) {
+			if ((tc === TagTk) && collector.isDelimiter(t.name)) {
 				openTag = {
 					delimiter: t,
 					open: true,
@@ -145,7 +167,7 @@ TokenAndAttrCollector.prototype.inspectAttrs = function(token) {
 					k: isK  ? j : -1,
 					v: !isK ? j : -1
 				};
-			} else if ((tc === EndTagTk) && (t.name === collector.tagName)) {
+			} else if ((tc === EndTagTk) && collector.isDelimiter(t.name)) {
 				closedTag = {
 					delimiter: t,
 					open: false,
@@ -383,11 +405,11 @@ TokenAndAttrCollector.prototype.inspectAttrs = function(token) {
 TokenAndAttrCollector.prototype.onAnyToken = function( token, frame, cb ) {
 	//console.warn("T<" + this.tagName + ":" + this.rank + ":" + this.hasOpenTag + ">:" + JSON.stringify(token));
 	var tc = token.constructor, res;
-	if ((tc === TagTk) && (token.name === this.tagName)) {
+	if ((tc === TagTk) && this.isDelimiter(token.name)) {
 		this.init(token);
 		return {tokens: null};
 	} else if (this.hasOpenTag) {
-		if ((tc === EndTagTk) && (token.name === this.tagName)) {
+		if ((tc === EndTagTk) && this.isDelimiter(token.name)) {
 			this.hasOpenTag = false;
 			this.collection.end = token;
 			return this.transformation(this.collection);
@@ -415,13 +437,14 @@ TokenAndAttrCollector.prototype.onAnyToken = function( token, frame, cb ) {
 			return { };
 		}
 	} else {
-		if ((tc === EndTagTk) && (token.name === this.tagName)) {
+		if ((tc === EndTagTk) && this.isDelimiter(token.name)) {
 			// ERROR! unbalanced closing token! -- convert to string!
 			// Spit out error somewhere.
 			// FIXME: Copy over tsr
-			return {tokens: [new String("</" + this.tagName + ">")]};
-		} else if (tc === SelfclosingTagTk && token.name === this.tagName) {
+			return {tokens: [new String("</" + token.name + ">")]};
+		} else if (tc === SelfclosingTagTk && this.isDelimiter(token.name)) {
 			return this.transformation({
+				name   : token.name,
 				start  : token,
 				end    : null,
 				tokens : []
@@ -58,7 +58,7 @@ TokenCollector.prototype._onDelimiterToken = function ( token, frame, cb ) {
 	if (tc === TagTk) {
 		if (this.scopeStack.length === 0) {
 			// Set up transforms
-			this.manager.env.dp( 'starting collection on ', token );
+			this.manager.env.logger.debug( 'tt', 'starting collection on ', token );
 			this.manager.addTransform( this._onAnyToken.bind ( this ),"TokenCollector:_onAnyToken",
 					this.rank + this._anyDelta, 'any' );
 			this.manager.addTransform( this._onDelimiterToken.bind( this ),"TokenCollector:_onDelimiterToken:end",
@@ -78,7 +78,7 @@ TokenCollector.prototype._onDelimiterToken = function ( token, frame, cb ) {
 		return this.transformation( [token, token] );
 	} else if (haveOpenTag) {
 		// EOFTk or EndTagTk
-		this.manager.env.dp( 'finishing collection on ', token );
+		this.manager.env.logger.debug( 'tt', 'finishing collection on ', token );
 
 		// Pop top scope and push token onto it
 		var activeTokens = this.scopeStack.pop();
@@ -108,8 +108,7 @@ TokenCollector.prototype._onDelimiterToken = function ( token, frame, cb ) {
 					res.tokens.last().constructor !== EOFTk ) {
 				var obj = {};
 				Error.captureStackTrace(obj);
-				console.error( 'ERROR: ' + this.name + ' handler dropped the EOFTk!');
-				console.error( obj.stack );
+				this.manager.env.logger.error( 'tt', this.name + ' handler dropped the EOFTk!', obj.stack );
 				//this.manager.env.errCB(obj.stack);
 
 				// preserve the EOFTk
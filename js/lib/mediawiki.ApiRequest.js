@@ -4,6 +4,7 @@ var request = require('request'),
 	$ = require( './fakejquery' ),
 	qs = require('querystring'),
 	events = require('events'),
+	crypto = require('crypto'),
 	util = require('util');
 
 function DoesNotExistError( message ) {
@@ -27,6 +28,70 @@ function AccessDeniedError( message ) {
 }
 AccessDeniedError.prototype = Error.prototype;
 
+/**
+ * An error returned by the API ( { error: { code, info } } ), or an HTTP
+ * error status that retrying didn't get past
+ *
+ * @param {String} message
+ * @param {String} [apiCode]: The API error code
+ * @param {Number} [code]: The HTTP status to pass on, 500 by default
+ */
+function ApiError( message, apiCode, code ) {
+	this.name = 'ApiError';
+	this.message = message || 'API request failed';
+	this.apiCode = apiCode || null;
+	this.code = code || 500;
+}
+ApiError.prototype = Error.prototype;
+
+/**
+ * The requests to one API endpoint. At most limit of them run at the same
+ * time; the others wait for a free slot in order.
+ *
+ * @class
+ * @constructor
+ * @param {Number} limit: No limit if 0
+ */
+function RequestQueue ( limit ) {
+	this.limit = limit;
+	this.active = 0;
+	this.pending = [];
+}
+
+RequestQueue.prototype.push = function ( apiRequest ) {
+	this.pending.push( apiRequest );
+	this._run();
+};
+
+RequestQueue.prototype.release = function () {
+	this.active--;
+	this._run();
+};
+
+RequestQueue.prototype._run = function () {
+	while ( this.pending.length && ( !this.limit || this.active < this.limit ) ) {
+		this.active++;
+		this.pending.shift().send( this );
+	}
+};
+
+// API endpoint URL -> RequestQueue, shared by all environments
+var requestQueues = {};
+
+function getRequestQueue( url, limit ) {
+	var endpoint = url.replace( /\?.*$/, '' );
+	if ( !requestQueues[endpoint] ) {
+		requestQueues[endpoint] = new RequestQueue( limit );
+	}
+	requestQueues[endpoint].limit = limit;
+	return requestQueues[endpoint];
+}
+
+// API endpoint URL -> the session of the account configured to log in to
+// it (see ParsoidConfig.setAuthentication): { jar, loggedIn, waiting },
+// where waiting holds the requests to send after a login in progress
+var loginSessions = {};
+
 /**
  * Abstract API request base class constructor
  */
@@ -36,7 +101,8 @@ function ApiRequest ( env, title ) {
 
 	// Increase the number of maximum listeners a bit..
 	this.setMaxListeners( 50000 );
-	this.retries = 5;
+	this.retries = env.conf.parsoid.maxApiRetries;
+	this.attempts = 0;
 	this.env = env;
 	this.title = title;
 	this.reqType = "Page Fetch";
@@ -67,52 +133,290 @@ ApiRequest.prototype.processListeners = function ( error, src ) {
 	process.nextTick( processSome );
 };
 
-ApiRequest.prototype.requestCB = function (error, response, body) {
-	//console.warn( 'response for ' + title + ' :' + body + ':' );
-	var self = this;
-
-	if(error) {
-		this.env.tp('WARNING: RETRY:', error, this.queueKey);
-		if ( this.retries ) {
-			this.retries--;
-			this.env.tp( 'Retrying ' + this.reqType + ' request for ' + this.title + ', ' +
-					this.retries + ' remaining' );
-			// retry
-			request( this.requestOptions, this.requestCB.bind(this) );
+/**
+ * Answer the request from the shared cache (see mediawiki.SharedCache.js)
+ * if it has the result. The listeners are then called asynchronously, just
+ * as after a fetch.
+ *
+ * @returns {Boolean} Whether the result was cached
+ */
+ApiRequest.prototype.useSharedCache = function ( type, name, revision ) {
+	var cache = this.env.conf.parsoid.getSharedCache(),
+		self = this,
+		value;
+
+	if ( !cache ) {
+		return false;
+	}
+	value = cache.get( type, this.getCacheScope(), name, revision );
+	if ( value === undefined ) {
+		return false;
+	}
+	this.env.logger.trace( 'api', 'Using the shared cache for ' + this.reqType + ' of ' + name );
+	this.env.conf.parsoid.getMetrics().increment( 'api_requests_total',
+		this.getMetricLabels( 'cached' ) );
+	process.nextTick( function () {
+		self.env.pageCache[self.queueKey] = value;
+		self.processListeners( null, value );
+		delete self.env.requestQueue[self.queueKey];
+	} );
+	return true;
+};
+
+/**
+ * The wiki part of shared cache keys: the wiki prefix, plus a hash of the
+ * forwarded authentication headers if there are any, so results fetched
+ * with one client's credentials are never served to another client
+ */
+ApiRequest.prototype.getCacheScope = function () {
+	var scope = this.env.conf.wiki.iwp || '';
+	if ( this.env.authHeaders ) {
+		scope += '#' + crypto.createHash( 'sha1' )
+			.update( JSON.stringify( this.env.authHeaders ) ).digest( 'hex' );
+	}
+	return scope;
+};
+
+/**
+ * The labels of the metrics of this request (see mediawiki.Metrics.js)
+ */
+ApiRequest.prototype.getMetricLabels = function ( result ) {
+	var labels = {
+		type: this.reqType.toLowerCase().replace( /\W+/g, '_' ),
+		wiki: this.env.conf.wiki.iwp || ''
+	};
+	if ( result ) {
+		labels.result = result;
+	}
+	return labels;
+};
+
+/**
+ * Add a result to the shared cache, see SharedCache.set for the options
+ */
+ApiRequest.prototype.addToSharedCache = function ( type, name, value, options ) {
+	var cache = this.env.conf.parsoid.getSharedCache();
+	if ( cache ) {
+		cache.set( type, this.getCacheScope(), name, value, options );
+	}
+};
+
+/**
+ * Start the request described by this.requestOptions once the wiki's
+ * request queue lets it, with the configured User-Agent, proxy and maxlag
+ */
+ApiRequest.prototype.queueRequest = function () {
+	var parsoidConfig = this.env.conf.parsoid,
+		options = this.requestOptions,
+		endpoint = options.url.replace( /\?.*$/, '' ),
+		auth = parsoidConfig.getAuthentication( endpoint ),
+		session;
+
+	if ( this.isAborted() ) {
+		return;
+	}
+
+	options.headers = $.extend( {
+		'User-Agent': parsoidConfig.userAgent,
+		'Connection': 'close'
+	}, options.headers, this.env.authHeaders );
+	if ( parsoidConfig.apiProxy ) {
+		options.proxy = parsoidConfig.apiProxy;
+	}
+	if ( parsoidConfig.apiMaxlag ) {
+		if ( options.form ) {
+			options.form.maxlag = parsoidConfig.apiMaxlag;
+		} else if ( !/[?&]maxlag=/.test( options.url ) ) {
+			options.url += ( /\?/.test( options.url ) ? '&' : '?' ) +
+				'maxlag=' + parsoidConfig.apiMaxlag;
+		}
+	}
+
+	// Log in with the configured account first, unless the client's
+	// credentials are forwarded
+	if ( auth && auth.login && !this.env.authHeaders && !this.isLogin ) {
+		session = loginSessions[endpoint];
+		if ( !session ) {
+			session = loginSessions[endpoint] = {
+				jar: request.jar(),
+				loggedIn: false,
+				waiting: null
+			};
+		}
+		options.jar = session.jar;
+		if ( !session.loggedIn ) {
+			this.waitForLogin( session, endpoint, auth.login );
 			return;
-		} else {
-			var dnee = new DoesNotExistError( this.reqType + ' failure for ' + this.title );
-			//this.emit('src', dnee, dnee.toString(), 'text/x-mediawiki');
-			this.handleJSON( dnee, {} );
 		}
-	} else if (response.statusCode === 200) {
-		var src = '', data;
+	}
+
+	getRequestQueue( options.url, parsoidConfig.maxConcurrentApiRequests ).push( this );
+};
+
+/**
+ * Send the request, called by the request queue when there is a free slot.
+ * Requests of environments whose parse was aborted are dropped.
+ */
+ApiRequest.prototype.send = function ( queue ) {
+	var self = this,
+		limits = this.env.limits,
+		startTime = Date.now();
+
+	if ( this.isAborted() ) {
+		queue.release();
+		return;
+	}
+	// A login serves other environments too, so it isn't cancelled
+	if ( limits && !this.isLogin ) {
+		limits.trackRequest( this );
+	}
+	this.queue = queue;
+	this.httpRequest = request( this.requestOptions, function ( error, response, body ) {
+		if ( !self.httpRequest ) {
+			// Aborted
+			return;
+		}
+		self.httpRequest = null;
+		if ( limits && !self.isLogin ) {
+			limits.untrackRequest( self );
+		}
+		queue.release();
+		self.env.conf.parsoid.getMetrics().timing( 'api_request_duration_seconds',
+			Date.now() - startTime, self.getMetricLabels() );
+		self.requestCB( error, response, body );
+	} );
+};
+
+/**
+ * Cancel the request, because the parse it is for was aborted (see
+ * ResourceLimits). The listeners are not called.
+ */
+ApiRequest.prototype.abort = function () {
+	this.aborted = true;
+	if ( this.httpRequest ) {
+		this.httpRequest.abort();
+		this.httpRequest = null;
+		this.queue.release();
+	}
+};
+
+ApiRequest.prototype.isAborted = function () {
+	return this.aborted || !!( !this.isLogin && this.env.limits && this.env.limits.aborted );
+};
+
+/**
+ * Try the request again after a while: the time the server asked for in a
+ * Retry-After header (seconds or an HTTP date), or else an exponential
+ * backoff with jitter. Both are capped at maxApiRetryDelay.
+ *
+ * @param {String} [retryAfter]: The Retry-After header
+ * @returns {Boolean} False if there are no retries left
+ */
+ApiRequest.prototype.retryLater = function ( retryAfter ) {
+	var parsoidConfig = this.env.conf.parsoid,
+		self = this,
+		delay = NaN;
+
+	if ( !this.retries ) {
+		return false;
+	}
+	this.retries--;
+
+	if ( retryAfter ) {
+		delay = /^\s*\d+\s*$/.test( retryAfter ) ? Number( retryAfter ) * 1000 :
+			Date.parse( retryAfter ) - Date.now();
+	}
+	if ( isNaN( delay ) ) {
+		delay = parsoidConfig.apiRetryDelay * Math.pow( 2, this.attempts );
+		// Spread the retries of requests that failed together
+		delay = delay / 2 + Math.random() * delay / 2;
+	}
+	delay = Math.max( 0, Math.min( delay, parsoidConfig.maxApiRetryDelay ) );
+	this.attempts++;
+	parsoidConfig.getMetrics().increment( 'api_retries_total', this.getMetricLabels() );
+
+	this.env.logger.trace( 'api', 'Retrying ' + this.reqType + ' request for ' + this.title + ' in ' +
+		Math.round( delay ) + 'ms, ' + this.retries + ' retries remaining' );
+	setTimeout( this.queueRequest.bind( this ), delay );
+	return true;
+};
+
+/**
+ * Handle the response: retry after network errors, 429 and 5xx responses
+ * and maxlag errors, and turn failures into errors for handleJSON
+ */
+ApiRequest.prototype.requestCB = function ( error, response, body ) {
+	var failure = this.reqType + ' failure for ' + this.title,
+		status = response && response.statusCode,
+		retryAfter = response && response.headers && response.headers['retry-after'],
+		data = {};
+
+	if ( error ) {
+		this.env.logger.trace( 'api', 'WARNING: RETRY:', error, this.queueKey );
+		if ( this.retryLater( null ) ) {
+			return;
+		}
+		error = new DoesNotExistError( failure );
+	} else if ( status === 200 ) {
 		try {
-			//console.warn( 'body: ' + body );
 			data = JSON.parse( body );
-		} catch(e) {
-			error = new ParserError( 'Failed to parse the JSON response for ' + this.reqType + " " + self.title );
+		} catch ( e ) {
+			error = new ParserError( 'Failed to parse the JSON response for ' +
+				this.reqType + ' ' + this.title );
+		}
+		if ( data && data.error ) {
+			// The wiki is lagged: wait as long as it asks
+			if ( data.error.code === 'maxlag' && this.retryLater( retryAfter ) ) {
+				return;
+			}
+			// The session of the configured account expired: log in again
+			if ( data.error.code === 'readapidenied' && this.requestOptions.jar &&
+					!this.isLogin && !this.loginRenewed ) {
+				this.loginRenewed = true;
+				loginSessions[this.requestOptions.url.replace( /\?.*$/, '' )].loggedIn = false;
+				this.queueRequest();
+				return;
+			}
+			error = data.error.code === 'readapidenied' ? new AccessDeniedError() :
+				new ApiError( failure + ': ' + data.error.code + ': ' + data.error.info,
+					data.error.code );
 		}
-		this.handleJSON( error, data );
+	} else if ( status === 404 ) {
+		error = new DoesNotExistError( failure );
+	} else if ( status === 401 || status === 403 ) {
+		error = new AccessDeniedError( failure + ': HTTP ' + status );
+	} else if ( status === 429 || status >= 500 ) {
+		if ( this.retryLater( retryAfter ) ) {
+			return;
+		}
+		error = new ApiError( failure + ': HTTP ' + status, null,
+			status === 429 ? 503 : 502 );
 	} else {
-		console.log( body );
-		console.warn( 'non-200 response: ' + response.statusCode );
-		error = new DoesNotExistError( this.reqType + ' failure for ' + this.title );
-		this.handleJSON( error, {} );
+		error = new ApiError( failure + ': HTTP ' + status );
 	}
 
-	// XXX: handle other status codes
+	if ( error ) {
+		this.env.logger.warn( 'api', error.message );
+	}
+	this.env.conf.parsoid.getMetrics().increment( 'api_requests_total',
+		this.getMetricLabels( error ? 'error' : 'ok' ) );
+	this.handleJSON( error, data );
 
 	// Remove self from request queue
-	//this.env.dp( 'trying to remove ', this.title, ' from requestQueue' );
-
 	delete this.env.requestQueue[this.queueKey];
-	//this.env.dp( 'after deletion:', this.env.requestQueue );
 };
 
 
 /***************** Template fetch request helper class ********/
 
+// Redirects to follow when fetching from a page source
+var maxRedirects = 5;
+
+/**
+ * Fetches the source of a page or template, from the page-source backend
+ * configured in ParsoidConfig.pageSource if there is one (see
+ * mediawiki.PageSource.js), or else from the API.
+ */
 function TemplateRequest ( env, title, oldid ) {
 	// Construct ApiRequest;
 	ApiRequest.call(this, env, title);
@@ -120,11 +424,22 @@ function TemplateRequest ( env, title, oldid ) {
 	this.queueKey = title;
 	this.reqType = "Template Fetch";
 
+	var pageSource = env.conf.parsoid.pageSource;
+	if ( pageSource ) {
+		this.redirects = 0;
+		pageSource.fetch( title, oldid || null, this.handleSource.bind( this ) );
+		return;
+	}
+
+	if ( this.useSharedCache( 'page', title, oldid ) ) {
+		return;
+	}
+
 	var apiargs = {
 		format: 'json',
 		action: 'query',
 		prop: 'revisions',
-		rvprop: 'content',
+		rvprop: 'content|ids',
 		titles: title
 	};
 	if ( oldid ) {
@@ -140,17 +455,11 @@ function TemplateRequest ( env, title, oldid ) {
 		method: 'GET',
 		followRedirect: true,
 		url: url,
-		timeout: 40 * 1000, // 40 seconds
-		headers: {
-			'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64; rv:9.0.1) ' +
-							'Gecko/20100101 Firefox/9.0.1 Iceweasel/9.0.1',
-			'Connection': 'close'
-
-		}
+		timeout: 40 * 1000 // 40 seconds
 	};
 
 	// Start the request
-	request( this.requestOptions, this.requestCB.bind(this) );
+	this.queueRequest();
 }
 
 // Inherit from ApiRequest
@@ -158,8 +467,8 @@ util.inherits(TemplateRequest, ApiRequest);
 
 // The TemplateRequest-specific JSON handler
 TemplateRequest.prototype.handleJSON = function ( error, data ) {
-	var regex, title, err, location, iwstr, interwiki, src = '',
-		self = this;
+	var regex, title, err, location, iwstr, interwiki, src = '', revid,
+		pageTitle, cache, self = this;
 
 	if ( error ) {
 		this.processListeners( error, '' );
@@ -183,7 +492,7 @@ TemplateRequest.prototype.handleJSON = function ( error, data ) {
 			this.processListeners( err, '' );
 			return;
 		}
-		console.log( data );
+		this.env.logger.debug( 'api', 'No pages returned:', data );
 		error = new DoesNotExistError(
 			'No pages were returned from the API request for ' +
 			self.title
@@ -193,6 +502,8 @@ TemplateRequest.prototype.handleJSON = function ( error, data ) {
 			$.each( data.query.pages, function(i, page) {
 				if (page.revisions && page.revisions.length) {
 					src = page.revisions[0]['*'];
+					revid = page.revisions[0].revid;
+					pageTitle = page.title;
 				} else {
 					throw new DoesNotExistError( 'Did not find page revisions for ' + self.title );
 				}
@@ -217,24 +528,55 @@ TemplateRequest.prototype.handleJSON = function ( error, data ) {
 					format: 'json',
 				action: 'query',
 				prop: 'revisions',
-				rvprop: 'content',
+				rvprop: 'content|ids',
 				titles: title
 				} );
 		//'?format=json&action=query&prop=revisions&rvprop=content&titles=' + title;
 		this.requestOptions.url = url;
-		request( this.requestOptions, this.requestCB.bind(this) );
+		this.queueRequest();
 		return;
 	}
 
 	//console.warn( 'Page ' + title + ': got ' + src );
-	this.env.tp( 'Retrieved ' + this.title, src );
+	this.env.logger.trace( 'api', 'Retrieved ' + this.title, src );
 
 	// Add the source to the cache
 	this.env.pageCache[this.title] = src;
+	if ( !error ) {
+		this.addToSharedCache( 'page', this.title, src,
+			{ revision: this.oldid, revid: revid } );
+		cache = this.env.conf.parsoid.getSharedCache();
+		if ( cache && this.oldid && pageTitle ) {
+			// The cached current revision is stale if this one is newer
+			cache.noteRevision( this.getCacheScope(),
+				this.env.normalizeTitle( pageTitle ), revid );
+		}
+	}
 
 	this.processListeners( error, src );
 };
 
+/**
+ * Handle a page fetched from the page source, following redirects like
+ * handleJSON does
+ */
+TemplateRequest.prototype.handleSource = function ( error, src ) {
+	var redirMatch = !error && src.match( /[\r\n\s]*#\s*redirect\s*\[\[([^\]]+)\]\]/i );
+	if ( redirMatch && this.redirects < maxRedirects ) {
+		this.redirects++;
+		this.env.conf.parsoid.pageSource.fetch( this.env.normalizeTitle( redirMatch[1] ),
+			null, this.handleSource.bind( this ) );
+		return;
+	}
+
+	if ( !error ) {
+		this.env.logger.trace( 'api', 'Retrieved ' + this.title + ' from the page source', src );
+		this.env.pageCache[this.title] = src;
+	}
+	this.processListeners( error, src || '' );
+	delete this.env.requestQueue[this.queueKey];
+};
+
 /******************* PreprocessorRequest *****************************/
 
 /**
@@ -249,6 +591,10 @@ function PreprocessorRequest ( env, title, text ) {
 	this.queueKey = text;
 	this.reqType = "Template Expansion";
 
+	if ( this.useSharedCache( 'expansion', title + '|' + text ) ) {
+		return;
+	}
+
 	var apiargs = {
 		format: 'json',
 		action: 'expandtemplates',
@@ -265,16 +611,11 @@ function PreprocessorRequest ( env, title, text ) {
 		form: apiargs, // The API arguments
 		followRedirect: true,
 		url: url,
-		timeout: 16 * 1000, // 16 seconds
-		headers: {
-			'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64; rv:9.0.1) ' +
-							'Gecko/20100101 Firefox/9.0.1 Iceweasel/9.0.1',
-			'Connection': 'close'
-		}
+		timeout: 16 * 1000 // 16 seconds
 	};
 
 	// Start the request
-	request( this.requestOptions, this.requestCB.bind(this) );
+	this.queueRequest();
 }
 
 
@@ -295,10 +636,11 @@ PreprocessorRequest.prototype.handleJSON = function ( error, data ) {
 		src = data.expandtemplates['*'];
 
 		//console.warn( 'Page ' + title + ': got ' + src );
-		this.env.tp( 'Expanded ', this.text, src );
+		this.env.logger.trace( 'api', 'Expanded ', this.text, src );
 
 		// Add the source to the cache
 		this.env.pageCache[this.text] = src;
+		this.addToSharedCache( 'expansion', this.title + '|' + this.text, src );
 	} catch ( e2 ) {
 		error = new DoesNotExistError( 'Did not find page revisions in the returned body for ' +
 				this.title + e2 );
@@ -323,6 +665,10 @@ function PHPParseRequest ( env, title, text ) {
 	this.queueKey = text;
 	this.reqType = "Extension Parse";
 
+	if ( this.useSharedCache( 'extension', text ) ) {
+		return;
+	}
+
 	var apiargs = {
 		format: 'json',
 		action: 'parse',
@@ -338,16 +684,11 @@ function PHPParseRequest ( env, title, text ) {
 		form: apiargs, // The API arguments
 		followRedirect: true,
 		url: url,
-		timeout: 16 * 1000, // 16 seconds
-		headers: {
-			'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64; rv:9.0.1) ' +
-							'Gecko/20100101 Firefox/9.0.1 Iceweasel/9.0.1',
-			'Connection': 'close'
-		}
+		timeout: 16 * 1000 // 16 seconds
 	};
 
 	// Start the request
-	request( this.requestOptions, this.requestCB.bind(this) );
+	this.queueRequest();
 }
 
 // Inherit from ApiRequest
@@ -364,10 +705,11 @@ PHPParseRequest.prototype.handleJSON = function ( error, data ) {
 	try {
 		// Strip php parse stats from the html
 		parsedHtml = data.parse.text['*'].replace(/(^<p>)|((<\/p>)?\s*<!--\s*NewPP limit(\n|.)*$)/g, '');
-		this.env.tp( 'Expanded ', this.text, parsedHtml );
+		this.env.logger.trace( 'api', 'Expanded ', this.text, parsedHtml );
 
 		// Add the source to the cache
 		this.env.pageCache[this.text] = parsedHtml;
+		this.addToSharedCache( 'extension', this.text, parsedHtml );
 	} catch ( e2 ) {
 		error = new DoesNotExistError( 'Could not expand extension content for ' +
 				this.title + e2 );
@@ -377,37 +719,405 @@ PHPParseRequest.prototype.handleJSON = function ( error, data ) {
 	this.processListeners( error, parsedHtml );
 };
 
-var ConfigRequest = function ( uri, env ) {
+/******************* LoginRequest *****************************/
+
+/**
+ * Logs in to a wiki with the account configured for it (see
+ * ParsoidConfig.setAuthentication), keeping the session cookies in jar.
+ * The listeners receive an AccessDeniedError if the login fails.
+ *
+ * @param {MWParserEnvironment} env
+ * @param {String} uri: The API URI of the wiki
+ * @param {Object} credentials: username and password
+ * @param {Object} jar: The cookie jar of the session
+ */
+function LoginRequest ( env, uri, credentials, jar ) {
+	ApiRequest.call( this, env, uri );
+
+	this.reqType = 'Login';
+	this.isLogin = true;
+	this.credentials = credentials;
+	this.jar = jar;
+	this.tokenSent = false;
+	this.sendLogin( null );
+}
+
+util.inherits( LoginRequest, ApiRequest );
+
+LoginRequest.prototype.sendLogin = function ( token ) {
+	var apiargs = {
+		format: 'json',
+		action: 'login',
+		lgname: this.credentials.username,
+		lgpassword: this.credentials.password
+	};
+	if ( token ) {
+		apiargs.lgtoken = token;
+	}
+
+	this.requestOptions = {
+		method: 'POST',
+		form: apiargs,
+		url: this.title,
+		jar: this.jar,
+		timeout: 16 * 1000 // 16 seconds
+	};
+
+	this.queueRequest();
+};
+
+LoginRequest.prototype.handleJSON = function ( error, data ) {
+	var result = !error && data && data.login && data.login.result;
+
+	// The first attempt only returns the login token
+	if ( result === 'NeedToken' && !this.tokenSent ) {
+		this.tokenSent = true;
+		this.sendLogin( data.login.token );
+		return;
+	}
+	if ( !error && result !== 'Success' ) {
+		error = new AccessDeniedError( 'Could not log in to ' + this.title + ' as ' +
+			this.credentials.username + ': ' + ( result || 'unexpected response' ) );
+	}
+	this.processListeners( error || null, data );
+};
+
+/**
+ * Queue the request once the session is logged in, starting the login if
+ * it isn't in progress yet. If the login fails, the request fails with
+ * its error.
+ */
+ApiRequest.prototype.waitForLogin = function ( session, endpoint, credentials ) {
+	var self = this,
+		loginRequest;
+
+	if ( session.waiting ) {
+		session.waiting.push( this );
+		return;
+	}
+	session.waiting = [ this ];
+	loginRequest = new LoginRequest( this.env, endpoint, credentials, session.jar );
+	loginRequest.once( 'src', function ( error ) {
+		var waiting = session.waiting;
+		session.waiting = null;
+		session.loggedIn = !error;
+		waiting.forEach( function ( apiRequest ) {
+			if ( error ) {
+				apiRequest.handleJSON( error, {} );
+				delete apiRequest.env.requestQueue[apiRequest.queueKey];
+			} else {
+				apiRequest.queueRequest();
+			}
+		} );
+	} );
+};
+
+/******************* PageInfoRequest *****************************/
+
+/**
+ * Fetches information about a batch of pages (by title) or revisions (by
+ * id) for the page-info provider (see mediawiki.PageInfo.js). Optionally
+ * the site statistics, interface messages and the gender of users are
+ * fetched along.
+ *
+ * The listeners receive an object with
+ * - pages: requested title or revision id -> page info, with the members
+ *   title, exists, pageid, length, protection (action -> [ levels ]),
+ *   revid, timestamp (ISO 8601) and user, plus special or interwiki for
+ *   titles that can't be looked up
+ * - statistics: the siteinfo statistics, if requested
+ * - messages: message key -> raw message text, or null if it doesn't exist
+ * - genders: user name -> 'male', 'female' or 'unknown'
+ *
+ * @param {MWParserEnvironment} env
+ * @param {Object} batch: The titles or revids (an array each), messages
+ *   and users to look up, and statistics (a boolean)
+ */
+function PageInfoRequest ( env, batch ) {
 	ApiRequest.call( this, env, null );
 
+	this.titles = batch.titles || [];
+	this.revids = batch.revids || [];
+	this.messages = batch.messages || [];
+	this.users = batch.users || [];
+	this.reqType = 'Page Info';
+
 	var apiargs = {
+			format: 'json',
+			action: 'query'
+		},
+		meta = [];
+	if ( this.titles.length || this.revids.length ) {
+		apiargs.prop = 'info|revisions';
+		apiargs.inprop = 'protection';
+		apiargs.rvprop = 'ids|timestamp|user';
+		if ( this.titles.length ) {
+			apiargs.titles = this.titles.join( '|' );
+		} else {
+			apiargs.revids = this.revids.join( '|' );
+		}
+	}
+	if ( batch.statistics ) {
+		meta.push( 'siteinfo' );
+		apiargs.siprop = 'statistics';
+	}
+	if ( this.messages.length ) {
+		meta.push( 'allmessages' );
+		apiargs.ammessages = this.messages.join( '|' );
+	}
+	if ( meta.length ) {
+		apiargs.meta = meta.join( '|' );
+	}
+	if ( this.users.length ) {
+		apiargs.list = 'users';
+		apiargs.ususers = this.users.join( '|' );
+		apiargs.usprop = 'gender';
+	}
+
+	this.requestOptions = {
+		// Use POST since a batch of titles can be long
+		method: 'POST',
+		form: apiargs,
+		followRedirect: true,
+		url: env.conf.parsoid.apiURI,
+		timeout: 16 * 1000 // 16 seconds
+	};
+
+	// Start the request
+	this.queueRequest();
+}
+
+util.inherits( PageInfoRequest, ApiRequest );
+
+PageInfoRequest.prototype.handleJSON = function ( error, data ) {
+	if ( error ) {
+		this.processListeners( error, {} );
+		return;
+	}
+	if ( !data || !data.query ) {
+		this.processListeners( new ParserError( 'Unexpected response for ' +
+			this.reqType + ' request' + ( data && data.error ?
+				': ' + data.error.code + ': ' + data.error.info : '' ) ), {} );
+		return;
+	}
+
+	var query = data.query,
+		result = { pages: {}, messages: {}, genders: {} },
+		// normalized title -> requested title
+		requested = {},
+		byTitle = {};
+
+	this.titles.forEach( function ( title ) {
+		requested[title] = title;
+	} );
+	( query.normalized || [] ).forEach( function ( n ) {
+		requested[n.to] = n.from;
+	} );
+
+	$.each( query.pages || {}, function ( id, page ) {
+		var rev = page.revisions && page.revisions[0],
+			info = {
+				title: page.title,
+				exists: page.missing === undefined && page.invalid === undefined,
+				pageid: page.pageid,
+				length: page.length,
+				protection: {},
+				revid: rev ? rev.revid : page.lastrevid,
+				timestamp: rev ? rev.timestamp : undefined,
+				user: rev ? rev.user : undefined
+			};
+		if ( page.special !== undefined ) {
+			info.special = true;
+		}
+		( page.protection || [] ).forEach( function ( p ) {
+			info.protection[p.type] = ( info.protection[p.type] || [] ).concat( [ p.level ] );
+		} );
+		byTitle[page.title] = info;
+		if ( rev ) {
+			result.pages[rev.revid] = info;
+		}
+	} );
+
+	// Map the results back to the requested titles
+	Object.keys( byTitle ).forEach( function ( title ) {
+		result.pages[requested[title] || title] = byTitle[title];
+	} );
+	( query.interwiki || [] ).forEach( function ( iw ) {
+		result.pages[requested[iw.title] || iw.title] = {
+			title: iw.title,
+			exists: false,
+			interwiki: iw.iw,
+			protection: {}
+		};
+	} );
+	// Revision ids the API doesn't know
+	$.each( query.badrevids || {}, function ( id ) {
+		result.pages[id] = { exists: false, protection: {} };
+	} );
+
+	if ( query.statistics ) {
+		result.statistics = query.statistics;
+	}
+
+	( query.allmessages || [] ).forEach( function ( msg ) {
+		result.messages[msg.name] = msg.missing === undefined ? msg['*'] : null;
+	} );
+	( query.users || [] ).forEach( function ( user ) {
+		result.genders[user.name] = user.gender || 'unknown';
+	} );
+
+	this.processListeners( null, result );
+};
+
+/**
+ * @class
+ * @extends ApiRequest
+ *
+ * Looks up the image info of a batch of files, with thumbnails scaled to
+ * fit a box.
+ *
+ * The result maps the requested titles to { title, exists, url,
+ * descriptionurl, width, height, mime, mediatype, pagecount (for
+ * multi-page media), duration (in seconds, for audio and video), thumburl
+ * (a still for videos), thumbwidth, thumbheight, responsiveUrls (scale ->
+ * URL, for 1.5x and 2x screens) }; only title and exists are set for
+ * missing files, and the thumb* fields without a box.
+ *
+ * @constructor
+ * @param {MWParserEnvironment} env
+ * @param {Object} batch: titles (the prefixed file titles) and the box:
+ *   width, height, page (of multi-page media), lang (of drawings with
+ *   translations) and thumbtime (the time in seconds of the still of a
+ *   video), all optional
+ */
+function ImageInfoRequest ( env, batch ) {
+	ApiRequest.call( this, env, null );
+
+	this.titles = batch.titles;
+	this.reqType = 'Image Info';
+
+	var apiargs = {
+		format: 'json',
+		action: 'query',
+		prop: 'imageinfo',
+		// size includes the page count and duration
+		iiprop: 'url|size|mime|mediatype',
+		titles: this.titles.join( '|' )
+	};
+	if ( batch.width ) {
+		apiargs.iiurlwidth = batch.width;
+		if ( batch.page ) {
+			apiargs.iiurlparam = 'page' + batch.page + '-' + batch.width + 'px';
+		} else if ( batch.lang ) {
+			apiargs.iiurlparam = 'lang' + batch.lang + '-' + batch.width + 'px';
+		} else if ( batch.thumbtime !== undefined ) {
+			apiargs.iiurlparam = batch.width + 'px-seek=' + batch.thumbtime;
+		}
+	}
+	if ( batch.height ) {
+		apiargs.iiurlheight = batch.height;
+	}
+
+	this.requestOptions = {
+		// Use POST since a batch of titles can be long
+		method: 'POST',
+		form: apiargs,
+		followRedirect: true,
+		url: env.conf.parsoid.apiURI,
+		timeout: 16 * 1000 // 16 seconds
+	};
+
+	// Start the request
+	this.queueRequest();
+}
+
+util.inherits( ImageInfoRequest, ApiRequest );
+
+ImageInfoRequest.prototype.handleJSON = function ( error, data ) {
+	if ( error ) {
+		this.processListeners( error, {} );
+		return;
+	}
+	if ( !data || !data.query ) {
+		this.processListeners( new ParserError( 'Unexpected response for ' +
+			this.reqType + ' request' + ( data && data.error ?
+				': ' + data.error.code + ': ' + data.error.info : '' ) ), {} );
+		return;
+	}
+
+	var query = data.query,
+		result = {},
+		// normalized title -> requested title
+		requested = {};
+
+	( query.normalized || [] ).forEach( function ( n ) {
+		requested[n.to] = n.from;
+	} );
+
+	$.each( query.pages || {}, function ( id, page ) {
+		var ii = page.imageinfo && page.imageinfo[0],
+			info = {
+				title: page.title,
+				exists: !!ii
+			};
+		if ( ii ) {
+			[ 'url', 'descriptionurl', 'width', 'height', 'mime', 'mediatype', 'pagecount',
+				'duration', 'thumburl', 'thumbwidth', 'thumbheight', 'responsiveUrls' ].forEach( function ( k ) {
+				if ( ii[k] !== undefined ) {
+					info[k] = ii[k];
+				}
+			} );
+		}
+		result[requested[page.title] || page.title] = info;
+	} );
+
+	this.processListeners( null, result );
+};
+
+/**
+ * The messages fetched with the wiki config. The API returns at most 50
+ * messages per request, so they are fetched in batches.
+ */
+var configMessages = [ 'linktrail', 'linkprefix' ].concat(
+		require( './ext.core.DateFormatter.js' ).messageNames ),
+	maxMessagesPerRequest = 50;
+
+var ConfigRequest = function ( uri, env ) {
+	ApiRequest.call( this, env, null );
+
+	this.uri = uri;
+	this.reqType = 'Config Request';
+	this.result = null;
+	this.messageBatches = [];
+	for ( var i = 0; i < configMessages.length; i += maxMessagesPerRequest ) {
+		this.messageBatches.push( configMessages.slice( i, i + maxMessagesPerRequest ) );
+	}
+
+	this.sendRequest( {
 		format: 'json',
 		action: 'query',
 		meta: 'siteinfo|allmessages',
-		ammessages: 'linktrail|linkprefix',
+		ammessages: this.messageBatches.shift().join( '|' ),
 		siprop: 'namespaces|namespacealiases|magicwords|extensiontags|general|interwikimap|languages'
-	};
+	} );
+};
+
+util.inherits( ConfigRequest, ApiRequest );
 
-	var url = uri + '?' +
+ConfigRequest.prototype.sendRequest = function ( apiargs ) {
+	var url = this.uri + '?' +
 		qs.stringify( apiargs );
 
 	this.requestOptions = {
 		method: 'GET',
 		followRedirect: true,
 		url: url,
-		timeout: 40 * 1000,
-		headers: {
-			'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64; rv:9.0.1) ' +
-				'Gecko/20100101 Firefox/9.0.1 Iceweasel/9.0.1',
-			'Connection': 'close'
-		}
+		timeout: 40 * 1000
 	};
 
-	request( this.requestOptions, this.requestCB.bind( this ) );
+	this.queueRequest();
 };
 
-util.inherits( ConfigRequest, ApiRequest );
-
 ConfigRequest.prototype.handleJSON = function ( error, data ) {
 	if ( error ) {
 		this.processListeners( error, {} );
@@ -415,16 +1125,27 @@ ConfigRequest.prototype.handleJSON = function ( error, data ) {
 	}
 
 	if ( data && data.query ) {
-		this.processListeners( null, data.query );
-	} else if ( data && data.error ) {
-		if ( data.error.code === 'readapidenied' ) {
-			error = new AccessDeniedError();
+		if ( this.result === null ) {
+			this.result = data.query;
 		} else {
-			error = new Error( 'Something happened on the API side. Message: ' + data.error.code + ': ' + data.error.info );
+			this.result.allmessages = ( this.result.allmessages || [] )
+				.concat( data.query.allmessages || [] );
+		}
+		if ( this.messageBatches.length ) {
+			// Fetch the remaining messages
+			this.retries = this.env.conf.parsoid.maxApiRetries;
+			this.attempts = 0;
+			this.sendRequest( {
+				format: 'json',
+				action: 'query',
+				meta: 'allmessages',
+				ammessages: this.messageBatches.shift().join( '|' )
+			} );
+		} else {
+			this.processListeners( null, this.result );
 		}
-		this.processListeners( error, {} );
 	} else {
-		this.processListeners( null, {} );
+		this.processListeners( null, this.result || {} );
 	}
 };
 
@@ -433,6 +1154,11 @@ if (typeof module === "object") {
 	module.exports.TemplateRequest = TemplateRequest;
 	module.exports.PreprocessorRequest= PreprocessorRequest;
 	module.exports.PHPParseRequest = PHPParseRequest;
+	module.exports.PageInfoRequest = PageInfoRequest;
+	module.exports.ImageInfoRequest = ImageInfoRequest;
 	module.exports.DoesNotExistError = DoesNotExistError;
 	module.exports.ParserError = ParserError;
+	module.exports.AccessDeniedError = AccessDeniedError;
+	module.exports.ApiError = ApiError;
+	module.exports.requestQueues = requestQueues;
 }
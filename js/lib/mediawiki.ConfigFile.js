@@ -0,0 +1,376 @@
+"use strict";
+/**
+ * Configuration files: the settings of ParsoidConfig as JSON or YAML, with
+ * per-wiki overrides and environment variables. For example (YAML):
+ *
+ *     defaultWiki: localhost
+ *     defaultInterwikis: false    # no Wikipedias and mediawiki.org
+ *     sitematrix: /etc/parsoid/sitematrix.json
+ *     limits:
+ *       wallClock: 60000
+ *     logFormat: json
+ *     wikis:
+ *       localhost:
+ *         apiURI: http://localhost/w/api.php
+ *         useSelser: true
+ *       private:
+ *         apiURI: https://private.example.org/w/api.php
+ *         apiProxy: ${HTTPS_PROXY:-}
+ *         limits: { includeSize: 4194304 }
+ *         auth:
+ *           login: { username: Parsoid@parsoid, password: "${PARSOID_PASSWORD}" }
+ *
+ * The top-level settings are those of ParsoidConfig (see schema below). The
+ * settings of a wiki are its apiURI (which wikis of the default interwikis
+ * don't need), its siteinfoSnapshot, its auth (see
+ * ParsoidConfig.setAuthentication) and the settings marked 'wiki' in the
+ * schema, which override the top-level ones for that wiki; limits are
+ * merged with the top-level limits.
+ *
+ * ${NAME} in a string is replaced by the environment variable NAME, and
+ * ${NAME:-default} by the default if NAME is unset. A string that is a
+ * single variable is converted to the number or boolean the setting needs.
+ *
+ * Files are validated against the schema as a whole; ConfigError lists all
+ * the problems found.
+ */
+
+var fs = require( 'fs' ),
+	path = require( 'path' ),
+	$ = require( './fakejquery' ),
+	Logger = require( './mediawiki.Logger.js' ).Logger;
+
+/**
+ * @param {String} file: The configuration file
+ * @param {String[]} problems
+ */
+function ConfigError( file, problems ) {
+	this.name = 'ConfigError';
+	this.problems = problems;
+	this.message = 'Invalid configuration file ' + file + ':\n  ' + problems.join( '\n  ' );
+}
+ConfigError.prototype = Error.prototype;
+
+var count = { type: 'number', min: 0 };
+
+var limitsSchema = {
+	type: 'object',
+	properties: {
+		wallClock: count,
+		includeSize: count,
+		expansionNodes: count,
+		outputSize: count
+	}
+};
+
+/**
+ * The settings of a configuration file. Settings are described by their
+ * type (or types), and
+ * - min: the minimum of a number
+ * - enum: the allowed values
+ * - properties: the settings of an object, which may not have others
+ * - values: the schema of all values of an object (a map)
+ * - items: the schema of the items of an array
+ * - required: the properties an object must have
+ * - wiki: whether wikis can override the setting
+ */
+var schema = {
+	type: 'object',
+	properties: {
+		defaultWiki: { type: 'string' },
+		defaultInterwikis: { type: 'boolean' },
+		sitematrix: { type: [ 'string', 'null' ] },
+		sitematrixApiPath: { type: 'string' },
+		fetchTemplates: { type: 'boolean', wiki: true },
+		usePHPPreProcessor: { type: 'boolean', wiki: true },
+		useSelser: { type: 'boolean', wiki: true },
+		maxDepth: { type: 'number', min: 1, wiki: true },
+		currentTime: { type: [ 'string', 'number', 'null' ], wiki: true },
+		pageSource: { type: [ 'string', 'null' ] },
+		userAgent: { type: 'string' },
+		maxConcurrentApiRequests: count,
+		maxApiRetries: count,
+		apiRetryDelay: count,
+		maxApiRetryDelay: count,
+		apiMaxlag: { type: [ 'number', 'null' ], min: 0, wiki: true },
+		apiProxy: { type: [ 'string', 'null' ], wiki: true },
+		limits: $.extend( { wiki: true }, limitsSchema ),
+		sharedCache: {
+			type: [ 'object', 'false' ],
+			properties: {
+				maxItems: count,
+				maxBytes: count,
+				ttl: count,
+				persistFile: { type: [ 'string', 'null' ] },
+				persistInterval: count
+			}
+		},
+		wikiConfigCache: {
+			type: [ 'object', 'false' ],
+			properties: {
+				ttl: count,
+				maxItems: count
+			}
+		},
+		siteinfoSnapshots: {
+			type: [ 'object', 'null' ],
+			values: { type: 'string' }
+		},
+		statsd: {
+			type: [ 'object', 'null' ],
+			properties: {
+				host: { type: 'string' },
+				port: { type: 'number', min: 1 },
+				prefix: { type: 'string' },
+				interval: count
+			}
+		},
+		logLevel: { type: 'string', enum: Object.keys( Logger.levels ) },
+		logChannels: {
+			type: [ 'object', 'null' ],
+			values: { type: 'string', enum: Object.keys( Logger.levels ) }
+		},
+		logFormat: { type: 'string', enum: [ 'text', 'json' ] },
+		allowLogLevelOverride: { type: 'boolean' },
+		plugins: {
+			type: [ 'array', 'null' ],
+			items: { type: 'string' }
+		},
+		wikis: { type: 'object' }
+	}
+};
+
+// The settings of the wikis
+var wikiSchema = {
+	type: 'object',
+	properties: {
+		apiURI: { type: 'string' },
+		siteinfoSnapshot: { type: 'string' },
+		auth: {
+			type: 'object',
+			properties: {
+				forwardHeaders: { type: 'boolean' },
+				login: {
+					type: 'object',
+					required: [ 'username', 'password' ],
+					properties: {
+						username: { type: 'string' },
+						password: { type: 'string' }
+					}
+				}
+			}
+		}
+	}
+};
+Object.keys( schema.properties ).forEach( function ( name ) {
+	if ( schema.properties[name].wiki ) {
+		wikiSchema.properties[name] = schema.properties[name];
+	}
+} );
+schema.properties.wikis.values = wikiSchema;
+
+function typeOf( value ) {
+	if ( value === null ) {
+		return 'null';
+	} else if ( value === false ) {
+		// 'false' is a type of its own for settings that can be disabled
+		return 'false';
+	} else if ( Array.isArray( value ) ) {
+		return 'array';
+	}
+	return typeof value;
+}
+
+/**
+ * Replace the environment variables in a string. Problems are added to
+ * problems.
+ */
+function substituteEnv( str, where, problems ) {
+	return str.replace( /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, function ( m, name, def ) {
+		if ( process.env[name] !== undefined ) {
+			return process.env[name];
+		} else if ( def !== undefined ) {
+			return def;
+		}
+		problems.push( where + ': the environment variable ' + name + ' is not set' );
+		return '';
+	} );
+}
+
+/**
+ * Check a value against a schema, substituting environment variables.
+ *
+ * @returns {Mixed} The value with the substitutions
+ */
+function check( value, spec, where, problems ) {
+	var types = [].concat( spec.type ),
+		numProblems = problems.length,
+		type, result;
+
+	if ( typeof value === 'string' && /\$\{/.test( value ) ) {
+		result = substituteEnv( value, where, problems );
+		if ( problems.length > numProblems ) {
+			return result;
+		}
+		if ( /^\$\{[^}]*\}$/.test( value ) && types.indexOf( 'string' ) === -1 ) {
+			if ( types.indexOf( 'number' ) !== -1 && result !== '' && !isNaN( Number( result ) ) ) {
+				result = Number( result );
+			} else if ( types.indexOf( 'boolean' ) !== -1 && /^(true|false)$/.test( result ) ) {
+				result = result === 'true';
+			} else if ( types.indexOf( 'null' ) !== -1 && result === '' ) {
+				result = null;
+			}
+		}
+		value = result;
+	}
+
+	type = typeOf( value );
+	if ( types.indexOf( type ) === -1 &&
+			!( type === 'false' && types.indexOf( 'boolean' ) !== -1 ) ) {
+		problems.push( where + ': expected ' + types.join( ' or ' ) + ', got ' +
+			JSON.stringify( value ) );
+		return value;
+	}
+	if ( spec.enum && spec.enum.indexOf( value ) === -1 ) {
+		problems.push( where + ': expected one of ' + spec.enum.join( ', ' ) +
+			', got ' + JSON.stringify( value ) );
+	}
+	if ( spec.min !== undefined && type === 'number' && value < spec.min ) {
+		problems.push( where + ': must be at least ' + spec.min );
+	}
+	if ( type === 'object' ) {
+		result = {};
+		( spec.required || [] ).forEach( function ( name ) {
+			if ( value[name] === undefined ) {
+				problems.push( where + ': ' + name + ' is required' );
+			}
+		} );
+		Object.keys( value ).forEach( function ( name ) {
+			var propSpec = spec.values || ( spec.properties && spec.properties[name] );
+			if ( !propSpec ) {
+				problems.push( where + ': unknown setting ' + name );
+			} else {
+				result[name] = check( value[name], propSpec, where + '.' + name, problems );
+			}
+		} );
+		value = result;
+	} else if ( type === 'array' && spec.items ) {
+		value = value.map( function ( item, i ) {
+			return check( item, spec.items, where + '[' + i + ']', problems );
+		} );
+	}
+	return value;
+}
+
+/**
+ * Parse the text of a configuration file: YAML for .yaml and .yml files,
+ * JSON otherwise
+ */
+function parse( text, file ) {
+	var yaml;
+	if ( /\.ya?ml$/.test( file ) ) {
+		try {
+			// An optional dependency
+			yaml = require( 'js-yaml' );
+		} catch ( e ) {
+			throw new ConfigError( file, [ 'install js-yaml to read YAML files' ] );
+		}
+		try {
+			return yaml.safeLoad ? yaml.safeLoad( text ) : yaml.load( text );
+		} catch ( e ) {
+			throw new ConfigError( file, [ e.message ] );
+		}
+	}
+	try {
+		return JSON.parse( text );
+	} catch ( e ) {
+		throw new ConfigError( file, [ e.message ] );
+	}
+}
+
+/**
+ * Read and validate a configuration file
+ *
+ * @param {String} file
+ * @returns {Object} The settings, with the environment variables substituted
+ * @throws {ConfigError} if the file can't be read or is invalid
+ */
+function load( file ) {
+	var text, config, problems = [];
+	try {
+		text = fs.readFileSync( file, 'utf8' );
+	} catch ( e ) {
+		throw new ConfigError( file, [ e.message ] );
+	}
+	config = check( parse( text, file ) || {}, schema, path.basename( file ), problems );
+	if ( problems.length ) {
+		throw new ConfigError( file, problems );
+	}
+	return config;
+}
+
+/**
+ * Apply validated settings (see load) to a ParsoidConfig
+ *
+ * @param {ParsoidConfig} parsoidConfig
+ * @param {Object} config
+ * @param {String} file: The configuration file, for errors
+ * @throws {ConfigError} if the sitematrix can't be read
+ */
+function apply( parsoidConfig, config, file ) {
+	var wikis = config.wikis || {};
+	// The default interwikis go before the sitematrix is added
+	if ( config.defaultInterwikis === false ) {
+		parsoidConfig.clearInterwikis();
+	}
+	if ( config.sitematrixApiPath ) {
+		parsoidConfig.sitematrixApiPath = config.sitematrixApiPath;
+	}
+	Object.keys( config ).forEach( function ( name ) {
+		switch ( name ) {
+			case 'wikis':
+			case 'defaultInterwikis':
+			case 'sitematrixApiPath':
+				break;
+			case 'sitematrix':
+				if ( config[name] ) {
+					try {
+						parsoidConfig.addSitematrix( config[name] );
+					} catch ( e ) {
+						throw new ConfigError( file, [ e.message ] );
+					}
+				}
+				break;
+			case 'plugins':
+				// Relative to the configuration file
+				parsoidConfig.plugins = config[name] && config[name].map( function ( plugin ) {
+					return path.resolve( path.dirname( file ), plugin );
+				} );
+				break;
+			case 'pageSource':
+				parsoidConfig.pageSource = config[name] &&
+					require( './mediawiki.PageSource.js' ).createPageSource( config[name] );
+				break;
+			case 'limits':
+			case 'sharedCache':
+			case 'wikiConfigCache':
+			case 'statsd':
+				// Settings not given keep their defaults
+				parsoidConfig[name] = config[name] &&
+					$.extend( {}, parsoidConfig[name] || {}, config[name] );
+				break;
+			default:
+				parsoidConfig[name] = config[name];
+		}
+	} );
+	Object.keys( wikis ).forEach( function ( prefix ) {
+		parsoidConfig.setWikiSettings( prefix, wikis[prefix] );
+	} );
+}
+
+if (typeof module === "object") {
+	module.exports.ConfigError = ConfigError;
+	module.exports.schema = schema;
+	module.exports.load = load;
+	module.exports.apply = apply;
+}
@@ -10,9 +10,8 @@ var DU = require('./mediawiki.DOMUtils.js').DOMUtils,
  */
 function DOMDiff ( env ) {
 	this.env = env;
-	this.debug = env.conf.parsoid.debug ||
-		(env.conf.parsoid.traceFlags && env.conf.parsoid.traceFlags.indexOf('selser') !== -1) ?
-						console.error : function(){};
+	this.debug = env.logger.isEnabled('trace', 'selser') ?
+		env.logger.trace.bind(env.logger, 'selser') : function(){};
 	this.currentId = 0;
 	this.startPos = 0; // start offset of the current unmodified chunk
 	this.curPos = 0; // end offset of the last processed node
@@ -273,8 +272,7 @@ DDP.markNode = function(node, change) {
 		}
 		DU.setDiffMark(markNode, this.env, change);
 	} else {
-		console.error('ERROR: Unhandled node type ' + node.nodeType + ' in markNode!');
-		console.trace();
+		this.env.logger.error('selser', 'Unhandled node type ' + node.nodeType + ' in markNode!', new Error().stack);
 	}
 };
 
@@ -6,7 +6,8 @@ var events = require('events'),
 	Util = require('./mediawiki.Util.js').Util,
 	DU = require('./mediawiki.DOMUtils.js').DOMUtils,
 	Node = require('./mediawiki.wikitext.constants.js').Node,
-	domino = require('./domino');
+	domino = require('./domino'),
+	logger = require('./mediawiki.Logger.js').Logger.root;
 
 // Sanity check for dom behavior: we are
 // relying on DOM level 4 getAttribute. In level 4, getAttribute on a
@@ -59,8 +60,7 @@ function deleteNode(n) {
 	if ( n.parentNode ) {
 		n.parentNode.removeChild(n);
 	} else {
-		console.warn('ERROR: Null parentNode in deleteNode');
-		console.trace();
+		logger.error('dom', 'Null parentNode in deleteNode', new Error().stack);
 	}
 }
 
@@ -503,8 +503,7 @@ function handleUnbalancedTableTags(node, env, tplIdToSkip) {
 
 				if (dpSrc === "") {
 					// TODO: Figure out why there is no data-parsoid here!
-					console.error( "XXX Error in handleUnbalancedTableTags: no data-parsoid found! " +
-							env.page.name );
+					env.logger.error( 'dom', "handleUnbalancedTableTags: no data-parsoid found!" );
 					dpSrc = '{}';
 				}
 
@@ -971,8 +970,8 @@ function findTopLevelNonOverlappingRanges(env, document, tplRanges) {
 					// Record a range in which 'r' is nested in.
 					nestedRangesMap[r.id] = Object.keys(n.data.tmp_tplRanges)[0];
 					if (nestedRangesMap[r.id] === r.id) {
-						console.error("BUG! BUG! range " + r.id + " is being reported as nested in itself!");
-						console.error("Clearing the flag to eliminate possibility of infinite loops, but output might be corrupt.");
+						env.logger.error('dom', "BUG! range " + r.id + " is being reported as nested in itself! " +
+							"Clearing the flag to eliminate possibility of infinite loops, but output might be corrupt.");
 						nestedRangesMap[r.id] = null;
 					}
 					break;
@@ -1220,11 +1219,11 @@ function encapsulateTemplates( env, doc, tplRanges, tplParams) {
 		}
 
 		if (!done) {
-			console.warn("ERROR: Do not have necessary info. to RT Tpl: " + i);
-			console.warn("Start Elt : " + startElem.outerHTML);
-			console.warn("End Elt   : " + range.endElem.innerHTML);
-			console.warn("Start DSR : " + JSON.stringify(dp1 || {}));
-			console.warn("End   DSR : " + JSON.stringify(dp2 || {}));
+			env.logger.warn('dom', "Do not have necessary info. to RT Tpl: " + i +
+				"\nStart Elt : " + startElem.outerHTML +
+				"\nEnd Elt   : " + range.endElem.innerHTML +
+				"\nStart DSR : " + JSON.stringify(dp1 || {}) +
+				"\nEnd   DSR : " + JSON.stringify(dp2 || {}));
 		}
 
 		// remove start/end
@@ -1321,11 +1320,11 @@ function findWrappableTemplateRanges( root, tpls, doc, env ) {
 						if ( aboutRef.end ) {
 							// End marker was foster-parented.
 							// Found actual start tag.
-							console.warn( 'end marker was foster-parented' );
+							env.logger.warn( 'dom', 'end marker was foster-parented' );
 							tplRanges.push(getDOMRange( env, doc, elem, aboutRef.end, aboutRef.end ));
 						} else {
 							// should not happen!
-							console.warn( 'start found after content' );
+							env.logger.warn( 'dom', 'start found after content' );
 						}
 					} else {
 						tpls[about] = { start: elem };
@@ -1339,11 +1338,11 @@ function findWrappableTemplateRanges( root, tpls, doc, env ) {
 						// was foster-parented. Extend the DOM range to
 						// include the table.
 						// TODO: implement
-						console.warn( 'foster-parented content following!' );
+						env.logger.warn( 'dom', 'foster-parented content following!' );
 						if ( aboutRef && aboutRef.start ) {
 							tplRanges.push(getDOMRange( env, doc, aboutRef.start, elem, tableNode ));
 						} else {
-							console.warn( 'found foster-parented end marker followed ' +
+							env.logger.warn( 'dom', 'found foster-parented end marker followed ' +
 									'by table, but no start marker!');
 						}
 					} else if ( aboutRef ) {
@@ -1737,7 +1736,7 @@ function computeNodeDSR(env, node, s, e, traceDSR) {
 		e = null;
 	}
 
-	if (traceDSR) console.warn("Received " + s + ", " + e + " for " + node.nodeName + " --");
+	if (traceDSR) env.logger.trace('dsr', "Received " + s + ", " + e + " for " + node.nodeName + " --");
 
 	var children = node.childNodes,
 		savedEndTagWidth = null,
@@ -1754,17 +1753,17 @@ function computeNodeDSR(env, node, s, e, traceDSR) {
 			endTagWidth = null;
 		cs = null;
 		if (cType === Node.TEXT_NODE) {
-			if (traceDSR) console.warn("-- Processing <" + node.nodeName + ":" + i + ">=#" + child.data + " with [" + cs + "," + ce + "]");
+			if (traceDSR) env.logger.trace('dsr', "-- Processing <" + node.nodeName + ":" + i + ">=#" + child.data + " with [" + cs + "," + ce + "]");
 			if (ce !== null) {
 				cs = ce - child.data.length - DU.indentPreDSRCorrection(child);
 			}
 		} else if (cType === Node.COMMENT_NODE) {
-			if (traceDSR) console.warn("-- Processing <" + node.nodeName + ":" + i + ">=!" + child.data + " with [" + cs + "," + ce + "]");
+			if (traceDSR) env.logger.trace('dsr', "-- Processing <" + node.nodeName + ":" + i + ">=!" + child.data + " with [" + cs + "," + ce + "]");
 			if (ce !== null) {
 				cs = ce - child.data.length - 7; // 7 chars for "<!--" and "-->"
 			}
 		} else if (cType === Node.ELEMENT_NODE) {
-			if (traceDSR) console.warn("-- Processing <" + node.nodeName + ":" + i + ">=" + child.nodeName + " with [" + cs + "," + ce + "]");
+			if (traceDSR) env.logger.trace('dsr', "-- Processing <" + node.nodeName + ":" + i + ">=" + child.nodeName + " with [" + cs + "," + ce + "]");
 			var cTypeOf = child.getAttribute("typeof"),
 				dp = DU.dataParsoid(child),
 				tsr = dp.tsr,
@@ -1843,7 +1842,7 @@ function computeNodeDSR(env, node, s, e, traceDSR) {
 					} else {
 						stWidth = tsr[1] - tsr[0];
 					}
-					if (traceDSR) console.warn("TSR: " + JSON.stringify(tsr) + "; cs: " + cs + "; ce: " + ce);
+					if (traceDSR) env.logger.trace('dsr', "TSR: " + JSON.stringify(tsr) + "; cs: " + cs + "; ce: " + ce);
 				} else if (s && child.previousSibling === null) {
 					cs = s;
 				}
@@ -1864,7 +1863,7 @@ function computeNodeDSR(env, node, s, e, traceDSR) {
 				ccs = cs !== null && stWidth !== null ? cs + stWidth : null;
 				cce = ce !== null && etWidth !== null ? ce - etWidth : null;
 				if (traceDSR) {
-					console.warn("Before recursion, [cs,ce]=" + cs + "," + ce +
+					env.logger.trace('dsr', "Before recursion, [cs,ce]=" + cs + "," + ce +
 						"; [sw,ew]=" + stWidth + "," + etWidth +
 						"; [ccs,cce]=" + ccs + "," + cce);
 				}
@@ -1922,7 +1921,7 @@ function computeNodeDSR(env, node, s, e, traceDSR) {
 			if (cs !== null || ce !== null) {
 				dp.dsr = [cs, ce, stWidth, etWidth];
 				if (traceDSR) {
-					console.warn("-- UPDATING; " + child.nodeName + " with [" + cs + "," + ce + "]; typeof: " + cTypeOf);
+					env.logger.trace('dsr', "-- UPDATING; " + child.nodeName + " with [" + cs + "," + ce + "]; typeof: " + cTypeOf);
 					// Set up 'dbsrc' so we can debug this
 					dp.dbsrc = env.page.src.substring(cs, ce);
 				}
@@ -1955,7 +1954,7 @@ function computeNodeDSR(env, node, s, e, traceDSR) {
 
 						// Update and move right
 						if (traceDSR) {
-							console.warn("CHANGING ce.start of " + sibling.nodeName + " from " + siblingDP.dsr[0] + " to " + newCE);
+							env.logger.trace('dsr', "CHANGING ce.start of " + sibling.nodeName + " from " + siblingDP.dsr[0] + " to " + newCE);
 							// debug info
 							if (siblingDP.dsr[1]) {
 								siblingDP.dbsrc = env.page.src.substring(newCE, siblingDP.dsr[1]);
@@ -1997,25 +1996,25 @@ function computeNodeDSR(env, node, s, e, traceDSR) {
 
 	// Detect errors
 	if (s !== null && s !== undefined && cs !== s) {
-		console.warn("WARNING: DSR inconsistency: cs/s mismatch for node: " +
+		env.logger.warn('dsr', "DSR inconsistency: cs/s mismatch for node: " +
 			node.nodeName + " s: " + s + "; cs: " + cs);
 	}
 	if (traceDSR) {
-		console.warn("For " + node.nodeName + ", returning: " + cs + ", " + e);
+		env.logger.trace('dsr', "For " + node.nodeName + ", returning: " + cs + ", " + e);
 	}
 
 	return [cs, e];
 }
 
 function computeDocDSR(root, env) {
-	if (env.conf.parsoid.debug || (env.conf.parsoid.dumpFlags && (env.conf.parsoid.dumpFlags.indexOf("dom:pre-dsr") !== -1))) {
-		console.warn("------ DOM: pre-DSR -------");
-		console.warn(root.innerHTML);
-		console.warn("----------------------------");
+	if (env.logger.isEnabled('trace', 'dump/dom:pre-dsr')) {
+		env.logger.trace('dump/dom:pre-dsr', "------ DOM: pre-DSR -------");
+		env.logger.trace('dump/dom:pre-dsr', root.innerHTML);
+		env.logger.trace('dump/dom:pre-dsr', "----------------------------");
 	}
 
-	var traceDSR = env.debug || (env.conf.parsoid.traceFlags && (env.conf.parsoid.traceFlags.indexOf("dsr") !== -1));
-	if (traceDSR) console.warn("------- tracing DSR computation -------");
+	var traceDSR = env.logger.isEnabled('trace', 'dsr');
+	if (traceDSR) env.logger.trace('dsr', "------- tracing DSR computation -------");
 
 	// The actual computation buried in trace/debug stmts.
 	var body = root.body;
@@ -2025,12 +2024,12 @@ function computeDocDSR(root, env) {
 	dp.dsr = [0, env.page.src.length, 0, 0];
 	DU.setDataParsoid(body, dp);
 
-	if (traceDSR) console.warn("------- done tracing DSR computation -------");
+	if (traceDSR) env.logger.trace('dsr', "------- done tracing DSR computation -------");
 
-	if (env.conf.parsoid.debug || (env.conf.parsoid.dumpFlags && (env.conf.parsoid.dumpFlags.indexOf("dom:post-dsr") !== -1))) {
-		console.warn("------ DOM: post-DSR -------");
-		console.warn(root.innerHTML);
-		console.warn("----------------------------");
+	if (env.logger.isEnabled('trace', 'dump/dom:post-dsr')) {
+		env.logger.trace('dump/dom:post-dsr', "------ DOM: post-DSR -------");
+		env.logger.trace('dump/dom:post-dsr', root.innerHTML);
+		env.logger.trace('dump/dom:post-dsr', "----------------------------");
 	}
 }
 
@@ -2041,10 +2040,10 @@ function computeDocDSR(root, env) {
  */
 function encapsulateTemplateOutput( document, env ) {
 	var tpls = {};
-	if (env.conf.parsoid.debug || (env.conf.parsoid.dumpFlags && (env.conf.parsoid.dumpFlags.indexOf("dom:pre-encap") !== -1))) {
-		console.warn("------ DOM: pre-encapsulation -------");
-		console.warn(document.innerHTML);
-		console.warn("----------------------------");
+	if (env.logger.isEnabled('trace', 'dump/dom:pre-encap')) {
+		env.logger.trace('dump/dom:pre-encap', "------ DOM: pre-encapsulation -------");
+		env.logger.trace('dump/dom:pre-encap', document.innerHTML);
+		env.logger.trace('dump/dom:pre-encap', "----------------------------");
 	}
 	// walk through document and look for tags with typeof="mw:Object*"
 	var tplRanges = findWrappableTemplateRanges( document.body, tpls, document, env );
@@ -2229,10 +2228,13 @@ DOMPostProcessor.prototype.constructor = DOMPostProcessor;
 
 DOMPostProcessor.prototype.doPostProcess = function ( document ) {
 	var env = this.env;
-	if (env.conf.parsoid.debug || (env.conf.parsoid.dumpFlags && (env.conf.parsoid.dumpFlags.indexOf("dom:post-builder") !== -1))) {
-		console.warn("---- DOM: after tree builder ----");
-		console.warn(document.innerHTML);
-		console.warn("--------------------------------");
+	if ( env.limits.aborted ) {
+		return;
+	}
+	if (env.logger.isEnabled('trace', 'dump/dom:post-builder')) {
+		env.logger.trace('dump/dom:post-builder', "---- DOM: after tree builder ----");
+		env.logger.trace('dump/dom:post-builder', document.innerHTML);
+		env.logger.trace('dump/dom:post-builder', "--------------------------------");
 	}
 
 	for (var i = 0; i < this.processors.length; i++) {
@@ -2249,6 +2251,11 @@ DOMPostProcessor.prototype.doPostProcess = function ( document ) {
 	var baseMeta = document.createElement('base');
 	baseMeta.setAttribute('href', env.conf.wiki.baseURI);
 	document.getElementsByTagName('head')[0].appendChild(baseMeta);
+
+	if ( !env.limits.add( 'outputSize', document.body.innerHTML.length ) ) {
+		// The parse was aborted
+		return;
+	}
 	this.emit( 'document', document );
 };
 
@@ -2258,7 +2265,8 @@ DOMPostProcessor.prototype.doPostProcess = function ( document ) {
  * builder.
  */
 DOMPostProcessor.prototype.addListenersOn = function ( emitter ) {
-	emitter.addListener( 'document', this.doPostProcess.bind( this ) );
+	emitter.addListener( 'document',
+		this.env.phaseTimer.wrap( 'postProcess', this.doPostProcess, this ) );
 };
 
 if (typeof module === "object") {
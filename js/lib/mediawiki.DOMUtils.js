@@ -5,7 +5,8 @@
  */
 
 var Util = require('./mediawiki.Util.js').Util,
-	Node = require('./mediawiki.wikitext.constants.js').Node;
+	Node = require('./mediawiki.wikitext.constants.js').Node,
+	logger = require('./mediawiki.Logger.js').Logger.root;
 
 var DOMUtils = {
 	isElt: function(node) {
@@ -64,7 +65,7 @@ var DOMUtils = {
 		try {
 			return JSON.parse(attVal);
 		} catch(e) {
-			console.warn('ERROR: Could not decode attribute ' +
+			logger.error('dom', 'Could not decode attribute ' +
 					name + ' on node ' + n);
 			return defaultVal !== undefined ? defaultVal : {};
 		}
@@ -320,12 +321,21 @@ var DOMUtils = {
 		return !this.isTplElementNode(env, someNode);
 	},
 
+	/**
+	 * Convert a DOM to tokens, for HTML from the PHP parser or DOMs built by
+	 * our tree builder. The data-parsoid of elements becomes the
+	 * dataAttribs of their tokens. The shadow metas of the tree builder are
+	 * dropped, and the start and end tags it inserted are marked, so that
+	 * the DOM is rebuilt the same in another DOM.
+	 */
 	convertDOMtoTokens: function(tokBuf, node) {
 		function domAttrsToTagAttrs(attrs) {
 			var out = [];
 			for (var i = 0, n = attrs.length; i < n; i++) {
 				var a = attrs.item(i);
-				out.push(new KV(a.name, a.value));
+				if (a.name !== 'data-parsoid') {
+					out.push(new KV(a.name, a.value));
+				}
 			}
 			return out;
 		}
@@ -334,12 +344,43 @@ var DOMUtils = {
 			case Node.ELEMENT_NODE:
 				var nodeName = node.nodeName.toLowerCase(),
 					children = node.childNodes,
-					tagAttrs = domAttrsToTagAttrs(node.attributes);
+					tagAttrs = domAttrsToTagAttrs(node.attributes),
+					dp = this.getJSONAttribute(node, 'data-parsoid', {}),
+					sibling;
+
+				if (this.isMarkerMeta(node, "mw:StartTag")) {
+					return;
+				} else if (this.isMarkerMeta(node, "mw:EndTag")) {
+					// Keep the end tags the tree builder stripped
+					sibling = node.previousSibling;
+					while (sibling && this.isMarkerMeta(sibling, "mw:EndTag")) {
+						sibling = sibling.previousSibling;
+					}
+					if (sibling && this.hasNodeName(sibling, node.getAttribute('data-etag'))) {
+						return;
+					}
+				} else if (dp.tsr && !Util.isVoidElement(nodeName)) {
+					if (!node.firstChild ||
+						!this.isMarkerMeta(node.firstChild, "mw:StartTag") ||
+						node.firstChild.getAttribute('data-stag') !== nodeName + ':' + dp.tsr)
+					{
+						dp.autoInsertedStart = true;
+					}
+					sibling = node.nextSibling;
+					while (sibling && this.isMarkerMeta(sibling, "mw:EndTag") &&
+						sibling.getAttribute('data-etag') !== nodeName)
+					{
+						sibling = sibling.nextSibling;
+					}
+					if (!sibling || !this.isMarkerMeta(sibling, "mw:EndTag")) {
+						dp.autoInsertedEnd = true;
+					}
+				}
 
 				if (Util.isVoidElement(nodeName)) {
-					tokBuf.push(new SelfclosingTagTk(nodeName, tagAttrs));
+					tokBuf.push(new SelfclosingTagTk(nodeName, tagAttrs, dp));
 				} else {
-					tokBuf.push(new TagTk(nodeName, tagAttrs));
+					tokBuf.push(new TagTk(nodeName, tagAttrs, dp));
 					for (var i = 0, n = children.length; i < n; i++) {
 						this.convertDOMtoTokens(tokBuf, children[i]);
 					}
@@ -360,7 +401,7 @@ var DOMUtils = {
 				break;
 
 			default:
-				console.warn( "Unhandled node type: " + node.outerHTML );
+				logger.warn( 'dom', "Unhandled node type: " + node.outerHTML );
 				break;
 		}
 	},
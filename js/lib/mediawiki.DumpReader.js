@@ -1,6 +1,10 @@
+/**
+ * A streaming reader of MediaWiki XML dumps, which emits their pages and
+ * revisions. Needs the optional libxmljs dependency.
+ */
 var events = require('events'),
 	util = require('util'),
-	libxml = require('libxmljs'); // npm install libxmljs
+	libxml = require('libxmljs');
 
 function DumpReader() {
 	events.EventEmitter.call(this);
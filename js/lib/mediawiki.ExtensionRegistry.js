@@ -0,0 +1,186 @@
+"use strict";
+/**
+ * Native implementations of extension tags and parser functions, registered
+ * by plugins: local modules listed in parsoidConfig.plugins that export a
+ * register( registry ) function. For example:
+ *
+ *     exports.register = function ( registry ) {
+ *         registry.registerTag( {
+ *             name: 'hello',
+ *             // <hello name="world"/> -> Hello world!
+ *             handler: function ( ext, env ) {
+ *                 return [ 'Hello ' + ( ext.attribs.name || 'you' ) + '!' ];
+ *             }
+ *         } );
+ *         registry.registerParserFunction( {
+ *             name: '#shout',
+ *             aliases: [ '#crier' ],
+ *             async: true,
+ *             // {{#shout:text}} -> TEXT
+ *             handler: function ( args, env, cb ) {
+ *                 cb( null, args[0].toUpperCase() );
+ *             }
+ *         } );
+ *     };
+ *
+ * Tag handlers get the tag as { name, attribs (name -> value), body (null
+ * for self-closing tags), src, parseWikitext } and the environment, and
+ * return the tokens of its content. parseWikitext( text, cb ) expands
+ * wikitext in the tag to tokens, cb( tokens ). The handlers replace the
+ * action=parse request of the TemplateHandler for the tag, and the tags are
+ * collected even if the wiki doesn't list them in its extensiontags.
+ *
+ * The content is encapsulated like a template, so the serializer writes
+ * back the original source. Tags whose HTML is meant to be edited instead
+ * set serialize( node, serializer ), which returns the source of the
+ * element with typeof="mw:Extension/<name>" their handler returns as its
+ * only top-level element. serializer has the env and serializeChildren(
+ * node ), which returns the wikitext of the children of a node. See
+ * ext.Gallery.js.
+ *
+ * Parser function handlers get the expanded arguments as strings (the first
+ * one is the text after the colon) and the environment, and return a string
+ * or tokens. They are called for the name (which may be the canonical name
+ * of a magic word) and aliases, in any case, and take precedence over the
+ * parser functions of Parsoid.
+ *
+ * Handlers with async: true get a cb( err, result ) instead of returning
+ * the result. Errors are shown in the page, like those of the parser
+ * functions.
+ */
+
+/**
+ * @class
+ * @constructor
+ */
+function ExtensionRegistry () {
+	// Lower-case name or alias -> spec
+	this.tags = {};
+	this.parserFunctions = {};
+}
+
+/**
+ * Check and add a spec to a map
+ */
+ExtensionRegistry.prototype._register = function ( map, kind, spec ) {
+	if ( !spec || typeof spec.name !== 'string' || typeof spec.handler !== 'function' ) {
+		throw new Error( 'A ' + kind + ' needs a name and a handler' );
+	}
+	[ spec.name ].concat( spec.aliases || [] ).forEach( function ( name ) {
+		map[name.toLowerCase()] = spec;
+	} );
+};
+
+/**
+ * Register the handler of an extension tag
+ *
+ * @param {Object} spec: name, aliases, handler, async and serialize (see
+ *   above)
+ */
+ExtensionRegistry.prototype.registerTag = function ( spec ) {
+	this._register( this.tags, 'tag', spec );
+};
+
+/**
+ * Register a parser function
+ *
+ * @param {Object} spec: name, aliases, handler and async (see above)
+ */
+ExtensionRegistry.prototype.registerParserFunction = function ( spec ) {
+	this._register( this.parserFunctions, 'parser function', spec );
+};
+
+/**
+ * @returns {Object|null} The spec of a tag
+ */
+ExtensionRegistry.prototype.getTag = function ( name ) {
+	return Object.prototype.hasOwnProperty.call( this.tags, name.toLowerCase() ) ?
+		this.tags[name.toLowerCase()] : null;
+};
+
+/**
+ * @returns {Object|null} The spec of a parser function
+ */
+ExtensionRegistry.prototype.getParserFunction = function ( name ) {
+	return Object.prototype.hasOwnProperty.call( this.parserFunctions, name.toLowerCase() ) ?
+		this.parserFunctions[name.toLowerCase()] : null;
+};
+
+/**
+ * @returns {String[]} The names and aliases of the tags
+ */
+ExtensionRegistry.prototype.getTagNames = function () {
+	return Object.keys( this.tags );
+};
+
+/**
+ * Load a plugin
+ *
+ * @param {String} file: The module of the plugin
+ * @throws {Error} if it can't be loaded or fails to register
+ */
+ExtensionRegistry.prototype.loadPlugin = function ( file ) {
+	try {
+		require( file ).register( this );
+	} catch ( e ) {
+		throw new Error( 'Could not load the plugin ' + file + ': ' + e.message );
+	}
+};
+
+/**
+ * Call a handler, sync or async
+ *
+ * @param {Object} spec
+ * @param {Array} args: The arguments of the handler, without the callback
+ * @param {Function} cb: cb( err, result )
+ */
+ExtensionRegistry.callHandler = function ( spec, args, cb ) {
+	var result;
+	if ( spec.async ) {
+		try {
+			spec.handler.apply( spec, args.concat( [ cb ] ) );
+		} catch ( e ) {
+			cb( e, null );
+		}
+		return;
+	}
+	try {
+		result = spec.handler.apply( spec, args );
+	} catch ( e ) {
+		cb( e, null );
+		return;
+	}
+	cb( null, result );
+};
+
+/**
+ * Split the source of an extension tag into its attributes and body
+ *
+ * @param {String} name: The tag name
+ * @param {String} src: The source, like <tag a="b">body</tag>
+ * @returns {Object} attribs (name -> value) and body (null for
+ *   self-closing tags)
+ */
+ExtensionRegistry.parseTagSource = function ( name, src ) {
+	var start = src.match( /^<[^\s\/>]+((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/ ),
+		attribs = {},
+		attribRE = /([^\s=\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g,
+		m, body = null, attrText;
+	if ( !start ) {
+		return { attribs: attribs, body: null };
+	}
+	attrText = start[1];
+	while ( ( m = attribRE.exec( attrText ) ) !== null ) {
+		attribs[m[1].toLowerCase()] = m[2] !== undefined ? m[2] :
+			m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : '';
+	}
+	if ( !start[2] ) {
+		body = src.substr( start[0].length )
+			.replace( new RegExp( '</\\s*' + name + '\\s*>$', 'i' ), '' );
+	}
+	return { attribs: attribs, body: body };
+};
+
+if (typeof module === "object") {
+	module.exports.ExtensionRegistry = ExtensionRegistry;
+}
@@ -23,7 +23,7 @@ FauxHTML5.TreeBuilder = function ( env ) {
 	this.processToken(new TagTk( 'body' ));
 
 	this.env = env;
-	this.trace = env.conf.parsoid.debug || (env.conf.parsoid.traceFlags && (env.conf.parsoid.traceFlags.indexOf("html") !== -1));
+	this.trace = env.logger.isEnabled('trace', 'treebuilder');
 };
 
 // Inherit from EventEmitter
@@ -35,8 +35,9 @@ FauxHTML5.TreeBuilder.prototype.constructor = FauxHTML5.TreeBuilder;
  * normally the TokenTransformDispatcher.
  */
 FauxHTML5.TreeBuilder.prototype.addListenersOn = function ( emitter ) {
-	emitter.addListener('chunk', this.onChunk.bind( this ) );
-	emitter.addListener('end', this.onEnd.bind( this ) );
+	var phaseTimer = this.env.phaseTimer;
+	emitter.addListener('chunk', phaseTimer.wrap( 'treeBuild', this.onChunk, this ) );
+	emitter.addListener('end', phaseTimer.wrap( 'treeBuild', this.onEnd, this ) );
 };
 
 FauxHTML5.TreeBuilder.prototype.onChunk = function ( tokens ) {
@@ -45,14 +46,14 @@ FauxHTML5.TreeBuilder.prototype.onChunk = function ( tokens ) {
 		return;
 	}
 
-	if (this.trace) console.warn("---- <chunk> ----");
+	if (this.trace) this.env.logger.trace('treebuilder', "---- <chunk> ----");
 
-	this.env.dp( 'chunk: ' + JSON.stringify( tokens, null, 2 ) );
+	this.env.logger.debug( 'treebuilder', 'chunk: ' + JSON.stringify( tokens, null, 2 ) );
 	for (var i = 0; i < n; i++) {
 		this.processToken(tokens[i]);
 	}
 
-	if (this.trace) console.warn("---- </chunk> ----");
+	if (this.trace) this.env.logger.trace('treebuilder', "---- </chunk> ----");
 };
 
 FauxHTML5.TreeBuilder.prototype.onEnd = function ( ) {
@@ -104,7 +105,7 @@ FauxHTML5.TreeBuilder.prototype.processToken = function (token) {
 	}
 
 	if (this.trace) {
-		console.warn("T:html: " + JSON.stringify(token));
+		this.env.logger.trace('treebuilder', "T:html: " + JSON.stringify(token));
 	}
 
 	var tName, attrs,
@@ -140,7 +141,7 @@ FauxHTML5.TreeBuilder.prototype.processToken = function (token) {
 			this.emit('token', {type: 'StartTag', name: tName, data: this._att(attribs)});
 			if (dataAttribs && dataAttribs.tsr) {
 				attrs = [];
-				if ( this.trace ) console.warn('inserting shadow meta for ' + tName);
+				if ( this.trace ) this.env.logger.trace('treebuilder', 'inserting shadow meta for ' + tName);
 				attrs.push({nodeName: "typeof", nodeValue: "mw:StartTag"});
 				attrs.push({nodeName: "data-stag", nodeValue: tName + ':' + dataAttribs.tsr});
 				this.emit('token', {type: 'StartTag', name: 'meta', data: attrs});
@@ -159,7 +160,7 @@ FauxHTML5.TreeBuilder.prototype.processToken = function (token) {
 			tName = token.name;
 			this.emit('token', {type: 'EndTag', name: tName});
 
-			if ( this.trace ) console.warn('inserting shadow meta for ' + tName);
+			if ( this.trace ) this.env.logger.trace('treebuilder', 'inserting shadow meta for ' + tName);
 			attrs = this._att(attribs);
 			attrs.push({nodeName: "typeof", nodeValue: "mw:EndTag"});
 			attrs.push({nodeName: "data-etag", nodeValue: tName});
@@ -180,10 +181,8 @@ FauxHTML5.TreeBuilder.prototype.processToken = function (token) {
 			//this.emit('document', this.document);
 			break;
 		default:
-			console.warn("-------- Unhandled token ---------");
-			console.warn("TYPE: " + token.constructor.name);
-			console.warn("VAL : " + JSON.stringify(token));
-			console.trace();
+			this.env.logger.error('treebuilder', "Unhandled token of type " +
+				token.constructor.name + ": " + JSON.stringify(token), new Error().stack);
 			break;
 	}
 	this.lastToken = token;
@@ -0,0 +1,370 @@
+"use strict";
+/**
+ * Language-dependent conversions used by the core parser functions: casing
+ * ({{ucfirst:}} etc), {{PLURAL:}}, {{GRAMMAR:}} and {{GENDER:}}. A port of
+ * the corresponding parts of MediaWiki's Language class.
+ *
+ * The plural rules follow CLDR, grouped into the rule sets shared by
+ * several languages. Languages not listed use the English rules, as
+ * MediaWiki does.
+ */
+
+/**
+ * The CLDR plural rule sets. Each returns the index of the plural form for
+ * the operands of a number (see pluralOperands), in the order in which the
+ * language lists its forms.
+ */
+var pluralRules = {
+	// No plural forms
+	none: function ( o ) {
+		return 0;
+	},
+	// one: i = 1 and v = 0
+	english: function ( o ) {
+		return o.i === 1 && o.v === 0 ? 0 : 1;
+	},
+	// one: i = 0,1
+	french: function ( o ) {
+		return o.i === 0 || o.i === 1 ? 0 : 1;
+	},
+	// one: i = 0 or n = 1
+	hindi: function ( o ) {
+		return o.i === 0 || o.n === 1 ? 0 : 1;
+	},
+	// one, few, many, other
+	russian: function ( o ) {
+		var i10 = o.i % 10, i100 = o.i % 100;
+		if ( o.v !== 0 ) {
+			return 3;
+		} else if ( i10 === 1 && i100 !== 11 ) {
+			return 0;
+		} else if ( i10 >= 2 && i10 <= 4 && !( i100 >= 12 && i100 <= 14 ) ) {
+			return 1;
+		}
+		return 2;
+	},
+	// one, few, other
+	serbian: function ( o ) {
+		var i10 = o.i % 10, i100 = o.i % 100,
+			f10 = o.f % 10, f100 = o.f % 100;
+		if ( ( o.v === 0 && i10 === 1 && i100 !== 11 ) ||
+				( f10 === 1 && f100 !== 11 ) ) {
+			return 0;
+		} else if ( ( o.v === 0 && i10 >= 2 && i10 <= 4 && !( i100 >= 12 && i100 <= 14 ) ) ||
+				( f10 >= 2 && f10 <= 4 && !( f100 >= 12 && f100 <= 14 ) ) ) {
+			return 1;
+		}
+		return 2;
+	},
+	// one, few, many, other
+	polish: function ( o ) {
+		var i10 = o.i % 10, i100 = o.i % 100;
+		if ( o.v !== 0 ) {
+			return 3;
+		} else if ( o.i === 1 ) {
+			return 0;
+		} else if ( i10 >= 2 && i10 <= 4 && !( i100 >= 12 && i100 <= 14 ) ) {
+			return 1;
+		}
+		return 2;
+	},
+	// one, few, many, other
+	czech: function ( o ) {
+		if ( o.v !== 0 ) {
+			return 2;
+		} else if ( o.i === 1 ) {
+			return 0;
+		} else if ( o.i >= 2 && o.i <= 4 ) {
+			return 1;
+		}
+		return 3;
+	},
+	// zero, one, two, few, many, other
+	arabic: function ( o ) {
+		var n100 = o.n % 100;
+		if ( o.n === 0 ) {
+			return 0;
+		} else if ( o.n === 1 ) {
+			return 1;
+		} else if ( o.n === 2 ) {
+			return 2;
+		} else if ( o.v === 0 && n100 >= 3 && n100 <= 10 ) {
+			return 3;
+		} else if ( o.v === 0 && n100 >= 11 && n100 <= 99 ) {
+			return 4;
+		}
+		return 5;
+	},
+	// one, two, other
+	hebrew: function ( o ) {
+		if ( ( o.i === 1 && o.v === 0 ) || ( o.i === 0 && o.v !== 0 ) ) {
+			return 0;
+		} else if ( o.i === 2 && o.v === 0 ) {
+			return 1;
+		}
+		return 2;
+	},
+	// one, few, many, other
+	lithuanian: function ( o ) {
+		var n10 = o.n % 10, n100 = o.n % 100;
+		if ( o.f !== 0 ) {
+			return 2;
+		} else if ( n10 === 1 && !( n100 >= 11 && n100 <= 19 ) ) {
+			return 0;
+		} else if ( n10 >= 2 && !( n100 >= 11 && n100 <= 19 ) ) {
+			return 1;
+		}
+		return 3;
+	},
+	// zero, one, other
+	latvian: function ( o ) {
+		var n10 = o.n % 10, n100 = o.n % 100,
+			f10 = o.f % 10, f100 = o.f % 100;
+		if ( ( o.v === 0 && ( n10 === 0 || ( n100 >= 11 && n100 <= 19 ) ) ) ||
+				( o.v === 2 && f100 >= 11 && f100 <= 19 ) ) {
+			return 0;
+		} else if ( ( o.v === 0 && n10 === 1 && n100 !== 11 ) ||
+				( o.v === 2 && f10 === 1 && f100 !== 11 ) ||
+				( o.v !== 2 && f10 === 1 ) ) {
+			return 1;
+		}
+		return 2;
+	},
+	// one, few, other
+	romanian: function ( o ) {
+		var n100 = o.n % 100;
+		if ( o.i === 1 && o.v === 0 ) {
+			return 0;
+		} else if ( o.v !== 0 || o.n === 0 || ( n100 >= 2 && n100 <= 19 ) ) {
+			return 1;
+		}
+		return 2;
+	},
+	// one, two, few, other
+	slovenian: function ( o ) {
+		var i100 = o.i % 100;
+		if ( o.v === 0 && i100 === 1 ) {
+			return 0;
+		} else if ( o.v === 0 && i100 === 2 ) {
+			return 1;
+		} else if ( o.v !== 0 || i100 === 3 || i100 === 4 ) {
+			return 2;
+		}
+		return 3;
+	},
+	// one, two, few, many, other
+	irish: function ( o ) {
+		if ( o.v !== 0 ) {
+			return 4;
+		} else if ( o.n === 1 ) {
+			return 0;
+		} else if ( o.n === 2 ) {
+			return 1;
+		} else if ( o.n >= 3 && o.n <= 6 ) {
+			return 2;
+		} else if ( o.n >= 7 && o.n <= 10 ) {
+			return 3;
+		}
+		return 4;
+	},
+	// zero, one, two, few, many, other
+	welsh: function ( o ) {
+		var forms = { 0: 0, 1: 1, 2: 2, 3: 3, 6: 4 };
+		return o.v === 0 && forms.hasOwnProperty( o.n ) ? forms[o.n] : 5;
+	}
+};
+
+var languagePluralRules = {
+	none: [ 'bo', 'dz', 'id', 'ig', 'ja', 'jv', 'km', 'ko', 'lo', 'ms', 'my',
+		'th', 'vi', 'yo', 'zh' ],
+	french: [ 'ff', 'fr', 'hy', 'kab', 'pt' ],
+	hindi: [ 'am', 'as', 'bn', 'fa', 'gu', 'hi', 'kn', 'zu' ],
+	russian: [ 'be', 'ru', 'uk' ],
+	serbian: [ 'bs', 'hr', 'sh', 'sr' ],
+	polish: [ 'pl' ],
+	czech: [ 'cs', 'sk' ],
+	arabic: [ 'ar', 'arz' ],
+	hebrew: [ 'he' ],
+	lithuanian: [ 'lt' ],
+	latvian: [ 'lv' ],
+	romanian: [ 'mo', 'ro' ],
+	slovenian: [ 'sl' ],
+	irish: [ 'ga' ],
+	welsh: [ 'cy' ]
+};
+
+// Languages that case the dotted and dotless i differently
+var turkicLanguages = [ 'az', 'crh', 'kaa', 'tr' ];
+
+/**
+ * The CLDR plural operands of a number: the absolute value n, its integer
+ * part i, the number of visible fraction digits v and the fraction digits
+ * f.
+ */
+function pluralOperands( num ) {
+	var parts = String( Math.abs( num ) ).split( '.' );
+	return {
+		n: Math.abs( num ),
+		i: parseInt( parts[0], 10 ),
+		v: parts[1] ? parts[1].length : 0,
+		f: parts[1] ? parseInt( parts[1], 10 ) : 0
+	};
+}
+
+/**
+ * Split a string into its code points, so surrogate pairs stay together
+ */
+function codePoints( str ) {
+	return str.match( /[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g ) || [];
+}
+
+/**
+ * @class
+ * @constructor
+ * @param {String} code: The language code
+ */
+function Language ( code ) {
+	var base = ( code || 'en' ).split( '-' )[0];
+	this.code = code || 'en';
+	this.pluralRule = pluralRules.english;
+	Object.keys( languagePluralRules ).forEach( function ( rule ) {
+		if ( languagePluralRules[rule].indexOf( base ) !== -1 ) {
+			this.pluralRule = pluralRules[rule];
+		}
+	}, this );
+	this.isTurkic = turkicLanguages.indexOf( base ) !== -1;
+	// case -> word -> form, like $wgGrammarForms
+	this.grammarForms = {};
+}
+
+var languages = {};
+
+/**
+ * Get the (shared) Language object for a language code
+ */
+Language.forCode = function ( code ) {
+	code = code || 'en';
+	if ( !languages[code] ) {
+		languages[code] = new Language( code );
+	}
+	return languages[code];
+};
+
+Language.prototype.uc = function ( str ) {
+	return str.toUpperCase();
+};
+
+Language.prototype.lc = function ( str ) {
+	return str.toLowerCase();
+};
+
+/**
+ * Upper-case the first character (code point) of a string. Turkic
+ * languages map i to the dotted capital İ.
+ */
+Language.prototype.ucfirst = function ( str ) {
+	var first = codePoints( str.substr( 0, 2 ) )[0];
+	if ( !first ) {
+		return str;
+	} else if ( first === 'i' && this.isTurkic ) {
+		return 'İ' + str.substr( 1 );
+	}
+	return first.toUpperCase() + str.substr( first.length );
+};
+
+/**
+ * Lower-case the first character (code point) of a string. Turkic
+ * languages map I to the dotless ı.
+ */
+Language.prototype.lcfirst = function ( str ) {
+	var first = codePoints( str.substr( 0, 2 ) )[0];
+	if ( !first ) {
+		return str;
+	} else if ( first === 'I' && this.isTurkic ) {
+		return 'ı' + str.substr( 1 );
+	}
+	return first.toLowerCase() + str.substr( first.length );
+};
+
+/**
+ * Find the plural form for a count.
+ *
+ * Forms like '12=twelve' apply to exactly that count; the others are
+ * chosen by the language's plural rules, where missing forms default to
+ * the last one given.
+ *
+ * @param {Number} count
+ * @param {String[]} forms
+ * @returns {Number} The index of the form, -1 if there is none
+ */
+Language.prototype.pluralFormIndex = function ( count, forms ) {
+	var remaining = [],
+		i, index;
+
+	for ( i = 0; i < forms.length; i++ ) {
+		if ( /\d+=/.test( forms[i] ) ) {
+			if ( forms[i].substr( 0, forms[i].indexOf( '=' ) ) === String( count ) ) {
+				return i;
+			}
+		} else {
+			remaining.push( i );
+		}
+	}
+	if ( !remaining.length ) {
+		return -1;
+	}
+	index = this.pluralRule( pluralOperands( count ) );
+	return remaining[Math.min( index, remaining.length - 1 )];
+};
+
+/**
+ * Pick the plural form for a count, see pluralFormIndex
+ */
+Language.prototype.convertPlural = function ( count, forms ) {
+	var index = this.pluralFormIndex( count, forms ),
+		form = index === -1 ? '' : forms[index];
+	// Strip the count of explicit forms
+	return /\d+=/.test( form ) ? form.substr( form.indexOf( '=' ) + 1 ) : form;
+};
+
+/**
+ * Inflect a word for a grammatical case. Only the forms configured in
+ * grammarForms are known; other words are returned unchanged.
+ */
+Language.prototype.convertGrammar = function ( word, grammarCase ) {
+	var forms = this.grammarForms[grammarCase];
+	if ( forms && forms.hasOwnProperty( word ) ) {
+		return forms[word];
+	}
+	return word;
+};
+
+/**
+ * Find the form for a gender ('male', 'female' or 'unknown') among the
+ * male, female and neutral forms. The neutral form defaults to the male
+ * one.
+ *
+ * @param {String} gender
+ * @param {Number} count: The number of forms
+ * @returns {Number} The index of the form, -1 if there is none
+ */
+Language.prototype.genderFormIndex = function ( gender, count ) {
+	if ( !count ) {
+		return -1;
+	} else if ( gender === 'male' || count === 1 ) {
+		return 0;
+	} else if ( gender === 'female' ) {
+		return 1;
+	}
+	return count > 2 ? 2 : 0;
+};
+
+Language.prototype.gender = function ( gender, forms ) {
+	var index = this.genderFormIndex( gender, forms.length );
+	return index === -1 ? '' : forms[index];
+};
+
+if (typeof module === "object") {
+	module.exports.Language = Language;
+	module.exports.codePoints = codePoints;
+}
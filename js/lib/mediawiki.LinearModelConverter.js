@@ -2,6 +2,8 @@
  * HTML DOM -> linear model converter
  */
 
+var logger = require( './mediawiki.Logger.js' ).Logger.root;
+
 /**
  * Convert an HTML DOM to a linear model
  * @param {Object} Root node of the HTML DOM
@@ -248,7 +250,7 @@ function convertHTMLNode( node, annotations, typeData ) {
 					if ( typeData.leafNode ) {
 						// We've found an element node *inside* a leaf node.
 						// This is illegal, so warn and skip it
-						console.warn( 'HTML DOM to linear model conversion error: ' +
+						logger.warn( 'linearmodel', 'HTML DOM to linear model conversion error: ' +
 							'found element node (' + child.nodeName + ') inside ' +
 							'leaf node (' + node.nodeName + ')' );
 						break;
@@ -268,7 +270,7 @@ function convertHTMLNode( node, annotations, typeData ) {
 						// anyway because only leaves can have them.
 						data = data.concat( convertHTMLNode( child, [], childTypeData ) );
 					} else {
-						console.warn( 'HTML DOM to linear model conversion error: unknown node with name ' +
+						logger.warn( 'linearmodel', 'HTML DOM to linear model conversion error: unknown node with name ' +
 							child.nodeName + ' and content ' + child.innerHTML );
 					}
 				}
@@ -287,7 +289,7 @@ function convertHTMLNode( node, annotations, typeData ) {
 				// Comment, do nothing
 				break;
 			default:
-				console.warn( 'HTML DOM to linear model conversion error: unknown node of type ' +
+				logger.warn( 'linearmodel', 'HTML DOM to linear model conversion error: unknown node of type ' +
 					child.nodeType + ' with content ' + child.innerHTML );
 		}
 	}
@@ -0,0 +1,318 @@
+"use strict";
+/**
+ * Logging with levels, per-component channels and request context.
+ *
+ * Lines are logged on a channel, like 'api' or 'tt/list'. Channels are
+ * hierarchical: the level of 'tt' applies to 'tt/list' unless that has a
+ * level of its own. The main channels are
+ * - general: everything without a more specific channel
+ * - service: the HTTP service (api/)
+ * - api: MediaWiki API requests
+ * - tokenizer: the PEG tokenizer
+ * - tt: token transforms, with tt/sync:N and tt/async:N for the token
+ *   transform managers of phase N and tt/<handler> for some handlers (list,
+ *   pre, p-wrap, template, parserfunctions)
+ * - treebuilder: tokens sent to the HTML tree builder
+ * - dsr, dom: DOM post-processing
+ * - serializer, selser: the wikitext and selective serializers
+ * - dump/<what>: state dumps, like dump/dom:post-dsr
+ *
+ * Each line carries the context of the logger: for an environment's logger
+ * (env.logger) the wiki prefix, page title, revision and request id. Lines
+ * are written to stderr as text or JSON (one object per line).
+ */
+
+var util = require( 'util' ),
+	$ = require( './fakejquery' );
+
+var levels = {
+	fatal: 60,
+	error: 50,
+	warn: 40,
+	info: 30,
+	debug: 20,
+	trace: 10
+};
+
+/**
+ * The channels of the --trace flags of the command line tools, with the
+ * level if it isn't trace
+ */
+var traceFlagChannels = {
+	'html': [ 'treebuilder' ],
+	'wts': [ 'serializer' ],
+	'list': [ 'tt/list' ],
+	'pre': [ 'tt/pre', 'debug' ],
+	'pre_debug': [ 'tt/pre' ],
+	'p-wrap': [ 'tt/p-wrap' ]
+};
+
+function levelValue( level ) {
+	if ( !levels.hasOwnProperty( level ) ) {
+		throw new Error( 'Unknown log level: ' + level );
+	}
+	return levels[level];
+}
+
+/**
+ * Parse channel levels from a string like 'dsr:trace,selser:debug'
+ *
+ * @returns {Object} channel -> level
+ */
+function parseChannelLevels( spec ) {
+	var channels = {};
+	( spec || '' ).split( ',' ).forEach( function ( item ) {
+		var i;
+		item = item.trim();
+		if ( item ) {
+			i = item.lastIndexOf( ':' );
+			if ( i === -1 ) {
+				throw new Error( 'Expected channel:level, got ' + item );
+			}
+			levelValue( item.substr( i + 1 ).trim() );
+			channels[item.substr( 0, i ).trim()] = item.substr( i + 1 ).trim();
+		}
+	} );
+	return channels;
+}
+
+/**
+ * @class
+ * @constructor
+ * @param {Object} [options]: level (for all channels without a level of
+ *   their own, 'info' by default), channels (channel -> level), format
+ *   ('text' or 'json'), stream (to write to, process.stderr by default)
+ */
+function Logger ( options ) {
+	this.parent = null;
+	this.context = null;
+	this.configure( options || {} );
+}
+
+/**
+ * Change the levels and format
+ */
+Logger.prototype.configure = function ( options ) {
+	if ( options.level !== undefined ) {
+		levelValue( options.level );
+		this.level = options.level;
+	} else if ( !this.level && !this.parent ) {
+		this.level = 'info';
+	}
+	if ( options.channels !== undefined ) {
+		this.channels = {};
+		this.setChannelLevels( options.channels );
+	}
+	if ( options.format !== undefined ) {
+		this.format = options.format;
+	}
+	if ( options.stream !== undefined ) {
+		this.stream = options.stream;
+	}
+	// channel -> level value set in this logger (0 to inherit it),
+	// recomputed after changes
+	this.cache = {};
+};
+
+/**
+ * Set the levels of some channels
+ *
+ * @param {Object|String} channels: channel -> level, or a string like
+ *   'dsr:trace,selser:debug'
+ */
+Logger.prototype.setChannelLevels = function ( channels ) {
+	if ( typeof channels === 'string' ) {
+		channels = parseChannelLevels( channels );
+	}
+	this.channels = this.channels || {};
+	Object.keys( channels || {} ).forEach( function ( channel ) {
+		levelValue( channels[channel] );
+		this.channels[channel] = channels[channel];
+	}, this );
+	this.cache = {};
+};
+
+/**
+ * A logger adding some context to each line, with its own level overrides
+ * (like those of a single request)
+ *
+ * @param {Object|Function} context: Fields to add, or a function returning
+ *   them at the time of logging
+ * @param {Object} [options]: level and channels overriding those of this
+ *   logger
+ */
+Logger.prototype.child = function ( context, options ) {
+	var child = Object.create( Logger.prototype );
+	child.parent = this;
+	child.context = context;
+	child.level = null;
+	child.channels = null;
+	child.cache = {};
+	if ( options ) {
+		child.configure( options );
+	}
+	return child;
+};
+
+/**
+ * The level of a channel in this logger, without its parents
+ */
+Logger.prototype._ownLevel = function ( channel ) {
+	var name = channel;
+	if ( this.channels ) {
+		while ( name ) {
+			if ( this.channels.hasOwnProperty( name ) ) {
+				return this.channels[name];
+			}
+			name = name.indexOf( '/' ) === -1 ? null :
+				name.substr( 0, name.lastIndexOf( '/' ) );
+		}
+	}
+	return this.level;
+};
+
+/**
+ * The minimum level of the lines logged on a channel
+ */
+Logger.prototype.channelLevel = function ( channel ) {
+	var level;
+	if ( !this.cache.hasOwnProperty( channel ) ) {
+		level = this._ownLevel( channel );
+		this.cache[channel] = level ? levels[level] : 0;
+	}
+	// The parent's levels can change after this logger was created
+	return this.cache[channel] || this.parent.channelLevel( channel );
+};
+
+/**
+ * Whether lines of a level are logged on a channel. Check this before
+ * building expensive messages.
+ */
+Logger.prototype.isEnabled = function ( level, channel ) {
+	return levelValue( level ) >= this.channelLevel( channel || 'general' );
+};
+
+Logger.prototype.getContext = function () {
+	var context = this.parent ? this.parent.getContext() : {},
+		own = typeof this.context === 'function' ? this.context() : this.context;
+	Object.keys( own || {} ).forEach( function ( key ) {
+		if ( own[key] !== undefined && own[key] !== null && own[key] !== '' ) {
+			context[key] = own[key];
+		}
+	} );
+	return context;
+};
+
+Logger.prototype._root = function () {
+	return this.parent ? this.parent._root() : this;
+};
+
+/**
+ * Format the arguments of a log call as a message: strings as they are,
+ * errors with their stack, and other values as JSON
+ */
+function formatMessage( args ) {
+	return args.map( function ( arg ) {
+		if ( typeof arg === 'string' ) {
+			return arg;
+		} else if ( arg instanceof Error || ( arg && arg.stack && arg.message !== undefined ) ) {
+			return arg.stack || arg.toString();
+		}
+		try {
+			return JSON.stringify( arg );
+		} catch ( e ) {
+			return util.inspect( arg );
+		}
+	} ).join( ' ' );
+}
+
+/**
+ * Log a line
+ *
+ * @param {String} level
+ * @param {String} channel
+ * @param {Mixed...} message: The parts of the message
+ */
+Logger.prototype.log = function ( level, channel ) {
+	var root = this._root(),
+		context, message, line;
+
+	if ( !this.isEnabled( level, channel ) ) {
+		return;
+	}
+	context = this.getContext();
+	message = formatMessage( Array.prototype.slice.call( arguments, 2 ) );
+	if ( root.format === 'json' ) {
+		line = { time: new Date().toISOString(), level: level, channel: channel, msg: message };
+		Object.keys( context ).forEach( function ( key ) {
+			line[key] = context[key];
+		} );
+		line.pid = process.pid;
+		line = JSON.stringify( line );
+	} else {
+		line = '[' + level + '][' + channel + ']' +
+			( Object.keys( context ).length ? '[' + Object.keys( context ).map( function ( key ) {
+				return key + '=' + context[key];
+			} ).join( ' ' ) + ']' : '' ) + ' ' + message;
+	}
+	( root.stream || process.stderr ).write( line + '\n' );
+};
+
+Object.keys( levels ).forEach( function ( level ) {
+	/**
+	 * Log a line of this level: logger.warn( channel, message... )
+	 */
+	Logger.prototype[level] = function () {
+		this.log.apply( this, [ level ].concat( Array.prototype.slice.call( arguments ) ) );
+	};
+} );
+
+/**
+ * Set the levels of the --debug, --trace and --dump flags of the command
+ * line tools: --debug logs everything, and the trace and dump flags
+ * (comma-separated) log the corresponding channels at trace level. --trace
+ * without flags traces the tokenizer and token transforms.
+ */
+Logger.prototype.setDebuggingFlags = function ( opts ) {
+	var channels = {};
+	if ( opts.loglevel ) {
+		this.configure( { level: opts.loglevel } );
+	}
+	if ( opts.debug ) {
+		this.configure( { level: 'trace' } );
+	}
+	if ( opts.trace === true ) {
+		channels.tokenizer = channels.tt = 'trace';
+	} else if ( opts.trace ) {
+		opts.trace.split( ',' ).forEach( function ( flag ) {
+			var channel = traceFlagChannels[flag] ||
+				[ /^a?sync:\d+$/.test( flag ) ? 'tt/' + flag : flag ];
+			channels[channel[0]] = channel[1] || 'trace';
+		} );
+	}
+	if ( opts.dump ) {
+		opts.dump.split( ',' ).forEach( function ( flag ) {
+			channels['dump/' + flag] = 'trace';
+		} );
+	}
+	if ( opts.logchannels ) {
+		$.extend( channels, parseChannelLevels( opts.logchannels ) );
+	}
+	this.setChannelLevels( channels );
+	if ( opts.logformat ) {
+		this.configure( { format: opts.logformat } );
+	}
+};
+
+/**
+ * The logger of the process, for code without an environment. Environments
+ * log through children of it (see ParsoidConfig.getLogger).
+ */
+Logger.root = new Logger();
+
+Logger.levels = levels;
+Logger.parseChannelLevels = parseChannelLevels;
+
+if (typeof module === "object") {
+	module.exports.Logger = Logger;
+}
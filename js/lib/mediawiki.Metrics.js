@@ -0,0 +1,491 @@
+"use strict";
+/**
+ * Service metrics: counters, gauges and latency histograms with labels, as
+ * served by /_metrics in the Prometheus text format and optionally sent to
+ * StatsD (ParsoidConfig.statsd).
+ *
+ * Each process keeps its own metrics. In a cluster (api/server.js), the
+ * master merges those of all workers into the ones it serves, see
+ * Metrics.serveWorkers and Metrics.collectCluster.
+ *
+ * Also see PhaseTimer, which measures the time a parse spends in each
+ * pipeline stage.
+ */
+
+var dgram = require( 'dgram' );
+
+var prefix = 'parsoid_';
+
+/**
+ * The metrics, with their Prometheus type and help text. Durations are
+ * recorded in milliseconds, and served in seconds.
+ */
+var definitions = {
+	http_requests_total: [ 'counter',
+		'HTTP requests by route, wiki prefix and status' ],
+	http_request_duration_seconds: [ 'histogram',
+		'HTTP request latency by route and wiki prefix' ],
+	http_requests_in_flight: [ 'gauge',
+		'HTTP requests in progress' ],
+	api_requests_total: [ 'counter',
+		'MediaWiki API requests by type, wiki prefix and result (ok, error or cached)' ],
+	api_request_duration_seconds: [ 'histogram',
+		'MediaWiki API request latency by type and wiki prefix' ],
+	api_retries_total: [ 'counter',
+		'Retried MediaWiki API requests by type and wiki prefix' ],
+	parse_phase_duration_seconds: [ 'histogram',
+		'Time spent per parse in tokenizing, token transforms, tree building and DOM post-processing' ],
+	resource_limit_aborts_total: [ 'counter',
+		'Parses aborted by a resource limit, by limit' ],
+	shared_cache_lookups_total: [ 'counter',
+		'Shared cache lookups by result (hit or miss)' ],
+	shared_cache_evictions_total: [ 'counter',
+		'Shared cache entries evicted to stay within its limits' ],
+	shared_cache_items: [ 'gauge',
+		'Entries in the shared cache' ],
+	shared_cache_bytes: [ 'gauge',
+		'Size of the shared cache' ],
+	shared_cache_hit_ratio: [ 'gauge',
+		'Share of shared cache lookups that were hits' ],
+	process_heap_used_bytes: [ 'gauge',
+		'V8 heap in use' ],
+	process_heap_total_bytes: [ 'gauge',
+		'V8 heap allocated' ],
+	process_resident_memory_bytes: [ 'gauge',
+		'Resident set size' ],
+	process_uptime_seconds: [ 'gauge',
+		'Time since the process started' ],
+	workers: [ 'gauge',
+		'Live worker processes' ],
+	worker_restarts_total: [ 'counter',
+		'Workers that died and were restarted' ]
+};
+
+// Histogram buckets, in seconds
+var defaultBuckets = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60 ];
+
+/**
+ * The key of a series: its label values, in the order of their names
+ */
+function labelKey( labels ) {
+	return Object.keys( labels || {} ).sort().map( function ( name ) {
+		return name + '=' + labels[name];
+	} ).join( ',' );
+}
+
+function formatLabels( labels, extra ) {
+	var parts = Object.keys( labels ).sort().map( function ( name ) {
+		return name + '="' + String( labels[name] ).replace( /\\/g, '\\\\' )
+			.replace( /"/g, '\\"' ).replace( /\n/g, '\\n' ) + '"';
+	} );
+	if ( extra ) {
+		parts.push( extra );
+	}
+	return parts.length ? '{' + parts.join( ',' ) + '}' : '';
+}
+
+/**
+ * @class
+ * @constructor
+ * @param {Object} [options]: statsd, { host, port (8125), prefix ('parsoid'),
+ *   interval (milliseconds between gauge updates, 10000) } to also send the
+ *   metrics to StatsD; buckets, the histogram buckets in seconds
+ */
+function Metrics ( options ) {
+	options = options || {};
+	this.buckets = options.buckets || defaultBuckets;
+	// name -> label key -> series
+	this.series = {};
+	// Functions updating gauges before they are read
+	this.collectors = [];
+
+	if ( options.statsd ) {
+		this.statsd = {
+			host: options.statsd.host || 'localhost',
+			port: options.statsd.port || 8125,
+			prefix: options.statsd.prefix || 'parsoid',
+			socket: dgram.createSocket( 'udp4' )
+		};
+		if ( this.statsd.socket.unref ) {
+			this.statsd.socket.unref();
+		}
+		this.statsdTimer = setInterval( this.flushGauges.bind( this ),
+			options.statsd.interval || 10000 );
+		if ( this.statsdTimer.unref ) {
+			this.statsdTimer.unref();
+		}
+	}
+}
+
+Metrics.prototype._getSeries = function ( name, labels ) {
+	var key = labelKey( labels ),
+		series = this.series[name] || ( this.series[name] = {} );
+	if ( !series[key] ) {
+		series[key] = { labels: labels || {}, value: 0 };
+		if ( definitions[name] && definitions[name][0] === 'histogram' ) {
+			series[key].buckets = this.buckets.map( function () {
+				return 0;
+			} );
+			series[key].sum = 0;
+		}
+	}
+	return series[key];
+};
+
+/**
+ * Send a metric to StatsD, as prefix.name.labelvalue1.labelvalue2
+ */
+Metrics.prototype._sendStatsd = function ( name, labels, value, type ) {
+	var statsd = this.statsd,
+		key, message;
+	if ( !statsd ) {
+		return;
+	}
+	key = [ statsd.prefix, name ].concat( Object.keys( labels || {} ).sort()
+		.map( function ( label ) {
+			return String( labels[label] ) || 'none';
+		} ) ).map( function ( part ) {
+			return part.replace( /[^\w\-]+/g, '_' );
+		} ).join( '.' );
+	message = new Buffer( key + ':' + value + '|' + type );
+	statsd.socket.send( message, 0, message.length, statsd.port, statsd.host,
+		function () {
+			// Metrics are best effort
+		} );
+};
+
+/**
+ * Count an event
+ *
+ * @param {String} name
+ * @param {Object} [labels]
+ * @param {Number} [amount]: 1 by default
+ */
+Metrics.prototype.increment = function ( name, labels, amount ) {
+	if ( amount === undefined ) {
+		amount = 1;
+	}
+	this._getSeries( name, labels ).value += amount;
+	this._sendStatsd( name, labels, amount, 'c' );
+};
+
+/**
+ * Record a duration in a histogram
+ *
+ * @param {String} name
+ * @param {Number} ms: The duration in milliseconds
+ * @param {Object} [labels]
+ */
+Metrics.prototype.timing = function ( name, ms, labels ) {
+	var series = this._getSeries( name, labels ),
+		seconds = ms / 1000,
+		i;
+	series.value++;
+	series.sum += seconds;
+	for ( i = 0; i < this.buckets.length; i++ ) {
+		if ( seconds <= this.buckets[i] ) {
+			series.buckets[i]++;
+		}
+	}
+	this._sendStatsd( name, labels, Math.round( ms ), 'ms' );
+};
+
+/**
+ * Set the current value of a gauge, or of a counter kept elsewhere (like
+ * the shared cache statistics). Collectors use this.
+ */
+Metrics.prototype.set = function ( name, value, labels ) {
+	this._getSeries( name, labels ).value = value;
+};
+
+/**
+ * Register a function that updates gauges with set(), called whenever the
+ * metrics are read
+ */
+Metrics.prototype.addCollector = function ( collector ) {
+	this.collectors.push( collector );
+};
+
+Metrics.prototype.collect = function () {
+	this.collectors.forEach( function ( collector ) {
+		collector( this );
+	}, this );
+};
+
+/**
+ * Send the current gauge values to StatsD
+ */
+Metrics.prototype.flushGauges = function () {
+	this.collect();
+	Object.keys( this.series ).forEach( function ( name ) {
+		var definition = definitions[name];
+		if ( definition && definition[0] === 'gauge' ) {
+			Object.keys( this.series[name] ).forEach( function ( key ) {
+				var series = this.series[name][key];
+				this._sendStatsd( name, series.labels, series.value, 'g' );
+			}, this );
+		}
+	}, this );
+};
+
+/**
+ * The current values, as a plain object that can be sent to another
+ * process and merged with those of others (see Metrics.merge)
+ */
+Metrics.prototype.snapshot = function () {
+	this.collect();
+	return JSON.parse( JSON.stringify( { buckets: this.buckets, series: this.series } ) );
+};
+
+/**
+ * Add up snapshots of several processes. Series with the same labels are
+ * summed, so per-process gauges need a label telling them apart.
+ */
+Metrics.merge = function ( snapshots ) {
+	var merged = { buckets: snapshots.length ? snapshots[0].buckets : defaultBuckets, series: {} };
+	snapshots.forEach( function ( snapshot ) {
+		Object.keys( snapshot.series ).forEach( function ( name ) {
+			var target = merged.series[name] || ( merged.series[name] = {} );
+			Object.keys( snapshot.series[name] ).forEach( function ( key ) {
+				var series = snapshot.series[name][key],
+					sum = target[key];
+				if ( !sum ) {
+					target[key] = JSON.parse( JSON.stringify( series ) );
+					return;
+				}
+				sum.value += series.value;
+				if ( series.buckets ) {
+					sum.sum += series.sum;
+					series.buckets.forEach( function ( count, i ) {
+						sum.buckets[i] += count;
+					} );
+				}
+			} );
+		} );
+	} );
+	return merged;
+};
+
+/**
+ * Format a snapshot in the Prometheus text exposition format
+ */
+Metrics.toPrometheus = function ( snapshot ) {
+	var lines = [];
+	Object.keys( snapshot.series ).sort().forEach( function ( name ) {
+		var definition = definitions[name] || [ 'untyped', name ],
+			fullName = prefix + name;
+		lines.push( '# HELP ' + fullName + ' ' + definition[1] );
+		lines.push( '# TYPE ' + fullName + ' ' + definition[0] );
+		Object.keys( snapshot.series[name] ).sort().forEach( function ( key ) {
+			var series = snapshot.series[name][key];
+			if ( definition[0] !== 'histogram' ) {
+				lines.push( fullName + formatLabels( series.labels ) + ' ' + series.value );
+				return;
+			}
+			snapshot.buckets.forEach( function ( le, i ) {
+				lines.push( fullName + '_bucket' +
+					formatLabels( series.labels, 'le="' + le + '"' ) + ' ' + series.buckets[i] );
+			} );
+			lines.push( fullName + '_bucket' + formatLabels( series.labels, 'le="+Inf"' ) +
+				' ' + series.value );
+			lines.push( fullName + '_sum' + formatLabels( series.labels ) + ' ' + series.sum );
+			lines.push( fullName + '_count' + formatLabels( series.labels ) + ' ' + series.value );
+		} );
+	} );
+	return lines.join( '\n' ) + '\n';
+};
+
+/**
+ * Collect the process's own gauges: heap usage and uptime, labelled with
+ * the process id
+ */
+Metrics.processCollector = function ( metrics ) {
+	var memory = process.memoryUsage(),
+		labels = { pid: String( process.pid ) };
+	metrics.set( 'process_heap_used_bytes', memory.heapUsed, labels );
+	metrics.set( 'process_heap_total_bytes', memory.heapTotal, labels );
+	metrics.set( 'process_resident_memory_bytes', memory.rss, labels );
+	metrics.set( 'process_uptime_seconds', process.uptime(), labels );
+};
+
+/* Cluster aggregation. Workers ask the master for the merged metrics; the
+ * master asks every worker for a snapshot, and answers with them merged
+ * with its own. */
+
+// How long the master waits for the snapshots of the workers
+var collectTimeout = 2000;
+
+/**
+ * In the cluster master: answer the metrics requests of the workers
+ *
+ * @param {Function} getWorkers: Returns the live workers
+ */
+Metrics.prototype.serveWorkers = function ( getWorkers ) {
+	var self = this,
+		nextId = 0,
+		pending = {};
+
+	return function ( worker, message ) {
+		var id, workers, collection;
+		if ( !message || typeof message.parsoidMetrics !== 'string' ) {
+			return;
+		}
+		if ( message.parsoidMetrics === 'request' ) {
+			workers = getWorkers();
+			id = ++nextId;
+			collection = pending[id] = {
+				snapshots: [ self.snapshot() ],
+				missing: workers.length,
+				done: function () {
+					if ( !pending[id] ) {
+						return;
+					}
+					delete pending[id];
+					clearTimeout( collection.timer );
+					worker.send( {
+						parsoidMetrics: 'response',
+						requestId: message.requestId,
+						snapshot: Metrics.merge( collection.snapshots )
+					} );
+				}
+			};
+			collection.timer = setTimeout( collection.done, collectTimeout );
+			workers.forEach( function ( w ) {
+				w.send( { parsoidMetrics: 'collect', collectionId: id } );
+			} );
+			if ( !workers.length ) {
+				collection.done();
+			}
+		} else if ( message.parsoidMetrics === 'snapshot' ) {
+			collection = pending[message.collectionId];
+			if ( collection ) {
+				collection.snapshots.push( message.snapshot );
+				if ( --collection.missing === 0 ) {
+					collection.done();
+				}
+			}
+		}
+	};
+};
+
+/**
+ * In a worker: answer the master's requests for snapshots, and fetch the
+ * merged metrics of the cluster. Outside a cluster, cb gets this process's
+ * own.
+ *
+ * @param {Function} cb: Called with a snapshot
+ */
+Metrics.prototype.collectCluster = function ( cb ) {
+	var self = this,
+		requestId;
+
+	if ( !process.send ) {
+		cb( this.snapshot() );
+		return;
+	}
+	if ( !this.clusterCallbacks ) {
+		this.clusterCallbacks = {};
+		this.nextRequestId = 0;
+		process.on( 'message', function ( message ) {
+			var callback;
+			if ( !message || message.parsoidMetrics !== 'response' ) {
+				return;
+			}
+			callback = self.clusterCallbacks[message.requestId];
+			if ( callback ) {
+				delete self.clusterCallbacks[message.requestId];
+				callback( message.snapshot );
+			}
+		} );
+	}
+	requestId = ++this.nextRequestId;
+	this.clusterCallbacks[requestId] = cb;
+	process.send( { parsoidMetrics: 'request', requestId: requestId } );
+	// Fall back to our own metrics if the master doesn't answer
+	setTimeout( function () {
+		var callback = self.clusterCallbacks[requestId];
+		if ( callback ) {
+			delete self.clusterCallbacks[requestId];
+			callback( self.snapshot() );
+		}
+	}, collectTimeout * 2 );
+};
+
+/**
+ * In a worker: send snapshots to the master when it asks for them
+ */
+Metrics.prototype.answerMaster = function () {
+	var self = this;
+	if ( !process.send ) {
+		return;
+	}
+	process.on( 'message', function ( message ) {
+		if ( message && message.parsoidMetrics === 'collect' ) {
+			process.send( {
+				parsoidMetrics: 'snapshot',
+				collectionId: message.collectionId,
+				snapshot: self.snapshot()
+			} );
+		}
+	} );
+};
+
+/**
+ * Measures how long a parse spends in each pipeline stage: the tokenizer,
+ * the token transforms, tree building and DOM post-processing. The stages
+ * call each other synchronously as tokens flow through the pipeline, so
+ * the time is exclusive: time spent in a nested stage is not counted for
+ * the calling one.
+ *
+ * @class
+ * @constructor
+ */
+function PhaseTimer () {
+	// phase -> milliseconds
+	this.times = {};
+	// [ phase, start time ] of the stages in progress
+	this.stack = [];
+}
+
+PhaseTimer.prototype.now = function () {
+	var t = process.hrtime();
+	return t[0] * 1e3 + t[1] / 1e6;
+};
+
+PhaseTimer.prototype.enter = function ( phase ) {
+	var now = this.now(),
+		top = this.stack[this.stack.length - 1];
+	if ( top ) {
+		this.times[top[0]] = ( this.times[top[0]] || 0 ) + now - top[1];
+	}
+	this.stack.push( [ phase, now ] );
+};
+
+PhaseTimer.prototype.leave = function () {
+	var now = this.now(),
+		top = this.stack.pop();
+	this.times[top[0]] = ( this.times[top[0]] || 0 ) + now - top[1];
+	if ( this.stack.length ) {
+		this.stack[this.stack.length - 1][1] = now;
+	}
+};
+
+/**
+ * Wrap a function so that calls to it are timed for a phase
+ */
+PhaseTimer.prototype.wrap = function ( phase, fn, self ) {
+	var timer = this;
+	return function () {
+		timer.enter( phase );
+		try {
+			return fn.apply( self, arguments );
+		} finally {
+			timer.leave();
+		}
+	};
+};
+
+if (typeof module === "object") {
+	module.exports.Metrics = Metrics;
+	module.exports.PhaseTimer = PhaseTimer;
+}
@@ -0,0 +1,200 @@
+"use strict";
+/**
+ * Localized number formatting, a port of Language::formatNum and friends
+ * from MediaWiki core.
+ *
+ * The per-language settings mirror the MessagesXx.php files:
+ * - digits: the digit transform table ('0' to '9')
+ * - separators: the separator transform table, mapping the English
+ *   separators ',' and '.' to the local ones
+ * - grouping: the digit grouping pattern, if not thousands
+ *   ('###,###,###')
+ *
+ * Languages without an entry (and their variants) are formatted like
+ * English. Add to languageData to support more languages.
+ */
+
+var nbsp = '\u00a0',
+	arabicDigits = '٠١٢٣٤٥٦٧٨٩',
+	persianDigits = '۰۱۲۳۴۵۶۷۸۹',
+	devanagariDigits = '०१२३४५६७८९',
+	indianGrouping = '##,##,###',
+	spaceSeparators = { ',': nbsp, '.': ',' },
+	dotSeparators = { ',': '.', '.': ',' },
+	arabicSeparators = { '.': '٫', ',': '٬' };
+
+var languageData = {
+	ar: { digits: arabicDigits, separators: arabicSeparators },
+	arz: { digits: arabicDigits, separators: arabicSeparators },
+	ckb: { digits: arabicDigits, separators: arabicSeparators },
+	fa: { digits: persianDigits, separators: arabicSeparators },
+	ps: { digits: persianDigits, separators: arabicSeparators },
+	bn: { digits: '০১২৩৪৫৬৭৮৯', grouping: indianGrouping },
+	hi: { grouping: indianGrouping },
+	mr: { digits: devanagariDigits, grouping: indianGrouping },
+	ne: { digits: devanagariDigits, grouping: indianGrouping },
+	ml: { grouping: indianGrouping },
+	ta: { grouping: indianGrouping },
+	te: { grouping: indianGrouping },
+	my: { digits: '၀၁၂၃၄၅၆၇၈၉' },
+	bo: { digits: '༠༡༢༣༤༥༦༧༨༩' },
+	dz: { digits: '༠༡༢༣༤༥༦༧༨༩' },
+	de: { separators: dotSeparators },
+	nl: { separators: dotSeparators },
+	it: { separators: dotSeparators },
+	id: { separators: dotSeparators },
+	tr: { separators: dotSeparators },
+	da: { separators: dotSeparators },
+	el: { separators: dotSeparators },
+	cs: { separators: spaceSeparators },
+	es: { separators: spaceSeparators },
+	fi: { separators: spaceSeparators },
+	fr: { separators: spaceSeparators },
+	hu: { separators: spaceSeparators },
+	nb: { separators: spaceSeparators },
+	no: { separators: spaceSeparators },
+	pl: { separators: spaceSeparators },
+	pt: { separators: spaceSeparators },
+	ru: { separators: spaceSeparators },
+	sk: { separators: spaceSeparators },
+	sv: { separators: spaceSeparators },
+	uk: { separators: spaceSeparators }
+};
+
+/**
+ * Replace each character of str that is a key of table (PHP's strtr with
+ * single-character keys)
+ */
+function strtr( str, table ) {
+	return str.replace( /[\s\S]/g, function ( c ) {
+		return table.hasOwnProperty( c ) ? table[c] : c;
+	} );
+}
+
+function flip( table ) {
+	var flipped = {};
+	Object.keys( table ).forEach( function ( k ) {
+		flipped[table[k]] = k;
+	} );
+	return flipped;
+}
+
+/**
+ * @class
+ * @constructor
+ * @param {String} lang: The language code
+ */
+function NumberFormatter ( lang ) {
+	var data = languageData[lang] || languageData[( lang || '' ).split( '-' )[0]] || {},
+		i;
+	this.lang = lang;
+	this.digitTable = null;
+	if ( data.digits ) {
+		this.digitTable = {};
+		for ( i = 0; i < 10; i++ ) {
+			this.digitTable[String( i )] = data.digits[i];
+		}
+	}
+	this.separatorTable = data.separators || null;
+	this.groupingPattern = data.grouping || null;
+}
+
+var formatters = {};
+
+/**
+ * Get the (shared) formatter for a language
+ */
+NumberFormatter.forLanguage = function ( lang ) {
+	lang = lang || 'en';
+	if ( !formatters[lang] ) {
+		formatters[lang] = new NumberFormatter( lang );
+	}
+	return formatters[lang];
+};
+
+/**
+ * Format a number: group the digits, then transform the separators and
+ * digits.
+ *
+ * @param {Number|String} num
+ * @param {Boolean} noSeparators: Only transform the digits
+ * @returns {String}
+ */
+NumberFormatter.prototype.formatNum = function ( num, noSeparators ) {
+	num = String( num );
+	if ( !noSeparators ) {
+		num = this.commafy( num );
+		if ( this.separatorTable ) {
+			num = strtr( num, this.separatorTable );
+		}
+	}
+	if ( this.digitTable ) {
+		num = strtr( num, this.digitTable );
+	}
+	return num;
+};
+
+/**
+ * Undo formatNum: the result uses ASCII digits, '.' as the decimal
+ * separator and no grouping.
+ */
+NumberFormatter.prototype.parseFormattedNumber = function ( num ) {
+	num = String( num );
+	if ( this.digitTable ) {
+		num = strtr( num, flip( this.digitTable ) );
+	}
+	if ( this.separatorTable ) {
+		num = strtr( num, flip( this.separatorTable ) );
+	}
+	return num.replace( /,/g, '' );
+};
+
+/**
+ * Add English thousands separators (',') to a number, following the
+ * language's grouping pattern.
+ */
+NumberFormatter.prototype.commafy = function ( num ) {
+	var pattern = this.groupingPattern,
+		sign = '',
+		groups, integerPart, decimalPart, grouped, start, end, i;
+
+	if ( !pattern || pattern === '###,###,###' ) {
+		return num.split( '' ).reverse().join( '' )
+			.replace( /(\d{3})(?=\d)(?!\d*\.)/g, '$1,' )
+			.split( '' ).reverse().join( '' );
+	}
+
+	// See http://cldr.unicode.org/translation/number-patterns
+	if ( parseInt( num, 10 ) < 0 ) {
+		sign = '-';
+		num = num.substr( 1 );
+	}
+	groups = pattern.match( /#+/g );
+	integerPart = num.match( /\d+/ );
+	decimalPart = num.match( /\.\d*/ );
+	grouped = decimalPart ? decimalPart[0] : '';
+	if ( grouped === num ) {
+		return sign + grouped;
+	}
+	start = end = integerPart ? integerPart[0].length : 0;
+	// The last group of the pattern is used first, and the first group is
+	// repeated for the rest of the number
+	i = groups.length - 1;
+	while ( start > 0 ) {
+		start = Math.max( end - groups[i].length, 0 );
+		grouped = num.substring( start, end ) + grouped;
+		end = start;
+		if ( i > 0 ) {
+			i--;
+		}
+		if ( start > 0 ) {
+			grouped = ',' + grouped;
+		}
+	}
+	return sign + grouped;
+};
+
+if (typeof module === "object") {
+	module.exports.NumberFormatter = NumberFormatter;
+	module.exports.languageData = languageData;
+}
@@ -0,0 +1,438 @@
+"use strict";
+/**
+ * Page-info providers: existence, size, protection and revision metadata
+ * of pages plus the site statistics, for the parser functions that need
+ * them ({{#ifexist}}, {{PAGESIZE}}, {{REVISIONID}}, {{NUMBEROFARTICLES}}
+ * etc).
+ *
+ * Providers implement
+ * - getPageInfo( title, cb ): cb( err, info ) with the info object
+ *   described in PageInfoRequest
+ * - getRevisionInfo( revid, cb ): cb( err, info ), the same for a revision
+ * - getSiteStats( cb ): cb( err, stats ) with the siteinfo statistics
+ *   (articles, pages, images, edits, users, activeusers, admins)
+ * - getMessage( key, cb ): cb( err, text ) with the raw text of an
+ *   interface message ({{int:}}), null if there is no such message
+ * - getUserGender( name, cb ): cb( err, gender ) with the gender a user
+ *   set in their preferences ({{GENDER:}}): 'male', 'female' or 'unknown'
+ * - getImageInfo( title, box, cb ): cb( err, info ) with the info object
+ *   described in ImageInfoRequest, for a file with a thumbnail scaled to
+ *   fit the box { width, height, page, lang, thumbtime } (all optional)
+ *
+ * The environment uses an ApiPageInfoProvider by default; set env.pageInfo
+ * to replace it.
+ */
+
+var crypto = require( 'crypto' ),
+	api = require( './mediawiki.ApiRequest.js' ),
+	PageInfoRequest = api.PageInfoRequest,
+	ImageInfoRequest = api.ImageInfoRequest;
+
+// The API limit for titles and revids per request
+var maxBatchSize = 50;
+
+/**
+ * Looks up page info with the MediaWiki API. Lookups made in the same tick
+ * are batched into a single request, and results are cached for the
+ * lifetime of the provider (normally a single parse).
+ *
+ * @class
+ * @constructor
+ * @param {MWParserEnvironment} env
+ */
+function ApiPageInfoProvider ( env ) {
+	this.env = env;
+	// key -> info, for finished lookups
+	this.cache = {};
+	// key -> [ callbacks ], for lookups in progress
+	this.waiting = {};
+	// keys to include in the next batch
+	this.pendingTitles = [];
+	this.pendingRevids = [];
+	this.pendingMessages = [];
+	this.pendingUsers = [];
+	// box key -> { box, titles }, as the thumbnails of a request share a box
+	this.pendingImages = {};
+	this.flushScheduled = false;
+	this.stats = null;
+	this.statsWaiting = null;
+	this.statsRequested = false;
+}
+
+ApiPageInfoProvider.prototype.getPageInfo = function ( title, cb ) {
+	this._lookup( 'title:', this.env.normalizeTitle( title ), this.pendingTitles, cb );
+};
+
+ApiPageInfoProvider.prototype.getRevisionInfo = function ( revid, cb ) {
+	this._lookup( 'rev:', String( revid ), this.pendingRevids, cb );
+};
+
+ApiPageInfoProvider.prototype.getMessage = function ( key, cb ) {
+	this._lookup( 'msg:', key, this.pendingMessages, cb );
+};
+
+ApiPageInfoProvider.prototype.getUserGender = function ( name, cb ) {
+	this._lookup( 'user:', name, this.pendingUsers, cb );
+};
+
+ApiPageInfoProvider.prototype.getImageInfo = function ( title, box, cb ) {
+	var boxKey = [ box.width || '', box.height || '', box.page || '', box.lang || '',
+			box.thumbtime !== undefined ? box.thumbtime : '' ].join( 'x' ),
+		pending = this.pendingImages[boxKey];
+	if ( !pending ) {
+		pending = this.pendingImages[boxKey] = {
+			box: box,
+			titles: []
+		};
+	}
+	this._lookup( 'image:' + boxKey + ':', this.env.normalizeTitle( title ),
+		pending.titles, cb );
+};
+
+ApiPageInfoProvider.prototype.getSiteStats = function ( cb ) {
+	if ( !this.env.conf.parsoid.fetchTemplates ) {
+		cb( new Error( 'Page info lookups are disabled' ), null );
+	} else if ( this.stats ) {
+		cb( null, this.stats );
+	} else if ( this.statsWaiting ) {
+		this.statsWaiting.push( cb );
+	} else {
+		this.statsWaiting = [ cb ];
+		this._scheduleFlush();
+	}
+};
+
+ApiPageInfoProvider.prototype._lookup = function ( prefix, name, pending, cb ) {
+	var key = prefix + name;
+	if ( !this.env.conf.parsoid.fetchTemplates ) {
+		// Offline: nothing is known about other pages
+		cb( new Error( 'Page info lookups are disabled' ), null );
+	} else if ( this.cache.hasOwnProperty( key ) ) {
+		cb( null, this.cache[key] );
+	} else if ( this.waiting[key] ) {
+		this.waiting[key].push( cb );
+	} else {
+		this.waiting[key] = [ cb ];
+		pending.push( name );
+		this._scheduleFlush();
+	}
+};
+
+ApiPageInfoProvider.prototype._scheduleFlush = function () {
+	if ( !this.flushScheduled ) {
+		this.flushScheduled = true;
+		process.nextTick( this._flush.bind( this ) );
+	}
+};
+
+/**
+ * Send the pending lookups, in batches of up to maxBatchSize titles or
+ * revisions, messages and users. The site statistics ride along with the
+ * first request.
+ */
+ApiPageInfoProvider.prototype._flush = function () {
+	var withStats = this.statsWaiting !== null && !this.statsRequested,
+		batch;
+
+	this.flushScheduled = false;
+	if ( withStats ) {
+		this.statsRequested = true;
+	}
+
+	while ( withStats || this.pendingTitles.length || this.pendingRevids.length ||
+			this.pendingMessages.length || this.pendingUsers.length ) {
+		batch = {
+			titles: this.pendingTitles.splice( 0, maxBatchSize ),
+			revids: [],
+			messages: this.pendingMessages.splice( 0, maxBatchSize ),
+			users: this.pendingUsers.splice( 0, maxBatchSize ),
+			statistics: withStats
+		};
+		// The API doesn't take titles and revids at the same time
+		if ( !batch.titles.length ) {
+			batch.revids = this.pendingRevids.splice( 0, maxBatchSize );
+		}
+		this._request( batch );
+		withStats = false;
+	}
+
+	Object.keys( this.pendingImages ).forEach( function ( boxKey ) {
+		var pending = this.pendingImages[boxKey];
+		while ( pending.titles.length ) {
+			this._requestImages( boxKey, pending.box, pending.titles.splice( 0, maxBatchSize ) );
+		}
+	}, this );
+	this.pendingImages = {};
+};
+
+/**
+ * Call the callbacks waiting for a batch of lookups
+ */
+ApiPageInfoProvider.prototype._finish = function ( prefix, names, error, values ) {
+	names.forEach( function ( name ) {
+		var key = prefix + name,
+			value = !error && values.hasOwnProperty( name ) ? values[name] : null,
+			cbs = this.waiting[key];
+		if ( !error ) {
+			this.cache[key] = value;
+		}
+		delete this.waiting[key];
+		cbs.forEach( function ( cb ) {
+			cb( error, value );
+		} );
+	}, this );
+};
+
+ApiPageInfoProvider.prototype._requestImages = function ( boxKey, box, titles ) {
+	var self = this,
+		req = new ImageInfoRequest( this.env, {
+			titles: titles,
+			width: box.width,
+			height: box.height,
+			page: box.page,
+			lang: box.lang,
+			thumbtime: box.thumbtime
+		} );
+	req.once( 'src', function ( error, result ) {
+		self._finish( 'image:' + boxKey + ':', titles, error, result );
+	} );
+};
+
+ApiPageInfoProvider.prototype._request = function ( batch ) {
+	var self = this,
+		sharedCache = this.env.conf.parsoid.getSharedCache(),
+		req = new PageInfoRequest( this.env, batch );
+
+	req.once( 'src', function ( error, result ) {
+		var finish = function ( prefix, names, values ) {
+			self._finish( prefix, names, error, values );
+		};
+		finish( 'title:', batch.titles, result.pages );
+		if ( !error && sharedCache ) {
+			// Drop cached sources of pages that were edited since
+			batch.titles.forEach( function ( title ) {
+				var page = result.pages[title];
+				if ( page && page.revid ) {
+					sharedCache.noteRevision( req.getCacheScope(), title, page.revid );
+				}
+			} );
+		}
+		finish( 'rev:', batch.revids, result.pages );
+		finish( 'msg:', batch.messages, result.messages );
+		finish( 'user:', batch.users, result.genders );
+
+		if ( batch.statistics ) {
+			var cbs = self.statsWaiting || [];
+			self.statsRequested = false;
+			self.statsWaiting = null;
+			if ( !error && result.statistics ) {
+				self.stats = result.statistics;
+			}
+			cbs.forEach( function ( cb ) {
+				cb( self.stats ? null : ( error || new Error( 'No statistics returned' ) ),
+					self.stats );
+			} );
+		}
+	} );
+};
+
+/**
+ * Scale an image to fit a box like MediaWiki does: keeping its aspect ratio,
+ * and without enlarging bitmaps.
+ *
+ * @param {Object} info: The width, height and mediatype of the image
+ * @param {Object} box: width and height, both optional
+ * @returns {Object|null} width, height and whether the image is scaled,
+ *   null without a box
+ */
+function scaleImage ( info, box ) {
+	var width = box.width || null,
+		ratio = info.width ? info.height / info.width : 1;
+	if ( !box.width && !box.height ) {
+		return null;
+	}
+	if ( box.height && ( !width || width * ratio > box.height ) ) {
+		width = Math.max( 1, Math.round( box.height / ratio ) );
+	}
+	if ( info.mediatype !== 'DRAWING' && width >= info.width ) {
+		return { width: info.width, height: info.height, scaled: false };
+	}
+	return {
+		width: width,
+		height: Math.max( 1, Math.round( width * ratio ) ),
+		scaled: true
+	};
+}
+
+/**
+ * In-memory stand-in for the API provider, for tests and offline use.
+ *
+ * @class
+ * @constructor
+ * @param {MWParserEnvironment} env
+ * @param {Object} pages: normalized title -> page source (a string), or
+ *   a page info object. The object is not copied, so pages added later
+ *   are found too.
+ * @param {Object} [stats]: The site statistics. By default the articles
+ *   and images are counted from the pages and the files in this.images,
+ *   which have pages too.
+ */
+function MemoryPageInfoProvider ( env, pages, stats ) {
+	this.env = env;
+	this.pages = pages || {};
+	this.stats = stats || null;
+	// user name -> gender
+	this.genders = {};
+	// normalized file title -> { width, height, mime, mediatype,
+	// pagecount, duration }, see getImageInfo
+	this.images = {};
+}
+
+// The URL of the uploaded files, laid out like a default MediaWiki
+// install: <uploadPath>/<hash path><name>
+MemoryPageInfoProvider.prototype.uploadPath = '//example.com/images';
+
+MemoryPageInfoProvider.prototype.getPageInfo = function ( title, cb ) {
+	var name = this.env.normalizeTitle( title ),
+		page = this.pages[name],
+		info;
+	if ( page === undefined ) {
+		// Uploaded files have a page
+		info = { title: name, exists: this.images[name] !== undefined, protection: {} };
+	} else if ( page.constructor === String ) {
+		info = {
+			title: name,
+			exists: true,
+			length: Buffer.byteLength( page, 'utf8' ),
+			protection: {}
+		};
+	} else {
+		info = page;
+	}
+	process.nextTick( cb.bind( null, null, info ) );
+};
+
+MemoryPageInfoProvider.prototype.getRevisionInfo = function ( revid, cb ) {
+	var info = null,
+		self = this;
+	Object.keys( this.pages ).forEach( function ( name ) {
+		var page = self.pages[name];
+		if ( page.constructor !== String && String( page.revid ) === String( revid ) ) {
+			info = page;
+		}
+	} );
+	process.nextTick( cb.bind( null, null, info || { exists: false, protection: {} } ) );
+};
+
+/**
+ * Messages are looked up in the MediaWiki namespace of the pages
+ */
+MemoryPageInfoProvider.prototype.getMessage = function ( key, cb ) {
+	var page = this.pages[this.env.normalizeTitle( 'MediaWiki:' + key )];
+	process.nextTick( cb.bind( null, null,
+		page !== undefined && page.constructor === String ? page : null ) );
+};
+
+MemoryPageInfoProvider.prototype.getUserGender = function ( name, cb ) {
+	process.nextTick( cb.bind( null, null, this.genders[name] || 'unknown' ) );
+};
+
+/**
+ * The image info of the files in this.images, with made-up URLs
+ */
+MemoryPageInfoProvider.prototype.getImageInfo = function ( title, box, cb ) {
+	var name = this.env.normalizeTitle( title ),
+		image = this.images[name],
+		key = name.substr( name.indexOf( ':' ) + 1 ),
+		hash = crypto.createHash( 'md5' ).update( key ).digest( 'hex' ),
+		hashPath = hash[0] + '/' + hash.substr( 0, 2 ) + '/',
+		uploadPath = this.uploadPath,
+		isVideo = image && image.mediatype === 'VIDEO',
+		info, size, thumbUrl;
+
+	if ( !image ) {
+		process.nextTick( cb.bind( null, null, { title: name, exists: false } ) );
+		return;
+	}
+
+	thumbUrl = function ( width ) {
+		var page = image.pagecount ? 'page' + Math.min( box.page || 1, image.pagecount ) + '-' :
+				image.mediatype === 'DRAWING' && box.lang ? 'lang' + box.lang + '-' : '',
+			// Videos have a still of a frame
+			seek = !isVideo ? '' :
+				box.thumbtime !== undefined ? 'seek=' + box.thumbtime + '-' : '-',
+			// Thumbnails of drawings, documents and videos are rasterized
+			ext = image.mediatype === 'DRAWING' ? '.png' :
+				image.pagecount || isVideo ? '.jpg' : '';
+		return uploadPath + '/thumb/' + hashPath + key + '/' + page + width + 'px-' +
+			seek + key + ext;
+	};
+
+	info = {
+		title: name,
+		exists: true,
+		url: uploadPath + '/' + hashPath + key,
+		descriptionurl: this.env.makeTitleFromPrefixedText( name ).makeLink(),
+		width: image.width,
+		height: image.height,
+		mime: image.mime,
+		mediatype: image.mediatype
+	};
+	if ( image.pagecount ) {
+		info.pagecount = image.pagecount;
+	}
+	if ( image.duration ) {
+		info.duration = image.duration;
+	}
+	// Audio has no thumbnails
+	size = image.mediatype !== 'AUDIO' && scaleImage( info, box );
+	if ( size ) {
+		info.thumbwidth = size.width;
+		info.thumbheight = size.height;
+		info.thumburl = size.scaled || isVideo ? thumbUrl( size.width ) : info.url;
+		info.responsiveUrls = {};
+		[ 1.5, 2 ].forEach( function ( scale ) {
+			var scaled = scaleImage( info, { width: Math.round( size.width * scale ) } );
+			if ( scaled.scaled ) {
+				info.responsiveUrls[scale] = thumbUrl( scaled.width );
+			} else if ( size.scaled && !isVideo ) {
+				info.responsiveUrls[scale] = info.url;
+			}
+		} );
+	}
+	process.nextTick( cb.bind( null, null, info ) );
+};
+
+MemoryPageInfoProvider.prototype.getSiteStats = function ( cb ) {
+	var stats = this.stats,
+		wiki = this.env.conf.wiki,
+		fileNs = ( wiki.namespaceNames[6] || 'File' ) + ':',
+		names;
+	if ( !stats ) {
+		names = Object.keys( this.pages ).concat( Object.keys( this.images ).filter( function ( name ) {
+			return this.pages[name] === undefined;
+		}, this ) );
+		stats = {
+			pages: names.length,
+			articles: names.filter( function ( name ) {
+				var ns = name.split( ':', 1 )[0].replace( /_/g, ' ' );
+				return name.indexOf( ':' ) === -1 ||
+					wiki.namespaceIds[ns.toLowerCase()] === undefined;
+			} ).length,
+			images: names.filter( function ( name ) {
+				return name.substr( 0, fileNs.length ) === fileNs;
+			} ).length,
+			edits: names.length,
+			users: 0,
+			activeusers: 0,
+			admins: 0
+		};
+	}
+	process.nextTick( cb.bind( null, null, stats ) );
+};
+
+if (typeof module === "object") {
+	module.exports.ApiPageInfoProvider = ApiPageInfoProvider;
+	module.exports.MemoryPageInfoProvider = MemoryPageInfoProvider;
+	module.exports.scaleImage = scaleImage;
+}
@@ -0,0 +1,237 @@
+"use strict";
+/**
+ * Page-source backends: local stores of page and template wikitext, which
+ * TemplateRequest uses instead of the MediaWiki API when one is configured
+ * (ParsoidConfig.pageSource). With one, Parsoid can render pages including
+ * their templates without a live wiki.
+ *
+ * Backends implement
+ * - fetch( title, oldid, cb ): cb( err, src ) with the wikitext of the
+ *   current revision of a page (a normalized title like 'Template:Foo_bar'),
+ *   or of the revision oldid if it is set. Missing pages are reported with
+ *   a DoesNotExistError. cb is always called asynchronously, as callers
+ *   attach their listeners after starting the fetch.
+ *
+ * Templates from a page source are expanded by Parsoid itself, so the PHP
+ * preprocessor (ParsoidConfig.usePHPPreProcessor) should be disabled.
+ */
+
+var fs = require( 'fs' ),
+	path = require( 'path' ),
+	DoesNotExistError = require( './mediawiki.ApiRequest.js' ).DoesNotExistError;
+
+/**
+ * The key pages are stored under: underscores instead of spaces, and an
+ * upper-case first letter
+ */
+function normalizeKey( title ) {
+	title = title.trim().replace( /[\s_]+/g, '_' ).replace( /^:/, '' );
+	return title.substr( 0, 1 ).toUpperCase() + title.substr( 1 );
+}
+
+function missingPage( title, oldid ) {
+	return new DoesNotExistError( oldid ?
+		'No revision ' + oldid + ' in the page source' :
+		'No page ' + title + ' in the page source' );
+}
+
+/**
+ * A directory with a file per page, named after the normalized title with
+ * '%' and '/' percent-encoded: the source of 'Template:Foo/doc' is in
+ * 'Template:Foo%2Fdoc.wikitext'. Only the current revision is available.
+ *
+ * @class
+ * @constructor
+ * @param {String} dir
+ * @param {Object} [options]: extension, the file name extension
+ *   ('.wikitext' by default)
+ */
+function FilesystemPageSource ( dir, options ) {
+	this.dir = dir;
+	this.extension = ( options && options.extension !== undefined ) ?
+		options.extension : '.wikitext';
+}
+
+FilesystemPageSource.prototype.fileName = function ( title ) {
+	return path.join( this.dir, normalizeKey( title )
+		.replace( /%/g, '%25' ).replace( /\//g, '%2F' ) + this.extension );
+};
+
+FilesystemPageSource.prototype.fetch = function ( title, oldid, cb ) {
+	if ( oldid ) {
+		process.nextTick( cb.bind( null, missingPage( title, oldid ), '' ) );
+		return;
+	}
+	fs.readFile( this.fileName( title ), 'utf8', function ( err, src ) {
+		if ( err ) {
+			cb( err.code === 'ENOENT' ? missingPage( title ) : err, '' );
+		} else {
+			cb( null, src );
+		}
+	} );
+};
+
+/**
+ * A MediaWiki XML dump (Special:Export or dumpBackup.php output), read into
+ * memory with mediawiki.DumpReader.js, which needs the optional libxmljs
+ * dependency. All revisions in the dump can be fetched. Fetches wait until
+ * the dump is read.
+ *
+ * @class
+ * @constructor
+ * @param {String} file
+ */
+function DumpPageSource ( file ) {
+	this.file = file;
+	// normalized title -> { revid, text } of the latest revision
+	this.pages = {};
+	// revision id -> text
+	this.revisions = {};
+	this.loaded = false;
+	this.error = null;
+	this.waiting = [];
+	this._load();
+}
+
+DumpPageSource.prototype._load = function () {
+	var DumpReader = require( './mediawiki.DumpReader.js' ).DumpReader,
+		reader = new DumpReader(),
+		stream = fs.createReadStream( this.file, { encoding: 'utf8' } ),
+		self = this,
+		done = function ( err ) {
+			if ( self.loaded ) {
+				return;
+			}
+			self.loaded = true;
+			self.error = err || null;
+			self.waiting.forEach( function ( fetch ) {
+				fetch();
+			} );
+			self.waiting = [];
+		};
+
+	reader.on( 'revision', function ( revision ) {
+		var key = normalizeKey( revision.page.title ),
+			revid = Number( revision.id ),
+			text = revision.text || '',
+			current = self.pages[key];
+		self.revisions[revid] = text;
+		if ( !current || current.revid < revid ) {
+			self.pages[key] = { revid: revid, text: text };
+		}
+	} );
+	reader.on( 'end', done.bind( null, null ) );
+	reader.on( 'error', done );
+	stream.on( 'data', reader.push.bind( reader ) );
+	stream.on( 'end', done.bind( null, null ) );
+	stream.on( 'error', done );
+};
+
+DumpPageSource.prototype.fetch = function ( title, oldid, cb ) {
+	var self = this,
+		fetch = function () {
+			var page;
+			if ( self.error ) {
+				cb( self.error, '' );
+			} else if ( oldid ) {
+				if ( self.revisions.hasOwnProperty( oldid ) ) {
+					cb( null, self.revisions[oldid] );
+				} else {
+					cb( missingPage( title, oldid ), '' );
+				}
+			} else {
+				page = self.pages[normalizeKey( title )];
+				if ( page ) {
+					cb( null, page.text );
+				} else {
+					cb( missingPage( title ), '' );
+				}
+			}
+		};
+
+	if ( this.loaded ) {
+		process.nextTick( fetch );
+	} else {
+		this.waiting.push( fetch );
+	}
+};
+
+/**
+ * An SQLite database (with the optional sqlite3 dependency) with the table
+ *
+ *     CREATE TABLE pages (
+ *         title TEXT NOT NULL, -- normalized, see normalizeKey
+ *         revid INTEGER PRIMARY KEY,
+ *         text TEXT NOT NULL
+ *     );
+ *     CREATE INDEX pages_title ON pages ( title );
+ *
+ * The revision with the highest id is the current one of a page.
+ *
+ * @class
+ * @constructor
+ * @param {String} file
+ */
+function SqlitePageSource ( file ) {
+	var sqlite3 = require( 'sqlite3' );
+	this.file = file;
+	this.db = new sqlite3.Database( file, sqlite3.OPEN_READONLY );
+}
+
+SqlitePageSource.prototype.fetch = function ( title, oldid, cb ) {
+	var handleRow = function ( err, row ) {
+		if ( err ) {
+			cb( err, '' );
+		} else if ( !row ) {
+			cb( missingPage( title, oldid ), '' );
+		} else {
+			cb( null, row.text );
+		}
+	};
+
+	if ( oldid ) {
+		this.db.get( 'SELECT text FROM pages WHERE revid = ?', [ oldid ], handleRow );
+	} else {
+		this.db.get( 'SELECT text FROM pages WHERE title = ? ORDER BY revid DESC LIMIT 1',
+			[ normalizeKey( title ) ], handleRow );
+	}
+};
+
+/**
+ * Create a page source from a 'type:path' string, where type is 'dir',
+ * 'dump' or 'sqlite'. Without a type, it is guessed from the path:
+ * directories, *.xml dumps and *.db, *.sqlite or *.sqlite3 databases.
+ */
+function createPageSource( spec ) {
+	var m = spec.match( /^(dir|dump|sqlite):(.*)$/ ),
+		type = m ? m[1] : null,
+		file = m ? m[2] : spec;
+
+	if ( !type ) {
+		if ( /\.xml$/i.test( file ) ) {
+			type = 'dump';
+		} else if ( /\.(db|sqlite3?)$/i.test( file ) ) {
+			type = 'sqlite';
+		} else if ( fs.existsSync( file ) && fs.statSync( file ).isDirectory() ) {
+			type = 'dir';
+		} else {
+			throw new Error( 'Unknown page source: ' + spec );
+		}
+	}
+
+	switch ( type ) {
+		case 'dir':
+			return new FilesystemPageSource( file );
+		case 'dump':
+			return new DumpPageSource( file );
+		default:
+			return new SqlitePageSource( file );
+	}
+}
+
+if (typeof module === "object") {
+	module.exports.FilesystemPageSource = FilesystemPageSource;
+	module.exports.DumpPageSource = DumpPageSource;
+	module.exports.SqlitePageSource = SqlitePageSource;
+	module.exports.createPageSource = createPageSource;
+}
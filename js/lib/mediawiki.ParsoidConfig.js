@@ -3,53 +3,420 @@
  * interwiki regexes, mostly.
  */
 
-var $ = require( './fakejquery' );
+var fs = require( 'fs' ),
+	$ = require( './fakejquery' ),
+	ConfigFile = require( './mediawiki.ConfigFile.js' ),
+	SharedCache = require( './mediawiki.SharedCache.js' ).SharedCache,
+	WikiConfigCache = require( './mediawiki.WikiConfigCache.js' ).WikiConfigCache,
+	ExtensionRegistry = require( './mediawiki.ExtensionRegistry.js' ).ExtensionRegistry,
+	Gallery = require( './ext.Gallery.js' ),
+	Metrics = require( './mediawiki.Metrics.js' ).Metrics,
+	Logger = require( './mediawiki.Logger.js' ).Logger,
+	defaultSitematrix = require( './mediawiki.DefaultSitematrix.json' );
 
-var wikipedias = "en|de|fr|nl|it|pl|es|ru|ja|pt|zh|sv|vi|uk|ca|no|fi|cs|hu|ko|fa|id|tr|ro|ar|sk|eo|da|sr|lt|ms|eu|he|sl|bg|kk|vo|war|hr|hi|et|az|gl|simple|nn|la|th|el|new|roa-rup|oc|sh|ka|mk|tl|ht|pms|te|ta|be-x-old|ceb|br|be|lv|sq|jv|mg|cy|lb|mr|is|bs|yo|an|hy|fy|bpy|lmo|pnb|ml|sw|bn|io|af|gu|zh-yue|ne|nds|ku|ast|ur|scn|su|qu|diq|ba|tt|my|ga|cv|ia|nap|bat-smg|map-bms|wa|kn|als|am|bug|tg|gd|zh-min-nan|yi|vec|hif|sco|roa-tara|os|arz|nah|uz|sah|mn|sa|mzn|pam|hsb|mi|li|ky|si|co|gan|glk|ckb|bo|fo|bar|bcl|ilo|mrj|fiu-vro|nds-nl|tk|vls|se|gv|ps|rue|dv|nrm|pag|koi|pa|rm|km|kv|udm|csb|mhr|fur|mt|wuu|lij|ug|lad|pi|zea|sc|bh|zh-classical|nov|ksh|or|ang|kw|so|nv|xmf|stq|hak|ay|frp|frr|ext|szl|pcd|ie|gag|haw|xal|ln|rw|pdc|pfl|krc|crh|eml|ace|gn|to|ce|kl|arc|myv|dsb|vep|pap|bjn|as|tpi|lbe|wo|mdf|jbo|kab|av|sn|cbk-zam|ty|srn|kbd|lo|ab|lez|mwl|ltg|ig|na|kg|tet|za|kaa|nso|zu|rmy|cu|tn|chr|got|sm|bi|mo|bm|iu|chy|ik|pih|ss|sd|pnt|cdo|ee|ha|ti|bxr|om|ks|ts|ki|ve|sg|rn|dz|cr|lg|ak|tum|fj|st|tw|ch|ny|ff|xh|ng|ii|cho|mh|aa|kj|ho|mus|kr|hz";
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp( s ) {
+	return s.replace( /[\\^$.*+?()[\]{}|\/]/g, '\\$&' );
+}
 
+
+/**
+ * @class
+ * @constructor
+ * @param {Object} localSettings: A module with a setup( parsoidConfig )
+ *   function, like api/localsettings.js
+ * @param {Object} options: Settings that override those of localSettings
+ *   and the configuration file. With a configFile (here or set by
+ *   localSettings), its settings override those of localSettings.
+ * @throws {Error} if the configuration file is invalid (ConfigError) or a
+ *   plugin can't be loaded
+ */
 var ParsoidConfig = function ( localSettings, options ) {
+	// For reload()
+	this._localSettings = localSettings;
+	this._options = options;
+
+	// Wiki prefix -> API URI of the wikis Parsoid serves, by default the
+	// Wikipedias and mediawiki.org (see mediawiki.DefaultSitematrix.json)
 	this.interwikiMap = {};
+	this.addSitematrix( defaultSitematrix );
 
-	var wplist = wikipedias.split( '|' );
-	for ( var ix = 0; ix < wplist.length; ix++ ) {
-		this.interwikiMap[wplist[ix]] = 'http://' + wplist[ix] + '.wikipedia.org/w/api.php';
-	}
+	// Wiki prefix -> how to authenticate to its API, see setAuthentication
+	this.authentication = {};
 
-	// Add mediawiki.org too
-	this.interwikiMap['mw'] = 'http://www.mediawiki.org/w/api.php';
+	// Wiki prefix -> settings overriding those of this config for the wiki,
+	// see setWikiSettings
+	this.wikiSettings = {};
+	this._wikiViews = {};
 
-	this.interwikiRegexp = Object.keys( this.interwikiMap ).join( '|' );
+	// The native extension tags and parser functions, see
+	// mediawiki.ExtensionRegistry.js. localSettings can register some
+	// directly, the plugins are loaded below; both can replace the
+	// built-in <gallery>.
+	this.extensions = new ExtensionRegistry();
+	Gallery.register( this.extensions );
 
 	if ( localSettings && localSettings.setup ) {
 		localSettings.setup( this );
 	}
 
+	if ( options && options.configFile ) {
+		this.configFile = options.configFile;
+	}
+	if ( this.configFile ) {
+		ConfigFile.apply( this, ConfigFile.load( this.configFile ), this.configFile );
+	}
+
 	// Don't freak out!
 	// The below will extend things properly, because jQuery will happily
 	// overwrite properties that come from prototypal inheritance.
 	$.extend( this, options );
+
+	( this.plugins || [] ).forEach( function ( plugin ) {
+		this.extensions.loadPlugin( plugin );
+	}, this );
 };
 
 ParsoidConfig.prototype.setInterwiki = function ( prefix, wgScript ) {
 	this.interwikiMap[prefix] = wgScript;
-	if ( this.interwikiRegexp.match( '\\|' + prefix + '\\|' ) === null ) {
-		this.interwikiRegexp += '|' + prefix;
-	}
+	this.updateInterwikiRegexp();
 };
 
 ParsoidConfig.prototype.removeInterwiki = function ( prefix ) {
 	delete this.interwikiMap[prefix];
-	this.interwikiRegexp = this.interwikiRegexp.replace(
-		new RegExp( '\\|' + prefix + '\\|' ), '|' );
+	this.updateInterwikiRegexp();
+};
+
+/**
+ * Remove all interwikis, like the default Wikipedias and mediawiki.org
+ */
+ParsoidConfig.prototype.clearInterwikis = function () {
+	this.interwikiMap = {};
+	this.updateInterwikiRegexp();
+};
+
+/**
+ * Rebuild interwikiRegexp, the regexp source matching the prefixes of the
+ * wikis (used for the routes of the web service). Longer prefixes come
+ * first, so that a prefix doesn't shadow those it starts with.
+ */
+ParsoidConfig.prototype.updateInterwikiRegexp = function () {
+	this.interwikiRegexp = Object.keys( this.interwikiMap ).sort( function ( a, b ) {
+		return b.length - a.length || ( a < b ? -1 : a > b ? 1 : 0 );
+	} ).map( escapeRegExp ).join( '|' );
+};
+
+/**
+ * Add the wikis of a farm, as listed by the sitematrix API of MediaWiki
+ * (action=sitematrix). Languages have a list of sites; the special sites
+ * are listed under 'specials'. The prefix of a site is
+ * - its 'prefix', if the file has one
+ * - the language code for Wikipedias (code 'wiki'), like 'en'
+ * - its database name otherwise, like 'enwiktionary'
+ * and its API URI is its 'api', if the file has one, or its url followed by
+ * sitematrixApiPath. Closed sites are skipped.
+ *
+ * @param {Object|String} sitematrix: The result of the API, or a JSON file
+ *   with it
+ * @throws {Error} if the file can't be read
+ */
+ParsoidConfig.prototype.addSitematrix = function ( sitematrix ) {
+	var matrix, addSite;
+	if ( typeof sitematrix === 'string' ) {
+		try {
+			sitematrix = JSON.parse( fs.readFileSync( sitematrix, 'utf8' ) );
+		} catch ( e ) {
+			throw new Error( 'Could not load the sitematrix ' + sitematrix + ': ' + e.message );
+		}
+	}
+	matrix = sitematrix.sitematrix || sitematrix;
+
+	addSite = function ( site, lang ) {
+		var prefix = site.prefix ||
+			( lang && site.code === 'wiki' ? lang.code : site.dbname );
+		if ( site.closed !== undefined || !prefix || !( site.api || site.url ) ) {
+			return;
+		}
+		this.interwikiMap[prefix] = site.api ||
+			site.url.replace( /\/$/, '' ) + this.sitematrixApiPath;
+	}.bind( this );
+
+	Object.keys( matrix ).forEach( function ( key ) {
+		if ( key === 'specials' ) {
+			matrix.specials.forEach( function ( site ) {
+				addSite( site, null );
+			} );
+		} else if ( /^\d+$/.test( key ) ) {
+			( matrix[key].site || [] ).forEach( function ( site ) {
+				addSite( site, matrix[key] );
+			} );
+		}
+	} );
+	this.updateInterwikiRegexp();
+};
+
+/**
+ * Configure a wiki: its API (apiURI), how to authenticate to it (auth, see
+ * setAuthentication), a siteinfo snapshot to use instead of asking it
+ * (siteinfoSnapshot, see siteinfoSnapshots) and settings overriding those
+ * of this config for its pages, like useSelser or limits (see
+ * mediawiki.ConfigFile.js for those a wiki can override). Limits are merged
+ * with those of this config.
+ *
+ * @param {String} prefix: The interwiki prefix of the wiki
+ * @param {Object} settings
+ */
+ParsoidConfig.prototype.setWikiSettings = function ( prefix, settings ) {
+	var overrides = {};
+	Object.keys( settings ).forEach( function ( name ) {
+		if ( name === 'apiURI' ) {
+			this.setInterwiki( prefix, settings.apiURI );
+		} else if ( name === 'auth' ) {
+			this.setAuthentication( prefix, settings.auth );
+		} else if ( name === 'siteinfoSnapshot' ) {
+			this.siteinfoSnapshots = $.extend( {}, this.siteinfoSnapshots );
+			this.siteinfoSnapshots[prefix] = settings.siteinfoSnapshot;
+		} else {
+			overrides[name] = settings[name];
+		}
+	}, this );
+	this.wikiSettings[prefix] = overrides;
+	this._wikiViews = {};
+};
+
+/**
+ * The config for the pages of a wiki: this config if the wiki has no
+ * settings of its own, or a view of it with them (see setWikiSettings).
+ * Views share the shared cache, metrics and logger of this config.
+ *
+ * @param {String} prefix: The interwiki prefix of the wiki
+ * @returns {ParsoidConfig}
+ */
+ParsoidConfig.prototype.forWiki = function ( prefix ) {
+	var settings = this.wikiSettings[prefix],
+		view;
+	if ( !settings || !Object.keys( settings ).length ) {
+		return this;
+	}
+	if ( !this._wikiViews[prefix] ) {
+		view = Object.create( this );
+		view.baseConfig = this;
+		Object.keys( settings ).forEach( function ( name ) {
+			view[name] = name === 'limits' ?
+				$.extend( {}, this.limits, settings.limits ) : settings[name];
+		}, this );
+		[ 'getSharedCache', 'getWikiConfigCache', 'getMetrics', 'getLogger' ].forEach( function ( getter ) {
+			view[getter] = this[getter].bind( this );
+		}, this );
+		this._wikiViews[prefix] = view;
+	}
+	return this._wikiViews[prefix];
+};
+
+/**
+ * Reload the configuration file (and localSettings): the settings are
+ * replaced by those of a new ParsoidConfig with the same arguments, which
+ * environments created from now on use, and the cached wiki configs are
+ * dropped. The shared cache and metrics (with the StatsD settings) are
+ * kept, so changing those takes a restart.
+ *
+ * @throws {Error} if the configuration file (ConfigError), a siteinfo
+ *   snapshot or a plugin is invalid, keeping the current settings
+ */
+ParsoidConfig.prototype.reload = function () {
+	var fresh = new ParsoidConfig( this._localSettings, this._options ),
+		isSetting = function ( name ) {
+			return name.substr( 0, 1 ) !== '_';
+		};
+	if ( this._wikiConfigCache !== undefined ) {
+		fresh.getWikiConfigCache();
+		this._wikiConfigCache = fresh._wikiConfigCache;
+	}
+	Object.keys( this ).filter( isSetting ).forEach( function ( name ) {
+		delete this[name];
+	}, this );
+	Object.keys( fresh ).filter( isSetting ).forEach( function ( name ) {
+		this[name] = fresh[name];
+	}, this );
+	this._wikiViews = {};
+	if ( this._logger ) {
+		this._logger = null;
+		this.getLogger();
+	}
 };
 
+/**
+ * Configure how Parsoid authenticates to the API of a wiki, for wikis that
+ * are private or require a login to read. The options are
+ * - forwardHeaders: forward the Cookie and Authorization headers of the
+ *   client requests to the wiki, so each client reads the wiki with their
+ *   own rights. Results fetched with forwarded headers are only cached for
+ *   the same headers.
+ * - login: { username, password } of an account (like a bot password) to
+ *   log in with, for requests without forwarded headers. Everything this
+ *   account can read can be read through Parsoid.
+ *
+ * @param {String} prefix: The interwiki prefix of the wiki
+ * @param {Object} options
+ */
+ParsoidConfig.prototype.setAuthentication = function ( prefix, options ) {
+	this.authentication[prefix] = options;
+};
+
+/**
+ * Get the authentication options of the wiki with the API URI uri, null if
+ * there are none
+ */
+ParsoidConfig.prototype.getAuthentication = function ( uri ) {
+	var prefixes = Object.keys( this.authentication );
+	for ( var i = 0; i < prefixes.length; i++ ) {
+		if ( this.interwikiMap[prefixes[i]] === uri ) {
+			return this.authentication[prefixes[i]];
+		}
+	}
+	return null;
+};
+
+// A JSON or YAML file with settings overriding those of localSettings, see
+// mediawiki.ConfigFile.js
+ParsoidConfig.prototype.configFile = null;
 ParsoidConfig.prototype.debug = false;
-ParsoidConfig.prototype.trace = false;
 ParsoidConfig.prototype.fetchTemplates = true;
 ParsoidConfig.prototype.maxDepth = 40;
+// Per-request resource limits, see mediawiki.ResourceLimits.js. The wall
+// clock (milliseconds) only counts for requests to the web service.
+ParsoidConfig.prototype.limits = {
+	wallClock: 2 * 60 * 1000,
+	includeSize: 2 * 1024 * 1024,
+	expansionNodes: 1000000,
+	outputSize: 10 * 1024 * 1024
+};
 ParsoidConfig.prototype.usePHPPreProcessor = true;
 ParsoidConfig.prototype.defaultWiki = 'en';
 ParsoidConfig.prototype.useSelser = false;
+// The time used for {{CURRENTYEAR}}, {{#time}} etc, for reproducible
+// output. Any format accepted by MWParserEnvironment.setCurrentTime; null
+// uses the wall clock.
+ParsoidConfig.prototype.currentTime = null;
+// A page-source backend to fetch pages and templates from instead of the
+// wiki's API, see mediawiki.PageSource.js. Templates are fetched from it
+// even with fetchTemplates off.
+ParsoidConfig.prototype.pageSource = null;
+// The User-Agent of API requests
+ParsoidConfig.prototype.userAgent = 'Parsoid/' + require( '../package.json' ).version +
+	' (https://www.mediawiki.org/wiki/Parsoid)';
+// API requests that may run at the same time per wiki; 0 for no limit
+ParsoidConfig.prototype.maxConcurrentApiRequests = 10;
+// Retries of API requests after network errors, 429 and 5xx responses and
+// replication lag, with exponential backoff from apiRetryDelay up to
+// maxApiRetryDelay (milliseconds)
+ParsoidConfig.prototype.maxApiRetries = 5;
+ParsoidConfig.prototype.apiRetryDelay = 500;
+ParsoidConfig.prototype.maxApiRetryDelay = 30 * 1000;
+// The maxlag parameter of API requests (seconds), so that requests back
+// off while the wiki's database replicas lag; null to not send it
+ParsoidConfig.prototype.apiMaxlag = 5;
+// The URL of an HTTP proxy for API requests
+ParsoidConfig.prototype.apiProxy = null;
+// The options of the cache of page sources and expansions shared by all
+// requests (see mediawiki.SharedCache.js), or false to disable it
+ParsoidConfig.prototype.sharedCache = {
+	maxItems: 10000,
+	maxBytes: 64 * 1024 * 1024,
+	ttl: 5 * 60 * 1000,
+	persistFile: null,
+	persistInterval: 60 * 1000
+};
+
+/**
+ * Get the shared cache, created on first use. Null if it is disabled.
+ */
+ParsoidConfig.prototype.getSharedCache = function () {
+	if ( this._sharedCache === undefined ) {
+		this._sharedCache = this.sharedCache ?
+			new SharedCache( this.sharedCache ) : null;
+	}
+	return this._sharedCache;
+};
+
+// The modules of the plugins registering native extension tags and parser
+// functions (see mediawiki.ExtensionRegistry.js)
+ParsoidConfig.prototype.plugins = null;
+
+// The path of the API on the sites of a sitematrix, see addSitematrix
+ParsoidConfig.prototype.sitematrixApiPath = '/w/api.php';
+
+// The cache of the configs of the wikis (see mediawiki.WikiConfigCache.js):
+// { ttl (milliseconds, after which they are refreshed), maxItems (the
+// number of configs kept) }, or false to fetch them for every environment
+ParsoidConfig.prototype.wikiConfigCache = {
+	ttl: 60 * 60 * 1000,
+	maxItems: 100
+};
+// Wiki prefix -> siteinfo snapshot file (see tests/dump-siteinfo.js), for
+// wikis whose config is taken from the snapshot instead of the wiki
+ParsoidConfig.prototype.siteinfoSnapshots = null;
+
+/**
+ * Get the cache of the wiki configs, created (with the snapshots loaded) on
+ * first use
+ *
+ * @throws {Error} if a snapshot can't be loaded
+ */
+ParsoidConfig.prototype.getWikiConfigCache = function () {
+	if ( this._wikiConfigCache === undefined ) {
+		this._wikiConfigCache = new WikiConfigCache( {
+			ttl: this.wikiConfigCache && this.wikiConfigCache.ttl,
+			maxItems: this.wikiConfigCache && this.wikiConfigCache.maxItems,
+			enabled: !!this.wikiConfigCache,
+			snapshots: this.siteinfoSnapshots,
+			interwikiMap: this.interwikiMap
+		} );
+	}
+	return this._wikiConfigCache;
+};
+
+// Send the service metrics to StatsD as well, see mediawiki.Metrics.js:
+// { host, port, prefix, interval }
+ParsoidConfig.prototype.statsd = null;
+
+/**
+ * Get the metrics of this process, created on first use
+ */
+ParsoidConfig.prototype.getMetrics = function () {
+	if ( !this._metrics ) {
+		this._metrics = new Metrics( { statsd: this.statsd } );
+	}
+	return this._metrics;
+};
+
+// Logging, see mediawiki.Logger.js: the level of all channels without one
+// in logChannels (channel -> level), and the format ('text' or 'json')
+ParsoidConfig.prototype.logLevel = 'info';
+ParsoidConfig.prototype.logChannels = null;
+ParsoidConfig.prototype.logFormat = 'text';
+// Whether API clients may change the log levels of their request (see
+// api/ParserService.js). Off by default, as trace logs of token and DOM
+// dumps let any client flood the logs.
+ParsoidConfig.prototype.allowLogLevelOverride = false;
+
+/**
+ * Get the logger of the process, configured with the log settings of this
+ * config on first use
+ */
+ParsoidConfig.prototype.getLogger = function () {
+	if ( !this._logger ) {
+		this._logger = Logger.root;
+		this._logger.configure( {
+			level: this.logLevel,
+			channels: this.logChannels || {},
+			format: this.logFormat
+		} );
+	}
+	return this._logger;
+};
 
 if (typeof module === "object") {
 	module.exports.ParsoidConfig = ParsoidConfig;
@@ -0,0 +1,163 @@
+"use strict";
+/**
+ * Per-request resource limits, so that a pathological page can't keep a
+ * worker busy indefinitely. The counters are
+ * - wallClock: milliseconds since start() was called
+ * - includeSize: characters of template sources, preprocessor expansions
+ *   and extension output included into the page (the post-expand include
+ *   size when templates are expanded by the PHP preprocessor)
+ * - expansionNodes: tokens passed through the asynchronous (expansion)
+ *   token transformations, including those of nested templates
+ * - outputSize: characters of the final HTML body
+ *
+ * The limits are taken from ParsoidConfig.limits; missing or zero limits
+ * are not enforced. When one is exceeded, the parse is aborted: the
+ * outstanding API requests are cancelled, the pipeline stops working on
+ * the page, and onAbort is called with a ResourceLimitError.
+ */
+
+/**
+ * @param {String} message
+ * @param {String} limit: The name of the exceeded limit
+ * @param {Object} report: See ResourceLimits.getReport
+ */
+function ResourceLimitError( message, limit, report ) {
+	this.name = 'ResourceLimitError';
+	this.message = message || 'Resource limit exceeded';
+	this.limit = limit;
+	this.report = report;
+	// Taking too long is the service's problem, too much content the page's
+	this.code = limit === 'wallClock' ? 503 : 413;
+}
+ResourceLimitError.prototype = Error.prototype;
+
+var counterNames = [ 'wallClock', 'includeSize', 'expansionNodes', 'outputSize' ];
+
+/**
+ * @class
+ * @constructor
+ * @param {MWParserEnvironment} env
+ */
+function ResourceLimits ( env ) {
+	this.env = env;
+	this.limits = env.conf.parsoid.limits || {};
+	this.counters = {};
+	counterNames.forEach( function ( name ) {
+		this.counters[name] = 0;
+	}, this );
+	this.startTime = null;
+	this.timer = null;
+	// The ResourceLimitError once the parse is aborted
+	this.aborted = null;
+	// The API requests in progress, to cancel on abort
+	this.requests = [];
+}
+
+/**
+ * Called with the ResourceLimitError when a limit is exceeded. By default,
+ * it is passed to the environment's error callback.
+ */
+ResourceLimits.prototype.onAbort = function ( error ) {
+	this.env.errCB( error );
+};
+
+/**
+ * Start the wall clock
+ */
+ResourceLimits.prototype.start = function () {
+	var self = this;
+	this.startTime = Date.now();
+	if ( this.limits.wallClock ) {
+		this.timer = setTimeout( function () {
+			self.timer = null;
+			self.exceed( 'wallClock' );
+		}, this.limits.wallClock );
+		if ( this.timer.unref ) {
+			this.timer.unref();
+		}
+	}
+};
+
+/**
+ * Stop the wall clock, when the request is done
+ */
+ResourceLimits.prototype.stop = function () {
+	if ( this.timer ) {
+		clearTimeout( this.timer );
+		this.timer = null;
+	}
+	this.counters.wallClock = this.elapsed();
+	this.startTime = null;
+};
+
+ResourceLimits.prototype.elapsed = function () {
+	return this.startTime === null ? this.counters.wallClock :
+		Date.now() - this.startTime;
+};
+
+/**
+ * Add to a counter, aborting the parse if that exceeds its limit
+ *
+ * @param {String} name
+ * @param {Number} amount
+ * @returns {Boolean} False if the parse is aborted
+ */
+ResourceLimits.prototype.add = function ( name, amount ) {
+	this.counters[name] += amount;
+	if ( this.limits[name] && this.counters[name] > this.limits[name] ) {
+		this.exceed( name );
+	}
+	// The timer can't fire during long synchronous stretches
+	if ( this.limits.wallClock && this.startTime !== null &&
+			this.elapsed() > this.limits.wallClock ) {
+		this.exceed( 'wallClock' );
+	}
+	return !this.aborted;
+};
+
+ResourceLimits.prototype.exceed = function ( name ) {
+	if ( this.aborted ) {
+		return;
+	}
+	this.counters.wallClock = this.elapsed();
+	this.aborted = new ResourceLimitError( 'The ' + name + ' limit (' +
+		this.limits[name] + ') was exceeded while parsing ' + this.env.page.name,
+		name, this.getReport() );
+	this.stop();
+	this.requests.slice().forEach( function ( apiRequest ) {
+		apiRequest.abort();
+	} );
+	this.requests = [];
+	this.onAbort( this.aborted );
+};
+
+ResourceLimits.prototype.trackRequest = function ( apiRequest ) {
+	this.requests.push( apiRequest );
+};
+
+ResourceLimits.prototype.untrackRequest = function ( apiRequest ) {
+	var i = this.requests.indexOf( apiRequest );
+	if ( i !== -1 ) {
+		this.requests.splice( i, 1 );
+	}
+};
+
+/**
+ * The counters and their limits (null if not limited), like
+ * { includeSize: { value: 1234, limit: 2097152 }, ... }
+ */
+ResourceLimits.prototype.getReport = function () {
+	var report = {};
+	counterNames.forEach( function ( name ) {
+		report[name] = {
+			value: name === 'wallClock' ? this.elapsed() : this.counters[name],
+			limit: this.limits[name] || null
+		};
+	}, this );
+	return report;
+};
+
+if (typeof module === "object") {
+	module.exports.ResourceLimits = ResourceLimits;
+	module.exports.ResourceLimitError = ResourceLimitError;
+}
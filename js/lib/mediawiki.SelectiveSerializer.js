@@ -32,9 +32,8 @@ function DiffToSelserConverter ( env, diffDOM ) {
 	this.curPos = 0; // end offset of the last processed node
 	this.dom = diffDOM;
 	// TODO: abstract the debug method setup!
-	this.debug = env.conf.parsoid.debug ||
-		(env.conf.parsoid.traceFlags && env.conf.parsoid.traceFlags.indexOf('selser') !== -1) ?
-						console.error : function(){};
+	this.debug = env.logger.isEnabled('trace', 'selser') ?
+		env.logger.trace.bind(env.logger, 'selser') : function(){};
 }
 
 DiffToSelserConverter.prototype.convert = function () {
@@ -340,14 +339,12 @@ var SelectiveSerializer = function ( options ) {
 	this.serializeID = null;
 
 	// Debug options
-	this.trace = this.env.conf.parsoid.debug || (
-		this.env.conf.parsoid.traceFlags &&
-		(this.env.conf.parsoid.traceFlags.indexOf("selser") !== -1)
-	);
+	var logger = this.env.logger;
+	this.trace = logger.isEnabled('trace', 'selser');
 
 	if ( this.trace ) {
 		SelectiveSerializer.prototype.debug_pp = function () {
-			Util.debug_pp.apply(Util, arguments);
+			Util.debug_pp.apply(Util, [logger, 'selser'].concat([].slice.apply(arguments)));
 		};
 
 		SelectiveSerializer.prototype.debug = function ( ) {
@@ -399,7 +396,7 @@ SSP.handleSerializedResult = function( res, dpsSource ) {
 	this.debug("---- dps:", dpsSource || 'null', "----", res);
 
 	if( dpsSource === undefined ) {
-		console.trace();
+		this.env.logger.warn('selser', 'No data-parsoid-serialize', new Error().stack);
 	}
 
 	if ( dpsSource === null ) {
@@ -431,8 +428,7 @@ SSP.handleSerializedResult = function( res, dpsSource ) {
 				// Try to decode data-parsoid-serialize
 				dps = JSON.parse(dpsSource);
 			} catch (e) {
-				console.error('Error decoding dps ' + dpsSource);
-				console.trace();
+				this.env.logger.error('selser', 'Error decoding dps ' + dpsSource, e);
 			}
 		}
 
@@ -488,11 +484,9 @@ SSP.doSerializeDOM = function ( err, doc, cb, finalcb ) {
 			// Add the serializer info
 			new DiffToSelserConverter(this.env, doc).convert();
 
-			if ( this.trace || ( this.env.conf.parsoid.dumpFlags &&
-						this.env.conf.parsoid.dumpFlags.indexOf( 'dom:serialize-ids' ) !== -1) )
-			{
-				console.log( '----- DOM after assigning serializer state -----' );
-				console.log( doc.outerHTML );
+			if ( this.env.logger.isEnabled( 'trace', 'dump/dom:serialize-ids' ) ) {
+				this.env.logger.trace( 'dump/dom:serialize-ids',
+					'----- DOM after assigning serializer state -----\n' + doc.outerHTML );
 			}
 
 			// Call the WikitextSerializer to do our bidding
@@ -527,8 +521,7 @@ SSP.parseOriginalSource = function ( doc, cb, finalcb, err, src ) {
 		// XXX: need to get body with .tree.document.childNodes[0].childNodes[1] ?
 		var body = origDoc.firstChild.childNodes[1];
 		self.env.page.dom = body;
-		console.log('calling doSerializeDOM');
-		console.log(body.outerHTML);
+		self.debug( 'original DOM:', body.outerHTML );
 		self.doSerializeDOM(null, doc, cb, finalcb);
 	} );
 	parserPipeline.process(src);
@@ -538,18 +531,34 @@ SSP.parseOriginalSource = function ( doc, cb, finalcb, err, src ) {
 /**
  * The main serializer handler. Calls detectDOMChanges and prepares and calls
  * WikitextSerializer.serializeDOM if changes were found.
+ *
+ * The original is taken from env.page: the wikitext (src) and its DOM
+ * (dom) if both are set, the wikitext parsed to a DOM if only that is set,
+ * and else the revision env.page.id (or the current one) fetched from the
+ * wiki. A DOM without the wikitext is used with the fetched wikitext. If
+ * the original can't be fetched, the whole DOM is serialized.
  */
 SSP.serializeDOM = function( doc, cb, finalcb ) {
-	if ( this.env.page.dom ) {
+	var self = this;
+	if ( this.env.page.dom && this.env.page.src ) {
 		this.doSerializeDOM(null, doc, cb, finalcb);
 	} else if ( this.env.page.src ) {
 		// Have the src, only parse the src to the dom
 		this.parseOriginalSource( doc, cb, finalcb, null, this.env.page.src );
 	} else {
 		// Start by getting the old text of this page
-		Util.getPageSrc( this.env, this.env.page.name,
-				this.parseOriginalSource.bind(this, doc, cb, finalcb),
-				this.env.page.id || null );
+		Util.getPageSrc( this.env, this.env.page.name, function ( err, src ) {
+			if ( err ) {
+				self.env.logger.warn( 'selser', 'Could not fetch the original of ' + self.env.page.name +
+					', serializing the whole page: ' + err );
+				self.doSerializeDOM( err, doc, cb, finalcb );
+			} else if ( self.env.page.dom ) {
+				self.env.page.src = src;
+				self.doSerializeDOM( null, doc, cb, finalcb );
+			} else {
+				self.parseOriginalSource( doc, cb, finalcb, null, src );
+			}
+		}, this.env.page.id || null );
 	}
 };
 
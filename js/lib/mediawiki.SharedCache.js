@@ -0,0 +1,282 @@
+"use strict";
+/**
+ * A cache shared by all requests in a process, for the results of API
+ * requests that are worth keeping between parses: the wikitext of pages
+ * and templates, preprocessor expansions and extension output. Unlike
+ * env.pageCache, which only lives as long as a single environment, its
+ * size is bounded.
+ *
+ * Entries are keyed by type ('page', 'expansion' or 'extension'), wiki
+ * prefix, name and revision:
+ * - Entries for a specific revision never change, so they only leave the
+ *   cache when it is full.
+ * - Entries for the current revision of a page (no revision) expire after
+ *   the TTL, and are dropped early when a newer revision of the page is
+ *   seen (see noteRevision).
+ *
+ * The least recently used entries are evicted first once the cache holds
+ * more than maxItems entries or maxBytes bytes (UTF-8 size of keys and
+ * values). With a persistFile, the cache is loaded from that file on
+ * creation and written back every persistInterval milliseconds.
+ */
+
+var fs = require( 'fs' ),
+	logger = require( './mediawiki.Logger.js' ).Logger.root;
+
+/**
+ * @class
+ * @constructor
+ * @param {Object} [options]: maxItems, maxBytes, ttl (milliseconds),
+ *   persistFile, persistInterval (milliseconds). Missing or zero limits
+ *   are unlimited.
+ */
+function SharedCache ( options ) {
+	options = options || {};
+	this.maxItems = options.maxItems || 0;
+	this.maxBytes = options.maxBytes || 0;
+	this.ttl = options.ttl || 0;
+	this.persistFile = options.persistFile || null;
+
+	// key -> entry, with the entries in a doubly linked list from the most
+	// (head) to the least (tail) recently used
+	this.entries = Object.create( null );
+	this.head = null;
+	this.tail = null;
+	this.items = 0;
+	this.bytes = 0;
+
+	this.stats = {
+		hits: 0,
+		misses: 0,
+		sets: 0,
+		evictions: 0,
+		expirations: 0,
+		invalidations: 0
+	};
+
+	if ( this.persistFile ) {
+		this.load();
+		if ( options.persistInterval ) {
+			this.persistTimer = setInterval( this.save.bind( this ),
+				options.persistInterval );
+			// Don't keep the process alive just to save the cache
+			if ( this.persistTimer.unref ) {
+				this.persistTimer.unref();
+			}
+		}
+	}
+}
+
+SharedCache.makeKey = function ( type, wiki, name, revision ) {
+	return [ type, wiki || '', revision || 'current', name ].join( '|' );
+};
+
+SharedCache.prototype._unlink = function ( entry ) {
+	if ( entry.prev ) {
+		entry.prev.next = entry.next;
+	} else {
+		this.head = entry.next;
+	}
+	if ( entry.next ) {
+		entry.next.prev = entry.prev;
+	} else {
+		this.tail = entry.prev;
+	}
+	entry.prev = entry.next = null;
+};
+
+SharedCache.prototype._pushFront = function ( entry ) {
+	entry.prev = null;
+	entry.next = this.head;
+	if ( this.head ) {
+		this.head.prev = entry;
+	}
+	this.head = entry;
+	if ( !this.tail ) {
+		this.tail = entry;
+	}
+};
+
+SharedCache.prototype._remove = function ( entry ) {
+	this._unlink( entry );
+	delete this.entries[entry.key];
+	this.items--;
+	this.bytes -= entry.bytes;
+};
+
+SharedCache.prototype._trim = function () {
+	while ( this.tail &&
+			( ( this.maxItems && this.items > this.maxItems ) ||
+			( this.maxBytes && this.bytes > this.maxBytes ) ) ) {
+		this._remove( this.tail );
+		this.stats.evictions++;
+	}
+};
+
+SharedCache.prototype._insert = function ( key, value, revid, expires ) {
+	var entry = {
+			key: key,
+			value: value,
+			revid: revid,
+			expires: expires,
+			bytes: Buffer.byteLength( key ) + Buffer.byteLength( value ),
+			prev: null,
+			next: null
+		};
+
+	if ( this.entries[key] ) {
+		this._remove( this.entries[key] );
+	}
+	if ( this.maxBytes && entry.bytes > this.maxBytes ) {
+		return;
+	}
+	this.entries[key] = entry;
+	this._pushFront( entry );
+	this.items++;
+	this.bytes += entry.bytes;
+	this._trim();
+};
+
+/**
+ * Look up an entry
+ *
+ * @param {String} type
+ * @param {String} wiki: The wiki prefix
+ * @param {String} name: The title, or source text for expansions
+ * @param {Number} [revision]: The revision, if not the current one
+ * @returns {String} The cached value, undefined if there is none
+ */
+SharedCache.prototype.get = function ( type, wiki, name, revision ) {
+	var entry = this.entries[SharedCache.makeKey( type, wiki, name, revision )];
+	if ( entry && entry.expires && entry.expires <= Date.now() ) {
+		this._remove( entry );
+		this.stats.expirations++;
+		entry = null;
+	}
+	if ( !entry ) {
+		this.stats.misses++;
+		return undefined;
+	}
+	this.stats.hits++;
+	this._unlink( entry );
+	this._pushFront( entry );
+	return entry.value;
+};
+
+/**
+ * Add or replace an entry
+ *
+ * @param {String} type
+ * @param {String} wiki
+ * @param {String} name
+ * @param {String} value
+ * @param {Object} [options]: revision, the revision the value is for (see
+ *   get); revid, the id of the current revision of a page entry; ttl, to
+ *   override the default TTL
+ */
+SharedCache.prototype.set = function ( type, wiki, name, value, options ) {
+	options = options || {};
+	var ttl = options.ttl !== undefined ? options.ttl : this.ttl,
+		expires = ( ttl && !options.revision ) ? Date.now() + ttl : 0;
+
+	this.stats.sets++;
+	this._insert( SharedCache.makeKey( type, wiki, name, options.revision ),
+		String( value ), options.revid !== undefined ? Number( options.revid ) : null,
+		expires );
+};
+
+/**
+ * Drop the entry for the current revision of a page
+ */
+SharedCache.prototype.invalidate = function ( wiki, title ) {
+	var entry = this.entries[SharedCache.makeKey( 'page', wiki, title )];
+	if ( entry ) {
+		this._remove( entry );
+		this.stats.invalidations++;
+	}
+};
+
+/**
+ * Note that a page has a revision revid, dropping the entry for its
+ * current revision if that is older (or of an unknown revision)
+ */
+SharedCache.prototype.noteRevision = function ( wiki, title, revid ) {
+	var entry = this.entries[SharedCache.makeKey( 'page', wiki, title )];
+	if ( entry && ( entry.revid === null || entry.revid < Number( revid ) ) ) {
+		this._remove( entry );
+		this.stats.invalidations++;
+	}
+};
+
+SharedCache.prototype.getStats = function () {
+	var stats = {
+			items: this.items,
+			bytes: this.bytes,
+			maxItems: this.maxItems,
+			maxBytes: this.maxBytes
+		},
+		lookups = this.stats.hits + this.stats.misses;
+	Object.keys( this.stats ).forEach( function ( name ) {
+		stats[name] = this.stats[name];
+	}, this );
+	stats.hitRate = lookups ? this.stats.hits / lookups : 0;
+	return stats;
+};
+
+/**
+ * Write the unexpired entries to the persist file, least recently used
+ * first. The file is replaced atomically, so several processes can share
+ * it (the last one to save wins).
+ */
+SharedCache.prototype.save = function ( cb ) {
+	var now = Date.now(),
+		data = [],
+		tmpFile = this.persistFile + '.' + process.pid + '.tmp',
+		file = this.persistFile,
+		entry;
+
+	cb = cb || function ( err ) {
+		if ( err ) {
+			logger.warn( 'cache', 'Could not save the shared cache to ' + file + ': ' + err );
+		}
+	};
+	for ( entry = this.tail; entry; entry = entry.prev ) {
+		if ( !entry.expires || entry.expires > now ) {
+			data.push( [ entry.key, entry.value, entry.revid, entry.expires ] );
+		}
+	}
+	fs.writeFile( tmpFile, JSON.stringify( data ), 'utf8', function ( err ) {
+		if ( err ) {
+			cb( err );
+		} else {
+			fs.rename( tmpFile, file, cb );
+		}
+	} );
+};
+
+/**
+ * Read the entries saved in the persist file. A missing or broken file
+ * leaves the cache empty.
+ */
+SharedCache.prototype.load = function () {
+	var now = Date.now(),
+		data;
+	try {
+		data = JSON.parse( fs.readFileSync( this.persistFile, 'utf8' ) );
+	} catch ( e ) {
+		if ( e.code !== 'ENOENT' ) {
+			logger.warn( 'cache', 'Could not load the shared cache from ' +
+				this.persistFile + ': ' + e );
+		}
+		return;
+	}
+	data.forEach( function ( item ) {
+		if ( !item[3] || item[3] > now ) {
+			this._insert( item[0], item[1], item[2], item[3] );
+		}
+	}, this );
+};
+
+if (typeof module === "object") {
+	module.exports.SharedCache = SharedCache;
+}
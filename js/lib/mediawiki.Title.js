@@ -42,10 +42,83 @@ Title.prototype.getPrefixedText = function () {
 	}
 };
 
+/**
+ * The title without the namespace, with spaces instead of underscores
+ */
+Title.prototype.getText = function () {
+	return this.key.replace( /_/g, ' ' );
+};
+
+/**
+ * The local name of the title's namespace, with spaces
+ */
+Title.prototype.getNamespaceText = function () {
+	return ( this.ns.getDefaultName() || '' ).replace( /_/g, ' ' );
+};
+
+/**
+ * The title with the local namespace name, with spaces
+ */
+Title.prototype.getFullText = function () {
+	var ns = this.getNamespaceText();
+	return ( ns ? ns + ':' : '' ) + this.getText();
+};
+
+/**
+ * The title up to the last subpage, if the namespace has subpages
+ */
+Title.prototype.getBaseText = function () {
+	var text = this.getText(),
+		slash = text.lastIndexOf( '/' );
+	if ( !this.ns.hasSubpages() || slash <= 0 ) {
+		return text;
+	}
+	return text.substr( 0, slash );
+};
+
+/**
+ * The title up to the first subpage, if the namespace has subpages
+ */
+Title.prototype.getRootText = function () {
+	var text = this.getText(),
+		slash = text.indexOf( '/' );
+	if ( !this.ns.hasSubpages() || slash <= 0 ) {
+		return text;
+	}
+	return text.substr( 0, slash );
+};
+
+/**
+ * The last subpage of the title, if the namespace has subpages
+ */
+Title.prototype.getSubpageText = function () {
+	var text = this.getText();
+	if ( !this.ns.hasSubpages() ) {
+		return text;
+	}
+	return text.substr( text.lastIndexOf( '/' ) + 1 );
+};
+
+/**
+ * The talk page of this title, or null for namespaces without talk pages
+ */
+Title.prototype.getTalkPage = function () {
+	var ns = this.ns.getTalk();
+	return ns && new Title( this.key, ns.id, null, this.env );
+};
+
+/**
+ * The subject (non-talk) page of this title
+ */
+Title.prototype.getSubjectPage = function () {
+	return new Title( this.key, this.ns.getSubject().id, null, this.env );
+};
+
 
 function Namespace( id, env ) {
 	var ids = env.conf.wiki.namespaceIds;
 	var names = env.conf.wiki.namespaceNames;
+	this.env = env;
 	this.id = Number( id );
 	this.namespaceIds = env.conf.wiki.canonicalNamespaces;
 	this.canonicalNamespaces = env.conf.wiki.canonicalNamespaces;
@@ -70,10 +143,35 @@ function Namespace( id, env ) {
 Namespace.prototype.isFile = function ( ) {
 	return this.id === this.canonicalNamespaces.file;
 };
+Namespace.prototype.isMedia = function ( ) {
+	return this.id === this.canonicalNamespaces.media;
+};
 Namespace.prototype.isCategory = function ( ) {
 	return this.id === this.canonicalNamespaces.category;
 };
 
+Namespace.prototype.isTalk = function ( ) {
+	return this.id > 0 && this.id % 2 === 1;
+};
+
+Namespace.prototype.getSubject = function ( ) {
+	return this.isTalk() ? new Namespace( this.id - 1, this.env ) : this;
+};
+
+/**
+ * The talk namespace, or null for the special namespaces
+ */
+Namespace.prototype.getTalk = function ( ) {
+	if ( this.id < 0 ) {
+		return null;
+	}
+	return this.isTalk() ? this : new Namespace( this.id + 1, this.env );
+};
+
+Namespace.prototype.hasSubpages = function ( ) {
+	return !!this.env.conf.wiki.namespacesWithSubpages[this.id];
+};
+
 Namespace.prototype.getDefaultName = function ( ) {
 	return this.namespaceNames[this.id.toString()];
 };
@@ -18,24 +18,22 @@
 var events = require('events'),
 	LRU = require("lru-cache"),
 	jshashes = require('jshashes'),
-	Util = require('./mediawiki.Util.js').Util;
+	Util = require('./mediawiki.Util.js').Util,
+	logger = require('./mediawiki.Logger.js').Logger.root;
 
 
 function verifyTokensIntegrity(ret, nullOkay) {
 	// FIXME: Where is this coming from?
 	if (ret.constructor === Array) {
-		console.warn(' ret is not an object: ' + JSON.stringify( ret ) );
-		console.trace();
+		logger.warn( 'tt', 'ret is not an object:', ret, new Error().stack );
 		ret = { tokens: ret };
 	} else if (!nullOkay && ret.tokens === undefined) {
-		console.warn( 'ret.tokens undefined: ' + JSON.stringify( ret ) );
-		console.trace();
+		logger.warn( 'tt', 'ret.tokens undefined:', ret, new Error().stack );
 		ret.tokens = ( ret.token === undefined ) ? [] : [ret.token];
 	}
 
 	if (ret.tokens && ret.tokens.constructor !== Array) {
-		console.warn( 'ret.tokens not an array: ' + JSON.stringify( ret ) );
-		console.trace();
+		logger.warn( 'tt', 'ret.tokens not an array:', ret, new Error().stack );
 		ret.tokens = [ ret.tokens ];
 	}
 
@@ -92,8 +90,9 @@ TokenTransformManager.prototype._construct = function () {
  * @param {Object} EventEmitter token even emitter.
  */
 TokenTransformManager.prototype.addListenersOn = function ( tokenEmitter ) {
-	tokenEmitter.addListener('chunk', this.onChunk.bind( this ) );
-	tokenEmitter.addListener('end', this.onEndEvent.bind( this ) );
+	var phaseTimer = this.env.phaseTimer;
+	tokenEmitter.addListener('chunk', phaseTimer.wrap( 'transform', this.onChunk, this ) );
+	tokenEmitter.addListener('end', phaseTimer.wrap( 'transform', this.onEndEvent, this ) );
 };
 
 TokenTransformManager.prototype.setTokensRank = function ( tokens, rank ) {
@@ -126,15 +125,15 @@ TokenTransformManager.prototype.addTransform = function ( transformation, debug_
 		rank: rank,
 		name: debug_name
 	};
-	if (!this.env.conf.parsoid.trace) {
+	if (!this.env.logger.isEnabled('trace', 'tt')) {
 		t.transform = transformation;
 	} else {
 		// Trace info
-		var mgr = this;
+		var logger = this.env.logger;
 		t.transform = function() {
-			mgr.env.tracer.startPass(debug_name + ":" + rank);
+			logger.trace('tt', "---- start: " + debug_name + ":" + rank + " ----");
 			var r = transformation.apply(null, arguments);
-			mgr.env.tracer.endPass(debug_name + ":" + rank);
+			logger.trace('tt', "---- end  : " + debug_name + ":" + rank + " ----");
 			return r;
 		};
 	}
@@ -245,8 +244,9 @@ function AsyncTokenTransformManager ( env, options, pipeFactory, phaseEndRank, a
 	this.phaseEndRank = phaseEndRank;
 	this.attributeType = attributeType;
 	this.setFrame( null, null, [] );
-	this.debug = env.conf.parsoid.debug;
-	this.trace = env.conf.parsoid.traceFlags && (env.conf.parsoid.traceFlags.indexOf("async:" + phaseEndRank) !== -1);
+	this.debug = env.logger.isEnabled('debug', 'tt');
+	this.traceChannel = 'tt/async:' + phaseEndRank;
+	this.trace = env.logger.isEnabled('trace', this.traceChannel);
 	this._construct();
 }
 
@@ -267,7 +267,7 @@ AsyncTokenTransformManager.prototype.reset = function() {
  * @method
  */
 AsyncTokenTransformManager.prototype.setFrame = function ( parentFrame, title, args ) {
-	this.env.dp( 'AsyncTokenTransformManager.setFrame', title, args );
+	this.env.logger.debug( 'tt', 'AsyncTokenTransformManager.setFrame', title, args );
 
 	// Reset accumulators
 	this.reset();
@@ -289,20 +289,19 @@ AsyncTokenTransformManager.prototype.setFrame = function ( parentFrame, title, a
  * Callback for async returns from head of TokenAccumulator chain
  */
 AsyncTokenTransformManager.prototype.emitChunk = function( ret ) {
-	this.env.dp( 'emitChunk', ret );
+	this.env.logger.debug( 'tt', 'emitChunk', ret );
 
 	function checkForEOFTkErrors(ttm, ret, atEnd) {
 		if ( ttm.frame.depth === 0 &&
 				ret.tokens && ret.tokens.length ) {
 			if ( atEnd && ret.tokens.last() && ret.tokens.last().constructor !== EOFTk )
 			{
-				console.error("ERROR: EOFTk went missing in AsyncTokenTransformManager");
+				ttm.env.logger.error('tt', "EOFTk went missing in AsyncTokenTransformManager");
 				ret.tokens.push(new EOFTk());
 			}
 			for ( var i = 0, l = ret.tokens.lengh; i < l - 1; i++ ) {
 				if ( ret.tokens[i] && ret.tokens[i].constructor === EOFTk ) {
-					console.error("ERROR: EOFTk in the middle of chunk");
-					console.trace();
+					ttm.env.logger.error('tt', "EOFTk in the middle of chunk", new Error().stack);
 				}
 			}
 
@@ -349,19 +348,19 @@ AsyncTokenTransformManager.prototype.process = function ( tokens ) {
  * @param {Array} chunk of tokens
  */
 AsyncTokenTransformManager.prototype.onChunk = function ( tokens ) {
-	this.env.tracer.startPass("onChunk (Async:" + this.attributeType + ")");
+	this.env.logger.trace('tt', "---- start: onChunk (Async:" + this.attributeType + ") ----");
 
 	// Set top-level callback to next transform phase
 	var res = this.transformTokens ( tokens, this.tokenCB );
-	this.env.dp( 'AsyncTokenTransformManager onChunk', res.async? 'async' : 'sync', res.tokens );
+	this.env.logger.debug( 'tt', 'AsyncTokenTransformManager onChunk', res.async? 'async' : 'sync', res.tokens );
 
 	// Emit or append the returned tokens
 	if ( ! this.tailAccumulator ) {
-		this.env.dp( 'emitting' );
+		this.env.logger.debug( 'tt', 'emitting' );
 		this.emit( 'chunk', res.tokens );
 	} else {
 		// console.warn("--> ATT-" + this.uid + " appending: " + JSON.stringify(res.tokens));
-		this.env.dp( 'appending to tail' );
+		this.env.logger.debug( 'tt', 'appending to tail' );
 		this.tailAccumulator.append( res.tokens );
 	}
 
@@ -371,7 +370,7 @@ AsyncTokenTransformManager.prototype.onChunk = function ( tokens ) {
 		this.tokenCB = res.asyncAccum.receiveToksFromSibling.bind(res.asyncAccum);
 	}
 
-	this.env.tracer.endPass("onChunk (Async:" + this.attributeType + ")");
+	this.env.logger.trace('tt', "---- end  : onChunk (Async:" + this.attributeType + ") ----");
 };
 
 /**
@@ -382,12 +381,12 @@ AsyncTokenTransformManager.prototype.onChunk = function ( tokens ) {
  */
 AsyncTokenTransformManager.prototype.onEndEvent = function () {
 	if ( this.tailAccumulator ) {
-		this.env.dp( 'AsyncTokenTransformManager.onEndEvent: calling siblingDone',
+		this.env.logger.debug( 'tt', 'AsyncTokenTransformManager.onEndEvent: calling siblingDone',
 				this.frame.title );
 		this.tailAccumulator.siblingDone();
 	} else {
 		// nothing was asynchronous, so we'll have to emit end here.
-		this.env.dp( 'AsyncTokenTransformManager.onEndEvent: synchronous done',
+		this.env.logger.debug( 'tt', 'AsyncTokenTransformManager.onEndEvent: synchronous done',
 				this.frame.title );
 		this.emit('end');
 
@@ -420,6 +419,11 @@ AsyncTokenTransformManager.prototype.transformTokens = function ( tokens, parent
 		return { tokens: tokens };
 	}
 
+	// Count the expansion work, and stop working on an aborted parse
+	if ( !this.env.limits.add( 'expansionNodes', tokens.length ) ) {
+		return { tokens: [] };
+	}
+
 	//console.warn('AsyncTokenTransformManager.transformTokens: ' + JSON.stringify(tokens) );
 
 	var accumChain = {
@@ -536,22 +540,18 @@ AsyncTokenTransformManager.prototype.transformTokens = function ( tokens, parent
 		}
 
 		if (this.trace) {
-			console.warn("A" + this.phaseEndRank + "-" + this.uid + ": " + JSON.stringify(token));
-		} else {
-			// SSS FIXME: with individual stage tracing, this overall generic tracing
-			// is becoming less and less useful now.  Do a cleanup one of these days.
-			this.env.tracer.traceToken(token);
+			this.env.logger.trace(this.traceChannel, "A" + this.phaseEndRank + "-" + this.uid + ": " + JSON.stringify(token));
 		}
 
 		var ts = this._getTransforms( token, minRank );
 
-		//this.env.dp( 'async token:', accumChain.state.c, token, minRank, ts );
+		//this.env.logger.debug( 'tt', 'async token:', accumChain.state.c, token, minRank, ts );
 
 		if ( ! ts.length ) {
 			// nothing to do for this token
 			accumChain.push( token );
 		} else {
-			//this.env.tp( 'async trans' );
+			//this.env.logger.trace( 'tt', 'async trans' );
 			var res, resTokens;
 			for (var j = 0, lts = ts.length; j < lts; j++ ) {
 				var transformer = ts[j];
@@ -569,7 +569,7 @@ AsyncTokenTransformManager.prototype.transformTokens = function ( tokens, parent
 				res = accumChain.state.res;
 				resTokens = res.tokens;
 
-				//this.env.dp( 'accumChain.state.res:', accumChain.state.c, res );
+				//this.env.logger.debug( 'tt', 'accumChain.state.res:', accumChain.state.c, res );
 
 				// Check the result, which is changed using the
 				// maybeSyncReturn callback
@@ -577,7 +577,7 @@ AsyncTokenTransformManager.prototype.transformTokens = function ( tokens, parent
 					if ( resTokens.length === 1 ) {
 						var soleToken = resTokens[0];
 						if ( soleToken === undefined ) {
-							console.warn('transformer ' + transformer.rank +
+							this.env.logger.warn('tt', 'transformer ' + transformer.rank +
 									' returned undefined token!');
 							resTokens.shift();
 							break;
@@ -623,8 +623,8 @@ AsyncTokenTransformManager.prototype.transformTokens = function ( tokens, parent
 
 						if (this.debug) {
 							// Avoid expensive map and slice if we dont need to.
-							this.env.dp(
-								'workStack',
+							this.env.logger.debug(
+								'tt', 'workStack',
 								accumChain.state.c,
 								resTokens.rank,
 								// Filter out processed tokens
@@ -646,7 +646,7 @@ AsyncTokenTransformManager.prototype.transformTokens = function ( tokens, parent
 			}
 
 			if ( res.async ) {
-				this.env.dp( 'res.async, creating new TokenAccumulator', accumChain.state.c );
+				this.env.logger.debug( 'tt', 'res.async, creating new TokenAccumulator', accumChain.state.c );
 				accumChain.addNode();
 			}
 		}
@@ -662,8 +662,8 @@ AsyncTokenTransformManager.prototype.transformTokens = function ( tokens, parent
 	var firstAccum = accumChain.firstAccum;
 	firstAccum.rank = this.phaseEndRank;
 
-	this.env.dp(
-		'firstAccum',
+	this.env.logger.debug(
+		'tt', 'firstAccum',
 		accumChain.numNodes > 1 ? 'async' : 'sync',
 		accumChain.state.c,
 		firstAccum );
@@ -693,7 +693,7 @@ AsyncTokenTransformManager.prototype.maybeSyncReturn = function ( s, cbs, ret )
 	if ( s.transforming ) {
 		// transformTokens is still ongoing, handle as sync return by
 		// collecting the results in s.res
-		this.env.dp( 'maybeSyncReturn transforming', s.c, ret );
+		this.env.logger.debug( 'tt', 'maybeSyncReturn transforming', s.c, ret );
 		if ( ret.tokens ) {
 			if ( s.res.tokens ) {
 				var oldRank = s.res.tokens.rank;
@@ -713,7 +713,7 @@ AsyncTokenTransformManager.prototype.maybeSyncReturn = function ( s, cbs, ret )
 	} else {
 		// Since the original transformTokens call is already done, we have to
 		// re-start application of any remaining transforms here.
-		this.env.dp( 'maybeSyncReturn async', s.c, ret );
+		this.env.logger.debug( 'tt', 'maybeSyncReturn async', s.c, ret );
 		var asyncCB = cbs.parentCB,
 			tokens = ret.tokens;
 		if ( tokens ) {
@@ -722,7 +722,7 @@ AsyncTokenTransformManager.prototype.maybeSyncReturn = function ( s, cbs, ret )
 				! ( tokens.length === 1 && tokens[0].constructor === String ) )
 			{
 				// Re-process incomplete tokens
-				this.env.dp( 'maybeSyncReturn: recursive transformTokens',
+				this.env.logger.debug( 'tt', 'maybeSyncReturn: recursive transformTokens',
 						this.frame.title, ret.tokens );
 
 				// Set up a new child callback with its own callback state
@@ -787,7 +787,8 @@ function SyncTokenTransformManager ( env, options, pipeFactory, phaseEndRank, at
 	this.pipeFactory = pipeFactory;
 	this.phaseEndRank = phaseEndRank;
 	this.attributeType = attributeType;
-	this.trace = env.conf.parsoid.traceFlags && (env.conf.parsoid.traceFlags.indexOf("sync:" + phaseEndRank) !== -1);
+	this.traceChannel = 'tt/sync:' + phaseEndRank;
+	this.trace = env.logger.isEnabled('trace', this.traceChannel);
 	this._construct();
 }
 
@@ -817,8 +818,8 @@ SyncTokenTransformManager.prototype.onChunk = function ( tokens ) {
 		return;
 	}
 
-	this.env.tracer.startPass("onChunk (Sync:" + this.attributeType + ")");
-	this.env.dp( 'SyncTokenTransformManager.onChunk, input: ', tokens );
+	this.env.logger.trace('tt', "---- start: onChunk (Sync:" + this.attributeType + ") ----");
+	this.env.logger.debug( 'tt', 'SyncTokenTransformManager.onChunk, input: ', tokens );
 
 	var localAccum = [];
 
@@ -843,18 +844,14 @@ SyncTokenTransformManager.prototype.onChunk = function ( tokens ) {
 		}
 
 		if (this.trace) {
-			console.warn("S" + this.phaseEndRank + ": " + JSON.stringify(token));
-		} else {
-			// SSS FIXME: with individual stage tracing, this overall generic tracing
-			// is becoming less and less useful now.  Do a cleanup one of these days.
-			this.env.tracer.traceToken(token);
+			this.env.logger.trace(this.traceChannel, "S" + this.phaseEndRank + ": " + JSON.stringify(token));
 		}
 
 		var transformer,
 			ts = this._getTransforms( token, minRank ),
 			res = { token: token };
 
-		//this.env.dp( 'sync tok:', minRank, token.rank, token, ts );
+		//this.env.logger.debug( 'tt', 'sync tok:', minRank, token.rank, token, ts );
 
 		// Push the token through the transformations till it morphs
 		var j = 0, numTransforms = ts.length;
@@ -862,7 +859,7 @@ SyncTokenTransformManager.prototype.onChunk = function ( tokens ) {
 			transformer = ts[j];
 			// Transform the token.
 			res = transformer.transform( token, this, this.prevToken );
-			//this.env.dp( 'sync res0:', res );
+			//this.env.logger.debug( 'tt', 'sync res0:', res );
 			j++;
 		}
 
@@ -870,12 +867,12 @@ SyncTokenTransformManager.prototype.onChunk = function ( tokens ) {
 			res = { tokens: [res.token] };
 		}
 
-		//this.env.dp( 'sync res:', res );
+		//this.env.logger.debug( 'tt', 'sync res:', res );
 
 		if ( res.tokens && res.tokens.length ) {
 			if ( token.constructor === EOFTk &&
 					res.tokens.last().constructor !== EOFTk ) {
-				console.error( 'ERROR: EOFTk was dropped by ' + transformer.name );
+				this.env.logger.error( 'tt', 'EOFTk was dropped by ' + transformer.name );
 				// fix it up for now by adding it back in
 				res.tokens.push(token);
 			}
@@ -889,7 +886,7 @@ SyncTokenTransformManager.prototype.onChunk = function ( tokens ) {
 			this.prevToken = res.token;
 		} else {
 			if ( token.constructor === EOFTk ) {
-				console.error( 'ERROR: EOFTk was dropped by ' + transformer.name );
+				this.env.logger.error( 'tt', 'EOFTk was dropped by ' + transformer.name );
 				localAccum.push(new EOFTk());
 			}
 			this.prevToken = token;
@@ -898,8 +895,8 @@ SyncTokenTransformManager.prototype.onChunk = function ( tokens ) {
 
 	localAccum.rank = this.phaseEndRank;
 	localAccum.cache = tokens.cache;
-	this.env.dp( 'SyncTokenTransformManager.onChunk: emitting ', localAccum );
-	this.env.tracer.endPass("onChunk (Sync:" + this.attributeType + ")");
+	this.env.logger.debug( 'tt', 'SyncTokenTransformManager.onChunk: emitting ', localAccum );
+	this.env.logger.trace('tt', "---- end  : onChunk (Sync:" + this.attributeType + ") ----");
 	this.emit( 'chunk', localAccum );
 };
 
@@ -967,7 +964,8 @@ AttributeTransformManager.prototype.process = function (attributes) {
 			continue;
 		}
 
-		var kv = new KV( [], [] );
+		// Keep the source range of the original attribute
+		var kv = new KV( [], [], cur.srcOffsets );
 		this.kvs.push( kv );
 
 		if (v.constructor === Array) {
@@ -1076,7 +1074,7 @@ AttributeTransformManager.prototype.processKeys = function (attributes) {
  * Callback for async argument value expansions
  */
 AttributeTransformManager.prototype._returnAttributeValue = function ( ref, tokens ) {
-	this.manager.env.dp( 'check _returnAttributeValue: ', ref,  tokens );
+	this.manager.env.logger.debug( 'tt', 'check _returnAttributeValue: ', ref,  tokens );
 	this.kvs[ref].v = Util.stripEOFTkfromTokens(tokens);
 	this.outstanding--;
 	if ( this.outstanding === 0 ) {
@@ -1088,7 +1086,7 @@ AttributeTransformManager.prototype._returnAttributeValue = function ( ref, toke
  * Callback for async argument key expansions
  */
 AttributeTransformManager.prototype._returnAttributeKey = function ( ref, tokens ) {
-	this.manager.env.dp( 'check _returnAttributeKey: ', ref,  tokens );
+	this.manager.env.logger.debug( 'tt', 'check _returnAttributeKey: ', ref,  tokens );
 	this.kvs[ref].k = Util.stripEOFTkfromTokens(tokens);
 	this.outstanding--;
 	if ( this.outstanding === 0 ) {
@@ -1173,7 +1171,7 @@ TokenAccumulator.prototype.receiveToksFromSibling = function ( ret ) {
 	if (this.waitForChild) {
 		// Just continue to accumulate sibling tokens.
 		this.siblingToks = this.siblingToks.concat( ret.tokens );
-		this.manager.env.dp( 'TokenAccumulator._receiveToksFromSibling: async=',
+		this.manager.env.logger.debug( 'tt', 'TokenAccumulator._receiveToksFromSibling: async=',
 				ret.async, ', this.outstanding=', (this.waitForChild + this.waitForSibling),
 				', this.siblingToks=', this.siblingToks, ' frame.title=', this.manager.frame.title );
 	} else if (this.waitForSibling) {
@@ -1291,8 +1289,8 @@ Frame.prototype.newChild = function ( title, manager, args ) {
  */
 Frame.prototype.expand = function ( chunk, options ) {
 	var outType = options.type || 'text/x-mediawiki/expanded';
-	var cb = options.cb || console.warn( JSON.stringify( options ) );
-	this.manager.env.dp( 'Frame.expand', this._cacheKey, chunk );
+	var cb = options.cb || this.manager.env.logger.warn( 'tt', 'Frame.expand without cb:', options );
+	this.manager.env.logger.debug( 'tt', 'Frame.expand', this._cacheKey, chunk );
 
 	if ( chunk.constructor === String ) {
 		// Plain text remains text. Nothing to do.
@@ -1329,7 +1327,7 @@ Frame.prototype.expand = function ( chunk, options ) {
 		// XXX: disable caching of error messages!
 	}
 	if ( maybeCached ) {
-		this.manager.env.dp( 'got cache', this.title, this._cacheKey, maybeCached );
+		this.manager.env.logger.debug( 'tt', 'got cache', this.title, this._cacheKey, maybeCached );
 		return cb( maybeCached );
 	}
 
@@ -1400,9 +1398,9 @@ Object.freeze(Frame.prototype._eofTkList[0]);
 Frame.prototype.onThunkEvent = function ( state, notYetDone, ret ) {
 	if ( notYetDone ) {
 		state.accum = state.accum.concat(Util.stripEOFTkfromTokens( ret ) );
-		this.manager.env.dp( 'Frame.onThunkEvent accum:', this._cacheKey, state.accum );
+		this.manager.env.logger.debug( 'tt', 'Frame.onThunkEvent accum:', this._cacheKey, state.accum );
 	} else {
-		this.manager.env.dp( 'Frame.onThunkEvent:', this._cacheKey, state.accum );
+		this.manager.env.logger.debug( 'tt', 'Frame.onThunkEvent:', this._cacheKey, state.accum );
 		state.cache.set( this, state.options, state.accum );
 		// Add cache to accum too
 		if ( ! Object.isFrozen( state.accum ) ) {
@@ -1472,8 +1470,7 @@ Frame.prototype.newParserValue = function ( source, options ) {
 
 Frame.prototype._getID = function( options ) {
 	if ( !options || !options.cb ) {
-		console.trace();
-		console.warn('Error in Frame._getID: no cb in options!');
+		this.manager.env.logger.error( 'tt', 'Error in Frame._getID: no cb in options!', new Error().stack );
 	} else {
 		//console.warn('getID: ' + options.cb);
 		return options.cb( this );
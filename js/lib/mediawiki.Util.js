@@ -9,15 +9,20 @@ var domino = require( './domino' ),
 	$ = require( './fakejquery' ),
 	jsDiff = require( 'diff' ),
 	entities = require( 'entities' ),
-	TemplateRequest = require( './mediawiki.ApiRequest.js' ).TemplateRequest;
+	TemplateRequest = require( './mediawiki.ApiRequest.js' ).TemplateRequest,
+	NumberFormatter = require( './mediawiki.NumberFormatter.js' ).NumberFormatter,
+	logger = require( './mediawiki.Logger.js' ).Logger.root;
 
 var Util = {
 
+	/**
+	 * Apply the debugging options of the command line tools to a
+	 * ParsoidConfig: debug mode, and the log levels of the --debug, --trace
+	 * and --dump flags (see Logger.setDebuggingFlags)
+	 */
 	setDebuggingFlags: function(obj, opts) {
 		obj.debug = opts.debug;
-		obj.trace = (opts.trace === true);
-		obj.traceFlags = opts.trace && opts.trace !== true ? opts.trace.split(",") : null;
-		obj.dumpFlags = opts.dump ? opts.dump.split(",") : null;
+		obj.getLogger().setDebuggingFlags(opts);
 
 		return obj;
 	},
@@ -285,7 +290,7 @@ var Util = {
 		for ( var i = 0, l = tokens.length; i < l; i++ ) {
 			var token = tokens[i];
 			if ( token === undefined ) {
-				console.warn( 'Util.tokensToString, invalid token: ' +
+				logger.warn( 'general', 'Util.tokensToString, invalid token: ' +
 								token, ' tokens:', tokens);
 			} else if ( token.constructor === String ) {
 				out.push( token );
@@ -543,7 +548,7 @@ var Util = {
 	 */
 	KVtoHash: function ( kvs ) {
 		if ( ! kvs ) {
-			console.warn( "Invalid kvs!: " + JSON.stringify( kvs, null, 2 ) );
+			logger.warn( 'general', "Invalid kvs!: " + JSON.stringify( kvs, null, 2 ) );
 			return {};
 		}
 		var res = {};
@@ -670,9 +675,16 @@ var Util = {
 		return out;
 	},
 
-	// Does this need separate UI/content inputs?
-	formatNum: function( num ) {
-		return num + '';
+	/**
+	 * Format a number for a language (the wiki's content language,
+	 * env.conf.wiki.lang), see NumberFormatter.
+	 *
+	 * @param {Number|String} num
+	 * @param {String} lang: The language code, English by default
+	 * @param {Boolean} noSeparators: Only transform the digits
+	 */
+	formatNum: function( num, lang, noSeparators ) {
+		return NumberFormatter.forLanguage( lang ).formatNum( num, noSeparators );
 	},
 
 	decodeURI: function ( s ) {
@@ -767,9 +779,13 @@ var Util = {
 			(cp >= 0x10000 && cp <= 0x10ffff);
 	},
 
-	debug_pp: function() {
-		var out = [arguments[0]];
-		for ( var i = 2; i < arguments.length; i++) {
+	/**
+	 * Log debugging values at trace level: debug_pp( logger, channel,
+	 * prefix, separator, values... )
+	 */
+	debug_pp: function(logger, channel) {
+		var out = [arguments[2]];
+		for ( var i = 4; i < arguments.length; i++) {
 			var a = arguments[i];
 			if (a === null) {
 				out.push('null');
@@ -783,7 +799,7 @@ var Util = {
 				out.push(a);
 			}
 		}
-		console.error(out.join(arguments[1]));
+		logger.trace(channel, out.join(arguments[3]));
 	}
 };
 
@@ -984,8 +1000,9 @@ normalizeHTML = function ( source ) {
 			.replace(/(<span class="editsection">\[.*?<\/span> *)?<span[^>]+class="mw-headline"[^>]*>(.*?)<\/span>/g, '$2')
 			// remove empty span tags
 			.replace(/<span><\/span>/g, '')
-			// general class and titles, typically on links
-			.replace(/ (title|class|rel|about|typeof)="[^"]*"/g, '')
+			// general class and titles, typically on links, and the
+			// resource of images, which normalizeOut ignores too
+			.replace(/ (title|class|rel|about|typeof|resource)="[^"]*"/g, '')
 			// strip red link markup, we do not check if a page exists yet
 			.replace(/\/index.php\?title=([^']+?)&amp;action=edit&amp;redlink=1/g, '/wiki/$1')
 			// the expected html has some extra space in tags, strip it
@@ -996,9 +1013,8 @@ normalizeHTML = function ( source ) {
 			.replace(/<span><\/span>/g, '')
 			.replace(/(<(table|tbody|tr|th|td|\/th|\/td)[^<>]*>)\s+/g, '$1');
 	} catch(e) {
-        console.log("normalizeHTML failed on" +
-				source + " with the following error: " + e);
-		console.trace();
+		logger.error('general', "normalizeHTML failed on" +
+				source + " with the following error:", e);
 		return source;
 	}
 },
@@ -2,7 +2,8 @@
  * Per-wiki config library for interfacing with MediaWiki.
  */
 
-var qs = require( 'querystring' ),
+var $ = require( './fakejquery' ),
+	qs = require( 'querystring' ),
 	util = require( 'util' ),
 	request = require( 'request' ),
 	baseConfig = require( './mediawiki.BaseConfig.json' ).query,
@@ -27,11 +28,15 @@ var WikiConfig = function ( resultConf, prefix, uri ) {
 
 	var names = resultConf.namespaces;
 	var nkeys = Object.keys( names );
+	conf.namespacesWithSubpages = {};
 	for ( var nx = 0; nx < nkeys.length; nx++ ) {
 		nsid = nkeys[nx];
 		name = names[nsid];
 		conf.namespaceNames[nsid] = name['*'];
 		conf.namespaceIds[name['*'].toLowerCase()] = Number( nsid );
+		if ( name.subpages !== undefined ) {
+			conf.namespacesWithSubpages[nsid] = true;
+		}
 		if ( name.canonical ) {
 			conf.canonicalNamespaces[name.canonical.toLowerCase()] = Number( nsid );
 		} else {
@@ -44,32 +49,33 @@ var WikiConfig = function ( resultConf, prefix, uri ) {
 		conf.namespaceIds[aliases[ax]['*']] = aliases[ax].id;
 	}
 
-	// The interwikiMap maps prefixes to the corresponding information
-	// gathered from the api query (prefix, language, url, local)
+	// The interwikiMap maps the interwiki prefixes of the wiki to their
+	// url, language (the language name for language links) and local and
+	// protorel flags, from the siteinfo interwikimap. The API marks flags
+	// that are set with an empty string.
 	conf.interwikiMap = {};
-	var interwikimap = resultConf.interwikimap;
-	var interwikiKeys = Object.keys(interwikimap);
-	for ( var index = 0; index < interwikiKeys.length; index++ ) {
-		var key = interwikimap[index].prefix;
-		conf.interwikiMap[key] = interwikimap[index];
+	var interwikimap = resultConf.interwikimap || [];
+	for ( var index = 0; index < interwikimap.length; index++ ) {
+		var iw = $.extend( {}, interwikimap[index] );
+		[ 'local', 'localinterwiki', 'protorel', 'extralanglink' ].forEach( function ( flag ) {
+			iw[flag] = iw[flag] !== undefined && iw[flag] !== false;
+		} );
+		conf.interwikiMap[iw.prefix] = iw;
 	}
 
+	// The extension tags of the wiki (siteinfo lists them as '<name>'),
+	// name -> true
+	conf.extensionTags = {};
+	var extensionTags = resultConf.extensiontags || [];
+	for ( var ex = 0; ex < extensionTags.length; ex++ ) {
+		conf.extensionTags[extensionTags[ex].replace( /^<|>$/g, '' ).toLowerCase()] = true;
+	}
 
-	// Add in wikipedia languages too- they are not necessarily registered as
-	// interwikis and are expected by parserTests.
-	for( var i = 0, l = resultConf.languages.length; i < l; i++) {
-		var entry = resultConf.languages[i];
-		if (!conf.interwikiMap[entry.code]) {
-			conf.interwikiMap[entry.code] = {
-				prefix: entry.code,
-				url: 'http://' + entry.code + '.wikipedia.org/wiki/$1',
-				language: entry['*']
-			};
-		} else if (!conf.interwikiMap[entry.code].language) {
-			// Not sure if this case is possible, but make sure this is
-			// treated as a language.
-			conf.interwikiMap[entry.code].language = entry['*'];
-		}
+	// Language code -> name, of the languages MediaWiki knows
+	conf.languageNames = {};
+	var languages = resultConf.languages || [];
+	for ( var i = 0; i < languages.length; i++ ) {
+		conf.languageNames[languages[i].code] = languages[i]['*'];
 	}
 
 	// "mw" here refers to "magicwords", not "mediawiki"
@@ -121,13 +127,17 @@ var WikiConfig = function ( resultConf, prefix, uri ) {
 //		}
 //	}
 
-	// Get the linktrail and linkprefix messages from the server
-	// TODO XXX etc. : Use these somewhere
+	// Get the linktrail and linkprefix messages from the server, and keep
+	// all messages (month names etc) for the parser functions.
+	conf.messages = {};
 	var stripRegex = /^\/\^(.*)\$\//;
 	var messages = resultConf.allmessages;
 	var thismsg, regexResult;
 	for ( var amx = 0; amx < messages.length; amx++ ) {
 		thismsg = messages[amx];
+		if ( thismsg['*'] !== undefined ) {
+			conf.messages[thismsg.name] = thismsg['*'];
+		}
 		if ( thismsg['*'] ) {
 			regexResult = thismsg['*'].match( stripRegex );
 			if ( regexResult !== null ) {
@@ -160,6 +170,19 @@ var WikiConfig = function ( resultConf, prefix, uri ) {
 		if ( general.server ) {
 			this.server = general.server;
 		}
+		// Whether the first letter of titles is case-sensitive
+		this.caseSensitive = general['case'] === 'case-sensitive';
+		if ( general.lang ) {
+			this.lang = general.lang;
+		}
+		// The local time zone ($wgLocaltimezone) and its offset from UTC in
+		// minutes, used if the zone name is unknown
+		if ( general.timezone ) {
+			this.timezone = general.timezone;
+		}
+		if ( general.timeoffset !== undefined ) {
+			this.timeOffset = Number( general.timeoffset );
+		}
 	}
 };
 
@@ -168,6 +191,12 @@ WikiConfig.prototype = {
 	script: '/wiki/index.php',
 	articlePath: '/wiki/$1',
 	apiURI: null,
+	lang: 'en',
+	timezone: 'UTC',
+	timeOffset: 0,
+	messages: {},
+	interwikiMap: {},
+	languageNames: {},
 	canonicalNamespaces: {
 		media: -2,
 		special: -1,
@@ -198,6 +227,26 @@ WikiConfig.prototype = {
 	specialPages: {},
 	extensionTags: {},
 	interpolatedList: [],
+	namespacesWithSubpages: {},
+	caseSensitive: false,
+
+	/**
+	 * Get the id of a namespace from its local name, an alias or its
+	 * canonical name, in any case and with spaces or underscores.
+	 *
+	 * @returns {Number|undefined}
+	 */
+	getNamespaceId: function ( name ) {
+		var key = name.trim().toLowerCase().replace( /_/g, ' ' ),
+			id = this.namespaceIds[key];
+		if ( id === undefined ) {
+			id = this.canonicalNamespaces[key];
+		}
+		if ( id === undefined ) {
+			id = this.canonicalNamespaces[key.replace( / /g, '_' )];
+		}
+		return id;
+	},
 
 	getMagicWord: function ( alias ) {
 		return this.magicWords[alias] || null;
@@ -238,12 +287,17 @@ WikiConfig.prototype = {
 				regexString += '|';
 			}
 			aliases = this.mwAliases[optionsList[ix]];
-			regexString += aliases.join( '|' )
-				.replace( /((?:^|\|)(?:[^\$]|\$[^1])*)($|\|)/g, '$1$$1$2' )
-				.replace( /\$1/g, '(.*)' );
+			// One group per alias, empty for aliases without a value
+			regexString += aliases.map( function ( alias ) {
+				var parts = alias.split( '$1' ).map( function ( part ) {
+					return part.replace( /[\\^$.*+?()[\]{}|]/g, '\\$&' );
+				} );
+				return parts.length > 1 ? parts.join( '(.*)' ) : parts[0] + '()';
+			} ).join( '|' );
 			mwlist = mwlist.concat( aliases );
 		}
-		regex = new RegExp( regexString );
+		// The whole text has to be the option
+		regex = new RegExp( '^(?:' + regexString + ')$' );
 
 		return function ( text ) {
 			return getInterpolatedMagicWord( text, regex, mwlist );
@@ -0,0 +1,207 @@
+"use strict";
+/**
+ * A cache of the WikiConfigs of wikis (their namespaces, magic words,
+ * interwikis and messages from siteinfo), shared by all environments in a
+ * process so that each request doesn't fetch them again.
+ *
+ * Configs are refreshed in the background once they are older than the
+ * TTL: the environment asking for a stale config gets it right away, and
+ * the next ones get the fresh one. If the refresh fails, the stale config
+ * is kept. Concurrent requests for a config that isn't cached yet share a
+ * single fetch.
+ *
+ * At most maxItems configs are kept, dropping the least recently used
+ * ones first, as a wiki forwarding the headers of its clients has a config
+ * per client session.
+ *
+ * Configs can also come from siteinfo snapshots: JSON files with the
+ * siteinfo of a wiki under 'query', like mediawiki.BaseConfig.json (see
+ * tests/dump-siteinfo.js to write them). Snapshots are loaded on creation
+ * and never expire, so wikis with one are parsed without asking the wiki.
+ */
+
+var fs = require( 'fs' ),
+	crypto = require( 'crypto' ),
+	WikiConfig = require( './mediawiki.WikiConfig.js' ).WikiConfig,
+	logger = require( './mediawiki.Logger.js' ).Logger.root;
+
+/**
+ * @class
+ * @constructor
+ * @param {Object} [options]: ttl (milliseconds, 0 to never refresh),
+ *   maxItems (the number of configs kept, 100 by default), enabled (false
+ *   to only use the snapshots), and snapshots (wiki prefix
+ *   -> snapshot file) with interwikiMap (wiki prefix -> API URI) for their
+ *   API URIs
+ * @throws {Error} if a snapshot can't be read
+ */
+function WikiConfigCache ( options ) {
+	options = options || {};
+	this.ttl = options.ttl || 0;
+	this.maxItems = options.maxItems || 100;
+	this.enabled = options.enabled !== false;
+	// key -> { conf, fetched, refreshing }, least recently used first
+	this.entries = {};
+	// key -> callbacks waiting for the first fetch
+	this.waiting = {};
+	// prefix -> WikiConfig of a snapshot
+	this.snapshots = {};
+
+	Object.keys( options.snapshots || {} ).forEach( function ( prefix ) {
+		this.loadSnapshot( prefix, options.snapshots[prefix],
+			( options.interwikiMap || {} )[prefix] );
+	}, this );
+}
+
+/**
+ * The key of a wiki's config: its prefix, plus a hash of the forwarded
+ * authentication headers if there are any, as a private wiki may only
+ * tell its configuration to some clients
+ */
+WikiConfigCache.makeKey = function ( prefix, authHeaders ) {
+	var key = prefix || '';
+	if ( authHeaders ) {
+		key += '#' + crypto.createHash( 'sha1' )
+			.update( JSON.stringify( authHeaders ) ).digest( 'hex' );
+	}
+	return key;
+};
+
+/**
+ * Load the snapshot of a wiki
+ *
+ * @param {String} prefix: The wiki prefix
+ * @param {String} file: The snapshot file
+ * @param {String} [uri]: The API URI of the wiki
+ * @throws {Error} if the file can't be read
+ */
+WikiConfigCache.prototype.loadSnapshot = function ( prefix, file, uri ) {
+	var snapshot;
+	try {
+		snapshot = JSON.parse( fs.readFileSync( file, 'utf8' ) );
+	} catch ( e ) {
+		throw new Error( 'Could not load the siteinfo snapshot ' + file + ': ' + e.message );
+	}
+	if ( !snapshot.query ) {
+		throw new Error( 'The siteinfo snapshot ' + file + ' has no query' );
+	}
+	this.snapshots[prefix] = new WikiConfig( snapshot.query, prefix, uri || snapshot.apiURI );
+};
+
+/**
+ * Get the config of a wiki.
+ *
+ * @param {String} prefix: The wiki prefix
+ * @param {String} uri: Its API URI
+ * @param {Object|null} authHeaders: The forwarded authentication headers
+ *   fetch uses (see makeKey)
+ * @param {Function} fetch: fetch( cb ) fetches the siteinfo of the wiki,
+ *   calling cb( err, siteinfo )
+ * @param {Function} cb: cb( err, wikiConfig )
+ */
+WikiConfigCache.prototype.get = function ( prefix, uri, authHeaders, fetch, cb ) {
+	var key = WikiConfigCache.makeKey( prefix, authHeaders ),
+		entry = this.entries[key];
+
+	if ( this.snapshots[prefix] ) {
+		cb( null, this.snapshots[prefix] );
+	} else if ( entry ) {
+		this.store( key, entry );
+		if ( this.ttl && Date.now() - entry.fetched > this.ttl && !entry.refreshing ) {
+			this.refresh( key, prefix, uri, fetch );
+		}
+		cb( null, entry.conf );
+	} else if ( this.waiting[key] ) {
+		this.waiting[key].push( cb );
+	} else {
+		this.waiting[key] = [ cb ];
+		this.fetch( key, prefix, uri, fetch );
+	}
+};
+
+/**
+ * Fetch a config that isn't cached yet, for the callbacks waiting for it
+ */
+WikiConfigCache.prototype.fetch = function ( key, prefix, uri, fetch ) {
+	var self = this;
+	fetch( function ( err, siteinfo ) {
+		var waiting = self.waiting[key],
+			conf = null;
+		delete self.waiting[key];
+		if ( !err ) {
+			try {
+				conf = new WikiConfig( siteinfo, prefix, uri );
+				if ( self.enabled ) {
+					self.store( key, { conf: conf, fetched: Date.now(), refreshing: false } );
+				}
+			} catch ( e ) {
+				err = e;
+			}
+		}
+		waiting.forEach( function ( cb ) {
+			cb( err, conf );
+		} );
+	} );
+};
+
+/**
+ * Store a config as the most recently used one, dropping the least
+ * recently used ones beyond maxItems
+ */
+WikiConfigCache.prototype.store = function ( key, entry ) {
+	var keys;
+	// Objects keep the order in which their keys were added
+	delete this.entries[key];
+	this.entries[key] = entry;
+	keys = Object.keys( this.entries );
+	keys.slice( 0, Math.max( 0, keys.length - this.maxItems ) ).forEach( function ( old ) {
+		delete this.entries[old];
+	}, this );
+};
+
+/**
+ * Replace a stale config in the background, keeping it if that fails
+ */
+WikiConfigCache.prototype.refresh = function ( key, prefix, uri, fetch ) {
+	var self = this,
+		entry = this.entries[key];
+	entry.refreshing = true;
+	logger.debug( 'api', 'Refreshing the config of ' + ( prefix || uri ) );
+	fetch( function ( err, siteinfo ) {
+		entry.refreshing = false;
+		if ( !err ) {
+			try {
+				if ( self.entries[key] === entry ) {
+					self.store( key, {
+						conf: new WikiConfig( siteinfo, prefix, uri ),
+						fetched: Date.now(),
+						refreshing: false
+					} );
+				}
+				return;
+			} catch ( e ) {
+				err = e;
+			}
+		}
+		// Try again after another TTL
+		entry.fetched = Date.now();
+		logger.warn( 'api', 'Could not refresh the config of ' + ( prefix || uri ) +
+			', keeping the old one:', err );
+	} );
+};
+
+/**
+ * Drop the cached configs of a wiki (all of them without a prefix), so
+ * that they are fetched again. Snapshots are kept.
+ */
+WikiConfigCache.prototype.invalidate = function ( prefix ) {
+	Object.keys( this.entries ).forEach( function ( key ) {
+		if ( prefix === undefined || key.replace( /#.*$/, '' ) === prefix ) {
+			delete this.entries[key];
+		}
+	}, this );
+};
+
+if (typeof module === "object") {
+	module.exports.WikiConfigCache = WikiConfigCache;
+}
@@ -38,6 +38,9 @@ var START_SEP = 1,
 	IE_SEP = 2,
 	END_SEP = 3;
 
+// The protocols of external image links (link=)
+var urlProtocolRE = new RegExp( '^(?:' + SanitizerConstants.validUrlProtocols.join( '|' ) + ')', 'i' );
+
 // SSS FIXME: Can be set up as part of an init routine
 function getTagWhiteList() {
 	if (!tagWhiteListHash) {
@@ -222,11 +225,11 @@ var WikitextSerializer = function( options ) {
 	}, options || {} );
 
 	this.env = options.env;
-	var trace = this.env.conf.parsoid.traceFlags && (this.env.conf.parsoid.traceFlags.indexOf("wts") !== -1);
+	var logger = this.env.logger;
 
-	if ( this.env.conf.parsoid.debug || trace ) {
+	if ( logger.isEnabled( 'trace', 'serializer' ) ) {
 		WikitextSerializer.prototype.debug_pp = function () {
-			Util.debug_pp.apply(Util, arguments);
+			Util.debug_pp.apply(Util, [logger, 'serializer'].concat([].slice.apply(arguments)));
 		};
 
 		WikitextSerializer.prototype.debug = function ( ) {
@@ -377,6 +380,13 @@ WSP.initialState = {
 			this.wteHandlerStack.push(wtEscaper);
 		}
 		for (var i = 0, l = nodes.length; i < l; i++) {
+			if (DU.isMarkerMeta(nodes[i], "mw:Separator") &&
+				!nodes[i].getAttribute("data-sep").match(/\n/))
+			{
+				// Keep the white-space between inline elements, like in
+				// link content. Newlines are emitted by the handlers.
+				this.emitSepChunk(nodes[i].getAttribute("data-sep"));
+			}
 			this.serializer._serializeDOM(nodes[i], this);
 		}
 		this.chunkCB = oldCB;
@@ -711,36 +721,274 @@ WSP._listItemHandler = function ( handler, bullet, state, token ) {
 };
 
 /**
- * DOM-based figure handler
+ * Find the element carrying the resource (the file) of an image: its img,
+ * or the span of a missing file
  */
-WSP.figureHandler = function(state, node, cb) {
+WSP._getImageResourceNode = function ( node ) {
+	var child, res;
+	for ( child = node.firstChild; child; child = child.nextSibling ) {
+		if ( child.nodeType === child.ELEMENT_NODE ) {
+			if ( child.getAttribute( 'resource' ) !== null ) {
+				return child;
+			}
+			res = WSP._getImageResourceNode( child );
+			if ( res ) {
+				return res;
+			}
+		}
+	}
+	return null;
+};
 
-	var img, caption,
-		dp = node.data.parsoid,
-		env = state.env;
-	try {
-		img = node.firstChild.firstChild;
-		if ( img.nodeType !== img.ELEMENT_NODE ) {
-			throw('No img found!');
+/**
+ * The options of an image, updated from its DOM: the size, alt and border
+ * of its img, its link, the times of its player, and the class, format,
+ * alignment and caption of the figure or link. The entries of data-parsoid.optionList that still render like
+ * the DOM are kept with their source; the others are replaced by new
+ * entries.
+ *
+ * @param {MWParserEnvironment} env
+ * @param {Node} node: The figure, or the a or span of an inline image
+ * @param {Node} resourceNode: The img, the player or the span of a missing
+ *   file, see _getImageResourceNode
+ * @returns {Array} The options, like data-parsoid.optionList
+ */
+WSP._getImageOptions = function ( env, node, resourceNode ) {
+	var dp = node.data.parsoid,
+		options = ( dp.optionList || [] ).slice(),
+		oHash = {},
+		isFigure = node.nodeName.toLowerCase() === 'figure',
+		// Only existing images have a size, an alt and a link of their own
+		isImg = resourceNode.nodeName.toLowerCase() === 'img',
+		isPlayer = /^(?:video|audio)$/i.test( resourceNode.nodeName ),
+		fileName = resourceNode.getAttribute( 'resource' ).replace( /(^\[:)|(\]$)/g, '' ),
+		title = env.makeTitleFromPrefixedText( env.normalizeTitle( Util.decodeURI( fileName ) ) ),
+		classes = ( node.getAttribute( 'class' ) || '' ).split( /\s+/ ),
+		// The classes added by LinkHandler, see renderInline and renderThumb
+		generatedClasses = isFigure ? [ 'thumb', 'thumbinner', 'tleft', 'tright', 'center' ] : [ 'new' ],
+		style = node.getAttribute( 'style' ) || '',
+		width, height, alt, defaultAlt, href, cls, format, halign, valign, border, caption,
+		source, time;
+
+	options.forEach( function ( o ) {
+		oHash[o.k] = o.v;
+	} );
+
+	// Insert new options before a trailing caption
+	var insert = function ( index, entries ) {
+		if ( index === -1 ) {
+			index = options.length && options.last().k === 'caption' ?
+				options.length - 1 : options.length;
+		}
+		options.splice.apply( options, [ index, 0 ].concat( entries ) );
+	};
+
+	// Replace the options of a group, or remove them for a null value
+	var setOption = function ( group, value ) {
+		var index = -1, i;
+		for ( i = options.length - 1; i >= 0; i-- ) {
+			if ( options[i].k === group ) {
+				index = i;
+				options.splice( i, 1 );
+			}
+		}
+		if ( value !== null ) {
+			insert( index, [ { k: group, v: value } ] );
 		}
+	};
+
+	// The size option: width and height are serialized together
+	var setSize = function ( w, h ) {
+		var entries = [ { k: 'width', v: w } ], index;
+		setOption( 'height', null );
+		index = options.map( function ( o ) {
+			return o.k;
+		} ).indexOf( 'width' );
+		setOption( 'width', null );
+		if ( h !== null ) {
+			entries.push( { k: 'height', v: h } );
+		}
+		insert( index, entries );
+	};
 
+	// The href LinkHandler renders for a link option, see getImageHref
+	var getHref = function ( link ) {
+		if ( link === undefined ) {
+			return title.makeLink();
+		} else if ( link === '' ) {
+			return null;
+		} else if ( urlProtocolRE.test( link ) ) {
+			return link;
+		} else {
+			return env.makeTitleFromPrefixedText( link ).makeLink();
+		}
+	};
+
+	// Size: frames show the image at its full size whatever the options
+	width = resourceNode.getAttribute( 'width' );
+	height = resourceNode.getAttribute( 'height' );
+	if ( width !== null && oHash.format !== 'framed' ) {
+		if ( dp.size ? dp.size[0] !== width : !dp.optionList ) {
+			setSize( width, null );
+		} else if ( dp.size && dp.size[1] !== height ) {
+			setSize( '', height );
+		}
+	}
+
+	if ( isImg ) {
+		// Inline images default to their caption as alt text
+		alt = resourceNode.getAttribute( 'alt' ) || '';
+		defaultAlt = !isFigure && node.getAttribute( 'title' ) || title.key;
+		if ( alt !== ( oHash.alt !== undefined ? oHash.alt : defaultAlt ) ) {
+			setOption( 'alt', alt === defaultAlt ? null : alt );
+		}
+
+		href = resourceNode.parentNode.nodeName.toLowerCase() === 'a' ?
+			resourceNode.parentNode.getAttribute( 'href' ) : null;
+		if ( href !== getHref( oHash.link ) ) {
+			if ( href === null ) {
+				setOption( 'link', '' );
+			} else if ( href === getHref( undefined ) ) {
+				setOption( 'link', null );
+			} else if ( urlProtocolRE.test( href ) ) {
+				setOption( 'link', href );
+			} else {
+				setOption( 'link', Util.decodeURI( href.replace( /^(\.\.?\/)+/, '' ) )
+					.replace( /_/g, ' ' ) );
+			}
+		}
+	}
+
+	if ( isPlayer ) {
+		// The still of a video is taken at its thumbtime, and the source
+		// plays from start= to end=; see WikiLinkHandler.getMediaTokens
+		time = ( resourceNode.getAttribute( 'poster' ) || '' ).match( /\/\d+px-seek=([^\/]+?)-[^\/]*$/ );
+		if ( time && oHash.thumbtime === undefined ) {
+			setOption( 'thumbtime', time[1] );
+		}
+		for ( source = resourceNode.firstChild; source; source = source.nextSibling ) {
+			if ( source.nodeName.toLowerCase() === 'source' ) {
+				break;
+			}
+		}
+		time = source && ( source.getAttribute( 'src' ) || '' ).match( /#t=([^,]*)(?:,(.*))?$/ );
+		if ( time && time[1] && oHash.starttime === undefined ) {
+			setOption( 'starttime', time[1] );
+		}
+		if ( time && time[2] && oHash.endtime === undefined ) {
+			setOption( 'endtime', time[2] );
+		}
+	}
+
+	cls = classes.filter( function ( c ) {
+		return c && generatedClasses.indexOf( c ) === -1;
+	} ).join( ' ' );
+	if ( cls !== ( oHash['class'] || '' ) ) {
+		setOption( 'class', cls || null );
+	}
+
+	if ( isFigure ) {
+		// Thumbnails (thumb or thumb=) or frames, see renderThumb
+		format = /(?:^|\s)mw:Thumb(?:\s|$)/.test( node.getAttribute( 'typeof' ) || '' ) ?
+			'thumbnail' : 'framed';
+		if ( format !== ( oHash.manualthumb !== undefined ? 'thumbnail' : oHash.format ) ) {
+			setOption( 'format', format );
+		}
+		// Frames float right unless told otherwise
+		halign = classes.indexOf( 'tleft' ) !== -1 ? 'left' :
+			classes.indexOf( 'center' ) !== -1 ? 'center' :
+			classes.indexOf( 'tright' ) !== -1 ? 'right' : 'none';
+		if ( halign !== ( [ 'left', 'center', 'none' ].indexOf( oHash.halign ) !== -1 ?
+				oHash.halign : 'right' ) ) {
+			setOption( 'halign', halign === 'right' ? null : halign );
+		}
+		// The caption of a frame is in its figcaption
 		caption = node.lastChild;
-	} catch (e) {
-		console.error('ERROR in figureHandler: no img or caption found!');
+		if ( oHash.caption === undefined && caption && caption.firstChild &&
+				caption.nodeName.toLowerCase() === 'figcaption' )
+		{
+			options.push( { k: 'caption', v: null } );
+		}
+	} else {
+		// Inline images are blocks when aligned, see renderInline
+		halign = /float:\s*left/.test( style ) ? 'left' :
+			/float:\s*right/.test( style ) ? 'right' :
+			/text-align:\s*center/.test( style ) ? 'center' :
+			/display:\s*block/.test( style ) ? 'none' : null;
+		if ( halign !== ( [ 'left', 'right', 'center', 'none' ].indexOf( oHash.halign ) !== -1 ?
+				oHash.halign : null ) ) {
+			setOption( 'halign', halign );
+		}
+		border = isImg && / thumbborder /.test( ' ' + resourceNode.getAttribute( 'class' ) + ' ' );
+		if ( isImg && border !== Boolean( oHash.border ) ) {
+			setOption( 'border', border ? 'border' : null );
+		}
+		valign = ( resourceNode.getAttribute( 'style' ) || '' ).match( /vertical-align:\s*([\w\-]+)/ );
+		if ( isImg && halign === null && valign ) {
+			valign = valign[1].replace( /-/g, '_' );
+			if ( valign !== ( oHash.valign || 'middle' ) ) {
+				setOption( 'valign', valign === 'middle' ? null : valign );
+			}
+		}
+		// The caption of an inline image is its title, see renderInline
+		caption = node.getAttribute( 'title' );
+		if ( oHash.caption === undefined && caption ) {
+			options.push( { k: 'caption', v: caption } );
+		}
+	}
+
+	return options;
+};
+
+/**
+ * DOM-based image handler, for figures and inline images (links or spans
+ * with mw:Image)
+ */
+WSP.figureHandler = function(state, node, cb) {
+
+	var dp = node.data.parsoid,
+		env = state.env,
+		resourceNode = WSP._getImageResourceNode( node ),
+		caption = node.lastChild;
+
+	if ( !resourceNode ) {
+		env.logger.error('serializer', 'figureHandler: no img found!');
 		return cb('');
 	}
+	if ( !caption || caption.nodeName.toLowerCase() !== 'figcaption' ) {
+		caption = null;
+	} else {
+		// Its children are serialized directly
+		DU.loadDataParsoid( caption );
+	}
 
+	state.onStartOfLine = false;
 
-	var captionSrc = state.serializeChildrenToString(caption.childNodes,
-													WSP.wteHandlers.aHandler),
-		imgResource = (img && img.getAttribute('resource') || '').replace(/(^\[:)|(\]$)/g, ''),
+	var imgResource = resourceNode.getAttribute('resource').replace(/(^\[:)|(\]$)/g, ''),
 		outBits = [imgResource],
-		figAttrs = dp.optionList,
-		optNames = dp.optNames,
+		figAttrs = WSP._getImageOptions( env, node, resourceNode ),
+		optNames = dp.optNames || {},
 		simpleImgOptions = WikitextConstants.Image.SimpleOptions,
-		prefixImgOptionsRM = WikitextConstants.Image.PrefixOptionsReverseMap,
-		sizeOptions = {"width": 1, "height": 1},
-		size = { width: null };
+		prefixImgOptionsRM = WikitextConstants.Image.PrefixOptionsReverseMap;
+
+	// The wikitext of an option with a value ('' for simple options): its
+	// source if unchanged, else with the localized name used in the
+	// source or the first one that can hold the value
+	var getOptionText = function ( shortCanonical, value, src ) {
+		// The magic words of audio and video options have no img_ prefix
+		var aliases = [ optNames[shortCanonical] ]
+				.concat( env.conf.wiki.mwAliases['img_' + shortCanonical] ||
+					env.conf.wiki.mwAliases[shortCanonical] || [] ),
+			texts = aliases.filter( function ( alias ) {
+				return alias && ( value === '' || alias.indexOf( '$1' ) !== -1 );
+			} ).map( function ( alias ) {
+				return env.conf.wiki.replaceInterpolatedMagicWord( alias, value );
+			} );
+		if ( src !== undefined && texts.indexOf( src.trim() ) !== -1 ) {
+			return src;
+		}
+		return texts.length ? texts[0] : null;
+	};
 
 	for (var i = 0, n = figAttrs.length; i < n; i++) {
 		// figAttr keys are the parsoid 'group' for the property,
@@ -752,47 +1000,43 @@ WSP.figureHandler = function(state, node, cb) {
 		// be found in the optNames map, which maps short canonical
 		// names to the localized string.
 		var a = figAttrs[i],
-			k = a.k, v = a.v;
-		var shortCanonical;
-		if (sizeOptions[k]) {
-			// Since width and height have to be output as a pair,
-			// collect both of them.
-			size[k] = v;
-		} else {
-			// If we have width set, it got set in the most recent iteration
-			// Output height and width now (one iteration later).
-			var w = size.width;
-			if (w!==null) {
-				outBits.push(w + (size.height ? "x" + size.height : '') + "px");
-				size.width = null;
-			}
-
-			if (k === "caption") {
-				outBits.push(v === null ? captionSrc : v);
-			} else if (simpleImgOptions['img_'+v] === k) {
-				shortCanonical = v;
-				// The values and keys in the parser attributes are a flip
-				// of how they are in the wikitext constants image hash
-				// Hence the indexing by 'v' instead of 'k'
-				outBits.push(optNames[shortCanonical]);
-			} else if ( prefixImgOptionsRM[k] ) {
-				var canonical = prefixImgOptionsRM[k];
-				shortCanonical = canonical.replace(/^img_/,'');
-				outBits.push( env.conf.wiki.replaceInterpolatedMagicWord( optNames[shortCanonical], v ) );
+			k = a.k, v = a.v,
+			text = null;
+		if ( k === 'width' || k === 'height' ) {
+			// Width and height are one option: 100px, x100px or 100x100px
+			var w = k === 'width' ? v : '',
+				h = k === 'height' ? v : null;
+			if ( k === 'width' && figAttrs[i + 1] && figAttrs[i + 1].k === 'height' ) {
+				i++;
+				h = figAttrs[i].v;
+			}
+			text = getOptionText( 'width', w + ( h !== null ? 'x' + h : '' ), a.src );
+		} else if (k === "caption") {
+			if ( v === null ) {
+				// The caption of a frame is in the figcaption
+				text = caption ? state.serializeChildrenToString(caption.childNodes,
+					WSP.wteHandlers.aHandler) : '';
 			} else {
-				console.warn("Unknown image option encountered: " + JSON.stringify(a));
+				text = v;
+			}
+			if ( a.src !== undefined && text.trim() === a.src.trim() ) {
+				// Unchanged; keep the whitespace around it
+				text = a.src;
 			}
+		} else if (simpleImgOptions['img_'+v] === k) {
+			// The values and keys in the parser attributes are a flip
+			// of how they are in the wikitext constants image hash
+			// Hence the indexing by 'v' instead of 'k'
+			text = getOptionText( v, '', a.src );
+		} else if ( prefixImgOptionsRM[k] ) {
+			text = getOptionText( prefixImgOptionsRM[k].replace(/^img_/,''), v, a.src );
 		}
-	}
 
-	// Handle case when size is the last element which has accumulated
-	// in the size object.  Since size attribute is output one iteration
-	// after which it showed up, we have to handle this specially when
-	// size is the last element of the figAttrs array.  An alternative fix
-	// for this edge case is to fix the parser to not split up height
-	// and width into different attrs.
-	if (size.width) {
-		outBits.push(size.width + (size.height ? "x" + size.height : '') + "px");
+		if ( text === null ) {
+			env.logger.warn('serializer', "Unknown image option encountered: " + JSON.stringify(a));
+		} else {
+			outBits.push( text );
+		}
 	}
 
 	cb( "[[" + outBits.join('|') + "]]" );
@@ -908,6 +1152,15 @@ var getLinkRoundTripData = function( node, state ) {
 	// Now get the target from rt data
 	rtData.target = DU.getAttributeShadowInfo(node, 'href', tplAttrs);
 
+	// Links to the Media namespace point at their file, which is their
+	// resource; see WikiLinkHandler.renderMediaLink
+	var resource = node.getAttribute('resource');
+	if ( resource && !rtData.target.fromsrc ) {
+		rtData.href = ( state.env.conf.wiki.namespaceNames[-2] || 'Media' ) + ':' +
+			resource.replace( /(^\[:[^:]*:)|(\]$)/g, '' );
+		rtData.target.value = rtData.href;
+	}
+
 	// Get the content string or tokens
 	var contentParts;
 	if (node.childNodes.length === 1 && node.firstChild.nodeType === node.TEXT_NODE) {
@@ -963,6 +1216,12 @@ WSP.linkHandler =  function( state, node, cb ) {
 		contentSrc = '',
 		rel = node.getAttribute('rel') || '';
 
+	if ( rel === 'mw:Image' ) {
+		// Inline images are serialized from their options, like figures
+		WSP.figureHandler( state, node, cb );
+		return;
+	}
+
 	// Get the rt data from the token and tplAttrs
 	linkData = getLinkRoundTripData(node, state);
 
@@ -1134,12 +1393,6 @@ WSP.linkHandler =  function( state, node, cb ) {
 			// XXX: Use shadowed href? Storing serialized tokens in
 			// data-parsoid seems to be... wrong.
 			cb( '[' + Util.tokensToString(linkData.target.value) + ']');
-		} else if ( rel === 'mw:Image' ) {
-			// simple source-based round-tripping for now..
-			// TODO: properly implement!
-			if ( dp.src ) {
-				cb( dp.src );
-			}
 		} else {
 			// Unknown rel was set
 			//cb( state.serializeDOMToString( node ) );
@@ -1481,7 +1734,7 @@ WSP.tagHandlers = {
 							} else if ( argDict.content === '/nowiki' ) {
 								state.inNoWiki = false;
 							} else {
-								console.warn( JSON.stringify( argDict ) );
+								state.env.logger.warn( 'serializer', 'Unexpected mw:NoWiki', argDict );
 							}
 							return '<' + argDict.content + '>';
 						case 'mw:IncludeOnly':
@@ -1647,8 +1900,9 @@ WSP._serializeAttributes = function (state, token) {
 	if (hasExpandedAttrs(tokType)) {
 		tplAttrState = state.tplAttrs[token.getAttribute("about")];
 		if (!tplAttrState) {
-			console.warn("state.tplAttrs: " + JSON.stringify(state.tplAttrs));
-			console.warn("about: " + JSON.stringify(token.getAttribute("about")));
+			state.env.logger.warn('serializer', "No template attributes for about " +
+				JSON.stringify(token.getAttribute("about")) + "; state.tplAttrs: " +
+				JSON.stringify(state.tplAttrs));
 		}
 	}
 
@@ -1846,6 +2100,23 @@ WSP.getDOMHandler = function(state, node, cb) {
 			};
 		}
 	}
+	// Extension output that the extension serializes itself, see
+	// mediawiki.ExtensionRegistry.js
+	var extMatch = nodeTypeOf.match( /(?:^|\s)mw:Extension\/(\S+)/ ),
+		extSpec = extMatch && state.env.conf.parsoid.extensions.getTag( extMatch[1] );
+	if ( extSpec && extSpec.serialize ) {
+		return {
+			handle: function () {
+				cb( extSpec.serialize( node, {
+					env: state.env,
+					serializeChildren: function ( n ) {
+						return state.serializeChildrenToString( n.childNodes );
+					}
+				} ) );
+			}
+		};
+	}
+
 	if (nodeName === 'span' && nodeTypeOf === 'mw:Image') {
 		// Hack: forward this span to DOM-based link handler until the span
 		// handler is fully DOM-based.
@@ -2026,18 +2297,14 @@ WSP._serializeToken = function ( state, token ) {
 			break;
 		default:
 			res = '';
-			console.warn( 'Unhandled token type ' + JSON.stringify( token ) );
-			console.trace();
+			state.env.logger.warn( 'serializer', 'Unhandled token type ' + JSON.stringify( token ), new Error().stack );
 			break;
 	}
 
 	// FIXME: figure out where the non-string res comes from
 	if ( res === undefined || res === null || res.constructor !== String ) {
-		console.error("-------- Warning: Serializer error --------");
-		console.error("TOKEN: " + JSON.stringify(token));
-		console.error(state.env.page.name + ": res was undefined or not a string!");
-		console.error(JSON.stringify(res));
-		console.trace();
+		state.env.logger.error('serializer', "res was undefined or not a string for token " +
+			JSON.stringify(token) + ": " + JSON.stringify(res), new Error().stack);
 		res = '';
 	}
 
@@ -2055,8 +2322,13 @@ WSP._serializeToken = function ( state, token ) {
 		//
 		// Dont buffer newlines if separater hasn't been
 		// emitted from original source -- emit nls right
-		// away since these are SOL nls
-		emitNLs('\n', "sol: ", false);
+		// away since these are SOL nls. A newline buffered
+		// at the end of the previous line starts this one.
+		if (state.bufferedSeparator && state.bufferedSeparator.match(/\n/)) {
+			state.emitSepChunk(state.bufferedSeparator);
+		} else {
+			emitNLs('\n', "sol: ", true);
+		}
 	}
 
 	// SSS FIXME: Questionable avoidance of newline in single-line mode
@@ -2459,8 +2731,7 @@ WSP.serializeDOM = function( node, chunkCB, finalCB, selser ) {
 
 		return chunkCB ? '' : out.join('');
 	} catch (e) {
-		console.warn("Error in serializeDOM: " + JSON.stringify(e) + "; stack: " + e.stack);
-		console.warn(e.toString());
+		state.env.logger.error("serializer", "Error in serializeDOM:", e);
 		state.env.errCB(e);
 		throw e;
 	}
@@ -2590,10 +2861,10 @@ WSP.handleSeparator = function( state, sep, cb, nodeA, handlerA, nodeB, handlerB
 											nodeB, sepHandlerB.before);
 	}
 
-	console.log('constraints', constraints);
+	state.env.logger.trace('serializer', 'constraints', constraints);
 
 	if (constraints === null) {
-		console.error('Conflicting separator requirements between ' + nodeA.nodeName +
+		state.env.logger.error('serializer', 'Conflicting separator requirements between ' + nodeA.nodeName +
 				' and ' + nodeB.nodeName);
 		cb('');
 	} else {
@@ -2644,7 +2915,7 @@ WSP.testHandleSeparator = function(node, state) {
 		prev = node.previousSibling || node.parentNode,
 		prevHandler = WSP.tagHandlers[prev.nodeName.toLowerCase()],
 		cb = function(sep) {
-			console.log('NEW:', prev.outerHTML + sep + next.outerHTML);
+			state.env.logger.trace('serializer', 'NEW:', prev.outerHTML + sep + next.outerHTML);
 		},
 		next, nextHandler,
 		sepSrc = '';
@@ -2938,7 +3209,7 @@ WSP._serializeDOM = function( node, state ) {
 			this._serializeToken( state, new pd.CommentTk( node.data ) );
 			break;
 		default:
-			console.warn( "Unhandled node type: " +
+			state.env.logger.warn( 'serializer', "Unhandled node type: " +
 					node.outerHTML );
 			break;
 	}
@@ -452,9 +452,7 @@ $.extend( SelfclosingTagTk.prototype, genericTokenMethods );
 
 /* -------------------- NlTk -------------------- */
 function NlTk( tsr ) {
-	if (tsr) {
-		this.dataAttribs = { tsr: tsr };
-	}
+	this.dataAttribs = tsr ? { tsr: tsr } : {};
 }
 
 NlTk.prototype = {
@@ -4,58 +4,14 @@ var Util = require('./mediawiki.Util.js').Util;
 var WikiConfig = require( './mediawiki.WikiConfig.js' ).WikiConfig;
 var ParsoidConfig = require( './mediawiki.ParsoidConfig.js' ).ParsoidConfig;
 var ConfigRequest = require( './mediawiki.ApiRequest.js' ).ConfigRequest;
+var ApiPageInfoProvider = require( './mediawiki.PageInfo.js' ).ApiPageInfoProvider;
+var ResourceLimits = require( './mediawiki.ResourceLimits.js' ).ResourceLimits;
+var PhaseTimer = require( './mediawiki.Metrics.js' ).PhaseTimer;
 var title = require('./mediawiki.Title.js'),
 	$ = require( './fakejquery' ),
 	Title = title.Title,
 	Namespace = title.Namespace;
 
-function Tracer(env) {
-	this.env = env;
-}
-Tracer.prototype = {
-	startPass: function(string) {
-		if (this.env.conf.parsoid.trace) {
-			console.warn("---- start: " + string + " ----");
-		}
-	},
-
-	endPass: function(string) {
-		if (this.env.conf.parsoid.trace) {
-			console.warn("---- end  : " + string + " ----");
-		}
-	},
-
-	traceToken: function(token, compact) {
-		if (compact === undefined) {
-			compact = true;
-		}
-
-		if (this.env.conf.parsoid.trace) {
-			if (token.constructor === String) {
-				console.warn("T: '" + token + "'");
-			} else  {
-				console.warn("T: " + token.toString(compact));
-			}
-		}
-	},
-
-	output: function(string) {
-		if (this.env.conf.parsoid.trace) {
-			console.warn(string);
-		}
-	},
-
-	outputChunk: function(chunk) {
-		if (this.env.conf.parsoid.trace) {
-			console.warn("---- <chunk:tokenized> ----");
-			for (var i = 0, n = chunk.length; i < n; i++) {
-				console.warn(chunk[i].toString());
-			}
-			console.warn("---- </chunk:tokenized> ----");
-		}
-	}
-};
-
 var MWParserEnvironment = function( parsoidConfig, wikiConfig ) {
 	// The parser environment really serves several distinct purposes currently:
 	// - it holds config data which is not modified at runtime -> a config object
@@ -79,7 +35,24 @@ var MWParserEnvironment = function( parsoidConfig, wikiConfig ) {
 
 		// execution state
 		pageCache: {}, // @fixme use something with managed space
-		uid: 1
+		// Outstanding page requests (for templates etc). Per environment,
+		// so that aborting a parse can't affect other requests; the shared
+		// cache avoids fetching the same pages for every request.
+		requestQueue: {},
+		uid: 1,
+		// The time used by the date-dependent parser functions, see
+		// getCurrentTime
+		currentTime: null,
+		// Total length of the #time format strings, see ParserFunctions
+		timeChars: 0,
+		// The sort key of the page in its categories, see DEFAULTSORT in
+		// ParserFunctions
+		defaultSort: null,
+		// The Cookie and Authorization headers of the client request to
+		// forward to the API (see ParsoidConfig.setAuthentication), or null
+		authHeaders: null,
+		// Fields added to each log line, like the request id
+		logContext: {}
 	};
 
 	$.extend( this, options );
@@ -99,14 +72,28 @@ var MWParserEnvironment = function( parsoidConfig, wikiConfig ) {
 
 	this.setPageName( this.page.name );
 
-	// Tracing object
-	this.tracer = new Tracer(this);
+	// Page existence, size etc for the parser functions. Replace with a
+	// MemoryPageInfoProvider for tests.
+	this.pageInfo = new ApiPageInfoProvider( this );
+
+	// Per-request counters and limits
+	this.limits = new ResourceLimits( this );
+
+	// Time spent in the pipeline stages, for the metrics
+	this.phaseTimer = new PhaseTimer();
+
+	// Logs with the wiki, page and request of this environment. Its levels
+	// can be changed for this environment only (see Logger.configure).
+	var env = this;
+	this.logger = parsoidConfig.getLogger().child( function () {
+		return $.extend( {
+			wiki: env.conf.wiki.iwp,
+			title: env.page.name,
+			oldid: env.page.id
+		}, env.logContext );
+	} );
 };
 
-// Outstanding page requests (for templates etc)
-// Class-static
-MWParserEnvironment.prototype.requestQueue = {};
-
 MWParserEnvironment.prototype.setPageName = function ( pageName ) {
 	this.page.name = pageName;
 	// Construct a relative link prefix depending on the number of slashes in
@@ -139,32 +126,94 @@ MWParserEnvironment.prototype.setVariable = function( varname, value, options )
 };
 
 /**
- * @return MWParserFunction
+ * Convert a timestamp to milliseconds since the epoch. Accepts a number of
+ * milliseconds, a Date, a MediaWiki timestamp ('20130101000000'), a Unix
+ * timestamp prefixed with '@' or an ISO 8601 string.
+ *
+ * @throws {Error} if the timestamp can't be parsed
  */
-MWParserEnvironment.prototype.getParserFunction = function( name ) {
-	if (name in this.parserFunctions) {
-		return new this.parserFunctions[name]( this );
-	} else {
-		return null;
+var parseTimestamp = function ( ts ) {
+	var time = NaN, m;
+	if ( typeof ts === 'number' ) {
+		time = ts;
+	} else if ( ts instanceof Date ) {
+		time = ts.getTime();
+	} else if ( typeof ts === 'string' ) {
+		m = ts.match( /^(\d{4})(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)$/ );
+		if ( m ) {
+			time = Date.UTC( Number( m[1] ), m[2] - 1, Number( m[3] ),
+				Number( m[4] ), Number( m[5] ), Number( m[6] ) );
+		} else if ( /^@-?\d+$/.test( ts ) ) {
+			time = Number( ts.substr( 1 ) ) * 1000;
+		} else if ( /^\d{4}-\d\d-\d\d/.test( ts ) ) {
+			// Times without a zone are UTC, not the server's local time
+			time = Date.parse( /T[0-9:.]+$/.test( ts ) ? ts + 'Z' : ts );
+		}
 	}
+	if ( isNaN( time ) ) {
+		throw new Error( 'Invalid timestamp: ' + ts );
+	}
+	return time;
 };
 
 /**
- * @return MWParserTagHook
+ * Set the time used by all date-dependent magic words and parser functions
+ * ({{CURRENTYEAR}}, {{LOCALTIME}}, {{#time}} etc). See parseTimestamp for
+ * the accepted formats. Pass null to return to the configured time.
  */
-MWParserEnvironment.prototype.getTagHook = function( name ) {
-	if (name in this.tagHooks) {
-		return new this.tagHooks[name](this);
-	} else {
-		return null;
+MWParserEnvironment.prototype.setCurrentTime = function ( ts ) {
+	this.currentTime = ts === null ? null : parseTimestamp( ts );
+};
+
+/**
+ * Get the current time in milliseconds since the epoch. Unless it was set
+ * explicitly, this is the currentTime from ParsoidConfig, or the wall clock
+ * at the first call, so that all functions agree for the whole parse.
+ */
+MWParserEnvironment.prototype.getCurrentTime = function () {
+	if ( this.currentTime === null ) {
+		if ( this.conf.parsoid.currentTime !== null ) {
+			this.currentTime = parseTimestamp( this.conf.parsoid.currentTime );
+		} else {
+			this.currentTime = Date.now();
+		}
 	}
+	return this.currentTime;
+};
+
+/**
+ * Get a parser function registered by a plugin (see
+ * mediawiki.ExtensionRegistry.js)
+ *
+ * @return {Object|null} Its spec
+ */
+MWParserEnvironment.prototype.getParserFunction = function( name ) {
+	return this.conf.parsoid.extensions.getParserFunction( name );
+};
+
+/**
+ * Get the native handler of an extension tag registered by a plugin (see
+ * mediawiki.ExtensionRegistry.js)
+ *
+ * @return {Object|null} Its spec
+ */
+MWParserEnvironment.prototype.getTagHook = function( name ) {
+	return this.conf.parsoid.extensions.getTag( name );
 };
 
 /**
  * Alternate constructor - takes a few config objects, and an interwiki
  * prefix to set up the environment. Calls back with the resulting object.
+ *
+ * The optional options are set on the environment before the wiki's config
+ * is fetched (like authHeaders).
  */
-MWParserEnvironment.getParserEnv = function ( parsoidConfig, wikiConfig, prefix, pageName, cb ) {
+MWParserEnvironment.getParserEnv = function ( parsoidConfig, wikiConfig, prefix, pageName, options, cb ) {
+	if ( typeof options === 'function' ) {
+		cb = options;
+		options = null;
+	}
+
 	if ( !parsoidConfig ) {
 		parsoidConfig = new ParsoidConfig();
 		parsoidConfig.setInterwiki( 'mw', 'http://www.mediawiki.org/w/api.php' );
@@ -179,6 +228,7 @@ MWParserEnvironment.getParserEnv = function ( parsoidConfig, wikiConfig, prefix,
 	if ( pageName ) {
 		env.setPageName( pageName );
 	}
+	$.extend( env, options );
 
 	// Get that wiki's config
 	env.switchToConfig( prefix, function ( err ) {
@@ -188,9 +238,14 @@ MWParserEnvironment.getParserEnv = function ( parsoidConfig, wikiConfig, prefix,
 
 /**
  * Function that switches to a different configuration for a different wiki.
- * Caches all configs so we only need to get each one once (if we do it right)
+ * Configs come from the WikiConfigCache of the ParsoidConfig, shared by all
+ * environments, and are kept in confCache for the rest of this one.
  */
 MWParserEnvironment.prototype.switchToConfig = function ( prefix, cb ) {
+	// Use the settings of that wiki, see ParsoidConfig.setWikiSettings
+	this.conf.parsoid = ( this.conf.parsoid.baseConfig || this.conf.parsoid ).forWiki( prefix || '' );
+	this.limits.limits = this.conf.parsoid.limits || {};
+
 	var uri = this.conf.parsoid.interwikiMap[prefix];
 	this.conf.parsoid.apiURI = uri || this.conf.parsoid.interwikiMap['en'];
 	this.confCache = this.confCache || {};
@@ -200,10 +255,13 @@ MWParserEnvironment.prototype.switchToConfig = function ( prefix, cb ) {
 		this.conf.wiki = this.confCache[prefix || ''];
 		cb( null );
 	} else {
-		var confRequest = new ConfigRequest( uri, this );
-		confRequest.on( 'src', function ( error, resultConf ) {
+		// Shared by all environments, see mediawiki.WikiConfigCache.js
+		this.conf.parsoid.getWikiConfigCache().get( prefix, uri, this.authHeaders, function ( fetchCB ) {
+			var confRequest = new ConfigRequest( uri, this );
+			confRequest.on( 'src', fetchCB );
+		}.bind( this ), function ( error, wikiConfig ) {
 			if ( error === null ) {
-				this.conf.wiki = new WikiConfig( resultConf, prefix, uri );
+				this.conf.wiki = wikiConfig;
 			}
 
 			cb( error );
@@ -318,51 +376,6 @@ MWParserEnvironment.prototype.resolveTitle = function( name, namespace ) {
 	return name;
 };
 
-/**
- * Simple debug helper
- */
-MWParserEnvironment.prototype.dp = function ( ) {
-	if ( this.conf.parsoid.debug ) {
-		if ( arguments.length > 1 ) {
-			try {
-				console.warn( JSON.stringify( arguments, null, 2 ) );
-			} catch ( e ) {
-				console.trace();
-				console.warn( e );
-			}
-		} else {
-			console.warn( arguments[0] );
-		}
-	}
-};
-
-/**
- * Even simpler debug helper that always prints..
- */
-MWParserEnvironment.prototype.ap = function ( ) {
-	if ( arguments.length > 1 ) {
-		try {
-			console.warn( JSON.stringify( arguments, null, 2 ) );
-		} catch ( e ) {
-			console.warn( e );
-		}
-	} else {
-		console.warn( arguments[0] );
-	}
-};
-/**
- * Simple debug helper, trace-only
- */
-MWParserEnvironment.prototype.tp = function ( ) {
-	if ( this.conf.parsoid.debug || this.conf.parsoid.trace ) {
-		if ( arguments.length > 1 ) {
-			console.warn( JSON.stringify( arguments, null, 2 ) );
-		} else {
-			console.warn( arguments[0] );
-		}
-	}
-};
-
 /**
  * Generate a UID
  */
@@ -390,8 +403,7 @@ MWParserEnvironment.prototype.isParsoidObjectId = function(aboutId) {
  * call it from places you notice errors happening.
  */
 MWParserEnvironment.prototype.errCB = function ( error ) {
-	console.log( 'ERROR in ' + this.page.name + ':\n' + error.message);
-	console.log("stack trace: " + error.stack);
+	this.logger.fatal( 'general', error );
 	process.exit( 1 );
 };
 
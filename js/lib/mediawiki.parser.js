@@ -106,6 +106,19 @@ ParserPipelineFactory.prototype.recipes = {
 		]
 	],
 
+	// Expanded tokens of content embedded in the page, like image captions,
+	// to a DOM of their own: the content is balanced and can't affect the
+	// page around it. The DOM is converted back to tokens, which pass
+	// through the post-processing of the page in InternalTks.
+	'tokens/x-mediawiki/dom': [
+		[
+			SyncTokenTransformManager,
+			[ 3, 'tokens/x-mediawiki/dom' ],
+			postExpansionHandlers
+		],
+		[ TreeBuilder, [] ]
+	],
+
 	// Synchronous per-input and async token stream transformations. Produces
 	// a fully expanded token stream ready for consumption by the
 	// tokens/expanded pipeline.
@@ -283,6 +296,9 @@ function getCacheKey(cacheType, options) {
 	if ( options.inBlockToken ) {
 		cacheType += '::inBlockToken';
 	}
+	if ( options.inlineContext ) {
+		cacheType += '::inlineContext';
+	}
 	return cacheType;
 }
 
@@ -94,12 +94,12 @@ PegTokenizer.prototype._processText = function( text, fullParse, cacheKey ) {
 		var maybeCached = this.cache.get(cacheKey);
 		if ( maybeCached ) {
 			try {
-				this.env.tp( 'tokenizer cache hit for ' + cacheKey );
+				this.env.logger.trace( 'tokenizer', 'tokenizer cache hit for ' + cacheKey );
 				//console.warn( JSON.stringify( maybeCached, null, 2 ) );
 				for ( var i = 0, l = maybeCached.length; i < l; i++ ) {
 					var cachedChunk = maybeCached[i];
-					if (this.env.conf.parsoid.trace) {
-						this.env.tracer.outputChunk(cachedChunk);
+					if (this.env.logger.isEnabled('trace', 'tokenizer')) {
+						this.env.logger.trace('tokenizer', JSON.stringify(cachedChunk));
 					}
 					// emit a clone of this chunk
 					this.emit('chunk', cachedChunk );
@@ -128,16 +128,17 @@ PegTokenizer.prototype._processText = function( text, fullParse, cacheKey ) {
 	}
 
 	// Kick it off!
-	var args = { cb: chunkCB, pegTokenizer: this, srcOffset: 0 };
+	var args = { cb: chunkCB, pegTokenizer: this, srcOffset: 0 },
+		tokenize = this.env.phaseTimer.wrap( 'tokenize', this.tokenizer.tokenize, this.tokenizer );
 	if (fullParse) {
 		if ( ! this.env.conf.parsoid.debug ) {
 			try {
-				this.tokenizer.tokenize(text, 'start', args);
+				tokenize(text, 'start', args);
 			} catch (e) {
 				this.env.errCB(e);
 			}
 		} else {
-			this.tokenizer.tokenize(text, 'start', args);
+			tokenize(text, 'start', args);
 		}
 		this.onEnd();
 	} else {
@@ -148,17 +149,18 @@ PegTokenizer.prototype._processText = function( text, fullParse, cacheKey ) {
 PegTokenizer.prototype.tokenizeAsync = function( text, srcOffset, cb ) {
 	var ret,
 		pegTokenizer = this,
-		args = { cb: cb, pegTokenizer: this, srcOffset: srcOffset };
+		args = { cb: cb, pegTokenizer: this, srcOffset: srcOffset },
+		tokenize = this.env.phaseTimer.wrap( 'tokenize', this.tokenizer.tokenize, this.tokenizer );
 
 	if ( ! this.env.conf.parsoid.debug ) {
 		try {
-			ret = this.tokenizer.tokenize(text, 'toplevelblock', args);
+			ret = tokenize(text, 'toplevelblock', args);
 		} catch (e) {
 			this.env.errCB(e);
 			return;
 		}
 	} else {
-		ret = this.tokenizer.tokenize(text, 'toplevelblock', args);
+		ret = tokenize(text, 'toplevelblock', args);
 	}
 
 	if (ret.eof) {
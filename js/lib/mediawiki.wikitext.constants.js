@@ -23,10 +23,17 @@ var WikitextConstants = {
 			'img_link'      : 'link',
 			'img_alt'       : 'alt',
 			'img_page'      : 'page',
+			'img_lang'      : 'lang',
 			'img_upright'   : 'upright',
 			'img_width'     : 'width',
 			'img_class'     : 'class',
-			'img_manualthumb': 'manualthumb'
+			'img_manualthumb': 'manualthumb',
+
+			// audio and video (TimedMediaHandler); their magic words
+			// have no img_ prefix
+			'timedmedia_thumbtime': 'thumbtime',
+			'timedmedia_starttime': 'starttime',
+			'timedmedia_endtime'  : 'endtime'
 		},
 		PrefixOptionsReverseMap: {
 			/* filled in below, based on PrefixOptions */
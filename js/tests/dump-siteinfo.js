@@ -0,0 +1,86 @@
+/**
+ * Write the siteinfo of a wiki (its namespaces, magic words, interwikis
+ * etc) to a snapshot file, which Parsoid can use instead of asking the wiki
+ * (see ParsoidConfig.siteinfoSnapshots and lib/mediawiki.WikiConfigCache.js).
+ *
+ * $ node dump-siteinfo --prefix en --output enwiki-siteinfo.json
+ */
+
+var ParsoidConfig = require( '../lib/mediawiki.ParsoidConfig.js' ).ParsoidConfig,
+	ParserEnv = require( '../lib/mediawiki.parser.environment.js' ).MWParserEnvironment,
+	ConfigRequest = require( '../lib/mediawiki.ApiRequest.js' ).ConfigRequest,
+	optimist = require( 'optimist' ),
+	fs = require( 'fs' );
+
+( function () {
+	var opts = optimist.usage( 'Usage: $0 [options]', {
+		'help': {
+			description: 'Show this message',
+			'boolean': true,
+			'default': false
+		},
+		'prefix': {
+			description: 'Which wiki prefix to use; e.g. "en" for English wikipedia, "mw" for mediawiki.org',
+			'boolean': false,
+			'default': 'en'
+		},
+		'apiURL': {
+			description: 'http path to remote API, e.g. http://en.wikipedia.org/w/api.php',
+			'boolean': false,
+			'default': null
+		},
+		'output': {
+			description: 'The snapshot file to write (default: standard output)',
+			'boolean': false,
+			'default': null
+		}
+	} );
+
+	var argv = opts.argv;
+
+	if ( argv.help ) {
+		optimist.showHelp();
+		return;
+	}
+
+	var parsoidConfig = new ParsoidConfig( null, null ),
+		prefix = argv.prefix;
+
+	if ( argv.apiURL ) {
+		parsoidConfig.setInterwiki( 'customwiki', argv.apiURL );
+		prefix = 'customwiki';
+	}
+
+	var uri = parsoidConfig.interwikiMap[prefix];
+	if ( !uri ) {
+		console.error( 'Unknown wiki prefix: ' + prefix );
+		process.exit( 1 );
+	}
+
+	ParserEnv.getParserEnv( parsoidConfig, null, null, null, function ( err, env ) {
+		if ( err !== null ) {
+			console.error( err.toString() );
+			process.exit( 1 );
+		}
+
+		var confRequest = new ConfigRequest( uri, env );
+		confRequest.on( 'src', function ( error, resultConf ) {
+			if ( error !== null ) {
+				console.error( error.toString() );
+				process.exit( 1 );
+			}
+
+			var snapshot = JSON.stringify( {
+				apiURI: uri,
+				dumped: new Date().toISOString(),
+				query: resultConf
+			}, null, '\t' ) + '\n';
+
+			if ( argv.output ) {
+				fs.writeFileSync( argv.output, snapshot );
+			} else {
+				process.stdout.write( snapshot );
+			}
+		} );
+	} );
+}() );
@@ -4,7 +4,7 @@
  * @author Gabriel Wicke <gwicke@wikimedia.org>
  */
 
-var dumpReader = require('./dumpReader.js'),
+var dumpReader = require('../lib/mediawiki.DumpReader.js'),
 	events = require('events'),
 	optimist = require('optimist'),
 	colors = require('colors');
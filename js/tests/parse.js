@@ -13,6 +13,7 @@ var ParserPipelineFactory = require('../lib/mediawiki.parser.js').ParserPipeline
 	WikitextSerializer = require('../lib/mediawiki.WikitextSerializer.js').WikitextSerializer,
 	SelectiveSerializer = require( '../lib/mediawiki.SelectiveSerializer.js' ).SelectiveSerializer,
 	Util = require('../lib/mediawiki.Util.js').Util,
+	createPageSource = require( '../lib/mediawiki.PageSource.js' ).createPageSource,
 	optimist = require('optimist'),
 	fs = require('fs');
 
@@ -34,10 +35,13 @@ function traceUsage() {
 	buf.push("  * dsr       : shows dsr computation on the DOM");
 	buf.push("  * wts       : trace actions of the regular wikitext serializer");
 	buf.push("  * selser    : trace actions of the selective serializer\n");
-	buf.push("--debug enables tracing of all the above phases except Token Transform Managers\n");
+	buf.push("--debug enables tracing of all the above phases\n");
+	buf.push("Trace flags set the level of a log channel (see lib/mediawiki.Logger.js) to");
+	buf.push("trace; --logchannels sets channel levels directly.\n");
 	buf.push("Examples:");
 	buf.push("$ node parse --trace pre,p-wrap,html < foo");
 	buf.push("$ node parse --trace sync:3,dsr < foo");
+	buf.push("$ node parse --logchannels tt/template:debug,api:trace < foo");
 	return buf.join('\n');
 }
 
@@ -114,6 +118,21 @@ function dumpFlags() {
 			'boolean': false,
 			'default': ""
 		},
+		'loglevel': {
+			description: 'Log level of all channels: fatal, error, warn, info, debug or trace',
+			'boolean': false,
+			'default': ""
+		},
+		'logchannels': {
+			description: 'Levels of some log channels, like dsr:trace,api:debug',
+			'boolean': false,
+			'default': ""
+		},
+		'logformat': {
+			description: 'Log line format: text or json',
+			'boolean': false,
+			'default': ""
+		},
 		'maxdepth': {
 			description: 'Maximum expansion depth',
 			'boolean': false,
@@ -129,6 +148,11 @@ function dumpFlags() {
 			'boolean': false,
 			'default': null
 		},
+		'siteinfo': {
+			description: 'Use the siteinfo snapshot in this file (see dump-siteinfo.js) instead of asking the wiki (--prefix) for its configuration',
+			'boolean': false,
+			'default': null
+		},
 		'fetchTemplates': {
 			description: 'Whether to fetch included templates recursively',
 			'boolean': true,
@@ -139,11 +163,21 @@ function dumpFlags() {
 			'boolean': true,
 			'default': true
 		},
+		'pagesource': {
+			description: 'Fetch pages and templates from a local store instead of the wiki: a directory, an XML dump or an SQLite database, optionally prefixed with dir:, dump: or sqlite: (see lib/mediawiki.PageSource.js). Templates are expanded without the PHP preprocessor.',
+			'boolean': false,
+			'default': null
+		},
 		'pagename': {
 			description: 'The page name, returned for {{PAGENAME}}.',
 			'boolean': false,
 			'default': 'Main page'
 		},
+		'currenttime': {
+			description: 'The time to use for {{CURRENTYEAR}}, {{#time}} etc, as a MediaWiki (YYYYMMDDHHMMSS) or ISO 8601 timestamp',
+			'boolean': false,
+			'default': null
+		},
 		'oldtext': {
 			description: 'The old page text for a selective-serialization operation (see --selser)',
 			'boolean': false,
@@ -180,6 +214,28 @@ function dumpFlags() {
 
 	var parsoidConfig = new ParsoidConfig( null, { defaultWiki: prefix } );
 
+	if ( argv.siteinfo ) {
+		// Without a prefix, templates come from the English Wikipedia
+		prefix = prefix || 'en';
+		parsoidConfig.siteinfoSnapshots = {};
+		parsoidConfig.siteinfoSnapshots[prefix] = argv.siteinfo;
+		try {
+			parsoidConfig.getWikiConfigCache();
+		} catch ( e ) {
+			console.error( e.message );
+			process.exit( 1 );
+		}
+	}
+
+	if ( argv.pagesource ) {
+		try {
+			parsoidConfig.pageSource = createPageSource( argv.pagesource );
+		} catch ( e ) {
+			console.error( e.toString() );
+			process.exit( 1 );
+		}
+	}
+
 	ParserEnv.getParserEnv( parsoidConfig, null, prefix, argv.pagename || null, function ( err, env ) {
 		if ( err !== null ) {
 			console.error( err.toString() );
@@ -193,9 +249,20 @@ function dumpFlags() {
 
 		// XXX: add options for this!
 		env.conf.parsoid.fetchTemplates = argv.fetchTemplates;
-		env.conf.parsoid.usePHPPreProcessor = env.conf.parsoid.fetchTemplates && argv.usephppreprocessor;
+		env.conf.parsoid.usePHPPreProcessor = env.conf.parsoid.fetchTemplates &&
+			!env.conf.parsoid.pageSource && argv.usephppreprocessor;
 		env.conf.parsoid.maxDepth = argv.maxdepth || env.conf.parsoid.maxDepth;
 
+		if ( argv.currenttime ) {
+			// optimist turns MediaWiki timestamps into numbers
+			try {
+				env.setCurrentTime( String( argv.currenttime ) );
+			} catch ( e ) {
+				console.error( e.toString() );
+				process.exit( 1 );
+			}
+		}
+
 		Util.setDebuggingFlags( env.conf.parsoid, argv );
 
 		// Init parsers, serializers, etc.
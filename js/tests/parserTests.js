@@ -34,13 +34,57 @@ var mp = '../lib/',
 	WikitextSerializer = require(mp + 'mediawiki.WikitextSerializer.js').WikitextSerializer,
 	SelectiveSerializer = require( mp + 'mediawiki.SelectiveSerializer.js' ).SelectiveSerializer,
 	ParsoidConfig = require( mp + 'mediawiki.ParsoidConfig' ).ParsoidConfig,
-	TemplateRequest = require(mp + 'mediawiki.ApiRequest.js').TemplateRequest;
+	TemplateRequest = require(mp + 'mediawiki.ApiRequest.js').TemplateRequest,
+	MemoryPageInfoProvider = require( mp + 'mediawiki.PageInfo.js' ).MemoryPageInfoProvider;
 
 // For now most modules only need this for $.extend and $.each :)
 global.$ = require(mp + 'fakejquery');
 
 var pj = path.join;
 
+// The fixed "current time" of the PHP parser tests (ParserTest::getFakeTimestamp)
+var parserTestsTime = '19700101000203';
+
+// The interwikis of the PHP parser tests (ParserTest::setupInterwikis):
+// prefix -> [ url, local ]. Those of languages are language links.
+var parserTestsInterwikis = {
+	wikipedia: [ 'http://en.wikipedia.org/wiki/$1', false ],
+	meatball: [ 'http://www.usemod.com/cgi-bin/mb.pl?$1', false ],
+	memoryalpha: [ 'http://www.memory-alpha.org/en/index.php/$1', false ],
+	zh: [ 'http://zh.wikipedia.org/wiki/$1', true ],
+	es: [ 'http://es.wikipedia.org/wiki/$1', true ],
+	fr: [ 'http://fr.wikipedia.org/wiki/$1', true ],
+	ru: [ 'http://ru.wikipedia.org/wiki/$1', true ],
+	mi: [ 'http://mi.wikipedia.org/wiki/$1', true ],
+	mul: [ 'http://wikisource.org/wiki/$1', true ]
+};
+
+// The files uploaded by MediaWiki's parser tests (ParserTest::setupUploads)
+var parserTestsImages = {
+	'File:Foobar.jpg': { width: 1941, height: 220, mime: 'image/jpeg', mediatype: 'BITMAP' },
+	'File:Thumb.png': { width: 135, height: 135, mime: 'image/png', mediatype: 'BITMAP' },
+	'File:Foobar.svg': { width: 240, height: 180, mime: 'image/svg+xml', mediatype: 'DRAWING' },
+	'File:LoremIpsum.djvu': { width: 2480, height: 3508, mime: 'image/vnd.djvu',
+		mediatype: 'BITMAP', pagecount: 5 },
+	'File:Video.ogv': { width: 320, height: 240, mime: 'application/ogg',
+		mediatype: 'VIDEO', duration: 4.3666666666667 },
+	'File:Audio.oga': { width: 0, height: 0, mime: 'application/ogg',
+		mediatype: 'AUDIO', duration: 0.99875 }
+};
+
+// Pages with more info than the source of the test articles: the page the
+// tests are parsed as, with MediaWiki's parser test revision id, and pages
+// with and without protection info
+var parserTestsPages = {
+	'Main_page': { title: 'Main_page', exists: true, length: 0, pageid: 1,
+		revid: 1337, timestamp: '2013-03-15T10:30:00Z', user: 'Parser test user',
+		protection: {} },
+	'Protected_page': { title: 'Protected_page', exists: true, length: 9, pageid: 2,
+		protection: { edit: [ 'sysop' ], move: [ 'autoconfirmed', 'sysop' ] } },
+	'Page_without_protection_info': { title: 'Page_without_protection_info',
+		exists: true, length: 3, pageid: 3 }
+};
+
 // Our code...
 
 /**
@@ -521,6 +565,13 @@ ParserTests.prototype.processTest = function ( item, options, mode, endCb ) {
 
 	item.time = {};
 
+	// Like the PHP parser tests, use a fixed time unless the test asks for
+	// a different one with the 'currenttime' option.
+	this.env.setCurrentTime( ( item.options && item.options.currenttime ) ||
+		parserTestsTime );
+	// The default sort key of the previous test does not carry over
+	this.env.defaultSort = null;
+
 	// Build a list of tasks for this test that will be passed to async.waterfall
 	var finishHandler = function ( err, res ) {
 		if ( err ) {
@@ -1062,6 +1113,9 @@ ParserTests.prototype.main = function ( options ) {
 
 	options.fetchTemplates = false;
 	options.usePHPPreProcessor = false;
+	// The resource limits are per request, but all tests share one
+	// environment
+	options.limits = false;
 
 	var parsoidConfig = new ParsoidConfig( null, options );
 
@@ -1075,6 +1129,26 @@ ParserTests.prototype.main = function ( options ) {
 			console.error( e.stack );
 		};
 		Util.setDebuggingFlags( this.env.conf.parsoid, options );
+		// The PHP parser tests run with $wgLocaltimezone = 'UTC'
+		this.env.conf.wiki.timezone = 'UTC';
+		this.env.conf.wiki.timeOffset = 0;
+		Object.keys( parserTestsInterwikis ).forEach( function ( prefix ) {
+			var wiki = env.conf.wiki,
+				iw = {
+					prefix: prefix,
+					url: parserTestsInterwikis[prefix][0],
+					local: parserTestsInterwikis[prefix][1]
+				};
+			if ( wiki.languageNames[prefix] ) {
+				iw.language = wiki.languageNames[prefix];
+			}
+			wiki.interwikiMap[prefix] = iw;
+		} );
+		// The tags of the parser test hooks (ParserTestParserHook)
+		this.env.conf.wiki.extensionTags = $.extend( {
+			tag: true,
+			statictag: true
+		}, this.env.conf.wiki.extensionTags );
 		options.modes = [];
 		if ( options.wt2html ) {
 			options.modes.push( 'wt2html' );
@@ -1113,7 +1187,14 @@ ParserTests.prototype.main = function ( options ) {
 		}
 
 		options.reportStart();
+		$.extend( this.articles, parserTestsPages );
 		this.env.pageCache = this.articles;
+		// #ifexist, PAGESIZE etc only know about the test articles
+		this.env.pageInfo = new MemoryPageInfoProvider( this.env, this.articles );
+		this.env.pageInfo.uploadPath = 'http://example.com/images';
+		$.extend( this.env.pageInfo.images, parserTestsImages );
+		// For {{GENDER:}}; other users have no gender set
+		this.env.pageInfo.genders = { 'Female user': 'female', 'Male user': 'male' };
 		this.comments = [];
 		this.processCase( 0, options );
 	}.bind( this ) );
@@ -1130,6 +1211,14 @@ ParserTests.prototype.reportStartOfTests = function () {
 
 ParserTests.prototype.buildTasks = function ( item, modes, options ) {
 	var tasks = [];
+	// The parsoid option limits a test to some modes, like
+	// parsoid=wt2html,wt2wt for HTML that doesn't serialize without its
+	// data-parsoid
+	if ( item.options && item.options.parsoid ) {
+		modes = modes.filter( function ( mode ) {
+			return item.options.parsoid.split( ',' ).indexOf( mode ) !== -1;
+		} );
+	}
 	for ( var i = 0; i < modes.length; i++ ) {
 		if ( modes[i] === 'selser' && options.numchanges ) {
 			if ( !item.changes ) {
@@ -0,0 +1,468 @@
+var should = require('should'),
+	path = require('path'),
+	url = require('url'),
+	ParsoidConfig = require('../../lib/mediawiki.ParsoidConfig.js').ParsoidConfig,
+	MWParserEnvironment = require('../../lib/mediawiki.parser.environment.js').MWParserEnvironment,
+	api = require('../../lib/mediawiki.ApiRequest.js'),
+	WikiConfigCache = require('../../lib/mediawiki.WikiConfigCache.js').WikiConfigCache,
+	requestStub = require('./requestStub.js');
+
+var snapshotFile = path.join(__dirname, '../../lib/mediawiki.BaseConfig.json'),
+	wikis = 0;
+
+// The config of a private wiki with a config snapshot, authenticated with
+// auth if given. Each has an API URI of its own, as logins and request
+// queues are kept per URI.
+function makeConfig(auth) {
+	var parsoidConfig = new ParsoidConfig(null, {}),
+		settings = {
+			apiURI: 'http://private' + (++wikis) + '.example.org/w/api.php',
+			siteinfoSnapshot: snapshotFile
+		};
+	if (auth) {
+		settings.auth = auth;
+	}
+	parsoidConfig.setWikiSettings('private', settings);
+	return parsoidConfig;
+}
+
+function getEnv(parsoidConfig, authHeaders, cb) {
+	MWParserEnvironment.getParserEnv(parsoidConfig, null, 'private', null,
+		{ authHeaders: authHeaders }, function(err, env) {
+			should.not.exist(err);
+			cb(env);
+		});
+}
+
+// The parameters of a request
+function params(options) {
+	return options.form || url.parse(options.url, true).query;
+}
+
+// Answer a page fetch with the title as source
+function respondPage(options, cb) {
+	var title = params(options).titles;
+	requestStub.respond(cb, 200, { query: { pages: { 1: {
+		title: title,
+		revisions: [{ revid: 1, '*': 'The source of ' + title }]
+	} } } });
+}
+
+// Fetch a page: cb(err, src)
+function fetch(env, title, cb) {
+	new api.TemplateRequest(env, title).once('src', cb);
+}
+
+// With the mock clock: run the timers as they come due, letting the stub
+// answer the requests in between, until finished() holds
+function runTimers(finished, cb) {
+	setImmediate(function() {
+		var timer = jasmine.Clock.defaultFakeTimer,
+			next = Infinity;
+		if (finished()) {
+			cb();
+			return;
+		}
+		Object.keys(timer.scheduledFunctions).forEach(function(id) {
+			var scheduled = timer.scheduledFunctions[id];
+			if (scheduled) {
+				next = Math.min(next, scheduled.runAtMillis);
+			}
+		});
+		next.should.not.equal(Infinity);
+		jasmine.Clock.tick(next - timer.nowMillis);
+		runTimers(finished, cb);
+	});
+}
+
+describe("ApiRequest", function() {
+	afterEach(function() {
+		requestStub.restore();
+	});
+
+	describe("with forwarded credentials", function() {
+		var alice = { Cookie: 'session=alice' },
+			bob = { Cookie: 'session=bob' };
+
+		it("should send them and keep the results apart in the shared cache", function(done) {
+			var parsoidConfig = makeConfig({ forwardHeaders: true }),
+				cookies = [];
+			requestStub.stub(function(options, cb) {
+				cookies.push(options.headers.Cookie || null);
+				respondPage(options, cb);
+			});
+
+			getEnv(parsoidConfig, alice, function(env) {
+				fetch(env, 'Foo', function(err, src) {
+					src.should.equal('The source of Foo');
+					// Alice's next parse uses the shared cache
+					getEnv(parsoidConfig, alice, function(env) {
+						fetch(env, 'Foo', function() {
+							cookies.should.eql(['session=alice']);
+							// Bob and anonymous users don't
+							getEnv(parsoidConfig, bob, function(env) {
+								fetch(env, 'Foo', function() {
+									getEnv(parsoidConfig, null, function(env) {
+										fetch(env, 'Foo', function() {
+											cookies.should.eql(['session=alice', 'session=bob', null]);
+											done();
+										});
+									});
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it("should scope the cache keys by the credentials", function(done) {
+			var parsoidConfig = makeConfig({ forwardHeaders: true }),
+				scope = function(env) {
+					var req = Object.create(api.TemplateRequest.prototype);
+					req.env = env;
+					return req.getCacheScope();
+				};
+			getEnv(parsoidConfig, alice, function(aliceEnv) {
+				getEnv(parsoidConfig, bob, function(bobEnv) {
+					getEnv(parsoidConfig, null, function(env) {
+						scope(env).should.equal('private');
+						scope(aliceEnv).should.match(/^private#[0-9a-f]{40}$/);
+						scope(bobEnv).should.match(/^private#[0-9a-f]{40}$/);
+						scope(aliceEnv).should.not.equal(scope(bobEnv));
+
+						// The wiki config cache is keyed likewise
+						WikiConfigCache.makeKey('private', alice).should.equal(scope(aliceEnv));
+						WikiConfigCache.makeKey('private', null).should.equal('private');
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	describe("with a login account", function() {
+		var account = { login: { username: 'Parsoid', password: 'secret' } };
+
+		// Answer logins with NeedToken and then the result, and the other
+		// requests with respond; calls lists the login results and titles
+		function stubWiki(result, respond, calls) {
+			requestStub.stub(function(options, cb) {
+				var p = params(options);
+				if (p.action !== 'login') {
+					calls.push(p.titles);
+					respond(options, cb);
+				} else if (!p.lgtoken) {
+					calls.push('NeedToken');
+					requestStub.respond(cb, 200, { login: { result: 'NeedToken', token: 'abc' } });
+				} else {
+					p.lgname.should.equal('Parsoid');
+					p.lgpassword.should.equal('secret');
+					p.lgtoken.should.equal('abc');
+					calls.push(result);
+					requestStub.respond(cb, 200, { login: { result: result } });
+				}
+			});
+		}
+
+		it("should log in once before the first requests", function(done) {
+			var calls = [],
+				pending = 2;
+			stubWiki('Success', respondPage, calls);
+			getEnv(makeConfig(account), null, function(env) {
+				['Foo', 'Bar'].forEach(function(title) {
+					fetch(env, title, function(err, src) {
+						should.not.exist(err);
+						src.should.equal('The source of ' + title);
+						if (--pending === 0) {
+							calls.should.eql(['NeedToken', 'Success', 'Foo', 'Bar']);
+							// The session is kept
+							fetch(env, 'Baz', function() {
+								calls.length.should.equal(5);
+								done();
+							});
+						}
+					});
+				});
+			});
+		});
+
+		it("should fail the waiting requests if the login fails", function(done) {
+			var calls = [],
+				errors = [];
+			stubWiki('WrongPass', respondPage, calls);
+			getEnv(makeConfig(account), null, function(env) {
+				['Foo', 'Bar'].forEach(function(title) {
+					fetch(env, title, function(err) {
+						errors.push(err);
+						if (errors.length === 2) {
+							errors.forEach(function(err) {
+								err.name.should.equal('AccessDeniedError');
+								err.message.should.include('as Parsoid: WrongPass');
+							});
+							calls.should.eql(['NeedToken', 'WrongPass']);
+							done();
+						}
+					});
+				});
+			});
+		});
+
+		it("should log in again once when the session expired", function(done) {
+			var calls = [],
+				denied = 1;
+			stubWiki('Success', function(options, cb) {
+				if (denied-- > 0) {
+					requestStub.respond(cb, 200, { error: { code: 'readapidenied', info: 'No' } });
+				} else {
+					respondPage(options, cb);
+				}
+			}, calls);
+			getEnv(makeConfig(account), null, function(env) {
+				fetch(env, 'Foo', function(err, src) {
+					should.not.exist(err);
+					src.should.equal('The source of Foo');
+					calls.should.eql(['NeedToken', 'Success', 'Foo', 'NeedToken', 'Success', 'Foo']);
+					done();
+				});
+			});
+		});
+
+		it("should not log in again if reading is still denied", function(done) {
+			var calls = [];
+			stubWiki('Success', function(options, cb) {
+				requestStub.respond(cb, 200, { error: { code: 'readapidenied', info: 'No' } });
+			}, calls);
+			getEnv(makeConfig(account), null, function(env) {
+				fetch(env, 'Foo', function(err) {
+					err.name.should.equal('AccessDeniedError');
+					calls.should.eql(['NeedToken', 'Success', 'Foo', 'NeedToken', 'Success', 'Foo']);
+					done();
+				});
+			});
+		});
+
+		it("should not log in for requests with forwarded credentials", function(done) {
+			var calls = [];
+			stubWiki('Success', respondPage, calls);
+			getEnv(makeConfig({ forwardHeaders: true, login: account.login }),
+				{ Cookie: 'session=alice' }, function(env) {
+					fetch(env, 'Foo', function(err) {
+						should.not.exist(err);
+						calls.should.eql(['Foo']);
+						done();
+					});
+				});
+		});
+	});
+
+	describe("retries", function() {
+		var random;
+
+		beforeEach(function() {
+			jasmine.Clock.useMock();
+			// No jitter
+			random = Math.random;
+			Math.random = function() {
+				return 1;
+			};
+		});
+
+		afterEach(function() {
+			Math.random = random;
+		});
+
+		// Fetch a page from a wiki answering with the responses in turn
+		// (the last one from then on): cb(err, src, times), with the times
+		// of the requests since the first on the mock clock
+		function fetchWith(responses, cb) {
+			var parsoidConfig = makeConfig(),
+				timer = jasmine.Clock.defaultFakeTimer,
+				start = timer.nowMillis,
+				times = [],
+				result = null;
+			parsoidConfig.maxApiRetries = 3;
+			parsoidConfig.apiRetryDelay = 500;
+			parsoidConfig.maxApiRetryDelay = 1500;
+			requestStub.stub(function(options, cb) {
+				var response = responses[Math.min(times.length, responses.length - 1)];
+				times.push(timer.nowMillis - start);
+				if (response instanceof Error) {
+					cb(response);
+				} else if (typeof response === 'function') {
+					response(options, cb);
+				} else {
+					requestStub.respond(cb, response[0], response[1] || '', response[2]);
+				}
+			});
+			getEnv(parsoidConfig, null, function(env) {
+				fetch(env, 'Foo', function(err, src) {
+					result = [err, src];
+				});
+				runTimers(function() {
+					return result !== null;
+				}, function() {
+					cb(result[0], result[1], times);
+				});
+			});
+		}
+
+		it("should back off exponentially up to the maximum delay", function(done) {
+			fetchWith([[503]], function(err, src, times) {
+				times.should.eql([0, 500, 1500, 3000]);
+				err.name.should.equal('ApiError');
+				err.code.should.equal(502);
+				err.message.should.include('HTTP 503');
+				done();
+			});
+		});
+
+		it("should succeed once a retry does", function(done) {
+			fetchWith([[500], new Error('ECONNRESET'), respondPage], function(err, src, times) {
+				should.not.exist(err);
+				src.should.equal('The source of Foo');
+				times.should.eql([0, 500, 1500]);
+				done();
+			});
+		});
+
+		it("should wait as long as Retry-After says in seconds", function(done) {
+			fetchWith([[429, '', { 'retry-after': '1' }], respondPage], function(err, src, times) {
+				should.not.exist(err);
+				times.should.eql([0, 1000]);
+				// Capped at the maximum delay
+				fetchWith([[429, '', { 'retry-after': '3600' }]], function(err, src, times) {
+					times.should.eql([0, 1500, 3000, 4500]);
+					err.name.should.equal('ApiError');
+					err.code.should.equal(503);
+					done();
+				});
+			});
+		});
+
+		it("should wait until the date of an HTTP date Retry-After", function(done) {
+			var date = new Date(Date.now() + 2000).toUTCString();
+			fetchWith([[503, '', { 'retry-after': date }], respondPage], function(err, src, times) {
+				should.not.exist(err);
+				times.length.should.equal(2);
+				// The date is in whole seconds
+				times[1].should.be.within(500, 1500);
+				done();
+			});
+		});
+
+		it("should wait for lagged wikis, asking them with maxlag", function(done) {
+			var lagged = function(options, cb) {
+				params(options).maxlag.should.equal('5');
+				requestStub.respond(cb, 200, { error: { code: 'maxlag', info: 'Lagged' } },
+					{ 'retry-after': '1' });
+			};
+			fetchWith([lagged, respondPage], function(err, src, times) {
+				should.not.exist(err);
+				times.should.eql([0, 1000]);
+				fetchWith([lagged], function(err, src, times) {
+					times.length.should.equal(4);
+					err.name.should.equal('ApiError');
+					err.apiCode.should.equal('maxlag');
+					done();
+				});
+			});
+		});
+
+		it("should not retry missing pages, denied access and API errors", function(done) {
+			var cases = [
+					[[404], 'DoesNotExistError'],
+					[[403], 'AccessDeniedError'],
+					[[401], 'AccessDeniedError'],
+					[[200, { error: { code: 'readapidenied', info: 'No' } }], 'AccessDeniedError'],
+					[[200, { error: { code: 'badtitle', info: 'Bad title' } }], 'ApiError'],
+					[[200, 'Not JSON'], 'ParserError']
+				],
+				next = function() {
+					var c = cases.shift();
+					if (!c) {
+						done();
+						return;
+					}
+					fetchWith([c[0]], function(err, src, times) {
+						times.should.eql([0]);
+						err.name.should.equal(c[1]);
+						next();
+					});
+				};
+			next();
+		});
+
+		it("should turn API error codes into errors", function(done) {
+			fetchWith([[200, { error: { code: 'badtitle', info: 'Bad title' } }]], function(err) {
+				err.should.be.an.instanceof(api.ApiError);
+				err.apiCode.should.equal('badtitle');
+				err.message.should.include('badtitle: Bad title');
+				fetchWith([[200, { error: { code: 'readapidenied', info: 'No' } }]], function(err) {
+					err.should.be.an.instanceof(api.AccessDeniedError);
+					done();
+				});
+			});
+		});
+
+		it("should give up on network errors after the retries", function(done) {
+			fetchWith([new Error('ECONNREFUSED')], function(err, src, times) {
+				times.length.should.equal(4);
+				err.name.should.equal('DoesNotExistError');
+				done();
+			});
+		});
+	});
+
+	describe("request queue", function() {
+		it("should run at most maxConcurrentApiRequests at a time, in order", function(done) {
+			var parsoidConfig = makeConfig(),
+				answers = [],
+				titles = ['A', 'B', 'C', 'D', 'E'],
+				started = [],
+				finished = [],
+				answered = 0,
+				maxActive = 0,
+				queue;
+			parsoidConfig.maxConcurrentApiRequests = 2;
+			requestStub.stub(function(options, cb) {
+				started.push(params(options).titles);
+				answers.push(function() {
+					answered++;
+					respondPage(options, cb);
+				});
+				maxActive = Math.max(maxActive, started.length - answered);
+			});
+
+			getEnv(parsoidConfig, null, function(env) {
+				titles.forEach(function(title) {
+					fetch(env, title, function(err, src) {
+						should.not.exist(err);
+						finished.push(title);
+						if (finished.length === titles.length) {
+							started.should.eql(titles);
+							maxActive.should.equal(2);
+							// One queue for the endpoint, whatever the query
+							queue = api.requestQueues[parsoidConfig.interwikiMap.private];
+							queue.limit.should.equal(2);
+							queue.active.should.equal(0);
+							queue.pending.should.eql([]);
+							done();
+						}
+					});
+				});
+				// Answer the requests one at a time, the latest first
+				(function answer() {
+					setImmediate(function() {
+						if (answers.length) {
+							answers.pop()();
+						}
+						if (finished.length < titles.length) {
+							answer();
+						}
+					});
+				})();
+			});
+		});
+	});
+});
@@ -0,0 +1,132 @@
+var should = require('should'),
+	fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	ConfigFile = require('../../lib/mediawiki.ConfigFile.js'),
+	ParsoidConfig = require('../../lib/mediawiki.ParsoidConfig.js').ParsoidConfig;
+
+var dir = path.join(os.tmpdir(), 'parsoid-config-' + process.pid);
+
+// Write a configuration file and load it
+function load(name, text) {
+	var file = path.join(dir, name);
+	fs.mkdirSync(dir);
+	fs.writeFileSync(file, typeof text === 'string' ? text : JSON.stringify(text));
+	try {
+		return ConfigFile.load(file);
+	} finally {
+		fs.unlinkSync(file);
+		fs.rmdirSync(dir);
+	}
+}
+
+// The problems listed by the ConfigError of an invalid file
+function problems(config) {
+	try {
+		load('invalid.json', config);
+	} catch (e) {
+		e.name.should.equal('ConfigError');
+		return e.problems;
+	}
+	throw new Error('The configuration was accepted');
+}
+
+describe("ConfigFile", function() {
+	it("should load valid settings", function() {
+		var config = load('valid.json', {
+			useSelser: true,
+			limits: { wallClock: 60000 },
+			wikis: { localhost: { apiURI: 'http://localhost/w/api.php', useSelser: false } }
+		});
+		config.limits.should.eql({ wallClock: 60000 });
+		config.wikis.localhost.useSelser.should.equal(false);
+	});
+
+	it("should list all the problems", function() {
+		problems({
+			useSelser: 'yes',
+			maxDepth: 0,
+			logLevel: 'loud',
+			colour: 'blue',
+			limits: { wallClock: -1 },
+			wikis: {
+				localhost: {
+					sharedCache: {},
+					auth: { login: { username: 'Parsoid' } }
+				}
+			}
+		}).should.eql([
+			'invalid.json.useSelser: expected boolean, got "yes"',
+			'invalid.json.maxDepth: must be at least 1',
+			'invalid.json.logLevel: expected one of fatal, error, warn, info, debug, trace, got "loud"',
+			'invalid.json: unknown setting colour',
+			'invalid.json.limits.wallClock: must be at least 0',
+			'invalid.json.wikis.localhost: unknown setting sharedCache',
+			'invalid.json.wikis.localhost.auth.login: password is required'
+		]);
+	});
+
+	it("should report unreadable files", function() {
+		(function() {
+			ConfigFile.load(path.join(os.tmpdir(), 'parsoid-missing.json'));
+		}).should.throw(/^Invalid configuration file .*parsoid-missing\.json:\n  ENOENT/);
+		problems('{ "useSelser": ').should.have.length(1);
+	});
+
+	it("should substitute environment variables", function() {
+		var config;
+		process.env.PARSOID_TEST_DEPTH = '5';
+		process.env.PARSOID_TEST_SELSER = 'true';
+		try {
+			config = load('env.json', {
+				maxDepth: '${PARSOID_TEST_DEPTH}',
+				useSelser: '${PARSOID_TEST_SELSER}',
+				userAgent: 'Parsoid ${PARSOID_TEST_DEPTH}',
+				apiProxy: '${PARSOID_TEST_UNSET:-}',
+				sitematrixApiPath: '${PARSOID_TEST_UNSET:-/w/api.php}'
+			});
+		} finally {
+			delete process.env.PARSOID_TEST_DEPTH;
+			delete process.env.PARSOID_TEST_SELSER;
+		}
+		config.should.eql({
+			maxDepth: 5,
+			useSelser: true,
+			userAgent: 'Parsoid 5',
+			apiProxy: '',
+			sitematrixApiPath: '/w/api.php'
+		});
+		problems({ userAgent: '${PARSOID_TEST_UNSET}' }).should.eql([
+			'invalid.json.userAgent: the environment variable PARSOID_TEST_UNSET is not set'
+		]);
+	});
+
+	it("should read YAML files", function() {
+		load('valid.yaml', 'useSelser: true\nlimits:\n  wallClock: 1000\n')
+			.should.eql({ useSelser: true, limits: { wallClock: 1000 } });
+	});
+
+	it("should apply the settings to a ParsoidConfig", function() {
+		var file = path.join(os.tmpdir(), 'parsoid-' + process.pid + '-apply.json'),
+			parsoidConfig;
+		fs.writeFileSync(file, JSON.stringify({
+			limits: { wallClock: 1000 },
+			wikis: {
+				localhost: {
+					apiURI: 'http://localhost/w/api.php',
+					limits: { includeSize: 10 }
+				}
+			}
+		}));
+		try {
+			parsoidConfig = new ParsoidConfig(null, { configFile: file });
+		} finally {
+			fs.unlinkSync(file);
+		}
+		parsoidConfig.interwikiMap.localhost.should.equal('http://localhost/w/api.php');
+		// Limits not given keep their defaults, and wikis override them
+		parsoidConfig.limits.wallClock.should.equal(1000);
+		parsoidConfig.forWiki('localhost').limits.should.include({ wallClock: 1000, includeSize: 10 });
+		parsoidConfig.forWiki('other').should.equal(parsoidConfig);
+	});
+});
@@ -0,0 +1,73 @@
+var should = require('should'),
+	DateFormatter = require('../../lib/ext.core.DateFormatter.js').DateFormatter;
+
+var formatter = new DateFormatter(null);
+
+function format(fmt, date) {
+	return formatter.sprintfDate(fmt, Date.parse(date));
+}
+
+// Friday, 15 March 2013, 10:30 UTC
+var now = '2013-03-15T10:30:00Z';
+
+describe("DateFormatter", function() {
+	it("should format the PHP date codes", function() {
+		format('Y-m-d H:i:s', now).should.equal('2013-03-15 10:30:00');
+		format('D, d M Y', now).should.equal('Fri, 15 Mar 2013');
+		format('l j F Y', now).should.equal('Friday 15 March 2013');
+		format('N w z t L', now).should.equal('5 5 73 31 0');
+		format('W o', now).should.equal('11 2013');
+		format('G g A a', now).should.equal('10 10 AM am');
+		format('U', now).should.equal('1363343400');
+		format('c', now).should.equal('2013-03-15T10:30:00+00:00');
+		format('r', now).should.equal('Fri, 15 Mar 2013 10:30:00 +0000');
+	});
+
+	it("should quote and escape literal text", function() {
+		format('"Y" \\Y', now).should.equal('Y Y');
+	});
+
+	it("should format the MediaWiki calendars and numerals", function() {
+		format('xij xiF xiY', now).should.equal('25 Esfand 1391');
+		format('xmY', now).should.equal('1434');
+		format('xkY', now).should.equal('2556');
+		format('xrY', now).should.equal('MMXIII');
+		format('xhxjY', now).should.equal('ה\'תשע"ג');
+	});
+
+	it("should format in other time zones", function() {
+		formatter.sprintfDate('H:i P', Date.parse(now), { name: 'Asia/Tokyo', offset: 540 })
+			.should.equal('19:30 +09:00');
+		formatter.sprintfDate('H:i P', Date.parse(now), { name: null, offset: -150 })
+			.should.equal('08:00 -02:30');
+	});
+});
+
+describe("Hebrew calendar", function() {
+	it("should name the months of a regular year", function() {
+		format('xjj xjF xjY', '2012-09-17T12:00:00Z').should.equal('1 Tishrei 5773');
+		format('xjj xjF xjY', '2013-02-11T12:00:00Z').should.equal('1 Adar 5773');
+		format('xjj xjF xjY', '2013-03-15T12:00:00Z').should.equal('4 Nisan 5773');
+		format('xjj xjF xjY', '2013-08-07T12:00:00Z').should.equal('1 Elul 5773');
+	});
+
+	it("should name Adar I and Adar II and the months after them in a leap year", function() {
+		format('xjj xjF xjY', '2014-02-01T12:00:00Z').should.equal('1 Adar I 5774');
+		format('xjj xjF xjY', '2014-03-16T12:00:00Z').should.equal('14 Adar II 5774');
+		format('xjj xjF xjY', '2014-04-15T12:00:00Z').should.equal('15 Nisan 5774');
+		format('xjx', '2014-03-16T12:00:00Z').should.equal('Adar II');
+	});
+
+	it("should use MediaWiki's message keys", function() {
+		var localized = new DateFormatter({
+			messages: {
+				'hebrew-calendar-m6a': 'Adar Alef',
+				'hebrew-calendar-m7-gen': 'of Nisan'
+			}
+		});
+		localized.sprintfDate('xjF', Date.parse('2014-02-01T12:00:00Z'))
+			.should.equal('Adar Alef');
+		localized.sprintfDate('xjx', Date.parse('2014-04-15T12:00:00Z'))
+			.should.equal('of Nisan');
+	});
+});
@@ -0,0 +1,53 @@
+var should = require('should'),
+	DateParser = require('../../lib/ext.core.DateParser.js').DateParser;
+
+var parser = new DateParser(),
+	// Friday, 15 March 2013, 10:30 UTC
+	now = Date.UTC(2013, 2, 15, 10, 30);
+
+function parse(str) {
+	var time = parser.parse(str, now);
+	return time === null ? null : new Date(time).toISOString();
+}
+
+describe("DateParser", function() {
+	it("should parse absolute dates and times", function() {
+		parse('2013-03-15').should.equal('2013-03-15T00:00:00.000Z');
+		parse('15 March 2013').should.equal('2013-03-15T00:00:00.000Z');
+		parse('March 15, 2013 14:05').should.equal('2013-03-15T14:05:00.000Z');
+		parse('15.03.2013').should.equal('2013-03-15T00:00:00.000Z');
+		parse('2013-03-15T14:05:06Z').should.equal('2013-03-15T14:05:06.000Z');
+		parse('@86400').should.equal('1970-01-02T00:00:00.000Z');
+	});
+
+	it("should take the missing fields from now", function() {
+		parse('now').should.equal('2013-03-15T10:30:00.000Z');
+		parse('14:05').should.equal('2013-03-15T14:05:00.000Z');
+		parse('3pm').should.equal('2013-03-15T15:00:00.000Z');
+		parse('noon').should.equal('2013-03-15T12:00:00.000Z');
+	});
+
+	it("should apply time zones", function() {
+		parse('2013-03-15 10:00 +0200').should.equal('2013-03-15T08:00:00.000Z');
+	});
+
+	it("should parse relative dates like PHP", function() {
+		parse('tomorrow').should.equal('2013-03-16T00:00:00.000Z');
+		parse('+1 day').should.equal('2013-03-16T10:30:00.000Z');
+		parse('-2 weeks').should.equal('2013-03-01T10:30:00.000Z');
+		parse('1 week ago').should.equal('2013-03-08T10:30:00.000Z');
+		parse('next monday').should.equal('2013-03-18T00:00:00.000Z');
+		parse('last friday').should.equal('2013-03-08T00:00:00.000Z');
+		parse('first day of next month').should.equal('2013-04-01T10:30:00.000Z');
+		parse('last day of february').should.equal('2013-02-28T00:00:00.000Z');
+	});
+
+	it("should overflow out-of-range days like PHP", function() {
+		parse('2013-02-30').should.equal('2013-03-02T00:00:00.000Z');
+		parse('2012-02-29 +1 year').should.equal('2013-03-01T00:00:00.000Z');
+	});
+
+	it("should return null for what it can't parse", function() {
+		should.not.exist(parse('garbage'));
+	});
+});
@@ -0,0 +1,68 @@
+var should = require('should'),
+	expr = require('../../lib/ext.core.ExprParser.js'),
+	ExprParser = expr.ExprParser,
+	ExprError = expr.ExprError;
+
+var parser = new ExprParser();
+
+function evaluate(source) {
+	return parser.doExpression(source);
+}
+
+// The ExprError thrown for an expression
+function error(source) {
+	try {
+		evaluate(source);
+	} catch (e) {
+		return e;
+	}
+	throw new Error('No error for ' + source);
+}
+
+describe("ExprParser", function() {
+	it("should respect operator precedence and brackets", function() {
+		evaluate('1+2*3').should.equal('7');
+		evaluate('(1+2)*3').should.equal('9');
+		evaluate('2^10').should.equal('1024');
+		evaluate('1 < 2 and 3 > 4').should.equal('0');
+		evaluate('not 0').should.equal('1');
+	});
+
+	it("should evaluate the operators like PHP", function() {
+		evaluate('-7 mod 3').should.equal('-1');
+		evaluate('7.5 mod 2').should.equal('1');
+		evaluate('5 div 2').should.equal('2.5');
+		evaluate('1.2345 round 2').should.equal('1.23');
+		evaluate('1234 round -2').should.equal('1200');
+		evaluate('3 <> 4').should.equal('1');
+		evaluate('floor -1.5').should.equal('-2');
+		evaluate('trunc -1.7').should.equal('-1');
+	});
+
+	it("should format numbers like PHP", function() {
+		evaluate('1/3').should.equal('0.33333333333333');
+		evaluate('pi').should.equal('3.1415926535898');
+		evaluate('0.1+0.2').should.equal('0.3');
+		evaluate('1e20').should.equal('1.0E+20');
+		evaluate('1e-5').should.equal('1.0E-5');
+		evaluate('-0').should.equal('-0');
+		evaluate('  ').should.equal('');
+	});
+
+	it("should throw ExprErrors with PHP's messages", function() {
+		var e = error('1/0');
+		e.should.be.an.instanceof(ExprError);
+		e.should.be.an.instanceof(Error);
+		e.msg.should.equal('division_by_zero');
+		e.message.should.equal('Division by zero.');
+		error('sqrt -1').message.should.equal('In sqrt: result is not a number.');
+		error('(1+2').message.should.equal('Expression error: Unclosed bracket.');
+		error('1 2').message.should.equal('Expression error: Unexpected number.');
+		error('foo').message.should.equal('Expression error: Unrecognized word "foo".');
+		error('1+').message.should.equal('Expression error: Missing operand for +.');
+	});
+
+	it("should not take other errors for ExprErrors", function() {
+		(new Error('x') instanceof ExprError).should.equal(false);
+	});
+});
@@ -0,0 +1,143 @@
+var should = require('should'),
+	defines = require('../../lib/mediawiki.parser.defines.js'),
+	ExtensionRegistry = require('../../lib/mediawiki.ExtensionRegistry.js').ExtensionRegistry,
+	TokenAndAttrCollector = require('../../lib/ext.util.TokenAndAttrCollector.js').TokenAndAttrCollector;
+
+var TagTk = defines.TagTk,
+	EndTagTk = defines.EndTagTk;
+
+// The result of calling a handler: [err, result]
+function call(spec, args) {
+	var called = null;
+	ExtensionRegistry.callHandler(spec, args, function(err, result) {
+		should.not.exist(called);
+		called = [err, result];
+	});
+	return called;
+}
+
+describe("ExtensionRegistry", function() {
+	it("should look up tags and parser functions by name and alias, in any case", function() {
+		var registry = new ExtensionRegistry(),
+			tag = { name: 'Hello', aliases: ['hi'], handler: function() {} },
+			pf = { name: '#shout', aliases: ['#Crier'], handler: function() {} };
+		registry.registerTag(tag);
+		registry.registerParserFunction(pf);
+
+		registry.getTag('hello').should.equal(tag);
+		registry.getTag('HI').should.equal(tag);
+		registry.getParserFunction('#SHOUT').should.equal(pf);
+		registry.getParserFunction('#crier').should.equal(pf);
+		should.not.exist(registry.getTag('#shout'));
+		should.not.exist(registry.getParserFunction('hello'));
+		should.not.exist(registry.getTag('constructor'));
+		registry.getTagNames().sort().should.eql(['hello', 'hi']);
+	});
+
+	it("should reject specs without a name or handler", function() {
+		var registry = new ExtensionRegistry();
+		(function() {
+			registry.registerTag({ name: 'hello' });
+		}).should.throw('A tag needs a name and a handler');
+		(function() {
+			registry.registerParserFunction({ handler: function() {} });
+		}).should.throw('A parser function needs a name and a handler');
+	});
+
+	it("should call sync handlers with the arguments", function() {
+		call({
+			handler: function(a, b) {
+				return a + b;
+			}
+		}, [1, 2]).should.eql([null, 3]);
+	});
+
+	it("should call async handlers with a callback", function(done) {
+		ExtensionRegistry.callHandler({
+			async: true,
+			handler: function(text, cb) {
+				process.nextTick(function() {
+					cb(null, text.toUpperCase());
+				});
+			}
+		}, ['loud'], function(err, result) {
+			should.not.exist(err);
+			result.should.equal('LOUD');
+			done();
+		});
+	});
+
+	it("should pass the errors of throwing handlers to the callback", function() {
+		var error = new Error('broken');
+		[false, true].forEach(function(async) {
+			call({
+				async: async,
+				handler: function() {
+					throw error;
+				}
+			}, []).should.eql([error, null]);
+		});
+	});
+
+	it("should split the attributes and body of tag sources", function() {
+		ExtensionRegistry.parseTagSource('hello',
+			'<hello a="x y" B=\'it"s\' c=plain d e = "spaced">Some <b>body</b></HELLO>')
+			.should.eql({
+				attribs: { a: 'x y', b: 'it"s', c: 'plain', d: '', e: 'spaced' },
+				body: 'Some <b>body</b>'
+			});
+		ExtensionRegistry.parseTagSource('hello', '<hello a="x>y" />')
+			.should.eql({ attribs: { a: 'x>y' }, body: null });
+		ExtensionRegistry.parseTagSource('hello', '<hello>')
+			.should.eql({ attribs: {}, body: '' });
+	});
+});
+
+describe("TokenAndAttrCollector", function() {
+	// A collector of a set of tags, and the collections it transformed
+	function collector(name) {
+		var collections = [],
+			manager = { addTransform: function() {} };
+		return {
+			collections: collections,
+			collector: new TokenAndAttrCollector(manager, function(collection) {
+				collections.push(collection);
+				return { tokens: [] };
+			}, false, 1, name)
+		};
+	}
+
+	it("should only end a collection at the closing tag that opened it", function() {
+		var c = collector({ math: true, hello: true }),
+			tokens = [
+				new TagTk('hello'),
+				new TagTk('math'), 'x', new EndTagTk('math'),
+				new EndTagTk('hello')
+			];
+		c.collector.isDelimiter('math').should.equal(true);
+		c.collector.isDelimiter('b').should.equal(false);
+		tokens.forEach(function(token) {
+			c.collector.onAnyToken(token);
+			if (token.name === 'hello' && token.constructor === TagTk) {
+				c.collector.isDelimiter('hello').should.equal(true);
+				c.collector.isDelimiter('math').should.equal(false);
+			}
+		});
+
+		c.collections.length.should.equal(1);
+		c.collections[0].name.should.equal('hello');
+		c.collections[0].tokens.should.eql(tokens.slice(1, 4));
+		c.collector.isDelimiter('math').should.equal(true);
+	});
+
+	it("should take a single tag name", function() {
+		var c = collector('math');
+		c.collector.isDelimiter('math').should.equal(true);
+		c.collector.isDelimiter('hello').should.equal(false);
+		[new TagTk('math'), 'x', new EndTagTk('math')].forEach(function(token) {
+			c.collector.onAnyToken(token);
+		});
+		c.collections.length.should.equal(1);
+		c.collections[0].name.should.equal('math');
+	});
+});
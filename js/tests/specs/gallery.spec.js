@@ -0,0 +1,147 @@
+var should = require('should'),
+	ParsoidConfig = require('../../lib/mediawiki.ParsoidConfig.js').ParsoidConfig,
+	MWParserEnvironment = require('../../lib/mediawiki.parser.environment.js').MWParserEnvironment,
+	ParserPipelineFactory = require('../../lib/mediawiki.parser.js').ParserPipelineFactory,
+	WikitextSerializer = require('../../lib/mediawiki.WikitextSerializer.js').WikitextSerializer,
+	MemoryPageInfoProvider = require('../../lib/mediawiki.PageInfo.js').MemoryPageInfoProvider,
+	parseLine = require('../../lib/ext.Gallery.js').parseLine;
+
+var env = null;
+
+function getEnv(cb) {
+	if (env) {
+		cb(env);
+		return;
+	}
+	var parsoidConfig = new ParsoidConfig(null, { fetchTemplates: false });
+	MWParserEnvironment.getParserEnv(parsoidConfig, null, '', null, function(err, e) {
+		env = e;
+		env.pageInfo = new MemoryPageInfoProvider(env, {});
+		env.pageInfo.uploadPath = 'http://example.com/images';
+		env.pageInfo.images['File:Foobar.jpg'] = {
+			width: 1941, height: 220, mime: 'image/jpeg', mediatype: 'BITMAP'
+		};
+		cb(env);
+	});
+}
+
+// The gallery ul of some wikitext
+function parse(src, cb) {
+	getEnv(function(env) {
+		var pipeline = new ParserPipelineFactory(env).makePipeline('text/x-mediawiki/full');
+		pipeline.once('document', function(doc) {
+			cb(doc.body.firstChild);
+		});
+		env.page.src = src;
+		pipeline.process(src);
+	});
+}
+
+function serialize(node, cb) {
+	var out = '';
+	new WikitextSerializer({ env: env }).serializeDOM(node.parentNode, function(chunk) {
+		out += chunk;
+	}, function() {
+		cb(out);
+	});
+}
+
+function items(ul) {
+	return ul.querySelectorAll('li.gallerybox');
+}
+
+var gallery = [
+	'<gallery caption="Some [[fruit]]">',
+	'<!-- apples -->',
+	'File:Foobar.jpg|alt=An apple|A [[red|Red]] apple',
+	'',
+	'Foobar.jpg',
+	'<!-- pears -->',
+	'File:Foobar.jpg|A pear',
+	'</gallery>'
+].join('\n');
+
+describe("Gallery lines", function() {
+	it("should split the file, options and caption", function(done) {
+		getEnv(function(env) {
+			var item = parseLine(env, ' Foobar.jpg|alt=An apple|A [[red|Red]] {{echo|apple}}');
+			item.target.should.equal('Foobar.jpg');
+			item.title.should.equal('File:Foobar.jpg');
+			item.options.should.eql({ alt: 'An apple' });
+			item.optionSrc.should.eql({ alt: 'alt=An apple' });
+			item.caption.should.equal('A [[red|Red]] {{echo|apple}}');
+			parseLine(env, 'Media:Foobar.jpg').title.should.equal('File:Foobar.jpg');
+			parseLine(env, 'Image:Foobar.jpg').title.should.equal('File:Foobar.jpg');
+			done();
+		});
+	});
+
+	it("should skip lines without a file", function(done) {
+		getEnv(function(env) {
+			should.not.exist(parseLine(env, ''));
+			should.not.exist(parseLine(env, '<!-- apples -->'));
+			should.not.exist(parseLine(env, '[[Foobar.jpg]]'));
+			done();
+		});
+	});
+});
+
+describe("Gallery serialization", function() {
+	it("should keep the source of an unchanged gallery", function(done) {
+		parse(gallery, function(ul) {
+			serialize(ul, function(wt) {
+				wt.should.equal(gallery);
+				done();
+			});
+		});
+	});
+
+	it("should keep the other lines in place when an item changes", function(done) {
+		parse(gallery, function(ul) {
+			items(ul)[1].querySelector('.gallerytext').innerHTML = 'A green apple';
+			serialize(ul, function(wt) {
+				wt.should.equal(gallery.replace('\nFoobar.jpg\n', '\nFoobar.jpg|A green apple\n'));
+				done();
+			});
+		});
+	});
+
+	it("should keep the other lines in place when items are added and removed", function(done) {
+		parse(gallery, function(ul) {
+			var boxes = items(ul),
+				added = boxes[2].cloneNode(true);
+			added.removeAttribute('data-parsoid');
+			added.setAttribute('data-mw', JSON.stringify({ title: 'File:Foobar.jpg', options: {} }));
+			added.querySelector('.gallerytext').innerHTML = 'A plum';
+			ul.insertBefore(added, boxes[1]);
+			ul.removeChild(boxes[2]);
+			serialize(ul, function(wt) {
+				wt.should.equal([
+					'<gallery caption="Some [[fruit]]">',
+					'<!-- apples -->',
+					'File:Foobar.jpg|alt=An apple|A [[red|Red]] apple',
+					'File:Foobar.jpg|A plum',
+					'',
+					'Foobar.jpg',
+					'<!-- pears -->',
+					'</gallery>'
+				].join('\n'));
+				done();
+			});
+		});
+	});
+
+	it("should serialize the caption from the DOM", function(done) {
+		parse(gallery, function(ul) {
+			ul.querySelector('li.gallerycaption').innerHTML = 'Fruit';
+			serialize(ul, function(wt) {
+				wt.should.equal(gallery.replace('Some [[fruit]]', 'Fruit'));
+				ul.removeChild(ul.querySelector('li.gallerycaption'));
+				serialize(ul, function(wt) {
+					wt.should.equal(gallery.replace(' caption="Some [[fruit]]"', ''));
+					done();
+				});
+			});
+		});
+	});
+});
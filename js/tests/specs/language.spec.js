@@ -0,0 +1,70 @@
+var should = require('should'),
+	Language = require('../../lib/mediawiki.Language.js').Language;
+
+// The plural forms chosen for some counts
+function plurals(code, counts, forms) {
+	var language = new Language(code);
+	return counts.map(function(count) {
+		return language.convertPlural(count, forms);
+	});
+}
+
+describe("Language", function() {
+	it("should upper- and lower-case the first character", function() {
+		var en = new Language('en');
+		en.ucfirst('ärger').should.equal('Ärger');
+		en.lcfirst('ÄRGER').should.equal('äRGER');
+		en.ucfirst('𐐨x').should.equal('𐐀x');
+		en.ucfirst('').should.equal('');
+		en.ucfirst('istanbul').should.equal('Istanbul');
+	});
+
+	it("should case the dotted and dotless i in Turkic languages", function() {
+		var tr = Language.forCode('tr');
+		tr.ucfirst('istanbul').should.equal('İstanbul');
+		tr.lcfirst('Istanbul').should.equal('ıstanbul');
+		Language.forCode('tr').should.equal(tr);
+	});
+
+	it("should choose the plural forms of the language", function() {
+		plurals('en', [0, 1, 2, 1.5], ['one', 'other'])
+			.should.eql(['other', 'one', 'other', 'other']);
+		plurals('fr', [0, 1, 1.5, 2], ['one', 'other'])
+			.should.eql(['one', 'one', 'one', 'other']);
+		plurals('ru', [1, 3, 5, 11, 21, 22, 1.5], ['one', 'few', 'many', 'other'])
+			.should.eql(['one', 'few', 'many', 'many', 'one', 'few', 'other']);
+		plurals('ar', [0, 1, 2, 3, 11, 100], ['zero', 'one', 'two', 'few', 'many', 'other'])
+			.should.eql(['zero', 'one', 'two', 'few', 'many', 'other']);
+		plurals('ja', [1, 2], ['other']).should.eql(['other', 'other']);
+		plurals('pt-br', [1, 2], ['one', 'other']).should.eql(['one', 'other']);
+	});
+
+	it("should default missing plural forms to the last one", function() {
+		plurals('ru', [1, 3, 5], ['one', 'few']).should.eql(['one', 'few', 'few']);
+		plurals('en', [1, 2], []).should.eql(['', '']);
+	});
+
+	it("should prefer explicit plural forms", function() {
+		plurals('en', [0, 1, 12, 2], ['0=none', 'one', '12=a dozen', 'other'])
+			.should.eql(['none', 'one', 'a dozen', 'other']);
+		new Language('en').pluralFormIndex(3, ['1=one', '2=two']).should.equal(-1);
+	});
+
+	it("should inflect only the configured grammar forms", function() {
+		var fi = new Language('fi');
+		fi.grammarForms = { genitive: { Wikipedia: 'Wikipedian' } };
+		fi.convertGrammar('Wikipedia', 'genitive').should.equal('Wikipedian');
+		fi.convertGrammar('Wikipedia', 'elative').should.equal('Wikipedia');
+		fi.convertGrammar('Wikisanakirja', 'genitive').should.equal('Wikisanakirja');
+	});
+
+	it("should choose the gender forms, with the male one as default", function() {
+		var en = new Language('en');
+		en.gender('male', ['he', 'she', 'they']).should.equal('he');
+		en.gender('female', ['he', 'she', 'they']).should.equal('she');
+		en.gender('unknown', ['he', 'she', 'they']).should.equal('they');
+		en.gender('unknown', ['he', 'she']).should.equal('he');
+		en.gender('female', ['they']).should.equal('they');
+		en.gender('female', []).should.equal('');
+	});
+});
@@ -0,0 +1,90 @@
+var should = require('should'),
+	Logger = require('../../lib/mediawiki.Logger.js').Logger;
+
+// A logger writing to an array of lines
+function makeLogger(options) {
+	var lines = [],
+		logger = new Logger(options);
+	logger.configure({ stream: { write: function(line) { lines.push(line); } } });
+	logger.lines = lines;
+	return logger;
+}
+
+describe("Logger", function() {
+	it("should filter lines by level", function() {
+		var logger = makeLogger({ level: 'warn' });
+		logger.info('api', 'skipped');
+		logger.warn('api', 'kept', { a: 1 });
+		logger.lines.should.eql([ '[warn][api] kept {"a":1}\n' ]);
+		logger.isEnabled('error', 'api').should.equal(true);
+		logger.isEnabled('debug').should.equal(false);
+	});
+
+	it("should inherit channel levels from parent channels", function() {
+		var logger = makeLogger({ level: 'info', channels: 'tt:debug,tt/list:trace' });
+		logger.isEnabled('debug', 'tt/pre').should.equal(true);
+		logger.isEnabled('trace', 'tt/pre').should.equal(false);
+		logger.isEnabled('trace', 'tt/list').should.equal(true);
+		logger.isEnabled('debug', 'api').should.equal(false);
+	});
+
+	it("should reject unknown levels", function() {
+		(function() {
+			new Logger({ level: 'loud' });
+		}).should.throw('Unknown log level: loud');
+		(function() {
+			Logger.parseChannelLevels('dsr');
+		}).should.throw('Expected channel:level, got dsr');
+	});
+
+	it("should add the context of child loggers", function() {
+		var logger = makeLogger(),
+			page = 'Foo',
+			child = logger.child({ wiki: 'en' }).child(function() {
+				return { page: page, oldid: null };
+			});
+		child.info('api', 'fetching');
+		page = 'Bar';
+		child.info('api', 'fetching');
+		logger.lines.should.eql([
+			'[info][api][wiki=en page=Foo] fetching\n',
+			'[info][api][wiki=en page=Bar] fetching\n'
+		]);
+	});
+
+	it("should let children override levels, and follow changes of their parent", function() {
+		var logger = makeLogger({ level: 'warn' }),
+			child = logger.child({ req: 1 }, { channels: { api: 'trace' } });
+		child.isEnabled('trace', 'api').should.equal(true);
+		child.isEnabled('info', 'dsr').should.equal(false);
+		logger.isEnabled('trace', 'api').should.equal(false);
+		logger.configure({ level: 'info' });
+		child.isEnabled('info', 'dsr').should.equal(true);
+	});
+
+	it("should log JSON lines", function() {
+		var logger = makeLogger({ format: 'json' }),
+			line;
+		logger.child({ wiki: 'en' }).error('service', 'failed:', new Error('oops'));
+		line = JSON.parse(logger.lines[0]);
+		line.level.should.equal('error');
+		line.channel.should.equal('service');
+		line.wiki.should.equal('en');
+		line.pid.should.equal(process.pid);
+		line.msg.should.match(/^failed: Error: oops\n/);
+	});
+
+	it("should map the debugging flags of the command line tools to channels", function() {
+		var logger = makeLogger();
+		logger.setDebuggingFlags({ trace: 'pre,sync:1', dump: 'dom:post-dsr', logchannels: 'dsr:debug' });
+		logger.channels.should.eql({
+			'tt/pre': 'debug',
+			'tt/sync:1': 'trace',
+			'dump/dom:post-dsr': 'trace',
+			dsr: 'debug'
+		});
+		logger.setDebuggingFlags({ trace: true });
+		logger.isEnabled('trace', 'tokenizer').should.equal(true);
+		logger.isEnabled('trace', 'tt/list').should.equal(true);
+	});
+});
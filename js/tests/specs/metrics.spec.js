@@ -0,0 +1,154 @@
+var should = require('should'),
+	dgram = require('dgram'),
+	m = require('../../lib/mediawiki.Metrics.js'),
+	Metrics = m.Metrics,
+	PhaseTimer = m.PhaseTimer;
+
+function lines(metrics) {
+	return Metrics.toPrometheus(metrics.snapshot()).split('\n');
+}
+
+describe("Metrics", function() {
+	it("should count by labels", function() {
+		var metrics = new Metrics();
+		metrics.increment('http_requests_total', { route: 'html', status: 200 });
+		metrics.increment('http_requests_total', { status: 200, route: 'html' }, 2);
+		metrics.increment('http_requests_total', { route: 'html', status: 404 });
+		lines(metrics).should.include('parsoid_http_requests_total{route="html",status="200"} 3');
+		lines(metrics).should.include('parsoid_http_requests_total{route="html",status="404"} 1');
+		lines(metrics).should.include('# TYPE parsoid_http_requests_total counter');
+	});
+
+	it("should escape label values", function() {
+		var metrics = new Metrics();
+		metrics.increment('api_requests_total', { wiki: 'a"b\\c' });
+		lines(metrics).should.include('parsoid_api_requests_total{wiki="a\\"b\\\\c"} 1');
+	});
+
+	it("should record durations in histograms", function() {
+		var metrics = new Metrics({ buckets: [ 0.1, 1 ] }),
+			output;
+		metrics.timing('http_request_duration_seconds', 50, { route: 'html' });
+		metrics.timing('http_request_duration_seconds', 500, { route: 'html' });
+		metrics.timing('http_request_duration_seconds', 5000, { route: 'html' });
+		output = lines(metrics);
+		output.should.include('parsoid_http_request_duration_seconds_bucket{route="html",le="0.1"} 1');
+		output.should.include('parsoid_http_request_duration_seconds_bucket{route="html",le="1"} 2');
+		output.should.include('parsoid_http_request_duration_seconds_bucket{route="html",le="+Inf"} 3');
+		output.should.include('parsoid_http_request_duration_seconds_sum{route="html"} 5.55');
+		output.should.include('parsoid_http_request_duration_seconds_count{route="html"} 3');
+	});
+
+	it("should run the collectors when read", function() {
+		var metrics = new Metrics(),
+			items = 1;
+		metrics.addCollector(function(metrics) {
+			metrics.set('shared_cache_items', items);
+		});
+		lines(metrics).should.include('parsoid_shared_cache_items 1');
+		items = 2;
+		lines(metrics).should.include('parsoid_shared_cache_items 2');
+	});
+
+	it("should merge the snapshots of several processes", function() {
+		var a = new Metrics({ buckets: [ 1 ] }),
+			b = new Metrics({ buckets: [ 1 ] }),
+			merged;
+		a.increment('workers', null, 2);
+		b.increment('workers', null, 3);
+		a.timing('api_request_duration_seconds', 500);
+		b.timing('api_request_duration_seconds', 1500);
+		merged = Metrics.merge([ a.snapshot(), b.snapshot() ]);
+		merged.series.workers[''].value.should.equal(5);
+		merged.series.api_request_duration_seconds[''].buckets.should.eql([ 1 ]);
+		merged.series.api_request_duration_seconds[''].value.should.equal(2);
+		merged.series.api_request_duration_seconds[''].sum.should.equal(2);
+		// The snapshots themselves are left alone
+		a.snapshot().series.workers[''].value.should.equal(2);
+	});
+
+	it("should merge the metrics of the workers in the master", function() {
+		var master = new Metrics(),
+			sent = [],
+			fakeWorker = function(name) {
+				return { send: function(message) { sent.push([ name, message ]); } };
+			},
+			workers = [ fakeWorker('w1'), fakeWorker('w2') ],
+			onMessage = master.serveWorkers(function() { return workers; }),
+			worker = new Metrics(),
+			collectionId;
+		master.increment('worker_restarts_total');
+		worker.increment('http_requests_total');
+
+		onMessage(workers[0], { parsoidMetrics: 'request', requestId: 7 });
+		sent.length.should.equal(2);
+		collectionId = sent[0][1].collectionId;
+		sent[0][1].parsoidMetrics.should.equal('collect');
+		onMessage(workers[0], { parsoidMetrics: 'snapshot', collectionId: collectionId,
+			snapshot: worker.snapshot() });
+		onMessage(workers[1], { parsoidMetrics: 'snapshot', collectionId: collectionId,
+			snapshot: worker.snapshot() });
+
+		sent.length.should.equal(3);
+		sent[2][0].should.equal('w1');
+		sent[2][1].requestId.should.equal(7);
+		sent[2][1].snapshot.series.http_requests_total[''].value.should.equal(2);
+		sent[2][1].snapshot.series.worker_restarts_total[''].value.should.equal(1);
+	});
+
+	it("should send the metrics to StatsD", function(done) {
+		var server = dgram.createSocket('udp4');
+		server.on('message', function(message) {
+			message.toString().should.equal('test.api_requests_total.ok.en_wiki:1|c');
+			server.close();
+			done();
+		});
+		server.bind(0, '127.0.0.1', function() {
+			var metrics = new Metrics({ statsd: {
+				host: '127.0.0.1',
+				port: server.address().port,
+				prefix: 'test'
+			} });
+			metrics.increment('api_requests_total', { wiki: 'en.wiki', result: 'ok' });
+		});
+	});
+});
+
+describe("PhaseTimer", function() {
+	it("should only count the time of nested phases for them", function() {
+		var timer = new PhaseTimer(),
+			time = 0;
+		timer.now = function() {
+			return time;
+		};
+		timer.enter('tokenizer');
+		time = 10;
+		timer.enter('transforms');
+		time = 25;
+		timer.leave();
+		time = 30;
+		timer.leave();
+		timer.times.should.eql({ tokenizer: 15, transforms: 15 });
+	});
+
+	it("should time wrapped functions, even if they throw", function() {
+		var timer = new PhaseTimer(),
+			time = 0,
+			fn = timer.wrap('treebuilder', function(x) {
+				time += 5;
+				if (x === 'throw') {
+					throw new Error(x);
+				}
+				return x + this.suffix;
+			}, { suffix: '!' });
+		timer.now = function() {
+			return time;
+		};
+		fn('done').should.equal('done!');
+		(function() {
+			fn('throw');
+		}).should.throw('throw');
+		timer.times.treebuilder.should.equal(10);
+		timer.stack.should.have.length(0);
+	});
+});
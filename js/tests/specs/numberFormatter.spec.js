@@ -0,0 +1,45 @@
+var should = require('should'),
+	NumberFormatter = require('../../lib/mediawiki.NumberFormatter.js').NumberFormatter;
+
+describe("NumberFormatter", function() {
+	it("should group English numbers in thousands", function() {
+		var formatter = new NumberFormatter('en');
+		formatter.formatNum(1234567.891).should.equal('1,234,567.891');
+		formatter.formatNum(-1234.5).should.equal('-1,234.5');
+		formatter.formatNum('100').should.equal('100');
+		formatter.formatNum(1234567, true).should.equal('1234567');
+	});
+
+	it("should use the separators of the language", function() {
+		new NumberFormatter('de').formatNum(1234567.5).should.equal('1.234.567,5');
+		new NumberFormatter('fr').formatNum(1234567.5).should.equal('1 234 567,5');
+	});
+
+	it("should follow the grouping pattern of the language", function() {
+		var formatter = new NumberFormatter('hi');
+		formatter.formatNum(123456789).should.equal('12,34,56,789');
+		formatter.formatNum(-1234567.25).should.equal('-12,34,567.25');
+	});
+
+	it("should transform the digits", function() {
+		var formatter = new NumberFormatter('fa');
+		formatter.formatNum(1234.5).should.equal('۱٬۲۳۴٫۵');
+		formatter.formatNum(1234.5, true).should.equal('۱۲۳۴.۵');
+	});
+
+	it("should format variants and unknown languages", function() {
+		new NumberFormatter('de-at').formatNum(1234.5).should.equal('1.234,5');
+		new NumberFormatter('zz').formatNum(1234).should.equal('1,234');
+	});
+
+	it("should parse formatted numbers", function() {
+		new NumberFormatter('en').parseFormattedNumber('1,234,567.5').should.equal('1234567.5');
+		new NumberFormatter('de').parseFormattedNumber('1.234.567,5').should.equal('1234567.5');
+		new NumberFormatter('fa').parseFormattedNumber('۱٬۲۳۴٫۵').should.equal('1234.5');
+	});
+
+	it("should share the formatters of a language", function() {
+		NumberFormatter.forLanguage('de').should.equal(NumberFormatter.forLanguage('de'));
+		NumberFormatter.forLanguage().lang.should.equal('en');
+	});
+});
@@ -0,0 +1,146 @@
+var should = require('should'),
+	ParsoidConfig = require('../../lib/mediawiki.ParsoidConfig.js').ParsoidConfig,
+	MWParserEnvironment = require('../../lib/mediawiki.parser.environment.js').MWParserEnvironment,
+	PageInfo = require('../../lib/mediawiki.PageInfo.js'),
+	scaleImage = PageInfo.scaleImage,
+	requestStub = require('./requestStub.js');
+
+function getEnv(cb) {
+	var parsoidConfig = new ParsoidConfig(null, { fetchTemplates: false });
+	MWParserEnvironment.getParserEnv(parsoidConfig, null, '', null, function(err, env) {
+		cb(env);
+	});
+}
+
+var bitmap = { width: 1000, height: 500, mediatype: 'BITMAP' },
+	drawing = { width: 100, height: 50, mediatype: 'DRAWING' };
+
+describe("scaleImage", function() {
+	it("should keep the aspect ratio", function() {
+		scaleImage(bitmap, { width: 200 }).should.eql({ width: 200, height: 100, scaled: true });
+		scaleImage({ width: 1000, height: 1, mediatype: 'BITMAP' }, { width: 10 })
+			.should.eql({ width: 10, height: 1, scaled: true });
+	});
+
+	it("should not enlarge bitmaps", function() {
+		scaleImage(bitmap, { width: 2000 }).should.eql({ width: 1000, height: 500, scaled: false });
+		scaleImage(bitmap, { width: 1000 }).should.eql({ width: 1000, height: 500, scaled: false });
+		scaleImage(bitmap, { height: 600 }).should.eql({ width: 1000, height: 500, scaled: false });
+	});
+
+	it("should always scale drawings", function() {
+		scaleImage(drawing, { width: 300 }).should.eql({ width: 300, height: 150, scaled: true });
+		scaleImage(drawing, { width: 100 }).should.eql({ width: 100, height: 50, scaled: true });
+	});
+
+	it("should fit the height of the box", function() {
+		scaleImage(bitmap, { width: 400, height: 100 }).should.eql({ width: 200, height: 100, scaled: true });
+		scaleImage(bitmap, { width: 100, height: 100 }).should.eql({ width: 100, height: 50, scaled: true });
+		scaleImage(bitmap, { height: 100 }).should.eql({ width: 200, height: 100, scaled: true });
+	});
+
+	it("should not scale without a box", function() {
+		should.not.exist(scaleImage(bitmap, {}));
+	});
+});
+
+describe("MemoryPageInfoProvider", function() {
+	// The image info of a file
+	function imageInfo(image, box, cb) {
+		getEnv(function(env) {
+			var pageInfo = new PageInfo.MemoryPageInfoProvider(env, {});
+			pageInfo.images['File:Foo.png'] = image;
+			pageInfo.getImageInfo('File:Foo.png', box, function(err, info) {
+				should.not.exist(err);
+				cb(info);
+			});
+		});
+	}
+
+	it("should add larger thumbnails for 1.5x and 2x screens", function(done) {
+		imageInfo(bitmap, { width: 200 }, function(info) {
+			info.thumburl.should.equal('//example.com/images/thumb/f/f8/Foo.png/200px-Foo.png');
+			info.responsiveUrls.should.eql({
+				1.5: '//example.com/images/thumb/f/f8/Foo.png/300px-Foo.png',
+				2: '//example.com/images/thumb/f/f8/Foo.png/400px-Foo.png'
+			});
+			done();
+		});
+	});
+
+	it("should use the original for screens it isn't large enough for", function(done) {
+		imageInfo(bitmap, { width: 600 }, function(info) {
+			info.responsiveUrls.should.eql({
+				1.5: '//example.com/images/thumb/f/f8/Foo.png/900px-Foo.png',
+				2: '//example.com/images/f/f8/Foo.png'
+			});
+			imageInfo(bitmap, { width: 1000 }, function(info) {
+				info.thumburl.should.equal('//example.com/images/f/f8/Foo.png');
+				info.responsiveUrls.should.eql({});
+				done();
+			});
+		});
+	});
+
+	it("should scale drawings for all screens", function(done) {
+		imageInfo(drawing, { width: 100 }, function(info) {
+			info.responsiveUrls.should.eql({
+				1.5: '//example.com/images/thumb/f/f8/Foo.png/150px-Foo.png.png',
+				2: '//example.com/images/thumb/f/f8/Foo.png/200px-Foo.png.png'
+			});
+			done();
+		});
+	});
+});
+
+describe("ApiPageInfoProvider", function() {
+	afterEach(function() {
+		requestStub.restore();
+	});
+
+	it("should look up images in one request per box, 50 at most", function(done) {
+		var requests = [],
+			results = {},
+			titles = [],
+			i;
+		for (i = 0; i < 60; i++) {
+			titles.push('File:Image' + i + '.jpg');
+		}
+		requestStub.stub(function(options, cb) {
+			var pages = {};
+			requests.push(options.form);
+			options.form.titles.split('|').forEach(function(title, j) {
+				pages[-1 - j] = { title: title, imageinfo: [{
+					width: 1000,
+					height: 500,
+					thumbwidth: Number(options.form.iiurlwidth)
+				}] };
+			});
+			requestStub.respond(cb, 200, { query: { pages: pages } });
+		});
+
+		getEnv(function(env) {
+			var pageInfo = new PageInfo.ApiPageInfoProvider(env),
+				lookups = 0;
+			env.conf.parsoid.fetchTemplates = true;
+			// A box, and a file looked up twice in the other box
+			titles.concat(['File:Image0.jpg', 'File:Image1.jpg', 'File:Image0.jpg']).forEach(function(title, j) {
+				var width = j < 60 ? 100 : 200;
+				lookups++;
+				pageInfo.getImageInfo(title, { width: width }, function(err, info) {
+					should.not.exist(err);
+					info.title.should.equal(title);
+					info.thumbwidth.should.equal(width);
+					results[width + ':' + title] = info;
+					if (--lookups === 0) {
+						requests.map(function(form) {
+							return [form.iiurlwidth, form.titles.split('|').length];
+						}).sort().should.eql([[100, 10], [100, 50], [200, 2]]);
+						Object.keys(results).length.should.equal(62);
+						done();
+					}
+				});
+			});
+		});
+	});
+});
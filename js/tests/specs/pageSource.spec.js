@@ -0,0 +1,96 @@
+var should = require('should'),
+	fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	PageSource = require('../../lib/mediawiki.PageSource.js'),
+	ParsoidConfig = require('../../lib/mediawiki.ParsoidConfig.js').ParsoidConfig,
+	MWParserEnvironment = require('../../lib/mediawiki.parser.environment.js').MWParserEnvironment,
+	TemplateRequest = require('../../lib/mediawiki.ApiRequest.js').TemplateRequest;
+
+var dump = [
+	'<mediawiki>',
+	'<page><title>Template:Foo</title>',
+	'<revision><id>1</id><text>old foo</text></revision>',
+	'<revision><id>2</id><text>foo</text></revision>',
+	'</page>',
+	'<page><title>Template:Bar</title>',
+	'<revision><id>3</id><text>#REDIRECT [[Template:Foo]]</text></revision>',
+	'</page>',
+	'</mediawiki>'
+].join('\n');
+
+// A page source of the dump, once it is loaded
+function loadDump(cb) {
+	var file = path.join(os.tmpdir(), 'parsoid-dump-' + process.pid + '.xml'),
+		source;
+	fs.writeFileSync(file, dump);
+	source = new PageSource.DumpPageSource(file);
+	source.fetch('Template:Foo', null, function() {
+		fs.unlinkSync(file);
+		cb(source);
+	});
+}
+
+function getEnv(source, cb) {
+	var parsoidConfig = new ParsoidConfig(null, { fetchTemplates: false });
+	parsoidConfig.pageSource = source;
+	MWParserEnvironment.getParserEnv(parsoidConfig, null, '', null, function(err, env) {
+		cb(env);
+	});
+}
+
+describe("DumpPageSource", function() {
+	it("should fetch the current revision and old revisions", function(done) {
+		loadDump(function(source) {
+			source.fetch('Template:Foo', null, function(err, src) {
+				should.not.exist(err);
+				src.should.equal('foo');
+				source.fetch('Template:Foo', 1, function(err, src) {
+					src.should.equal('old foo');
+					done();
+				});
+			});
+		});
+	});
+
+	it("should call back asynchronously once the dump is loaded", function(done) {
+		loadDump(function(source) {
+			var called = false;
+			source.fetch('Template:Missing', null, function(err) {
+				called = true;
+				err.name.should.equal('DoesNotExistError');
+				done();
+			});
+			called.should.equal(false);
+		});
+	});
+
+	it("should serve template requests from a loaded dump", function(done) {
+		loadDump(function(source) {
+			getEnv(source, function(env) {
+				// The listener is added after the request starts, like
+				// TemplateHandler does
+				var req = new TemplateRequest(env, 'Template:Bar');
+				env.requestQueue['Template:Bar'] = req;
+				req.on('src', function(err, src) {
+					should.not.exist(err);
+					src.should.equal('foo');
+					done();
+				});
+			});
+		});
+	});
+});
+
+describe("FilesystemPageSource", function() {
+	it("should report missing old revisions asynchronously", function(done) {
+		var source = new PageSource.FilesystemPageSource(os.tmpdir()),
+			called = false;
+		source.fetch('Template:Foo', 5, function(err, src) {
+			called = true;
+			err.name.should.equal('DoesNotExistError');
+			done();
+		});
+		called.should.equal(false);
+	});
+});
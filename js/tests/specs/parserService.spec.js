@@ -0,0 +1,310 @@
+var should = require('should'),
+	fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	http = require('http'),
+	qs = require('querystring'),
+	url = require('url'),
+	requestStub = require('./requestStub.js');
+
+// The service, configured for wikis whose config is the base config
+// snapshot, so that it parses without asking them, and without the shared
+// cache, so that each test asks the wiki for the pages it needs. The
+// private wiki gets the credentials of the clients.
+var configFile = path.join(os.tmpdir(), 'parsoid-service-' + process.pid + '.json'),
+	parsoidConfigEnv = process.env.PARSOID_CONFIG;
+fs.writeFileSync(configFile, JSON.stringify({
+	logLevel: 'fatal',
+	sharedCache: false,
+	wikis: {
+		localhost: {
+			apiURI: 'http://localhost/w/api.php',
+			siteinfoSnapshot: path.join(__dirname, '../../lib/mediawiki.BaseConfig.json')
+		},
+		'private': {
+			apiURI: 'http://private.example.org/w/api.php',
+			siteinfoSnapshot: path.join(__dirname, '../../lib/mediawiki.BaseConfig.json'),
+			auth: { forwardHeaders: true }
+		}
+	}
+}));
+process.env.PARSOID_CONFIG = configFile;
+var app = require('../../api/ParserService.js');
+fs.unlinkSync(configFile);
+if (parsoidConfigEnv === undefined) {
+	delete process.env.PARSOID_CONFIG;
+} else {
+	process.env.PARSOID_CONFIG = parsoidConfigEnv;
+}
+
+// Ask the service: cb(res, body), with the JSON of JSON responses parsed
+function ask(method, urlPath, form, headers, cb) {
+	var body = form ? qs.stringify(form) : '',
+		req;
+	headers = headers || {};
+	if (form) {
+		headers['Content-Type'] = 'application/x-www-form-urlencoded';
+		headers['Content-Length'] = Buffer.byteLength(body);
+	}
+	req = http.request({
+		host: '127.0.0.1',
+		port: app.address().port,
+		method: method,
+		path: urlPath,
+		headers: headers,
+		agent: false
+	}, function(res) {
+		var chunks = [];
+		res.setEncoding('utf8');
+		res.on('data', function(chunk) {
+			chunks.push(chunk);
+		});
+		res.on('end', function() {
+			var text = chunks.join('');
+			cb(res, /^application\/json/.test(res.headers['content-type']) ?
+				JSON.parse(text) : text);
+		});
+	});
+	req.end(body);
+}
+
+// The HTML of some wikitext, as the service parses it
+function toHTML(wikitext, cb) {
+	ask('POST', '/v1/localhost/transform/wikitext/to/html/Main_Page',
+		{ wikitext: wikitext }, null, function(res, html) {
+			res.statusCode.should.equal(200);
+			cb(html);
+		});
+}
+
+// The parameters of an API request
+function params(options) {
+	return options.form || url.parse(options.url, true).query;
+}
+
+// Answer the revision fetches of the wiki with the source of the revision
+// 123 of Main Page, noting the options of the API requests in apiRequests
+function stubRevisions(src, apiRequests) {
+	requestStub.stub(function(options, cb) {
+		var query = params(options);
+		apiRequests.push(options);
+		if (query.revids !== '123') {
+			requestStub.respond(cb, 200, { query: { badrevids: {} } });
+			return;
+		}
+		requestStub.respond(cb, 200, { query: { pages: { 1: {
+			pageid: 1,
+			title: 'Main Page',
+			revisions: [ { revid: 123, '*': src } ]
+		} } } });
+	});
+}
+
+// Changed wikitext, with unchanged parts that the serializer would write
+// differently than the original
+var original = "Some ''text''  with   spaces.\n\nA paragraph.",
+	edited = "Some ''text''  with   spaces.\n\nAn edited paragraph.";
+
+describe("ParserService", function() {
+	beforeEach(function(done) {
+		// No test asks the wiki unless it says so
+		requestStub.stub(function(options, cb) {
+			cb(new Error('Unexpected request for ' + options.url));
+		});
+		app.listen(0, '127.0.0.1', done);
+	});
+
+	afterEach(function(done) {
+		requestStub.restore();
+		app.close(done);
+	});
+
+	describe("page", function() {
+		var page = '/v1/localhost/page/Main_Page/wikitext?oldid=123';
+
+		// The ETag of the revision 123, requested at some time
+		function etag(query, cb) {
+			stubRevisions(original, []);
+			ask('GET', page + query, null, null, function(res, body) {
+				res.statusCode.should.equal(200);
+				body.should.equal(original);
+				cb(res.headers.etag);
+			});
+		}
+
+		it("should vary the ETag with the requested time", function(done) {
+			etag('', function(plain) {
+				etag('&currenttime=2013-01-01T00:00:00Z', function(at2013) {
+					etag('&currenttime=20130101000000', function(at2013Too) {
+						etag('&currenttime=2014-01-01T00:00:00Z', function(at2014) {
+							plain.should.not.equal(at2013);
+							at2013Too.should.equal(at2013);
+							at2014.should.not.equal(at2013);
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it("should answer an ETag of the same time with Not Modified", function(done) {
+			var query = '&currenttime=2013-01-01T00:00:00Z';
+			etag(query, function(tag) {
+				ask('GET', page + query, null, { 'If-None-Match': tag }, function(res) {
+					res.statusCode.should.equal(304);
+					done();
+				});
+			});
+		});
+	});
+
+	describe("forwarded credentials", function() {
+		// Get the revision 123 of Main Page with some request headers:
+		// cb(res, apiRequests)
+		function getPage(wiki, headers, cb) {
+			var apiRequests = [];
+			stubRevisions(original, apiRequests);
+			ask('GET', '/v1/' + wiki + '/page/Main_Page/wikitext?oldid=123', null, headers,
+				function(res, body) {
+					res.statusCode.should.equal(200);
+					body.should.equal(original);
+					apiRequests.length.should.be.above(0);
+					cb(res, apiRequests);
+				});
+		}
+
+		// The header of all the API requests
+		function sent(apiRequests, name) {
+			return apiRequests.map(function(options) {
+				return options.headers[name] || null;
+			});
+		}
+
+		it("should ask the wiki with the credentials of the client", function(done) {
+			getPage('private', { Cookie: 'session=alice', Authorization: 'Basic YWxpY2U6YWxpY2U=' },
+				function(res, apiRequests) {
+					sent(apiRequests, 'Cookie').forEach(function(cookie) {
+						cookie.should.equal('session=alice');
+					});
+					sent(apiRequests, 'Authorization').forEach(function(authorization) {
+						authorization.should.equal('Basic YWxpY2U6YWxpY2U=');
+					});
+					res.headers.vary.should.equal('Accept, Cookie, Authorization');
+					res.headers['cache-control'].should.equal('private');
+					done();
+				});
+		});
+
+		it("should vary responses without credentials on them", function(done) {
+			getPage('private', null, function(res, apiRequests) {
+				sent(apiRequests, 'Cookie').forEach(function(cookie) {
+					should.not.exist(cookie);
+				});
+				res.headers.vary.should.equal('Accept, Cookie, Authorization');
+				should.not.exist(res.headers['cache-control']);
+				done();
+			});
+		});
+
+		it("should not forward the credentials to other wikis", function(done) {
+			getPage('localhost', { Cookie: 'session=alice' }, function(res, apiRequests) {
+				sent(apiRequests, 'Cookie').forEach(function(cookie) {
+					should.not.exist(cookie);
+				});
+				res.headers.vary.should.equal('Accept');
+				should.not.exist(res.headers['cache-control']);
+				done();
+			});
+		});
+	});
+
+	describe("html/to/wikitext", function() {
+		var toWikitext = '/v1/localhost/transform/html/to/wikitext/Main_Page';
+
+		// The HTML of original with the second paragraph edited
+		function editedHTML(cb) {
+			toHTML(original, function(html) {
+				cb(html.replace('A paragraph.', 'An edited paragraph.'));
+			});
+		}
+
+		it("should reject an invalid oldid", function(done) {
+			ask('POST', toWikitext, { html: '<p>foo</p>', oldid: '12a' },
+				{ Accept: 'application/json' }, function(res, body) {
+					res.statusCode.should.equal(400);
+					body.error.message.should.equal('Invalid oldid: 12a');
+					done();
+				});
+		});
+
+		it("should reject an invalid oldid in the old API", function(done) {
+			ask('POST', '/localhost/Main_Page', { content: '<p>foo</p>', oldid: '1; 2' },
+				null, function(res, body) {
+					res.statusCode.should.equal(400);
+					body.should.equal('Invalid oldid: 1; 2');
+					done();
+				});
+		});
+
+		it("should keep the unchanged parts of the revision with the oldid", function(done) {
+			var apiRequests = [];
+			editedHTML(function(html) {
+				stubRevisions(original, apiRequests);
+				ask('POST', toWikitext, { html: html, oldid: '123' },
+					{ Accept: 'application/json' }, function(res, body) {
+						res.statusCode.should.equal(200);
+						body.wikitext.should.equal(edited);
+						body.revision.should.eql({ id: 123 });
+						apiRequests.map(function(options) {
+							return params(options).revids;
+						}).should.include('123');
+						done();
+					});
+			});
+		});
+
+		it("should keep the unchanged parts of the original wikitext", function(done) {
+			var apiRequests = [];
+			editedHTML(function(html) {
+				stubRevisions(original, apiRequests);
+				ask('POST', toWikitext, { html: html, 'original[wikitext]': original },
+					null, function(res, body) {
+						res.statusCode.should.equal(200);
+						body.should.equal(edited);
+						apiRequests.should.eql([]);
+						done();
+					});
+			});
+		});
+
+		it("should compare to the original HTML if there is one", function(done) {
+			var apiRequests = [];
+			toHTML(original, function(originalHTML) {
+				editedHTML(function(html) {
+					stubRevisions(original, apiRequests);
+					ask('POST', toWikitext, {
+						html: html,
+						'original[wikitext]': original,
+						'original[html]': originalHTML
+					}, null, function(res, body) {
+						res.statusCode.should.equal(200);
+						body.should.equal(edited);
+						apiRequests.should.eql([]);
+						done();
+					});
+				});
+			});
+		});
+
+		it("should serialize the whole page without the original", function(done) {
+			editedHTML(function(html) {
+				ask('POST', toWikitext, { html: html }, null, function(res, body) {
+					res.statusCode.should.equal(200);
+					body.should.not.equal(edited);
+					body.should.include('An edited paragraph.');
+					done();
+				});
+			});
+		});
+	});
+});
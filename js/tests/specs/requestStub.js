@@ -0,0 +1,41 @@
+/**
+ * A stand-in for the network in the specs: stub(handler) answers the HTTP
+ * requests made with the request module (the API requests of Parsoid) with
+ * handler(options, cb), where cb(error, response, body) is called back like
+ * a request callback; restore() sends them to the network again.
+ *
+ * request() creates its requests with request.Request, so replacing that
+ * also stubs the modules that were loaded before this one.
+ */
+var request = require('request');
+
+var Request = request.Request;
+
+exports.stub = function(handler) {
+	var StubRequest = function(options) {
+		var self = this;
+		this.aborted = false;
+		// Answer asynchronously, like the network does
+		process.nextTick(function() {
+			handler(options, function(error, response, body) {
+				if (!self.aborted) {
+					options.callback(error || null, response, body);
+				}
+			});
+		});
+	};
+	StubRequest.prototype.abort = function() {
+		this.aborted = true;
+	};
+	request.Request = StubRequest;
+};
+
+exports.restore = function() {
+	request.Request = Request;
+};
+
+// Answer a request with a response, the body as JSON unless it is a string
+exports.respond = function(cb, statusCode, body, headers) {
+	cb(null, { statusCode: statusCode, headers: headers || {} },
+		typeof body === 'string' ? body : JSON.stringify(body));
+};
@@ -0,0 +1,75 @@
+var should = require('should'),
+	ResourceLimits = require('../../lib/mediawiki.ResourceLimits.js').ResourceLimits;
+
+// A ResourceLimits with the given limits, recording its aborts
+function makeLimits(limits) {
+	var env = {
+			conf: { parsoid: { limits: limits } },
+			page: { name: 'Foo' },
+			errors: []
+		};
+	env.errCB = function(e) {
+		env.errors.push(e);
+	};
+	return new ResourceLimits(env);
+}
+
+describe("ResourceLimits", function() {
+	it("should count without aborting below the limits", function() {
+		var limits = makeLimits({ includeSize: 10 });
+		limits.add('includeSize', 6).should.equal(true);
+		limits.add('includeSize', 4).should.equal(true);
+		limits.add('expansionNodes', 1000).should.equal(true);
+		limits.getReport().includeSize.should.eql({ value: 10, limit: 10 });
+		limits.getReport().expansionNodes.should.eql({ value: 1000, limit: null });
+		limits.env.errors.should.have.length(0);
+	});
+
+	it("should abort once, with the report, when a limit is exceeded", function() {
+		var limits = makeLimits({ includeSize: 10 }),
+			error;
+		limits.add('includeSize', 11).should.equal(false);
+		limits.add('includeSize', 1).should.equal(false);
+		limits.env.errors.should.have.length(1);
+		error = limits.env.errors[0];
+		error.name.should.equal('ResourceLimitError');
+		error.limit.should.equal('includeSize');
+		error.code.should.equal(413);
+		error.message.should.equal('The includeSize limit (10) was exceeded while parsing Foo');
+		error.report.includeSize.value.should.equal(11);
+	});
+
+	it("should cancel the outstanding API requests", function() {
+		var limits = makeLimits({ outputSize: 1 }),
+			aborted = [],
+			request = function(name) {
+				return { abort: function() { aborted.push(name); } };
+			},
+			done = request('done');
+		limits.trackRequest(request('pending'));
+		limits.trackRequest(done);
+		limits.untrackRequest(done);
+		limits.add('outputSize', 2);
+		aborted.should.eql(['pending']);
+	});
+
+	it("should abort when the wall clock runs out", function(done) {
+		var limits = makeLimits({ wallClock: 10 });
+		limits.onAbort = function(error) {
+			error.limit.should.equal('wallClock');
+			error.code.should.equal(503);
+			done();
+		};
+		limits.start();
+	});
+
+	it("should stop the wall clock", function(done) {
+		var limits = makeLimits({ wallClock: 10 });
+		limits.start();
+		limits.stop();
+		setTimeout(function() {
+			should.not.exist(limits.aborted);
+			done();
+		}, 30);
+	});
+});
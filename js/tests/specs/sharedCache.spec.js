@@ -0,0 +1,84 @@
+var should = require('should'),
+	fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	SharedCache = require('../../lib/mediawiki.SharedCache.js').SharedCache;
+
+describe("SharedCache", function() {
+	it("should keep pages by wiki, title and revision", function() {
+		var cache = new SharedCache();
+		cache.set('page', 'en', 'Foo', 'current foo');
+		cache.set('page', 'en', 'Foo', 'old foo', { revision: 1 });
+		cache.get('page', 'en', 'Foo').should.equal('current foo');
+		cache.get('page', 'en', 'Foo', 1).should.equal('old foo');
+		should.not.exist(cache.get('page', 'de', 'Foo'));
+		should.not.exist(cache.get('expansion', 'en', 'Foo'));
+		cache.getStats().should.include({ hits: 2, misses: 2, sets: 2, items: 2 });
+	});
+
+	it("should evict the least recently used entries", function() {
+		var cache = new SharedCache({ maxItems: 2 });
+		cache.set('page', 'en', 'A', 'a');
+		cache.set('page', 'en', 'B', 'b');
+		cache.get('page', 'en', 'A');
+		cache.set('page', 'en', 'C', 'c');
+		cache.get('page', 'en', 'A').should.equal('a');
+		should.not.exist(cache.get('page', 'en', 'B'));
+		cache.getStats().evictions.should.equal(1);
+	});
+
+	it("should bound the size in bytes", function() {
+		var cache = new SharedCache({ maxBytes: 30 });
+		cache.set('page', 'en', 'A', 'aaaaaaaaaa');
+		cache.set('page', 'en', 'B', 'bbbbbbbbbb');
+		should.not.exist(cache.get('page', 'en', 'A'));
+		cache.get('page', 'en', 'B').should.equal('bbbbbbbbbb');
+		// Too big to be cached at all
+		cache.set('page', 'en', 'C', new Array(100).join('c'));
+		should.not.exist(cache.get('page', 'en', 'C'));
+	});
+
+	it("should expire current revisions only", function() {
+		var cache = new SharedCache({ ttl: 1000 }),
+			now = Date.now;
+		cache.set('page', 'en', 'Foo', 'foo');
+		cache.set('page', 'en', 'Foo', 'old foo', { revision: 1 });
+		Date.now = function() { return now() + 2000; };
+		try {
+			should.not.exist(cache.get('page', 'en', 'Foo'));
+			cache.get('page', 'en', 'Foo', 1).should.equal('old foo');
+		} finally {
+			Date.now = now;
+		}
+		cache.getStats().expirations.should.equal(1);
+	});
+
+	it("should drop current revisions older than a revision seen", function() {
+		var cache = new SharedCache();
+		cache.set('page', 'en', 'Foo', 'foo', { revid: 5 });
+		cache.noteRevision('en', 'Foo', 5);
+		cache.get('page', 'en', 'Foo').should.equal('foo');
+		cache.noteRevision('en', 'Foo', 6);
+		should.not.exist(cache.get('page', 'en', 'Foo'));
+
+		cache.set('page', 'en', 'Bar', 'bar');
+		cache.invalidate('en', 'Bar');
+		should.not.exist(cache.get('page', 'en', 'Bar'));
+		cache.getStats().invalidations.should.equal(2);
+	});
+
+	it("should persist its entries", function(done) {
+		var file = path.join(os.tmpdir(), 'parsoid-cache-' + process.pid + '.json'),
+			cache = new SharedCache({ persistFile: file });
+		cache.set('page', 'en', 'Foo', 'foo', { revid: 5 });
+		cache.save(function(err) {
+			should.not.exist(err);
+			var loaded = new SharedCache({ persistFile: file });
+			fs.unlinkSync(file);
+			loaded.get('page', 'en', 'Foo').should.equal('foo');
+			loaded.noteRevision('en', 'Foo', 6);
+			should.not.exist(loaded.get('page', 'en', 'Foo'));
+			done();
+		});
+	});
+});
@@ -0,0 +1,221 @@
+var should = require('should'),
+	path = require('path'),
+	WikiConfigCache = require('../../lib/mediawiki.WikiConfigCache.js').WikiConfigCache,
+	WikiConfig = require('../../lib/mediawiki.WikiConfig.js').WikiConfig,
+	Logger = require('../../lib/mediawiki.Logger.js').Logger;
+
+var snapshotFile = path.join(__dirname, '../../lib/mediawiki.BaseConfig.json'),
+	siteinfo = require(snapshotFile).query,
+	uri = 'http://localhost/w/api.php';
+
+// A fetch answering with the siteinfo (or an error) once answer() is
+// called, counting its calls
+function makeFetch(err) {
+	var fetch = function(cb) {
+		fetch.calls++;
+		fetch.pending.push(cb);
+	};
+	fetch.calls = 0;
+	fetch.pending = [];
+	fetch.answer = function() {
+		var pending = fetch.pending;
+		fetch.pending = [];
+		pending.forEach(function(cb) {
+			cb(err || null, err ? null : siteinfo);
+		});
+	};
+	return fetch;
+}
+
+// Get a config that the fetch answers right away
+function get(cache, prefix, authHeaders, fetch) {
+	var conf = null;
+	cache.get(prefix, uri, authHeaders || null, fetch, function(err, c) {
+		should.not.exist(err);
+		conf = c;
+	});
+	fetch.answer();
+	should.exist(conf);
+	return conf;
+}
+
+describe("WikiConfigCache", function() {
+	var now, realNow, stream;
+
+	beforeEach(function() {
+		now = 1000000;
+		realNow = Date.now;
+		Date.now = function() {
+			return now;
+		};
+		// Keep the refresh warnings out of the output
+		stream = Logger.root.stream;
+		Logger.root.configure({ stream: { write: function() {} } });
+	});
+
+	afterEach(function() {
+		Date.now = realNow;
+		Logger.root.configure({ stream: stream });
+	});
+
+	it("should share the fetch of concurrent requests for a config", function() {
+		var cache = new WikiConfigCache(),
+			fetch = makeFetch(),
+			confs = [];
+		[0, 1, 2].forEach(function() {
+			cache.get('wiki', uri, null, fetch, function(err, conf) {
+				should.not.exist(err);
+				confs.push(conf);
+			});
+		});
+		fetch.calls.should.equal(1);
+		confs.length.should.equal(0);
+		fetch.answer();
+
+		confs.length.should.equal(3);
+		confs[0].should.be.an.instanceof(WikiConfig);
+		confs[1].should.equal(confs[0]);
+		confs[2].should.equal(confs[0]);
+		get(cache, 'wiki', null, fetch).should.equal(confs[0]);
+		fetch.calls.should.equal(1);
+	});
+
+	it("should pass a failed fetch on to all the waiting requests", function() {
+		var cache = new WikiConfigCache(),
+			fetch = makeFetch(new Error('down')),
+			errors = [];
+		[0, 1].forEach(function() {
+			cache.get('wiki', uri, null, fetch, function(err, conf) {
+				should.not.exist(conf);
+				errors.push(err.message);
+			});
+		});
+		fetch.answer();
+		errors.should.eql(['down', 'down']);
+
+		// The next request tries again
+		cache.get('wiki', uri, null, fetch, function() {});
+		fetch.calls.should.equal(2);
+	});
+
+	it("should serve a stale config while refreshing it", function() {
+		var cache = new WikiConfigCache({ ttl: 1000 }),
+			fetch = makeFetch(),
+			old = get(cache, 'wiki', null, fetch),
+			refreshed;
+
+		now += 1001;
+		cache.get('wiki', uri, null, fetch, function(err, conf) {
+			conf.should.equal(old);
+		});
+		fetch.calls.should.equal(2);
+		// Only one refresh at a time
+		cache.get('wiki', uri, null, fetch, function(err, conf) {
+			conf.should.equal(old);
+		});
+		fetch.calls.should.equal(2);
+
+		fetch.answer();
+		refreshed = get(cache, 'wiki', null, fetch);
+		refreshed.should.not.equal(old);
+		fetch.calls.should.equal(2);
+	});
+
+	it("should keep a stale config if the refresh fails", function() {
+		var cache = new WikiConfigCache({ ttl: 1000 }),
+			fetch = makeFetch(),
+			failing = makeFetch(new Error('down')),
+			old = get(cache, 'wiki', null, fetch);
+
+		now += 1001;
+		get(cache, 'wiki', null, failing).should.equal(old);
+		failing.calls.should.equal(1);
+		get(cache, 'wiki', null, failing).should.equal(old);
+
+		// It is tried again after another TTL
+		failing.calls.should.equal(1);
+		now += 1001;
+		get(cache, 'wiki', null, failing).should.equal(old);
+		failing.calls.should.equal(2);
+	});
+
+	it("should keep at most maxItems configs, dropping the least recently used", function() {
+		var cache = new WikiConfigCache({ maxItems: 2 }),
+			fetch = makeFetch(),
+			a = get(cache, 'a', null, fetch);
+		get(cache, 'b', null, fetch);
+		get(cache, 'a', null, fetch).should.equal(a);
+		get(cache, 'c', null, fetch);
+		fetch.calls.should.equal(3);
+
+		Object.keys(cache.entries).sort().should.eql(['a', 'c']);
+		get(cache, 'a', null, fetch).should.equal(a);
+		get(cache, 'b', null, fetch);
+		fetch.calls.should.equal(4);
+		Object.keys(cache.entries).length.should.equal(2);
+	});
+
+	it("should keep configs apart by the forwarded credentials", function() {
+		var cache = new WikiConfigCache(),
+			fetch = makeFetch(),
+			alice = { cookie: 'session=alice' },
+			bob = { cookie: 'session=bob' },
+			anonymous = get(cache, 'wiki', null, fetch),
+			alices = get(cache, 'wiki', alice, fetch);
+
+		alices.should.not.equal(anonymous);
+		get(cache, 'wiki', bob, fetch).should.not.equal(alices);
+		get(cache, 'wiki', { cookie: 'session=alice' }, fetch).should.equal(alices);
+		fetch.calls.should.equal(3);
+		WikiConfigCache.makeKey('wiki', null).should.equal('wiki');
+		WikiConfigCache.makeKey('wiki', alice).should.match(/^wiki#[0-9a-f]{40}$/);
+	});
+
+	it("should prefer snapshots to fetched configs", function() {
+		var cache = new WikiConfigCache({
+				snapshots: { snap: snapshotFile },
+				interwikiMap: { snap: uri }
+			}),
+			fetch = makeFetch(),
+			fetched = get(cache, 'wiki', null, fetch),
+			snapshot = cache.snapshots.snap;
+
+		cache.get('snap', uri, { cookie: 'session=alice' }, fetch, function(err, conf) {
+			conf.should.equal(snapshot);
+		});
+		fetch.calls.should.equal(1);
+
+		cache.loadSnapshot('wiki', snapshotFile, uri);
+		cache.get('wiki', uri, null, fetch, function(err, conf) {
+			conf.should.not.equal(fetched);
+			conf.should.equal(cache.snapshots.wiki);
+		});
+		fetch.calls.should.equal(1);
+	});
+
+	it("should only use the snapshots when disabled", function() {
+		var cache = new WikiConfigCache({ enabled: false }),
+			fetch = makeFetch();
+		get(cache, 'wiki', null, fetch).should.not.equal(get(cache, 'wiki', null, fetch));
+		fetch.calls.should.equal(2);
+	});
+
+	it("should drop the configs of a wiki for all credentials", function() {
+		var cache = new WikiConfigCache({ snapshots: { snap: snapshotFile } }),
+			fetch = makeFetch(),
+			snapshot = cache.snapshots.snap;
+		get(cache, 'wiki', null, fetch);
+		get(cache, 'wiki', { cookie: 'session=alice' }, fetch);
+		get(cache, 'wiki', { authorization: 'Basic Ym9iOmJvYg==' }, fetch);
+		get(cache, 'wikiother', null, fetch);
+
+		cache.invalidate('wiki');
+		Object.keys(cache.entries).should.eql(['wikiother']);
+		cache.invalidate();
+		Object.keys(cache.entries).should.eql([]);
+		cache.get('snap', uri, null, fetch, function(err, conf) {
+			conf.should.equal(snapshot);
+		});
+		fetch.calls.should.equal(4);
+	});
+});